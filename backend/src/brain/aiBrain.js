@@ -5,6 +5,7 @@
 
 const { recordTrade, readBrain } = require("./brain.store");
 const { reasonTradeContext } = require("./brain.reasoner");
+const marketRegime = require("../services/marketRegime");
 
 /* =========================================================
 CACHE (🔥 FIX)
@@ -70,7 +71,7 @@ function getState(id) {
 
   if (!LOCAL_STATE.has(key)) {
     LOCAL_STATE.set(key, {
-      lastRegime: "neutral",
+      lastRegime: marketRegime.UNKNOWN,
       recentPnL: [],
     });
   }
@@ -78,17 +79,6 @@ function getState(id) {
   return LOCAL_STATE.get(key);
 }
 
-/* =========================================================
-REGIME
-========================================================= */
-
-function detectRegime(volatility, trendStrength = 0) {
-  if (volatility > 0.025) return "volatile";
-  if (trendStrength > 0.004) return "trend";
-  if (trendStrength < 0.001) return "range";
-  return "neutral";
-}
-
 /* =========================================================
 EDGES
 ========================================================= */
@@ -146,14 +136,16 @@ function decide({
   baseEdge = 0,
   pattern = "unknown",
   setup = "unknown",
+  regime = null,
 }) {
   const state = getState(tenantId);
   const brain = getBrain();
 
-  const volatility = safe(paper?.volatility, 0);
-  const trendStrength = Math.abs(baseEdge);
-
-  const regime = detectRegime(volatility, trendStrength);
+  // Caller's reading if it has one, else the shared regime service
+  regime =
+    marketRegime.canonical(regime) ||
+    marketRegime.current({ tenantId, symbol }).regime;
+  state.lastRegime = regime;
 
   /* ================= REASONING ================= */
 
@@ -184,40 +176,41 @@ function decide({
   if (!baseConfidence) baseConfidence = 0.35;
   if (!baseEdge) baseEdge = 0.0003;
 
-  /* ================= CONFIDENCE ================= */
-
-  let confidence =
-    baseConfidence +
-    reasoning.confidenceAdjustment +
-    symbolEdge +
-    patternEdge +
-    setupEdge +
-    perfBias +
-    recentBias;
+  /* ================= COMPONENTS ================= */
+
+  // Additive inputs, summed in this order into confidence and edge
+  const components = [
+    { name: "base", confidence: baseConfidence, edge: baseEdge },
+    { name: "reasoning", confidence: reasoning.confidenceAdjustment, edge: reasoning.edgeAdjustment },
+    { name: "symbolEdge", confidence: symbolEdge, edge: symbolEdge },
+    { name: "patternEdge", confidence: patternEdge, edge: patternEdge },
+    { name: "setupEdge", confidence: setupEdge, edge: setupEdge },
+    { name: "performance", confidence: perfBias, edge: perfBias * 0.5 },
+    { name: "recentPnL", confidence: recentBias, edge: recentBias },
+  ];
+
+  // Later adjustments are logged as the change they made
+  const adjust = (name, nextConfidence, nextEdge, detail) => {
+    components.push({ name, confidence: nextConfidence - confidence, edge: nextEdge - edge, ...detail });
+    confidence = nextConfidence;
+    edge = nextEdge;
+  };
 
-  confidence = calibrateConfidence(confidence, brain.stats);
+  /* ================= CONFIDENCE ================= */
 
-  /* ================= EDGE ================= */
+  let confidence = components.reduce((sum, c) => sum + c.confidence, 0);
+  let edge = components.reduce((sum, c) => sum + c.edge, 0);
 
-  let edge =
-    baseEdge +
-    reasoning.edgeAdjustment +
-    symbolEdge +
-    patternEdge +
-    setupEdge +
-    perfBias * 0.5 +
-    recentBias;
+  adjust("calibration", calibrateConfidence(confidence, brain.stats), edge);
 
   /* ================= REGIME ================= */
 
   if (regime === "volatile") {
-    confidence *= 0.8;
-    edge *= 0.7;
+    adjust("regime", confidence * 0.8, edge * 0.7, { regime });
   }
 
-  if (regime === "trend") {
-    confidence *= 1.08;
-    edge *= 1.15;
+  if (marketRegime.isTrending(regime)) {
+    adjust("regime", confidence * 1.08, edge * 1.15, { regime });
   }
 
   /* ================= DRAWDOWN ================= */
@@ -228,15 +221,21 @@ function decide({
   const dd = peak > 0 ? (peak - equity) / peak : 0;
 
   if (dd > 0.05) {
-    confidence *= 0.65;
-    edge *= 0.6;
+    adjust("drawdown", confidence * 0.65, edge * 0.6, { drawdown: dd });
   }
 
+  adjust("clamp", clamp(confidence, 0, 1), clamp(edge, -1, 1));
+
   return {
-    confidence: clamp(confidence, 0, 1),
-    edge: clamp(edge, -1, 1),
+    confidence,
+    edge,
     regime,
     score: reasoning.score,
+    attribution: {
+      features: { symbol, pattern, setup, regime, volatility: safe(paper?.volatility, 0), drawdown: dd },
+      components,
+      reasoning: reasoning.attribution || null,
+    },
   };
 }
 
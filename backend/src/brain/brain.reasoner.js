@@ -193,6 +193,7 @@ function reasonTradeContext({
   /* ================= CONFIDENCE ================= */
 
   let confidenceAdjustment = compositeScore * 0.14;
+  let overconfidencePenalty = 0;
 
   // Overconfidence penalty
   if (
@@ -200,7 +201,8 @@ function reasonTradeContext({
     confidence > setupView.avgConfidence &&
     setupView.score < 0
   ) {
-    confidenceAdjustment -= Math.abs(setupView.score) * 0.05;
+    overconfidencePenalty = Math.abs(setupView.score) * 0.05;
+    confidenceAdjustment -= overconfidencePenalty;
   }
 
   // Failure cluster penalty
@@ -226,6 +228,24 @@ function reasonTradeContext({
       failurePenalty,
       globalScore,
     },
+
+    // Each input's share of the composite score, then the penalties
+    // taken off the confidence adjustment (before its ±0.2 clamp)
+    attribution: {
+      score: [
+        { name: "symbol", score: symbolView.score, weight: symbolWeight, contribution: symbolView.score * symbolWeight },
+        { name: "pattern", score: patternView.score, weight: patternWeight, contribution: patternView.score * patternWeight },
+        { name: "setup", score: setupView.score, weight: setupWeight, contribution: setupView.score * setupWeight },
+        { name: "global", score: globalScore, weight: globalWeight, contribution: globalScore * globalWeight },
+        { name: "recent", score: recentBias, weight: 1, contribution: recentBias },
+      ],
+      confidence: [
+        { name: "composite", contribution: compositeScore * 0.14 },
+        { name: "overconfidence", contribution: -overconfidencePenalty },
+        { name: "failureCluster", contribution: -failurePenalty },
+      ],
+      edge: [{ name: "composite", contribution: compositeScore * 0.06 }],
+    },
   };
 }
 
@@ -13,6 +13,7 @@ const {
 } = require("./brain.reasoner");
 
 const aiBrain = require("./aiBrain");
+const { isTrending, UNKNOWN } = require("../services/marketRegime");
 
 /* =========================================================
 UTIL
@@ -38,6 +39,7 @@ function decide({
   edge = 0,
   pattern = "unknown",
   setup = "unknown",
+  regime = null,
   paper = {},
 }) {
   try {
@@ -60,6 +62,7 @@ function decide({
       baseEdge: edge,
       pattern,
       setup,
+      regime,
     });
 
     /* ================= MERGE INTELLIGENCE ================= */
@@ -82,7 +85,7 @@ function decide({
       riskAdjustment *= 0.7;
     }
 
-    if (adaptive?.regime === "trend") {
+    if (isTrending(adaptive?.regime)) {
       riskAdjustment *= 1.1;
     }
 
@@ -96,7 +99,7 @@ function decide({
       edge: finalEdge,
       riskAdjustment: clamp(riskAdjustment, -0.25, 0.25),
 
-      regime: adaptive?.regime || "neutral",
+      regime: adaptive?.regime || UNKNOWN,
 
       score: reasoning.score,
 
@@ -104,6 +107,21 @@ function decide({
         reasoning: reasoning.diagnostics,
         adaptive: adaptive.components || {},
       },
+
+      // Weighted shares of the merged confidence and edge (before the
+      // final clamp), with each layer's own breakdown underneath
+      attribution: {
+        components: [
+          { name: "input", confidence: safeNum(confidence, 0), edge: safeNum(edge, 0) },
+          { name: "reasoning", confidence: safeNum(reasoning.confidenceAdjustment, 0) * 0.6, edge: safeNum(reasoning.edgeAdjustment, 0) * 0.5, detail: reasoning.attribution || null },
+          { name: "adaptive", confidence: safeNum(adaptive.confidence, 0) * 0.4, edge: safeNum(adaptive.edge, 0) * 0.5, detail: adaptive.attribution || null },
+        ],
+        risk: {
+          base: safeNum(reasoning.riskAdjustment, 0),
+          regime: adaptive?.regime || UNKNOWN,
+          adjusted: riskAdjustment,
+        },
+      },
     };
   } catch (err) {
     console.error("AI decide error:", err.message);
@@ -0,0 +1,63 @@
+// backend/src/cli/backtest.js
+// Seeded walk-forward backtest over replay candles.
+// Usage: node src/cli backtest [--symbol BTCUSDT] [--seed 42] [--folds 4]
+//        [--source lab|discovery|evolution] [--candidates 8] [--objective sharpe]
+//        [--in-sample N] [--out-of-sample N] [--anchored] [--json]
+
+const backtestRunner = require("../services/backtestRunner");
+
+function num(v) {
+  return v === undefined ? undefined : Number(v);
+}
+
+function fmt(v, digits = 4) {
+  return Number.isFinite(v) ? v.toFixed(digits) : String(v);
+}
+
+async function run(args) {
+  const report = await backtestRunner.runBacktest({
+    symbol: args.symbol,
+    seed: args.seed !== undefined ? args.seed : undefined,
+    folds: num(args.folds),
+    source: args.source,
+    candidates: num(args.candidates),
+    objective: args.objective,
+    inSample: num(args["in-sample"]),
+    outOfSample: num(args["out-of-sample"]),
+    anchored: Boolean(args.anchored),
+    limit: num(args.limit),
+  });
+
+  if (!report.ok) {
+    throw new Error(report.error);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`[CLI] ${report.symbol} seed=${report.seed} source=${report.source} candles=${report.candles}`);
+
+  for (const f of report.folds) {
+    const is = f.inSample.metrics;
+    const oos = f.outOfSample.metrics;
+    console.log(
+      `  fold ${f.fold}  ${f.strategy.id.padEnd(12)} ` +
+        `IS sharpe=${fmt(is.sharpe)} trades=${is.totalTrades}  ` +
+        `OOS sharpe=${fmt(oos.sharpe)} trades=${oos.totalTrades} ` +
+        `pnl=${fmt(f.outOfSample.stats?.netPnl || 0, 2)}`
+    );
+  }
+
+  const s = report.summary;
+  console.log(
+    `[CLI] efficiency=${s.efficiency ?? "n/a"} profitable OOS folds=${s.profitableOosFolds}/${report.folds.length}` +
+      (s.overfit ? "  ⚠️ OVERFIT" : "")
+  );
+}
+
+module.exports = {
+  description: "Seeded walk-forward backtest on replay candles",
+  run,
+};
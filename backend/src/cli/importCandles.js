@@ -0,0 +1,54 @@
+// backend/src/cli/importCandles.js
+// Imports historical OHLCV files into the replay store.
+// Usage: node src/cli import-candles --file <path|dir> [--format csv|binance|kraken]
+//        [--symbol BTCUSDT] [--timeframe 1m] [--tz-offset MINUTES] [--replace] [--dry-run] [--json]
+
+const dataImporter = require("../services/dataImporter");
+
+function fmtTime(ms) {
+  return ms ? new Date(ms).toISOString() : "-";
+}
+
+async function run(args) {
+  if (!args.file || args.file === true) {
+    throw new Error("--file is required");
+  }
+
+  const reports = dataImporter.importPath(args.file, {
+    format: args.format,
+    symbol: args.symbol,
+    timeframe: args.timeframe,
+    tzOffset: args["tz-offset"] !== undefined ? Number(args["tz-offset"]) : 0,
+    replace: Boolean(args.replace),
+    dryRun: Boolean(args["dry-run"]),
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    for (const r of reports) {
+      if (!r.ok) {
+        console.log(`[CLI] ✗ ${r.error}`);
+        continue;
+      }
+
+      console.log(
+        `[CLI] ${r.dryRun ? "checked" : "imported"} ${r.file} → ${r.symbol} ${r.timeframe} (${r.format}) ` +
+          `rows=${r.rows} accepted=${r.accepted} rejected=${r.rejected} duplicates=${r.duplicates}`
+      );
+      console.log(`      ${fmtTime(r.firstTime)} … ${fmtTime(r.lastTime)}  gaps=${r.gaps.count} missing=${r.gaps.missingBars}`);
+      for (const e of r.errors.slice(0, 5)) console.log(`      line ${e.line ?? "-"}: ${e.error}`);
+      for (const w of r.warnings) console.log(`      ⚠️ ${w}`);
+      if (r.written) console.log(`      stored ${r.written.file}: ${r.written.candles} candles (+${r.written.added}, ${r.written.replaced} replaced)`);
+    }
+  }
+
+  if (!reports.some((r) => r.ok)) {
+    throw new Error("nothing imported");
+  }
+}
+
+module.exports = {
+  description: "Import CSV / Binance kline / Kraken OHLCVT files into the replay store",
+  run,
+};
@@ -0,0 +1,47 @@
+// backend/src/cli/importDb.js
+// Imports a db.json document into the SQLite store.
+// Usage: node src/cli import-db [--from data/db.json] [--to data/db.sqlite] [--force]
+
+const fs = require("fs");
+const path = require("path");
+const { DB_PATH, normalize } = require("../lib/db");
+const migrator = require("../lib/migrator");
+const { createAdapter } = require("../lib/storage");
+
+async function run(args) {
+  const from = path.resolve(args.from || DB_PATH);
+  if (!fs.existsSync(from)) {
+    throw new Error(`Source not found: ${from}`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(from, "utf-8"));
+  const fromVersion = raw.schemaVersion || 1;
+
+  // Same loader guards + versioned migrations the JSON driver applies
+  const db = migrator.run(normalize(raw)).db;
+
+  const target = createAdapter("sqlite", args.to ? { file: path.resolve(args.to) } : {});
+
+  try {
+    if (target.exists() && !args.force) {
+      throw new Error(`Target ${target.location} already has data (use --force to overwrite)`);
+    }
+
+    target.save(db);
+
+    const counts = Object.entries(db)
+      .filter(([, v]) => Array.isArray(v))
+      .map(([k, v]) => `${k}=${v.length}`);
+
+    console.log(`[CLI] Imported ${from} → ${target.location}`);
+    console.log(`[CLI] schemaVersion ${fromVersion} → ${db.schemaVersion}`);
+    console.log(`[CLI] ${counts.join(" ")}`);
+  } finally {
+    target.close();
+  }
+}
+
+module.exports = {
+  description: "Import db.json (with schema migrations) into the SQLite store",
+  run,
+};
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// backend/src/cli/index.js
+// AutoShield Tech — Operator CLI
+// Usage: node src/cli <command> [--flag value] [--switch]
+
+require("dotenv").config();
+
+const COMMANDS = {
+  backtest: require("./backtest"),
+  "import-candles": require("./importCandles"),
+  "import-db": require("./importDb"),
+  "kraken-ws-stub": require("./krakenWsStub"),
+  migrate: require("./migrate"),
+  "venue-stub": require("./venueStub"),
+};
+
+/* =========================================================
+   ARG PARSING
+========================================================= */
+
+function parseArgs(argv) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      args._.push(a);
+      continue;
+    }
+
+    const [key, inline] = a.slice(2).split("=", 2);
+    if (inline !== undefined) {
+      args[key] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+
+  return args;
+}
+
+function usage() {
+  console.log("Usage: node src/cli <command> [options]\n");
+  for (const [name, cmd] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(16)} ${cmd.description}`);
+  }
+}
+
+/* =========================================================
+   MAIN
+========================================================= */
+
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+  const cmd = COMMANDS[name];
+
+  if (!cmd) {
+    usage();
+    return name ? 1 : 0;
+  }
+
+  try {
+    await cmd.run(parseArgs(rest));
+    return 0;
+  } catch (err) {
+    console.error(`[CLI] ${name} failed:`, err.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code));
+}
+
+module.exports = { main, parseArgs };
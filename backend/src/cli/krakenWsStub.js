@@ -0,0 +1,328 @@
+// backend/src/cli/krakenWsStub.js
+// AutoShield Tech — Local Kraken public WebSocket stub
+// Replays recorded feed messages (KRAKEN_FEED_RECORD=file) or a seeded
+// synthetic session so krakenFeed can run without network access.
+//
+// Book snapshots seed the stub's own book; subscribers get a snapshot
+// of that book on (re)subscribe, so checksum resyncs work mid-replay.
+
+const fs = require("fs");
+const http = require("http");
+const { WebSocketServer } = require("ws");
+
+const { createBook } = require("../services/krakenBook");
+const { createRng } = require("../lib/prng");
+
+const DEFAULT_PAIRS = ["XBT/USD", "ETH/USD"];
+const BASE_PRICES = { "XBT/USD": 67000, "ETH/USD": 3800 };
+
+/* =========================================================
+   RECORDINGS
+========================================================= */
+
+// One raw Kraken message per line; event objects are skipped
+function loadRecording(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter(Array.isArray);
+}
+
+function fmtPrice(p) {
+  return p.toFixed(1);
+}
+
+function fmtVol(v) {
+  return v.toFixed(8);
+}
+
+function tsStr(ms) {
+  return (ms / 1000).toFixed(6);
+}
+
+/**
+ * Seeded session with valid book checksums: a snapshot per pair, then
+ * a mix of book updates, trades and ticker messages.
+ */
+function syntheticSession({ pairs = DEFAULT_PAIRS, depth = 10, steps = 200, seed = 1, startMs = 1700000000000 } = {}) {
+  const rng = createRng(seed);
+  const messages = [];
+  const channelIds = {};
+  let clock = startMs;
+
+  const state = {};
+  pairs.forEach((pair, i) => {
+    channelIds[pair] = { book: 100 + i, trade: 200 + i, ticker: 300 + i };
+
+    const mid = BASE_PRICES[pair] || 100;
+    const tick = mid >= 1000 ? 0.1 : 0.01;
+    const book = createBook(depth);
+
+    const as = [];
+    const bs = [];
+    for (let l = 0; l < depth; l++) {
+      as.push([fmtPrice(mid + tick * (l + 1) * 5), fmtVol(0.1 + rng.next() * 2), tsStr(clock)]);
+      bs.push([fmtPrice(mid - tick * (l + 1) * 5), fmtVol(0.1 + rng.next() * 2), tsStr(clock)]);
+    }
+    book.applySnapshot({ as, bs });
+
+    state[pair] = { book, tick, last: mid };
+    messages.push([channelIds[pair].book, { as, bs }, `book-${depth}`, pair]);
+  });
+
+  for (let step = 0; step < steps; step++) {
+    clock += 50 + Math.floor(rng.next() * 200);
+    const pair = rng.pick(pairs);
+    const s = state[pair];
+    const { asks, bids } = s.book.levels();
+    const roll = rng.next();
+
+    if (roll < 0.6) {
+      // Volume change, level removal (refilled at the far end) or a new inner level
+      const side = rng.next() < 0.5 ? "a" : "b";
+      const levels = side === "a" ? asks : bids;
+      const dir = side === "a" ? 1 : -1;
+      const kind = rng.next();
+      const changes = [];
+
+      if (kind < 0.5) {
+        const [p] = rng.pick(levels);
+        changes.push([fmtPrice(p), fmtVol(0.05 + rng.next() * 3), tsStr(clock)]);
+      } else if (kind < 0.8) {
+        const [p] = rng.pick(levels);
+        const far = levels[levels.length - 1][0] + dir * s.tick * 5;
+        changes.push([fmtPrice(p), fmtVol(0), tsStr(clock)]);
+        changes.push([fmtPrice(far), fmtVol(0.1 + rng.next() * 2), tsStr(clock), "r"]);
+      } else {
+        const inner = levels[0][0] - dir * s.tick;
+        const other = side === "a" ? bids[0][0] : asks[0][0];
+        if ((side === "a" && inner > other) || (side === "b" && inner < other)) {
+          changes.push([fmtPrice(inner), fmtVol(0.05 + rng.next()), tsStr(clock)]);
+        } else {
+          const [p] = levels[0];
+          changes.push([fmtPrice(p), fmtVol(0.05 + rng.next() * 3), tsStr(clock)]);
+        }
+      }
+
+      s.book.applyUpdate({ [side]: changes });
+      messages.push([
+        channelIds[pair].book,
+        { [side]: changes, c: String(s.book.checksum()) },
+        `book-${depth}`,
+        pair,
+      ]);
+    } else if (roll < 0.9) {
+      const buy = rng.next() < 0.5;
+      const px = buy ? asks[0][0] : bids[0][0];
+      s.last = px;
+      messages.push([
+        channelIds[pair].trade,
+        [[fmtPrice(px), fmtVol(0.001 + rng.next() * 0.5), tsStr(clock), buy ? "b" : "s", rng.next() < 0.8 ? "m" : "l", ""]],
+        "trade",
+        pair,
+      ]);
+    } else {
+      messages.push([
+        channelIds[pair].ticker,
+        {
+          a: [fmtPrice(asks[0][0]), 1, "1.000"],
+          b: [fmtPrice(bids[0][0]), 1, "1.000"],
+          c: [fmtPrice(s.last), "0.01000000"],
+        },
+        "ticker",
+        pair,
+      ]);
+    }
+  }
+
+  return messages;
+}
+
+/* =========================================================
+   SERVER
+========================================================= */
+
+function channelOf(msg) {
+  const name = msg[msg.length - 2];
+  return String(name).startsWith("book") ? "book" : name;
+}
+
+function createKrakenWsStub({ messages = [], intervalMs = 20, loop = false } = {}) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(426);
+    res.end();
+  });
+  const wss = new WebSocketServer({ server });
+
+  const books = {};
+  const clients = new Set();
+  const corrupt = new Set();
+  let cursor = 0;
+  let timer = null;
+
+  function send(client, msg) {
+    try { client.ws.send(JSON.stringify(msg)); } catch {}
+  }
+
+  function subscribed(client, channel, pair) {
+    return client.subs.has(`${channel}|${pair}`);
+  }
+
+  function sendSnapshot(client, pair) {
+    const b = books[pair];
+    if (!b) return client.awaiting.add(pair);
+    client.awaiting.delete(pair);
+    send(client, [b.channelId, b.book.snapshot(), b.channelName, pair]);
+  }
+
+  function play(msg) {
+    const channel = channelOf(msg);
+    const pair = msg[msg.length - 1];
+    let out = msg;
+
+    if (channel === "book") {
+      const payloads = msg.slice(1, -2);
+
+      if (payloads[0].as || payloads[0].bs) {
+        const depth = Number(String(msg[msg.length - 2]).split("-")[1]) || 10;
+        books[pair] = { book: createBook(depth), channelId: msg[0], channelName: msg[msg.length - 2] };
+        books[pair].book.applySnapshot(payloads[0]);
+
+        for (const c of clients) {
+          if (subscribed(c, "book", pair)) sendSnapshot(c, pair);
+        }
+        return;
+      }
+
+      if (!books[pair]) return;
+      for (const p of payloads) books[pair].book.applyUpdate(p);
+
+      if (corrupt.has(pair)) {
+        corrupt.delete(pair);
+        out = msg.map((p) => (p && p.c ? { ...p, c: String((Number(p.c) + 1) >>> 0) } : p));
+      }
+    }
+
+    for (const c of clients) {
+      if (!subscribed(c, channel, pair)) continue;
+      if (channel === "book" && c.awaiting.has(pair)) continue;
+      send(c, out);
+    }
+  }
+
+  function step() {
+    if (cursor >= messages.length) {
+      if (!loop) return stopPlayback();
+      cursor = 0;
+    }
+    play(messages[cursor++]);
+  }
+
+  function startPlayback() {
+    if (!timer && messages.length) timer = setInterval(step, intervalMs);
+  }
+
+  function stopPlayback() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  wss.on("connection", (ws) => {
+    const client = { ws, subs: new Set(), awaiting: new Set() };
+    clients.add(client);
+
+    ws.on("message", (raw) => {
+      let req;
+      try {
+        req = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+
+      const name = req.subscription?.name;
+      if (!["subscribe", "unsubscribe"].includes(req.event) || !name) return;
+
+      for (const pair of req.pair || []) {
+        const key = `${name}|${pair}`;
+        const status = req.event === "subscribe" ? "subscribed" : "unsubscribed";
+
+        if (req.event === "subscribe") client.subs.add(key);
+        else client.subs.delete(key);
+
+        send(client, {
+          event: "subscriptionStatus",
+          pair,
+          status,
+          subscription: req.subscription,
+          channelName: name === "book" ? `book-${req.subscription.depth || 10}` : name,
+        });
+
+        if (req.event === "subscribe" && name === "book") sendSnapshot(client, pair);
+      }
+
+      startPlayback();
+    });
+
+    ws.on("close", () => clients.delete(client));
+  });
+
+  return {
+    server,
+    // Next book update for `pair` goes out with a wrong checksum
+    corruptNextChecksum(pair) {
+      corrupt.add(pair);
+    },
+    progress() {
+      return { cursor, total: messages.length, playing: Boolean(timer) };
+    },
+    close() {
+      stopPlayback();
+      for (const c of clients) {
+        try { c.ws.terminate(); } catch {}
+      }
+      wss.close();
+      server.close();
+    },
+  };
+}
+
+/* =========================================================
+   CLI
+========================================================= */
+
+async function run(args) {
+  const port = Number(args.port || 9103);
+
+  const messages = args.file
+    ? loadRecording(args.file)
+    : syntheticSession({
+        steps: Number(args.steps || 2000),
+        seed: args.seed || 1,
+        depth: Number(args.depth || 10),
+      });
+
+  const stub = createKrakenWsStub({
+    messages,
+    intervalMs: Number(args.interval || 50),
+    loop: Boolean(args.loop),
+  });
+
+  await new Promise((resolve) => stub.server.listen(port, "127.0.0.1", resolve));
+  console.log(
+    `[CLI] Kraken WS stub on ws://127.0.0.1:${port} replaying ${messages.length} messages` +
+      `${args.file ? ` from ${args.file}` : " (synthetic)"} (Ctrl-C to stop)`
+  );
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  stub.close();
+}
+
+module.exports = {
+  description: "Replay recorded or synthetic Kraken WebSocket book/trade data",
+  run,
+  createKrakenWsStub,
+  syntheticSession,
+  loadRecording,
+};
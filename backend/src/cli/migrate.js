@@ -0,0 +1,78 @@
+// backend/src/cli/migrate.js
+// Versioned schema migrations for the configured store (DB_DRIVER).
+// Usage:
+//   node src/cli migrate [--to 15] [--dry-run]
+//   node src/cli migrate --status
+//   node src/cli migrate --restore [16] (roll back to db.json.v<N>.bak,
+//                                        default: the newest snapshot)
+//
+// A downgrade (--to below latest) or a restore holds the store at that
+// version: boot-time auto-migration skips it until the next plain
+// `migrate` (or DB_AUTO_MIGRATE=force).
+
+const db = require("../lib/db");
+const migrator = require("../lib/migrator");
+
+function status() {
+  const doc = db.normalize(db.getAdapter().load());
+  const current = doc.schemaVersion;
+  const pending = migrator.plan(current, db.SCHEMA_VERSION);
+
+  console.log(`[CLI] Store: ${db.getAdapter().driver} (${db.getAdapter().location})`);
+  console.log(`[CLI] schemaVersion v${current} (latest v${db.SCHEMA_VERSION})`);
+  if (doc.schemaPinned != null) console.log(`[CLI] Held at v${doc.schemaPinned} (auto-migration skipped)`);
+
+  for (const h of (doc.schemaHistory || []).slice(-10)) {
+    console.log(`  ${h.appliedAt}  ${h.direction.padEnd(4)} v${h.version} ${h.name}`);
+  }
+
+  console.log(
+    pending.length
+      ? `[CLI] Pending: ${pending.map((s) => `v${s.version} ${s.name}`).join(", ")}`
+      : "[CLI] Up to date"
+  );
+
+  for (const b of db.listBackups().slice(0, 5)) {
+    console.log(`  backup v${b.version}  ${new Date(b.savedAt).toISOString()}  ${b.file}`);
+  }
+}
+
+function restore(version) {
+  const restored = db.restoreBackup(version);
+  if (!restored) {
+    throw new Error(`No migration backup${version != null ? ` for v${version}` : ""} in ${db.BACKUP_DIR}`);
+  }
+
+  console.log(`[CLI] Restored ${restored.file} (schemaVersion v${restored.version})`);
+}
+
+async function run(args) {
+  if (!db.getAdapter().exists()) {
+    throw new Error(`No database at ${db.getAdapter().location}`);
+  }
+
+  if (args.status) return status();
+  if (args.restore) return restore(args.restore === true ? null : Number(args.restore));
+
+  const dryRun = Boolean(args["dry-run"]);
+  const to = args.to === undefined ? db.SCHEMA_VERSION : Number(args.to);
+
+  const result = db.migrateDb({ to, dryRun });
+
+  if (result.steps.length === 0) {
+    console.log(`[CLI] Already at v${result.from}`);
+    return;
+  }
+
+  console.log(`[CLI] ${dryRun ? "Dry run" : "Migrated"} v${result.from} → v${result.to}`);
+  for (const s of result.steps) {
+    const changed = s.changed.length ? s.changed.join(", ") : "no changes";
+    console.log(`  ${s.direction.padEnd(4)} v${s.version} ${s.name}: ${changed}`);
+  }
+  if (result.backup) console.log(`[CLI] Backup written to ${result.backup}`);
+}
+
+module.exports = {
+  description: "Apply or roll back versioned schema migrations",
+  run,
+};
@@ -0,0 +1,629 @@
+// backend/src/cli/venueStub.js
+// Local HTTP stub mimicking Binance Spot / Coinbase Advanced Trade / Kraken
+// private REST: signature checks, balances, order lifecycle and venue error codes.
+// Usage: node src/cli venue-stub --venue binance|coinbase|kraken [--port 9101]
+//        [--key stub-key] [--secret stub-secret]
+// Then: BINANCE_API_URL=http://127.0.0.1:9101 BINANCE_SANDBOX=false ...
+//   or: KRAKEN_API_URL=http://127.0.0.1:9103 KRAKEN_API_KEY=stub-key KRAKEN_API_SECRET=stub-secret
+//
+// Control endpoints (no auth):
+//   POST /__stub/price   { symbol, price }        move the mark, fill resting limits
+//   POST /__stub/balance { asset, free }          set a wallet out of band (deposits, missed fills)
+//   POST /__stub/fail    { status, body, count }  queue injected error responses
+
+const http = require("http");
+const crypto = require("crypto");
+
+const QUOTES = ["USDT", "USDC", "USD", "EUR", "GBP", "BTC", "ETH"];
+
+const DEFAULT_BALANCES = { USDT: 100000, USD: 100000, BTC: 2, ETH: 20 };
+const DEFAULT_PRICES = { "BTC-USDT": 67200, "BTC-USD": 67200, "ETH-USDT": 3800, "ETH-USD": 3800 };
+
+/* =========================================================
+   LEDGER (venue-agnostic)
+========================================================= */
+
+function splitSymbol(symbol) {
+  const raw = String(symbol || "").toUpperCase();
+  if (raw.includes("-")) {
+    const [base, quote] = raw.split("-");
+    return { base, quote, key: raw };
+  }
+  const quote = QUOTES.find((q) => raw.endsWith(q) && raw.length > q.length);
+  if (!quote) return null;
+  const base = raw.slice(0, -quote.length);
+  return { base, quote, key: `${base}-${quote}` };
+}
+
+function createLedger({ balances = DEFAULT_BALANCES, prices = DEFAULT_PRICES } = {}) {
+  const wallets = {};
+  for (const [asset, free] of Object.entries(balances)) wallets[asset] = { free, locked: 0 };
+
+  const marks = { ...prices };
+  const orders = new Map();
+  let seq = 1000;
+
+  function wallet(asset) {
+    if (!wallets[asset]) wallets[asset] = { free: 0, locked: 0 };
+    return wallets[asset];
+  }
+
+  function fill(order, price) {
+    const pair = order.pair;
+    const cost = order.qty * price;
+    const lockAsset = order.side === "BUY" ? pair.quote : pair.base;
+    const lockAmt = order.side === "BUY" ? order.reserved : order.qty;
+
+    wallet(lockAsset).locked -= lockAmt;
+    if (order.side === "BUY") {
+      wallet(pair.quote).free += order.reserved - cost;
+      wallet(pair.base).free += order.qty;
+    } else {
+      wallet(pair.quote).free += cost;
+    }
+
+    order.filledQty = order.qty;
+    order.quoteQty = cost;
+    order.status = "FILLED";
+    order.updatedAt = Date.now();
+  }
+
+  function marketable(order, price) {
+    if (order.type === "MARKET") return true;
+    return order.side === "BUY" ? price <= order.price : price >= order.price;
+  }
+
+  return {
+    wallets,
+    orders,
+
+    place({ symbol, side, type, qty, price, clientOrderId }) {
+      const pair = splitSymbol(symbol);
+      if (!pair || !marks[pair.key]) return { error: "INVALID_SYMBOL" };
+      if (!(qty > 0)) return { error: "INVALID_QTY" };
+      if (type === "LIMIT" && !(price > 0)) return { error: "INVALID_PRICE" };
+      if (clientOrderId && [...orders.values()].some((o) => o.clientOrderId === clientOrderId)) {
+        return { error: "DUPLICATE" };
+      }
+
+      const mark = marks[pair.key];
+      const reservePrice = type === "LIMIT" ? price : mark;
+      const need = side === "BUY" ? qty * reservePrice : qty;
+      const lockAsset = side === "BUY" ? pair.quote : pair.base;
+
+      if (wallet(lockAsset).free + 1e-9 < need) return { error: "INSUFFICIENT" };
+
+      wallet(lockAsset).free -= need;
+      wallet(lockAsset).locked += need;
+
+      const order = {
+        id: String(++seq),
+        clientOrderId: clientOrderId || `stub_${seq}`,
+        symbol,
+        pair,
+        side,
+        type,
+        qty,
+        price: type === "LIMIT" ? price : null,
+        reserved: side === "BUY" ? need : 0,
+        filledQty: 0,
+        quoteQty: 0,
+        status: "NEW",
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+      orders.set(order.id, order);
+
+      if (marketable(order, mark)) fill(order, type === "LIMIT" ? Math.min(price, mark) : mark);
+      return { order };
+    },
+
+    find({ id, clientOrderId }) {
+      if (id) return orders.get(String(id)) || null;
+      return [...orders.values()].find((o) => o.clientOrderId === clientOrderId) || null;
+    },
+
+    listOpen(symbol) {
+      const key = symbol ? splitSymbol(symbol)?.key : null;
+      return [...orders.values()].filter(
+        (o) => o.status === "NEW" && (!symbol || o.pair.key === key)
+      );
+    },
+
+    cancel(order) {
+      if (!order || order.status !== "NEW") return false;
+      const lockAsset = order.side === "BUY" ? order.pair.quote : order.pair.base;
+      const amt = order.side === "BUY" ? order.reserved : order.qty;
+      wallet(lockAsset).locked -= amt;
+      wallet(lockAsset).free += amt;
+      order.status = "CANCELED";
+      order.updatedAt = Date.now();
+      return true;
+    },
+
+    setBalance(asset, free) {
+      if (!asset || !Number.isFinite(free) || free < 0) return false;
+      wallet(String(asset).toUpperCase()).free = free;
+      return true;
+    },
+
+    setPrice(symbol, price) {
+      const pair = splitSymbol(symbol);
+      if (!pair || !(price > 0)) return false;
+      marks[pair.key] = price;
+      for (const o of orders.values()) {
+        if (o.status === "NEW" && o.pair.key === pair.key && marketable(o, price)) fill(o, o.price);
+      }
+      return true;
+    },
+  };
+}
+
+/* =========================================================
+   HTTP PLUMBING
+========================================================= */
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => resolve(raw));
+  });
+}
+
+function hmacHex(secret, msg) {
+  return crypto.createHmac("sha256", secret).update(msg).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/* =========================================================
+   BINANCE
+========================================================= */
+
+function binanceOrder(o) {
+  return {
+    symbol: o.symbol,
+    orderId: Number(o.id),
+    clientOrderId: o.clientOrderId,
+    price: String(o.price || 0),
+    origQty: String(o.qty),
+    executedQty: String(o.filledQty),
+    cummulativeQuoteQty: String(o.quoteQty),
+    status: o.status,
+    timeInForce: o.type === "LIMIT" ? "GTC" : "IOC",
+    type: o.type,
+    side: o.side,
+    transactTime: o.createdAt,
+    updateTime: o.updatedAt,
+  };
+}
+
+function binanceHandler(ledger, { key, secret }) {
+  const err = (res, status, code, msg) => send(res, status, { code, msg });
+
+  return (req, res, url, raw) => {
+    if (req.headers["x-mbx-apikey"] !== key) {
+      return err(res, 401, -2015, "Invalid API-key, IP, or permissions for action.");
+    }
+
+    const query = url.search.slice(1);
+    const idx = query.lastIndexOf("&signature=");
+    const payload = idx >= 0 ? query.slice(0, idx) : query;
+    const signature = idx >= 0 ? query.slice(idx + 11) : "";
+
+    if (!safeEqual(signature, hmacHex(secret, payload))) {
+      return err(res, 400, -1022, "Signature for this request is not valid.");
+    }
+
+    const p = Object.fromEntries(new URLSearchParams(payload));
+    const window = Number(p.recvWindow || 5000);
+    if (Math.abs(Date.now() - Number(p.timestamp)) > window) {
+      return err(res, 400, -1021, "Timestamp for this request is outside of the recvWindow.");
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+
+    if (route === "POST /api/v3/order") {
+      const placed = ledger.place({
+        symbol: p.symbol,
+        side: p.side,
+        type: p.type,
+        qty: Number(p.quantity),
+        price: Number(p.price),
+        clientOrderId: p.newClientOrderId,
+      });
+
+      if (placed.error === "INVALID_SYMBOL") return err(res, 400, -1121, "Invalid symbol.");
+      if (placed.error === "DUPLICATE") return err(res, 400, -2010, "Duplicate order sent.");
+      if (placed.error === "INSUFFICIENT") {
+        return err(res, 400, -2010, "Account has insufficient balance for requested action.");
+      }
+      if (placed.error) return err(res, 400, -1100, "Illegal characters found in a parameter.");
+
+      return send(res, 200, binanceOrder(placed.order));
+    }
+
+    if (route === "GET /api/v3/order" || route === "DELETE /api/v3/order") {
+      const order = ledger.find({ id: p.orderId, clientOrderId: p.origClientOrderId });
+
+      if (req.method === "GET") {
+        return order
+          ? send(res, 200, binanceOrder(order))
+          : err(res, 400, -2013, "Order does not exist.");
+      }
+
+      if (!ledger.cancel(order)) return err(res, 400, -2011, "Unknown order sent.");
+      return send(res, 200, { ...binanceOrder(order), origClientOrderId: order.clientOrderId });
+    }
+
+    if (route === "GET /api/v3/openOrders") {
+      return send(res, 200, ledger.listOpen(p.symbol).map(binanceOrder));
+    }
+
+    if (route === "GET /api/v3/account") {
+      return send(res, 200, {
+        canTrade: true,
+        balances: Object.entries(ledger.wallets).map(([asset, w]) => ({
+          asset,
+          free: w.free.toFixed(8),
+          locked: w.locked.toFixed(8),
+        })),
+      });
+    }
+
+    return err(res, 404, -1000, "Unknown endpoint.");
+  };
+}
+
+/* =========================================================
+   COINBASE
+========================================================= */
+
+const CB_STATUS = { NEW: "OPEN", FILLED: "FILLED", CANCELED: "CANCELLED" };
+
+function coinbaseOrder(o) {
+  const config =
+    o.type === "LIMIT"
+      ? { limit_limit_gtc: { base_size: String(o.qty), limit_price: String(o.price) } }
+      : { market_market_ioc: { base_size: String(o.qty) } };
+
+  return {
+    order_id: o.id,
+    client_order_id: o.clientOrderId,
+    product_id: o.pair.key,
+    side: o.side,
+    status: CB_STATUS[o.status] || o.status,
+    order_type: o.type,
+    order_configuration: config,
+    filled_size: String(o.filledQty),
+    average_filled_price: o.filledQty > 0 ? String(o.quoteQty / o.filledQty) : "0",
+    created_time: new Date(o.createdAt).toISOString(),
+    last_fill_time: o.filledQty > 0 ? new Date(o.updatedAt).toISOString() : null,
+  };
+}
+
+function coinbaseHandler(ledger, { key, secret }) {
+  const unauth = (res, message) => send(res, 401, { error: "UNAUTHENTICATED", message });
+  const PREFIX = "/api/v3/brokerage";
+
+  return (req, res, url, raw) => {
+    const ts = req.headers["cb-access-timestamp"];
+    if (req.headers["cb-access-key"] !== key) return unauth(res, "invalid api key");
+
+    const expected = hmacHex(secret, `${ts}${req.method}${url.pathname}${raw}`);
+    if (!safeEqual(req.headers["cb-access-sign"], expected)) return unauth(res, "invalid signature");
+    if (Math.abs(Date.now() / 1000 - Number(ts)) > 30) return unauth(res, "request timestamp expired");
+
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch {
+      return send(res, 400, { error: "INVALID_ARGUMENT", message: "malformed JSON body" });
+    }
+
+    const path = url.pathname.startsWith(PREFIX) ? url.pathname.slice(PREFIX.length) : url.pathname;
+
+    if (req.method === "POST" && path === "/orders") {
+      const [kind, cfg = {}] = Object.entries(body.order_configuration || {})[0] || [];
+      const placed = ledger.place({
+        symbol: body.product_id,
+        side: body.side,
+        type: kind === "limit_limit_gtc" ? "LIMIT" : "MARKET",
+        qty: Number(cfg.base_size),
+        price: Number(cfg.limit_price),
+        clientOrderId: body.client_order_id,
+      });
+
+      if (placed.error) {
+        const error = {
+          INVALID_SYMBOL: ["INVALID_PRODUCT_ID", "Invalid product_id"],
+          INSUFFICIENT: ["INSUFFICIENT_FUND", "Insufficient balance in source account"],
+          DUPLICATE: ["INVALID_ARGUMENT", "Duplicate client_order_id"],
+        }[placed.error] || ["INVALID_ARGUMENT", "Invalid order configuration"];
+
+        return send(res, 200, {
+          success: false,
+          failure_reason: "UNKNOWN_FAILURE_REASON",
+          order_id: "",
+          error_response: { error: error[0], message: error[1] },
+        });
+      }
+
+      const o = placed.order;
+      return send(res, 200, {
+        success: true,
+        success_response: {
+          order_id: o.id,
+          product_id: o.pair.key,
+          side: o.side,
+          client_order_id: o.clientOrderId,
+        },
+      });
+    }
+
+    if (req.method === "GET" && path === "/orders/historical/batch") {
+      const status = url.searchParams.get("order_status");
+      const open = ledger.listOpen(url.searchParams.get("product_id"));
+      const orders = !status || status === "OPEN" ? open.map(coinbaseOrder) : [];
+      return send(res, 200, { orders, has_next: false });
+    }
+
+    const hist = path.match(/^\/orders\/historical\/([^/]+)$/);
+    if (req.method === "GET" && hist) {
+      const order = ledger.find({ id: decodeURIComponent(hist[1]) });
+      return order
+        ? send(res, 200, { order: coinbaseOrder(order) })
+        : send(res, 404, { error: "NOT_FOUND", message: "order with this orderID was not found" });
+    }
+
+    if (req.method === "POST" && path === "/orders/batch_cancel") {
+      const results = (body.order_ids || []).map((id) => {
+        const ok = ledger.cancel(ledger.find({ id }));
+        return {
+          success: ok,
+          failure_reason: ok ? "UNKNOWN_CANCEL_FAILURE_REASON" : "UNKNOWN_CANCEL_ORDER",
+          order_id: id,
+        };
+      });
+      return send(res, 200, { results });
+    }
+
+    if (req.method === "GET" && path === "/accounts") {
+      return send(res, 200, {
+        accounts: Object.entries(ledger.wallets).map(([currency, w]) => ({
+          uuid: `acct-${currency.toLowerCase()}`,
+          currency,
+          available_balance: { value: w.free.toFixed(8), currency },
+          hold: { value: w.locked.toFixed(8), currency },
+        })),
+        has_next: false,
+      });
+    }
+
+    return send(res, 404, { error: "NOT_FOUND", message: "route not found" });
+  };
+}
+
+/* =========================================================
+   KRAKEN
+========================================================= */
+
+const KRAKEN_ASSETS = { BTC: "XXBT", ETH: "XETH", USD: "ZUSD", EUR: "ZEUR", GBP: "ZGBP" };
+const KRAKEN_STATUS = { NEW: "open", FILLED: "closed", CANCELED: "canceled" };
+
+// XBTUSD / XXBTZUSD → BTCUSD
+function fromKrakenPair(pair) {
+  return String(pair || "")
+    .toUpperCase()
+    .replace(/^X?XBT/, "BTC")
+    .replace(/^XETH/, "ETH")
+    .replace(/Z(USD|EUR|GBP)$/, "$1");
+}
+
+function krakenTxid(o) {
+  return `OSTUB-${o.id}`;
+}
+
+function krakenOrder(o) {
+  return {
+    refid: null,
+    userref: 0,
+    cl_ord_id: o.clientOrderId,
+    status: KRAKEN_STATUS[o.status] || o.status.toLowerCase(),
+    opentm: o.createdAt / 1000,
+    closetm: o.status === "NEW" ? 0 : o.updatedAt / 1000,
+    descr: {
+      pair: `${o.pair.base === "BTC" ? "XBT" : o.pair.base}${o.pair.quote}`,
+      type: o.side.toLowerCase(),
+      ordertype: o.type.toLowerCase(),
+      price: String(o.price || 0),
+    },
+    vol: o.qty.toFixed(8),
+    vol_exec: o.filledQty.toFixed(8),
+    cost: o.quoteQty.toFixed(5),
+    fee: "0.00000",
+    price: o.filledQty > 0 ? (o.quoteQty / o.filledQty).toFixed(5) : "0.00000",
+  };
+}
+
+function krakenHandler(ledger, { key, secret }) {
+  const err = (res, ...errors) => send(res, 200, { error: errors });
+  const ok = (res, result) => send(res, 200, { error: [], result });
+  let lastNonce = 0;
+
+  return (req, res, url, raw) => {
+    if (req.method !== "POST" || !url.pathname.startsWith("/0/private/")) {
+      return err(res, "EGeneral:Unknown method");
+    }
+    if (req.headers["api-key"] !== key) return err(res, "EAPI:Invalid key");
+
+    const p = Object.fromEntries(new URLSearchParams(raw));
+    const hash = crypto.createHash("sha256").update(String(p.nonce) + raw).digest();
+    const expected = crypto
+      .createHmac("sha512", Buffer.from(secret, "base64"))
+      .update(Buffer.concat([Buffer.from(url.pathname), hash]))
+      .digest("base64");
+
+    if (!safeEqual(req.headers["api-sign"], expected)) return err(res, "EAPI:Invalid signature");
+    if (!(Number(p.nonce) > lastNonce)) return err(res, "EAPI:Invalid nonce");
+    lastNonce = Number(p.nonce);
+
+    const method = url.pathname.slice("/0/private/".length);
+
+    if (method === "Balance") {
+      const result = {};
+      for (const [asset, w] of Object.entries(ledger.wallets)) {
+        result[KRAKEN_ASSETS[asset] || asset] = (w.free + w.locked).toFixed(10);
+      }
+      return ok(res, result);
+    }
+
+    if (method === "TradeBalance") {
+      const usd = ledger.wallets.USD || { free: 0, locked: 0 };
+      const total = (usd.free + usd.locked).toFixed(4);
+      return ok(res, { eb: total, tb: total, m: "0.0000", n: "0.0000", c: "0.0000", v: "0.0000", e: total, mf: total });
+    }
+
+    if (method === "OpenOrders") {
+      const open = {};
+      for (const o of ledger.listOpen()) open[krakenTxid(o)] = krakenOrder(o);
+      return ok(res, { open });
+    }
+
+    if (method === "OpenPositions") return ok(res, {});
+
+    if (method === "AddOrder") {
+      const placed = ledger.place({
+        symbol: fromKrakenPair(p.pair),
+        side: String(p.type || "").toUpperCase(),
+        type: String(p.ordertype || "").toUpperCase(),
+        qty: Number(p.volume),
+        price: Number(p.price),
+        clientOrderId: p.cl_ord_id,
+      });
+
+      if (placed.error === "INVALID_SYMBOL") return err(res, "EQuery:Unknown asset pair");
+      if (placed.error === "INSUFFICIENT") return err(res, "EOrder:Insufficient funds");
+      if (placed.error === "DUPLICATE") return err(res, "EOrder:Duplicate order");
+      if (placed.error) return err(res, "EGeneral:Invalid arguments");
+
+      const o = placed.order;
+      return ok(res, {
+        descr: { order: `${p.type} ${p.volume} ${p.pair} @ ${p.ordertype === "limit" ? `limit ${p.price}` : "market"}` },
+        txid: [krakenTxid(o)],
+      });
+    }
+
+    const byTxid = (txid) => ledger.find({ id: String(txid || "").replace(/^OSTUB-/, "") });
+
+    if (method === "QueryOrders") {
+      const result = {};
+      for (const txid of String(p.txid || "").split(",").filter(Boolean)) {
+        const o = byTxid(txid);
+        if (!o) return err(res, "EOrder:Invalid order");
+        result[txid] = krakenOrder(o);
+      }
+      return ok(res, result);
+    }
+
+    if (method === "CancelOrder") {
+      if (!ledger.cancel(byTxid(p.txid))) return err(res, "EOrder:Unknown order");
+      return ok(res, { count: 1 });
+    }
+
+    return err(res, "EGeneral:Unknown method");
+  };
+}
+
+/* =========================================================
+   SERVER
+========================================================= */
+
+const HANDLERS = { binance: binanceHandler, coinbase: coinbaseHandler, kraken: krakenHandler };
+const PORTS = { binance: 9101, coinbase: 9102, kraken: 9103 };
+
+function createVenueStub({
+  venue = "binance",
+  key = "stub-key",
+  secret = "stub-secret",
+  balances,
+  prices,
+} = {}) {
+  if (!HANDLERS[venue]) throw new Error(`Unknown venue: ${venue}`);
+
+  const ledger = createLedger({ balances, prices });
+  const handle = HANDLERS[venue](ledger, { key, secret });
+  const injected = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://stub");
+    const raw = await readBody(req);
+
+    if (url.pathname === "/__stub/price" && req.method === "POST") {
+      const { symbol, price } = JSON.parse(raw || "{}");
+      return send(res, ledger.setPrice(symbol, Number(price)) ? 200 : 400, { ok: true });
+    }
+
+    if (url.pathname === "/__stub/balance" && req.method === "POST") {
+      const { asset, free } = JSON.parse(raw || "{}");
+      return send(res, ledger.setBalance(asset, Number(free)) ? 200 : 400, { ok: true });
+    }
+
+    if (url.pathname === "/__stub/fail" && req.method === "POST") {
+      const { status = 429, body = null, count = 1 } = JSON.parse(raw || "{}");
+      for (let i = 0; i < count; i++) injected.push({ status, body });
+      return send(res, 200, { ok: true, queued: injected.length });
+    }
+
+    if (injected.length) {
+      const next = injected.shift();
+      const fallback = {
+        binance: { code: -1003, msg: "Too many requests; IP banned until later." },
+        coinbase: { error: "RATE_LIMIT_EXCEEDED", message: "Too many requests" },
+        kraken: { error: ["EAPI:Rate limit exceeded"] },
+      }[venue];
+      return send(res, next.status, next.body || fallback);
+    }
+
+    return handle(req, res, url, raw);
+  });
+
+  return { server, ledger };
+}
+
+/* =========================================================
+   CLI
+========================================================= */
+
+async function run(args) {
+  const venue = String(args.venue || "binance").toLowerCase();
+  const port = Number(args.port || PORTS[venue] || 9101);
+
+  const { server } = createVenueStub({
+    venue,
+    key: args.key || "stub-key",
+    secret: args.secret || "stub-secret",
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  console.log(`[CLI] ${venue} stub listening on http://127.0.0.1:${port} (Ctrl-C to stop)`);
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  server.close();
+}
+
+module.exports = {
+  description: "Run a local Binance/Coinbase/Kraken private REST stub",
+  run,
+  createVenueStub,
+};
@@ -8,7 +8,7 @@ const TRADE_CONFIG = {
   DEFAULT_QTY: 0.01,          // Base position size
   STOP_LOSS_PCT: 0.005,       // 0.5% (Hard-coded safety)
   TAKE_PROFIT_PCT: 0.005,     // 0.5% (Target)
-  MAX_OPEN_POSITIONS: 1,      // Single trade focus for learning phase
+  MAX_OPEN_POSITIONS: Number(process.env.MAX_OPEN_POSITIONS || 5), // One net position per symbol
 };
 
 /* ================= RISK SETTINGS ================= */
@@ -1,11 +1,12 @@
 // ==========================================================
 // 🔒 PROTECTED CORE FILE — DO NOT MODIFY WITHOUT AUTHORIZATION
 // MODULE: EXECUTION ENGINE (REAL TRADE LOGIC)
-// VERSION: v1.0 (DETERMINISTIC EXECUTION)
+// VERSION: v1.1 (DETERMINISTIC EXECUTION • MULTI-SYMBOL PORTFOLIO)
 //
 // PURPOSE:
 // - Handles ALL trade execution
-// - Enforces stop loss / take profit
+// - Enforces stop loss / take profit per position
+// - One net position per symbol (netting, scale in / scale out)
 // - Updates state via stateStore ONLY
 //
 // RULES:
@@ -18,8 +19,11 @@
 
 const {
   getState,
+  updatePrice,
   applyTradeResult,
 } = require("./stateStore");
+const { TRADE_CONFIG } = require("./config");
+const riskGateway = require("../services/riskGateway");
 
 /* ================= UTIL ================= */
 
@@ -34,12 +38,13 @@ function round(v) {
 
 /* ================= POSITION ================= */
 
-function getOpenPosition(state) {
-  return state.positions?.scalp || null;
+function getOpenPosition(state, symbol) {
+  return state.positions?.[symbol] || null;
 }
 
-function setPosition(state, pos) {
-  state.positions.scalp = pos || null;
+function setPosition(state, symbol, pos) {
+  if (pos) state.positions[symbol] = pos;
+  else delete state.positions[symbol];
 }
 
 /* ================= OPEN TRADE ================= */
@@ -55,24 +60,72 @@ function openTrade({
   ts,
 }) {
   const state = getState(tenantId);
+  const direction = side === "BUY" ? "LONG" : "SHORT";
+  const existing = getOpenPosition(state, symbol);
 
-  if (getOpenPosition(state)) {
-    return null; // only one position allowed
+  // NETTING: an opposite order reduces, closes or flips the position
+  if (existing && existing.side !== direction) {
+    const closeQty = Math.min(existing.qty, qty);
+    const closed = closeTrade({ tenantId, symbol, price, qty: closeQty, reason: "NETTING", ts });
+    const rest = qty - closeQty;
+
+    if (rest <= 0) return closed;
+
+    const opened = openTrade({ tenantId, symbol, side, price, qty: rest, stopLoss, takeProfit, ts });
+    return { type: "FLIP", closed, position: opened?.position || null };
   }
 
-  const notional = price * qty;
+  if (!existing && Object.keys(state.positions).length >= TRADE_CONFIG.MAX_OPEN_POSITIONS) {
+    return null; // position limit reached
+  }
+
+  if (price * qty > state.availableCapital) {
+    return null;
+  }
 
-  if (notional > state.availableCapital) {
+  const gate = riskGateway.review({
+    tenantId,
+    mode: "paper",
+    source: "executionEngine",
+    symbol,
+    side,
+    qty,
+    price,
+    stopLoss,
+    equity: state.equity,
+    trades: state.trades.map((t) => ({ profit: t.pnl })),
+    positions: state.positions,
+    lastPrices: state.lastPriceBySymbol,
+    ts,
+  });
+
+  if (!gate.approved) {
     return null;
   }
 
+  qty = gate.qty;
+  const notional = price * qty;
+
   // Reserve capital
   state.availableCapital -= notional;
   state.lockedCapital += notional;
 
+  // SCALE IN: same direction averages into the existing position
+  if (existing) {
+    existing.entry = (existing.entry * existing.qty + price * qty) / (existing.qty + qty);
+    existing.qty += qty;
+    if (stopLoss !== undefined) existing.stopLoss = safeNum(stopLoss, null);
+    if (takeProfit !== undefined) existing.takeProfit = safeNum(takeProfit, null);
+
+    return {
+      type: "SCALE_IN",
+      position: existing,
+    };
+  }
+
   const position = {
     symbol,
-    side: side === "BUY" ? "LONG" : "SHORT",
+    side: direction,
     entry: price,
     qty,
     stopLoss: safeNum(stopLoss, null),
@@ -80,7 +133,7 @@ function openTrade({
     time: ts,
   };
 
-  setPosition(state, position);
+  setPosition(state, symbol, position);
 
   return {
     type: "OPEN",
@@ -90,43 +143,50 @@ function openTrade({
 
 /* ================= CLOSE TRADE ================= */
 
+/**
+ * Closes `qty` of the symbol's position (all of it when omitted).
+ */
 function closeTrade({
   tenantId,
+  symbol,
   price,
+  qty,
   reason = "CLOSE",
   ts,
 }) {
   const state = getState(tenantId);
-  const pos = getOpenPosition(state);
+  const pos = getOpenPosition(state, symbol);
 
   if (!pos) return null;
 
+  const closeQty = Math.min(safeNum(qty, pos.qty) || pos.qty, pos.qty);
+
   let pnl = 0;
 
   if (pos.side === "LONG") {
-    pnl = (price - pos.entry) * pos.qty;
+    pnl = (price - pos.entry) * closeQty;
   } else {
-    pnl = (pos.entry - price) * pos.qty;
+    pnl = (pos.entry - price) * closeQty;
   }
 
-  const capitalUsed = pos.entry * pos.qty;
+  const capitalUsed = pos.entry * closeQty;
 
-  // Release capital
+  // Release capital (cash settles in applyTradeResult)
   state.lockedCapital -= capitalUsed;
   state.availableCapital += capitalUsed + pnl;
-  state.cashBalance += pnl;
 
   const trade = {
     symbol: pos.symbol,
     side: reason,
     entry: pos.entry,
     exit: price,
-    qty: pos.qty,
+    qty: closeQty,
     pnl: round(pnl),
     time: ts,
   };
 
-  setPosition(state, null);
+  pos.qty -= closeQty;
+  if (pos.qty <= 1e-12) setPosition(state, symbol, null);
 
   applyTradeResult(tenantId, trade);
 
@@ -137,11 +197,12 @@ function closeTrade({
 
 function checkStops({
   tenantId,
+  symbol,
   price,
   ts,
 }) {
   const state = getState(tenantId);
-  const pos = getOpenPosition(state);
+  const pos = getOpenPosition(state, symbol);
 
   if (!pos) return null;
 
@@ -155,6 +216,7 @@ function checkStops({
   ) {
     return closeTrade({
       tenantId,
+      symbol,
       price,
       reason: "STOP_LOSS",
       ts,
@@ -171,6 +233,7 @@ function checkStops({
   ) {
     return closeTrade({
       tenantId,
+      symbol,
       price,
       reason: "TAKE_PROFIT",
       ts,
@@ -192,8 +255,11 @@ function execute({
   takeProfit,
   ts = Date.now(),
 }) {
-  // 1. Always check stops first
-  const stopResult = checkStops({ tenantId, price, ts });
+  // 0. Mark the portfolio to this tick
+  updatePrice(tenantId, symbol, price);
+
+  // 1. Always check this symbol's stops first
+  const stopResult = checkStops({ tenantId, symbol, price, ts });
   if (stopResult) return stopResult;
 
   // 2. Execute new action
@@ -211,7 +277,7 @@ function execute({
   }
 
   if (action === "CLOSE") {
-    return closeTrade({ tenantId, price, ts });
+    return closeTrade({ tenantId, symbol, price, qty, ts });
   }
 
   return null;
@@ -14,10 +14,7 @@ function createInitialState() {
     lockedCapital: 0,        // Capital currently in active trades
     equity: 10000,           // Cash + Unrealized PnL
 
-    positions: {
-      scalp: null,
-      structure: null,
-    },
+    positions: {},           // Net position per symbol
 
     trades: [],
     realized: {
@@ -102,7 +99,7 @@ function applyTradeResult(tenantId, trade) {
   // 3. Update Balance (Settlement)
   state.cashBalance += pnl;
   
-  // 4. Reset Equity to Cash (as no positions are open in this slot)
+  // 4. Re-mark equity across any positions still open
   refreshEquity(state);
 }
 
@@ -116,6 +113,10 @@ function getSnapshot(tenantId) {
   };
 }
 
+function tenants() {
+  return [...TENANTS.keys()];
+}
+
 function resetState(tenantId) {
   const key = String(tenantId || "__default__");
   const state = createInitialState();
@@ -125,6 +126,7 @@ function resetState(tenantId) {
 
 module.exports = {
   getState,
+  tenants,
   resetState,
   updatePrice,
   getSnapshot,
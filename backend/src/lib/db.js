@@ -1,26 +1,32 @@
 // backend/src/lib/db.js
 // AutoShield Tech — Enterprise DB Core v26
 // Atomic Writes • Backup Safety • Migration Hardened • ZeroTrust Ready
+// Pluggable Storage (JSON file | embedded SQLite)
 
 const fs = require("fs");
 const path = require("path");
-
-const DB_PATH = path.join(__dirname, "..", "data", "db.json");
-const TMP_PATH = DB_PATH + ".tmp";
-const BACKUP_PATH = DB_PATH + ".bak";
-
-const SCHEMA_VERSION = 14; // 🔥 upgraded for ZeroTrust + integrity hardening
+const { createAdapter } = require("./storage");
+const { LOOKUP_FIELDS } = require("./storage/jsonAdapter");
+const migrator = require("./migrator");
+
+const DB_PATH = process.env.DB_JSON_PATH || path.join(__dirname, "..", "data", "db.json");
+
+// Migration snapshots, one per source version (db.json.v<N>.bak). Kept
+// apart from the JSON adapter's rolling db.json.bak, which every save
+// overwrites.
+const BACKUP_DIR = process.env.DB_BACKUP_DIR || path.dirname(DB_PATH);
+
+// Latest numbered step in src/migrations (baseline v14 = ZeroTrust + integrity hardening)
+const SCHEMA_VERSION = migrator.latestVersion();
+const AUTO_MIGRATE = process.env.DB_AUTO_MIGRATE !== "false";
+// "force" also upgrades a store held back by an explicit downgrade
+const AUTO_MIGRATE_FORCE = process.env.DB_AUTO_MIGRATE === "force";
 const MAX_COMPANY_RISK_HISTORY = 50;
 
 /* =========================================================
    UTIL
 ========================================================= */
 
-function ensureDir(p) {
-  const dir = path.dirname(p);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
-
 function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
@@ -32,6 +38,7 @@ function deepClone(obj) {
 function defaultDb() {
   return {
     schemaVersion: SCHEMA_VERSION,
+    schemaHistory: [],
 
     /* CORE */
     users: [],
@@ -116,20 +123,50 @@ function defaultDb() {
     },
 
     live: { events: [] },
+
+    /* LIVE ORDERS */
+    orderJournal: [],
+
+    /* PAPER ACCOUNTS */
+    paperAccounts: [],
+    paperTradeLog: [],
+
+    /* STRATEGY DEFINITIONS */
+    strategyDefinitions: [],
+
+    /* KILL SWITCHES */
+    killSwitches: [],
+    pnlBaselines: [],
+
+    /* LIVE ↔ SHADOW PARITY */
+    shadowTrades: [],
+
+    /* POSITION RECONCILIATION */
+    reconciliations: [],
+
+    /* MARKET REGIME CHANGES */
+    regimeHistory: [],
+
+    /* DECISION ATTRIBUTION */
+    decisionLog: [],
+
+    /* STRATEGY PROMOTION PIPELINE */
+    strategyPromotions: [],
   };
 }
 
 /* =========================================================
-   MIGRATION
+   LOADER GUARDS
+   Shape normalisation only — versioned changes belong in
+   src/migrations (see lib/migrator.js).
 ========================================================= */
 
-function migrate(db) {
+function normalize(db) {
   if (!db || typeof db !== "object") return defaultDb();
-  if (!db.schemaVersion) db.schemaVersion = 1;
 
-  /* Backward compatibility: entitlements → toolGrants */
-  if (Array.isArray(db.entitlements) && !Array.isArray(db.toolGrants)) {
-    db.toolGrants = db.entitlements;
+  // Pre-framework documents are treated as the v14 baseline
+  if (!db.schemaVersion || db.schemaVersion < migrator.BASELINE_VERSION) {
+    db.schemaVersion = migrator.BASELINE_VERSION;
   }
 
   const arrayFields = [
@@ -152,6 +189,7 @@ function migrate(db) {
     "incidents",
     "vulnerabilities",
     "securityEvents",
+    "schemaHistory",
   ];
 
   for (const field of arrayFields) {
@@ -194,86 +232,186 @@ function migrate(db) {
 
   if (!db.retentionPolicy) db.retentionPolicy = defaultDb().retentionPolicy;
 
-  db.schemaVersion = SCHEMA_VERSION;
-
   return db;
 }
 
 /* =========================================================
-   CORE FILE OPS (ATOMIC SAFE)
+   STORAGE ADAPTER
+   DB_DRIVER=json (default) | sqlite
 ========================================================= */
 
-function ensureDb() {
-  ensureDir(DB_PATH);
+let adapter = null;
+let ensured = false;
 
-  if (!fs.existsSync(DB_PATH)) {
-    fs.writeFileSync(DB_PATH, JSON.stringify(defaultDb(), null, 2), { encoding: "utf-8" });
-    return;
+function getAdapter() {
+  if (!adapter) {
+    adapter = createAdapter(process.env.DB_DRIVER || "json");
   }
+  return adapter;
+}
 
+/* =========================================================
+   CORE OPS (ADAPTER BACKED)
+========================================================= */
+
+function loadStoreBackup(store) {
   try {
-    const raw = fs.readFileSync(DB_PATH, "utf-8");
-    const parsed = JSON.parse(raw);
-    const migrated = migrate(parsed);
-    writeDb(migrated);
-  } catch (err) {
-    console.error("[DB] Corruption detected. Restoring default.");
-    fs.writeFileSync(DB_PATH, JSON.stringify(defaultDb(), null, 2), { encoding: "utf-8" });
+    return store.loadBackup();
+  } catch {
+    return null;
   }
 }
 
-function readDb() {
-  ensureDb();
+function ensureDb() {
+  const store = getAdapter();
+
+  if (!store.exists()) {
+    store.save(defaultDb());
+    ensured = true;
+    return;
+  }
+
+  // Load-time migration only needs to run once per process
+  if (ensured) return;
 
   try {
-    const raw = fs.readFileSync(DB_PATH, "utf-8");
-    return migrate(JSON.parse(raw));
+    writeDb(store.load());
   } catch (err) {
-    console.error("[DB] Read failure. Attempting backup restore.");
-    if (fs.existsSync(BACKUP_PATH)) {
-      const raw = fs.readFileSync(BACKUP_PATH, "utf-8");
-      return migrate(JSON.parse(raw));
+    // The corrupt file must not rotate over the last good backup
+    const backup = loadStoreBackup(store);
+    if (backup) {
+      console.error("[DB] Corruption detected. Restoring backup.");
+      store.save(normalize(backup), { backup: false });
+    } else {
+      console.error("[DB] Corruption detected. Restoring default.");
+      store.save(defaultDb(), { backup: false });
     }
-    return defaultDb();
   }
+
+  ensured = true;
+
+  if (AUTO_MIGRATE) upgradeDb();
 }
 
-function writeDb(db) {
-  const safe = migrate(deepClone(db));
+/* =========================================================
+   VERSIONED MIGRATIONS
+========================================================= */
 
-  try {
-    const payload = JSON.stringify(safe, null, 2);
+function backupPath(version) {
+  return path.join(BACKUP_DIR, `db.json.v${version}.bak`);
+}
 
-    // Prevent empty/partial write corruption
-    if (!payload || payload.length < 10) {
-      throw new Error("Refusing to write empty DB payload");
-    }
+function backupDb(db) {
+  const file = backupPath(db.schemaVersion);
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(db, null, 2), { encoding: "utf-8" });
+  return file;
+}
+
+/**
+ * Migration snapshots on disk, newest first: [{ version, file, savedAt }].
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+
+  return fs
+    .readdirSync(BACKUP_DIR)
+    .map((name) => name.match(/^db\.json\.v(\d+)\.bak$/))
+    .filter(Boolean)
+    .map((m) => {
+      const file = path.join(BACKUP_DIR, m[0]);
+      return { version: Number(m[1]), file, savedAt: fs.statSync(file).mtimeMs };
+    })
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
 
-    fs.writeFileSync(TMP_PATH, payload, { encoding: "utf-8" });
+/**
+ * The snapshot taken before migrating away from `version`, or the
+ * most recent one: { version, file, db } | null.
+ */
+function loadBackupFile(version = null) {
+  const backups = listBackups();
+  const pick = version == null ? backups[0] : backups.find((b) => b.version === Number(version));
+  if (!pick) return null;
 
-    // backup current DB before overwrite
-    if (fs.existsSync(DB_PATH)) {
-      fs.copyFileSync(DB_PATH, BACKUP_PATH);
+  return { ...pick, db: normalize(JSON.parse(fs.readFileSync(pick.file, "utf-8"))) };
+}
+
+// Below latest on purpose: boot-time auto-migration leaves it there
+function pin(db) {
+  if (db.schemaVersion < SCHEMA_VERSION) db.schemaPinned = db.schemaVersion;
+  else delete db.schemaPinned;
+  return db;
+}
+
+/**
+ * Moves the stored document to `to` (default: latest).
+ * Snapshots it to db.json.v<from>.bak before writing; a failing step
+ * writes nothing. A target below latest holds the store there until
+ * the next explicit migrate.
+ */
+function migrateDb({ to = SCHEMA_VERSION, dryRun = false } = {}) {
+  const current = normalize(getAdapter().load());
+  const result = migrator.run(current, { to, dryRun });
+
+  if (dryRun || result.steps.length === 0) return { ...result, db: undefined };
+
+  const backup = backupDb(current);
+  writeDb(pin(result.db));
+
+  return { ...result, db: undefined, backup };
+}
+
+/**
+ * Writes a migration snapshot back over the store (default: the
+ * most recent). The restored version is held like a downgrade.
+ */
+function restoreBackup(version = null) {
+  const backup = loadBackupFile(version);
+  if (!backup) return null;
+
+  writeDb(pin(backup.db));
+  return { version: backup.db.schemaVersion, file: backup.file };
+}
+
+function upgradeDb() {
+  try {
+    const current = normalize(getAdapter().load());
+    if (current.schemaPinned != null && !AUTO_MIGRATE_FORCE) {
+      console.warn(
+        `[DB] Schema held at v${current.schemaPinned} after an explicit downgrade; run "npm run migrate" to upgrade`
+      );
+      return;
     }
 
-    fs.renameSync(TMP_PATH, DB_PATH);
-  } catch (err) {
-    console.error("[DB] Atomic write failed:", err);
-
-    // Attempt recovery from backup
-    try {
-      if (fs.existsSync(BACKUP_PATH)) {
-        fs.copyFileSync(BACKUP_PATH, DB_PATH);
-        console.warn("[DB] Backup restored after failed write.");
-      }
-    } catch (restoreErr) {
-      console.error("[DB] Backup restore failed:", restoreErr);
+    const result = migrateDb();
+    if (result.steps.length) {
+      console.log(`[DB] Schema migrated v${result.from} → v${result.to}`);
     }
+  } catch (err) {
+    // Leave the document at its current version rather than resetting it
+    console.error("[DB] Schema migration failed:", err.message);
+  }
+}
+
+function readDb() {
+  ensureDb();
 
-    throw err;
+  try {
+    return normalize(getAdapter().load());
+  } catch (err) {
+    console.error("[DB] Read failure. Attempting backup restore.");
+    const backup = loadStoreBackup(getAdapter());
+    if (backup) return normalize(backup);
+    return defaultDb();
   }
 }
 
+function writeDb(db) {
+  const safe = normalize(deepClone(db));
+  getAdapter().save(safe);
+}
+
 function updateDb(mutator) {
   const db = readDb();
   const out = mutator(db) || db;
@@ -281,10 +419,54 @@ function updateDb(mutator) {
   return out;
 }
 
+/* =========================================================
+   INDEXED LOOKUPS
+   Served from per-collection indexes on SQLite. The JSON
+   driver has no index to gain from, so it scans readDb():
+   same normalized rows and .bak recovery as a full read.
+========================================================= */
+
+function findWhere(collection, field, value) {
+  ensureDb();
+  if (getAdapter().driver !== "json") return getAdapter().findWhere(collection, field, value);
+
+  if (!LOOKUP_FIELDS.has(field)) {
+    throw new Error(`Unsupported lookup field: ${field}`);
+  }
+
+  const rows = readDb()[collection];
+  if (!Array.isArray(rows)) return [];
+
+  return rows.filter(
+    (r) => r && typeof r === "object" && r[field] != null && String(r[field]) === String(value)
+  );
+}
+
+function findById(collection, id) {
+  if (getAdapter().driver !== "json") {
+    ensureDb();
+    return getAdapter().findById(collection, id);
+  }
+  return findWhere(collection, "id", id)[0] || null;
+}
+
 module.exports = {
   DB_PATH,
+  BACKUP_DIR,
+  SCHEMA_VERSION,
+  defaultDb,
+  normalize,
+  getAdapter,
+  backupDb,
+  listBackups,
+  loadBackupFile,
+  migrateDb,
+  upgradeDb,
+  restoreBackup,
   ensureDb,
   readDb,
   writeDb,
   updateDb,
+  findById,
+  findWhere,
 };
@@ -0,0 +1,200 @@
+// backend/src/lib/migrator.js
+// AutoShield Tech — Versioned Schema Migrations
+// Numbered Up/Down Steps • Dry Run • Schema History • All-or-Nothing
+//
+// Steps live in src/migrations as NNN_name.js exporting
+// { version, name, up(db), down(db) }. Versions up to BASELINE_VERSION
+// predate this framework and are covered by the loader guards in db.js.
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const BASELINE_VERSION = 14;
+const MAX_SCHEMA_HISTORY = 200;
+
+class MigrationError extends Error {
+  constructor(message, step, cause) {
+    super(message);
+    this.name = "MigrationError";
+    this.step = step || null;
+    this.cause = cause;
+  }
+}
+
+/* =========================================================
+   UTIL
+========================================================= */
+
+function deepClone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const out = [];
+
+  for (const key of keys) {
+    if (key === "schemaVersion" || key === "schemaHistory") continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) out.push(key);
+  }
+
+  return out.sort();
+}
+
+/* =========================================================
+   LOADING
+========================================================= */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const list = fs
+    .readdirSync(dir)
+    .filter((f) => /^\d+_[\w-]+\.js$/.test(f))
+    .map((file) => {
+      const mod = require(path.join(dir, file));
+      const fileVersion = parseInt(file, 10);
+
+      if (mod.version !== fileVersion) {
+        throw new MigrationError(`${file}: version ${mod.version} does not match filename`);
+      }
+      if (typeof mod.up !== "function") {
+        throw new MigrationError(`${file}: missing up()`);
+      }
+
+      return {
+        version: mod.version,
+        name: mod.name || file.replace(/^\d+_|\.js$/g, ""),
+        up: mod.up,
+        down: typeof mod.down === "function" ? mod.down : null,
+        file,
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < list.length; i++) {
+    if (list[i].version === list[i - 1].version) {
+      throw new MigrationError(`Duplicate migration version ${list[i].version}`);
+    }
+  }
+
+  return list;
+}
+
+function latestVersion(migrations = loadMigrations()) {
+  return migrations.length
+    ? Math.max(BASELINE_VERSION, migrations[migrations.length - 1].version)
+    : BASELINE_VERSION;
+}
+
+/* =========================================================
+   PLANNING
+========================================================= */
+
+function plan(from, to, migrations = loadMigrations()) {
+  const current = Number(from) || BASELINE_VERSION;
+  const target = Number(to);
+
+  if (!Number.isInteger(target)) {
+    throw new MigrationError(`Invalid target version: ${to}`);
+  }
+  if (target < BASELINE_VERSION) {
+    throw new MigrationError(`Cannot migrate below baseline v${BASELINE_VERSION}`);
+  }
+  if (target > latestVersion(migrations)) {
+    throw new MigrationError(`No migration reaches v${target}`);
+  }
+
+  if (target >= current) {
+    return migrations
+      .filter((m) => m.version > current && m.version <= target)
+      .map((m) => ({ ...m, direction: "up" }));
+  }
+
+  const steps = migrations
+    .filter((m) => m.version <= current && m.version > target)
+    .reverse()
+    .map((m) => ({ ...m, direction: "down" }));
+
+  const irreversible = steps.find((s) => !s.down);
+  if (irreversible) {
+    throw new MigrationError(`Migration ${irreversible.file} has no down step`, irreversible);
+  }
+
+  return steps;
+}
+
+/* =========================================================
+   RUN
+   Works on a clone: a failing step leaves the input untouched.
+========================================================= */
+
+function run(db, { to, dryRun = false, migrations = loadMigrations() } = {}) {
+  const from = Number(db?.schemaVersion) || BASELINE_VERSION;
+  const target = to === undefined ? latestVersion(migrations) : Number(to);
+  const steps = plan(from, target, migrations);
+
+  let doc = deepClone(db || {});
+  const report = [];
+
+  for (const step of steps) {
+    const before = deepClone(doc);
+    const started = Date.now();
+
+    try {
+      const fn = step.direction === "up" ? step.up : step.down;
+      doc = fn(doc) || doc;
+    } catch (err) {
+      throw new MigrationError(
+        `${step.direction} v${step.version} (${step.name}) failed: ${err.message}`,
+        { version: step.version, name: step.name, direction: step.direction },
+        err
+      );
+    }
+
+    doc.schemaVersion = step.direction === "up" ? step.version : step.version - 1;
+
+    const entry = {
+      version: step.version,
+      name: step.name,
+      direction: step.direction,
+      changed: changedKeys(before, doc),
+      durationMs: Date.now() - started,
+    };
+    report.push(entry);
+
+    if (!dryRun) {
+      if (!Array.isArray(doc.schemaHistory)) doc.schemaHistory = [];
+      doc.schemaHistory.push({
+        version: entry.version,
+        name: entry.name,
+        direction: entry.direction,
+        schemaVersion: doc.schemaVersion,
+        appliedAt: new Date().toISOString(),
+      });
+      if (doc.schemaHistory.length > MAX_SCHEMA_HISTORY) {
+        doc.schemaHistory = doc.schemaHistory.slice(-MAX_SCHEMA_HISTORY);
+      }
+    }
+  }
+
+  return {
+    from,
+    to: target,
+    dryRun,
+    steps: report,
+    changed: [...new Set(report.flatMap((s) => s.changed))].sort(),
+    db: dryRun ? db : doc,
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  BASELINE_VERSION,
+  MigrationError,
+  loadMigrations,
+  latestVersion,
+  plan,
+  run,
+};
@@ -0,0 +1,106 @@
+// backend/src/lib/prng.js
+// AutoShield Tech — Seeded PRNG
+// Deterministic • Serializable State • Drop-in for Math.random()
+//
+// mulberry32 core with string/number seeds. Same seed → same sequence,
+// so simulations and backtests can be replayed exactly.
+
+/* =========================================================
+   SEEDING
+========================================================= */
+
+// FNV-1a → 32-bit unsigned; lets callers seed with "tenant:BTCUSDT"
+function hashSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  const str = String(seed ?? "");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/* =========================================================
+   GENERATOR
+========================================================= */
+
+function createRng(seed = Date.now()) {
+  let state = hashSeed(seed);
+  let spare = null; // cached second Box-Muller sample
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Standard normal via Box-Muller. */
+  function normal(mean = 0, std = 1) {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return mean + std * z;
+    }
+
+    let u = 0;
+    while (u === 0) u = next();
+    const v = next();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return mean + std * r * Math.cos(2 * Math.PI * v);
+  }
+
+  /** Integer in [0, n). */
+  function int(n) {
+    return Math.floor(next() * n);
+  }
+
+  /** Poisson draw (Knuth) — fine for the small rates used per tick. */
+  function poisson(lambda) {
+    if (!(lambda > 0)) return 0;
+    const L = Math.exp(-lambda);
+    let k = 0;
+    let p = 1;
+    do {
+      k++;
+      p *= next();
+    } while (p > L);
+    return k - 1;
+  }
+
+  function pick(list) {
+    return list[int(list.length)];
+  }
+
+  /** Independent child stream, stable for a given label. */
+  function fork(label) {
+    return createRng(hashSeed(`${state}:${label}`));
+  }
+
+  return {
+    seed,
+    next,
+    random: next,
+    normal,
+    int,
+    poisson,
+    pick,
+    fork,
+    getState: () => ({ state, spare }),
+    setState(s) {
+      state = s.state >>> 0;
+      spare = s.spare ?? null;
+    },
+  };
+}
+
+module.exports = {
+  hashSeed,
+  createRng,
+};
@@ -0,0 +1,44 @@
+// backend/src/lib/storage/index.js
+// AutoShield Tech — Storage Adapter Registry
+//
+// Adapter contract (all synchronous, mirrors lib/db.js):
+//   exists()                          → boolean
+//   load()                            → raw DB document
+//   loadBackup()                      → raw DB document | null
+//   save(db, { backup? })             → persist full document; backup:
+//                                       false leaves the last good copy
+//   findById(collection, id)          → row | null
+//   findWhere(collection, field, v)   → rows (field: id | companyId | userId)
+//   close()
+
+const path = require("path");
+const { createJsonAdapter } = require("./jsonAdapter");
+const { createSqliteAdapter } = require("./sqliteAdapter");
+
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+
+const DRIVERS = {
+  json: (opts = {}) =>
+    createJsonAdapter({
+      file: opts.file || process.env.DB_JSON_PATH || path.join(DATA_DIR, "db.json"),
+    }),
+  sqlite: (opts = {}) =>
+    createSqliteAdapter({
+      file: opts.file || process.env.DB_SQLITE_PATH || path.join(DATA_DIR, "db.sqlite"),
+    }),
+};
+
+function createAdapter(driver = "json", opts = {}) {
+  const name = String(driver || "json").trim().toLowerCase();
+  const factory = DRIVERS[name];
+  if (!factory) {
+    throw new Error(`Unknown DB driver: ${driver}`);
+  }
+  return factory(opts);
+}
+
+module.exports = {
+  DATA_DIR,
+  DRIVERS: Object.keys(DRIVERS),
+  createAdapter,
+};
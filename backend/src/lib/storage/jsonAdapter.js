@@ -0,0 +1,114 @@
+// backend/src/lib/storage/jsonAdapter.js
+// AutoShield Tech — JSON File Storage Adapter
+// Atomic Writes • Backup Safety • Whole-Document Persistence
+
+const fs = require("fs");
+const path = require("path");
+
+const LOOKUP_FIELDS = new Set(["id", "companyId", "userId"]);
+
+/* =========================================================
+   UTIL
+========================================================= */
+
+function ensureDir(p) {
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+/* =========================================================
+   ADAPTER
+========================================================= */
+
+function createJsonAdapter({ file }) {
+  const TMP_PATH = file + ".tmp";
+  const BACKUP_PATH = file + ".bak";
+
+  function exists() {
+    return fs.existsSync(file);
+  }
+
+  function load() {
+    const raw = fs.readFileSync(file, "utf-8");
+    return JSON.parse(raw);
+  }
+
+  function loadBackup() {
+    if (!fs.existsSync(BACKUP_PATH)) return null;
+    return JSON.parse(fs.readFileSync(BACKUP_PATH, "utf-8"));
+  }
+
+  // `backup: false` skips rotating the current file into .bak, for
+  // writes that replace a file known to be corrupt
+  function save(db, { backup = true } = {}) {
+    ensureDir(file);
+
+    try {
+      const payload = JSON.stringify(db, null, 2);
+
+      // Prevent empty/partial write corruption
+      if (!payload || payload.length < 10) {
+        throw new Error("Refusing to write empty DB payload");
+      }
+
+      fs.writeFileSync(TMP_PATH, payload, { encoding: "utf-8" });
+
+      // backup current DB before overwrite
+      if (backup && fs.existsSync(file)) {
+        fs.copyFileSync(file, BACKUP_PATH);
+      }
+
+      fs.renameSync(TMP_PATH, file);
+    } catch (err) {
+      console.error("[DB] Atomic write failed:", err);
+
+      // Attempt recovery from backup
+      try {
+        if (fs.existsSync(BACKUP_PATH)) {
+          fs.copyFileSync(BACKUP_PATH, file);
+          console.warn("[DB] Backup restored after failed write.");
+        }
+      } catch (restoreErr) {
+        console.error("[DB] Backup restore failed:", restoreErr);
+      }
+
+      throw err;
+    }
+  }
+
+  /* ================= LOOKUPS (FULL SCAN) ================= */
+
+  function findWhere(collection, field, value) {
+    if (!LOOKUP_FIELDS.has(field)) {
+      throw new Error(`Unsupported lookup field: ${field}`);
+    }
+
+    const rows = exists() ? load()[collection] : null;
+    if (!Array.isArray(rows)) return [];
+
+    return rows.filter(
+      (r) => r && typeof r === "object" && r[field] != null && String(r[field]) === String(value)
+    );
+  }
+
+  function findById(collection, id) {
+    return findWhere(collection, "id", id)[0] || null;
+  }
+
+  return {
+    driver: "json",
+    location: file,
+    exists,
+    load,
+    loadBackup,
+    save,
+    findById,
+    findWhere,
+    close() {},
+  };
+}
+
+module.exports = {
+  LOOKUP_FIELDS,
+  createJsonAdapter,
+};
@@ -0,0 +1,356 @@
+// backend/src/lib/storage/sqliteAdapter.js
+// AutoShield Tech — Embedded SQLite Storage Adapter
+// Per-Collection Tables • Row-Level Diff Writes • Indexed Lookups
+//
+// Every top-level array in the DB document becomes its own table
+// (one row per element). Everything else (systemState, auditMeta,
+// paper, brain ...) lives in the `meta` key/value table.
+// Writes diff against the last persisted state, so appending one
+// audit record touches one row instead of rewriting the whole store.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { LOOKUP_FIELDS } = require("./jsonAdapter");
+
+const SAFE_NAME = /^[A-Za-z0-9_]+$/;
+
+/* =========================================================
+   UTIL
+========================================================= */
+
+function ensureDir(p) {
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function tableName(collection) {
+  if (!SAFE_NAME.test(collection)) {
+    throw new Error(`Invalid collection name: ${collection}`);
+  }
+  return `c_${collection}`;
+}
+
+function column(row, field) {
+  if (!row || typeof row !== "object") return null;
+  const v = row[field];
+  return v === undefined || v === null ? null : String(v);
+}
+
+function rowKey(row, json) {
+  if (row && typeof row === "object" && row.id !== undefined && row.id !== null) {
+    return "id:" + String(row.id);
+  }
+  return "h:" + crypto.createHash("sha1").update(json).digest("hex");
+}
+
+/*
+  Keeps the stored order of rows that are still in sequence and slots
+  new/moved rows in between their neighbours, so appends and trims
+  never force a renumber of the whole table.
+*/
+function assignOrder(keys, previous) {
+  const ords = new Array(keys.length).fill(null);
+  let last = -Infinity;
+
+  for (let i = 0; i < keys.length; i++) {
+    const prev = previous.get(keys[i]);
+    if (prev && prev.ord > last) {
+      ords[i] = prev.ord;
+      last = prev.ord;
+    }
+  }
+
+  let i = 0;
+  while (i < keys.length) {
+    if (ords[i] !== null) {
+      i++;
+      continue;
+    }
+
+    let j = i;
+    while (j < keys.length && ords[j] === null) j++;
+
+    const lo = i > 0 ? ords[i - 1] : null;
+    const hi = j < keys.length ? ords[j] : null;
+    const count = j - i;
+
+    for (let k = 0; k < count; k++) {
+      if (lo === null && hi === null) ords[i + k] = k + 1;
+      else if (hi === null) ords[i + k] = lo + k + 1;
+      else if (lo === null) ords[i + k] = hi - count + k;
+      else ords[i + k] = lo + ((hi - lo) * (k + 1)) / (count + 1);
+    }
+
+    i = j;
+  }
+
+  // Float gaps exhausted → renumber the collection
+  for (let k = 1; k < ords.length; k++) {
+    if (!(ords[k] > ords[k - 1])) {
+      return keys.map((_, idx) => idx + 1);
+    }
+  }
+
+  return ords;
+}
+
+/* =========================================================
+   ADAPTER
+========================================================= */
+
+function createSqliteAdapter({ file }) {
+  // Required lazily so the JSON driver never needs the native module
+  const Database = require("better-sqlite3");
+
+  ensureDir(file);
+  const sql = new Database(file);
+
+  sql.pragma("journal_mode = WAL");
+  sql.pragma("synchronous = NORMAL");
+
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS collections (
+      name TEXT PRIMARY KEY
+    );
+  `);
+
+  /* ================= CACHE ================= */
+
+  // meta: Map<key, json>; collections: Map<name, Map<rowKey, { ord, json }>>
+  let cache = null;
+  let cacheVersion = null;
+  let writing = false;
+
+  function dataVersion() {
+    return sql.pragma("data_version", { simple: true });
+  }
+
+  function ensureTable(collection) {
+    const t = tableName(collection);
+    sql.exec(`
+      CREATE TABLE IF NOT EXISTS ${t} (
+        key TEXT PRIMARY KEY,
+        ord REAL NOT NULL,
+        id TEXT,
+        companyId TEXT,
+        userId TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${t}_ord ON ${t}(ord);
+      CREATE INDEX IF NOT EXISTS ${t}_id ON ${t}(id);
+      CREATE INDEX IF NOT EXISTS ${t}_company ON ${t}(companyId);
+      CREATE INDEX IF NOT EXISTS ${t}_user ON ${t}(userId);
+    `);
+    return t;
+  }
+
+  function refreshCache() {
+    const version = dataVersion();
+    if (cache && cacheVersion === version) return cache;
+
+    const meta = new Map();
+    for (const r of sql.prepare("SELECT key, data FROM meta").all()) {
+      meta.set(r.key, r.data);
+    }
+
+    const collections = new Map();
+    for (const { name } of sql.prepare("SELECT name FROM collections").all()) {
+      const t = ensureTable(name);
+      const rows = new Map();
+      for (const r of sql.prepare(`SELECT key, ord, data FROM ${t} ORDER BY ord`).all()) {
+        rows.set(r.key, { ord: r.ord, json: r.data });
+      }
+      collections.set(name, rows);
+    }
+
+    cache = { meta, collections };
+    cacheVersion = version;
+    return cache;
+  }
+
+  /* ================= READ ================= */
+
+  function exists() {
+    const row = sql.prepare("SELECT COUNT(*) AS n FROM meta").get();
+    return row.n > 0;
+  }
+
+  function load() {
+    const { meta, collections } = refreshCache();
+    const db = {};
+
+    for (const [key, json] of meta) db[key] = JSON.parse(json);
+
+    for (const [name, rows] of collections) {
+      // Map preserves insertion order, which refresh/save keep sorted by ord
+      db[name] = Array.from(rows.values(), (r) => JSON.parse(r.json));
+    }
+
+    return db;
+  }
+
+  /* ================= WRITE ================= */
+
+  function saveCollection(name, items, previous) {
+    const t = ensureTable(name);
+    const upsert = sql.prepare(
+      `INSERT INTO ${t} (key, ord, id, companyId, userId, data)
+       VALUES (@key, @ord, @id, @companyId, @userId, @data)
+       ON CONFLICT(key) DO UPDATE SET
+         ord = excluded.ord, id = excluded.id, companyId = excluded.companyId,
+         userId = excluded.userId, data = excluded.data`
+    );
+    const remove = sql.prepare(`DELETE FROM ${t} WHERE key = ?`);
+
+    const seen = new Map();
+    const jsons = items.map((item) => JSON.stringify(item === undefined ? null : item));
+    const keys = items.map((item, i) => {
+      const base = rowKey(item, jsons[i]);
+      const n = seen.get(base) || 0;
+      seen.set(base, n + 1);
+      return n === 0 ? base : `${base}#${n}`;
+    });
+
+    const ords = assignOrder(keys, previous);
+    const next = new Map();
+
+    for (let i = 0; i < items.length; i++) {
+      const prev = previous.get(keys[i]);
+      if (!prev || prev.ord !== ords[i] || prev.json !== jsons[i]) {
+        upsert.run({
+          key: keys[i],
+          ord: ords[i],
+          id: column(items[i], "id"),
+          companyId: column(items[i], "companyId"),
+          userId: column(items[i], "userId"),
+          data: jsons[i],
+        });
+      }
+      next.set(keys[i], { ord: ords[i], json: jsons[i] });
+    }
+
+    for (const key of previous.keys()) {
+      if (!next.has(key)) remove.run(key);
+    }
+
+    return next;
+  }
+
+  const saveTx = sql.transaction((db) => {
+    const current = refreshCache();
+    const meta = new Map();
+    const collections = new Map();
+
+    const putMeta = sql.prepare(
+      "INSERT INTO meta (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data"
+    );
+    const registerCollection = sql.prepare(
+      "INSERT OR IGNORE INTO collections (name) VALUES (?)"
+    );
+
+    for (const [key, value] of Object.entries(db)) {
+      if (Array.isArray(value)) {
+        if (!current.collections.has(key)) registerCollection.run(key);
+        if (current.meta.has(key)) {
+          sql.prepare("DELETE FROM meta WHERE key = ?").run(key);
+        }
+        collections.set(
+          key,
+          saveCollection(key, value, current.collections.get(key) || new Map())
+        );
+        continue;
+      }
+
+      if (value === undefined) continue;
+
+      const json = JSON.stringify(value);
+      if (current.meta.get(key) !== json) putMeta.run(key, json);
+      meta.set(key, json);
+
+      if (current.collections.has(key)) dropCollection(key);
+    }
+
+    for (const key of current.meta.keys()) {
+      if (!meta.has(key) && !collections.has(key)) {
+        sql.prepare("DELETE FROM meta WHERE key = ?").run(key);
+      }
+    }
+
+    for (const name of current.collections.keys()) {
+      if (!collections.has(name) && !meta.has(name)) dropCollection(name);
+    }
+
+    return { meta, collections };
+  });
+
+  function dropCollection(name) {
+    sql.exec(`DROP TABLE IF EXISTS ${tableName(name)}`);
+    sql.prepare("DELETE FROM collections WHERE name = ?").run(name);
+  }
+
+  function save(db) {
+    if (!db || typeof db !== "object") {
+      throw new Error("Refusing to write empty DB payload");
+    }
+    if (writing) throw new Error("Re-entrant DB write");
+
+    writing = true;
+    try {
+      cache = saveTx(db);
+      cacheVersion = dataVersion();
+    } catch (err) {
+      // Transaction rolled back; force a reload on next read
+      cache = null;
+      console.error("[DB] SQLite write failed:", err);
+      throw err;
+    } finally {
+      writing = false;
+    }
+  }
+
+  /* ================= LOOKUPS (INDEXED) ================= */
+
+  function findWhere(collection, field, value) {
+    if (!LOOKUP_FIELDS.has(field)) {
+      throw new Error(`Unsupported lookup field: ${field}`);
+    }
+
+    const known = sql
+      .prepare("SELECT 1 FROM collections WHERE name = ?")
+      .get(collection);
+    if (!known) return [];
+
+    return sql
+      .prepare(`SELECT data FROM ${tableName(collection)} WHERE ${field} = ? ORDER BY ord`)
+      .all(String(value))
+      .map((r) => JSON.parse(r.data));
+  }
+
+  function findById(collection, id) {
+    return findWhere(collection, "id", id)[0] || null;
+  }
+
+  return {
+    driver: "sqlite",
+    location: file,
+    exists,
+    load,
+    loadBackup: () => null,
+    save,
+    findById,
+    findWhere,
+    close() {
+      sql.close();
+      cache = null;
+    },
+  };
+}
+
+module.exports = {
+  createSqliteAdapter,
+};
@@ -0,0 +1,112 @@
+// backend/src/lib/zip.js
+// AutoShield Tech — Minimal ZIP reader
+// Stored + deflate entries • No zip64 • No encryption
+//
+// Enough for exchange data dumps (Binance monthly/daily klines ship as
+// one CSV per zip) without pulling in an archive dependency.
+//
+// Extraction is capped per entry and per archive (ZIP_MAX_ENTRY_BYTES,
+// ZIP_MAX_TOTAL_BYTES): a small deflate stream can expand to gigabytes.
+
+const zlib = require("zlib");
+
+/* =========================================================
+   CONFIG
+========================================================= */
+
+const MAX_ENTRY_BYTES = Number(process.env.ZIP_MAX_ENTRY_BYTES || 256 * 1024 * 1024);
+const MAX_TOTAL_BYTES = Number(process.env.ZIP_MAX_TOTAL_BYTES || 512 * 1024 * 1024);
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+/* =========================================================
+   DIRECTORY
+========================================================= */
+
+// End-of-central-directory record sits in the last 22..65557 bytes
+function findEocd(buf) {
+  const stop = Math.max(0, buf.length - 65557);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  return -1;
+}
+
+function isZip(buf) {
+  return Buffer.isBuffer(buf) && buf.length >= 4 && buf.readUInt32LE(0) === LOCAL_SIG;
+}
+
+/* =========================================================
+   READ
+========================================================= */
+
+function tooLarge(name, limit) {
+  return new Error(`Zip entry ${name} expands past the ${limit}-byte limit`);
+}
+
+// Inflates at most `limit` bytes; the declared size is not trusted
+function inflate(raw, name, limit) {
+  try {
+    return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, limit) });
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge(name, limit);
+    throw err;
+  }
+}
+
+/**
+ * Every file entry as { name, data }. Directories are skipped;
+ * unsupported compression methods and entries past the size limits
+ * throw. `maxEntryBytes` / `maxTotalBytes` override the configured
+ * limits.
+ */
+function readEntries(buf, { maxEntryBytes = MAX_ENTRY_BYTES, maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+  const eocd = findEocd(buf);
+  if (eocd < 0) throw new Error("Not a zip archive");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+
+  const out = [];
+  let total = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== CENTRAL_SIG) throw new Error("Corrupt zip directory");
+
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const declared = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue;
+
+    const limit = Math.min(maxEntryBytes, maxTotalBytes - total);
+    if (declared > limit) throw tooLarge(name, limit);
+
+    if (buf.readUInt32LE(local) !== LOCAL_SIG) throw new Error(`Corrupt zip entry: ${name}`);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const raw = buf.subarray(start, start + size);
+
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = inflate(raw, name, limit);
+    else throw new Error(`Unsupported zip compression method ${method} (${name})`);
+
+    if (data.length > limit) throw tooLarge(name, limit);
+    total += data.length;
+
+    out.push({ name, data });
+  }
+
+  return out;
+}
+
+module.exports = { MAX_ENTRY_BYTES, MAX_TOTAL_BYTES, isZip, readEntries };
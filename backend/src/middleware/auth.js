@@ -4,7 +4,7 @@
 // ======================================================
 
 const { verify } = require("../lib/jwt");
-const { readDb } = require("../lib/db");
+const { readDb, findById } = require("../lib/db");
 const sessionAdapter = require("../lib/sessionAdapter");
 const { classifyDeviceRisk } = require("../lib/deviceFingerprint");
 const { writeAudit } = require("../lib/audit");
@@ -53,16 +53,15 @@ function authRequired(req, res, next) {
   if (!payload?.id || !payload?.jti) return error(res, 401, "Invalid token payload");
   if (sessionAdapter.isRevoked(payload.jti)) return error(res, 401, "Session revoked");
 
-  // DEFENSIVE: Handle potential DB read failures
-  let db;
+  // DEFENSIVE: Handle potential DB read failures (indexed lookup, no full load)
+  let user;
   try {
-    db = readDb() || {};
+    user = findById("users", payload.id);
   } catch (e) {
     console.error("AUTH DB READ ERROR:", e.message);
     return error(res, 500, "Internal authentication error");
   }
 
-  const user = (db.users || []).find(u => idEq(u.id, payload.id));
   if (!user) return error(res, 401, "User no longer exists");
 
   // Version & Role Sync
@@ -78,7 +77,7 @@ function authRequired(req, res, next) {
     if (isInactiveStatus(user.subscriptionStatus) && !isBilling) return error(res, 403, "Subscription inactive");
 
     if (user.companyId) {
-      const company = (db.companies || []).find(c => idEq(c.id, user.companyId));
+      const company = findById("companies", user.companyId);
       if (!company) return error(res, 403, "Company not found");
       if (company.status === "Suspended") return error(res, 403, "Company suspended");
       if (isInactiveStatus(company.subscriptionStatus) && !isBilling) return error(res, 403, "Company subscription inactive");
@@ -109,9 +108,10 @@ function authRequired(req, res, next) {
   const isHighPrivilege = ["admin", "finance"].includes(norm(user.role));
   
   // Only attempt downgrade if decision data is properly structured
-  if (isHighPrivilege && db.brain?.decisions && Array.isArray(db.brain.decisions)) {
+  const decisions = isHighPrivilege ? readDb()?.brain?.decisions : null;
+  if (isHighPrivilege && Array.isArray(decisions)) {
     try {
-      const recent = db.brain.decisions
+      const recent = decisions
         .filter(d => idEq(d.userId, user.id))
         .slice(-15);
 
@@ -0,0 +1,39 @@
+// backend/src/migrations/015_fold_legacy_entitlements.js
+// Folds the legacy top-level `entitlements` array into `toolGrants`
+// (previously an unversioned alias in the loader) and drops the old key.
+
+function grantKey(grant) {
+  return grant && grant.id != null ? `id:${grant.id}` : `row:${JSON.stringify(grant)}`;
+}
+
+module.exports = {
+  version: 15,
+  name: "fold_legacy_entitlements",
+
+  up(db) {
+    if (!Array.isArray(db.entitlements)) return db;
+
+    // Both populated: keep every grant, matching on id (or content
+    // for id-less rows) so nothing only the legacy array held is lost
+    const grants = Array.isArray(db.toolGrants) ? db.toolGrants : [];
+    const seen = new Set(grants.map(grantKey));
+
+    for (const grant of db.entitlements) {
+      const key = grantKey(grant);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      grants.push(grant);
+    }
+
+    db.toolGrants = grants;
+    delete db.entitlements;
+    return db;
+  },
+
+  down(db) {
+    if (!Array.isArray(db.entitlements)) {
+      db.entitlements = JSON.parse(JSON.stringify(db.toolGrants || []));
+    }
+    return db;
+  },
+};
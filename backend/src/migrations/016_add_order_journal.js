@@ -0,0 +1,17 @@
+// backend/src/migrations/016_add_order_journal.js
+// Adds the per-tenant live order journal (services/orderJournal.js).
+
+module.exports = {
+  version: 16,
+  name: "add_order_journal",
+
+  up(db) {
+    if (!Array.isArray(db.orderJournal)) db.orderJournal = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.orderJournal;
+    return db;
+  },
+};
@@ -0,0 +1,20 @@
+// backend/src/migrations/017_add_paper_accounts.js
+// Adds durable paper accounts and their append-only trade log
+// (services/paperStore.js).
+
+module.exports = {
+  version: 17,
+  name: "add_paper_accounts",
+
+  up(db) {
+    if (!Array.isArray(db.paperAccounts)) db.paperAccounts = [];
+    if (!Array.isArray(db.paperTradeLog)) db.paperTradeLog = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.paperAccounts;
+    delete db.paperTradeLog;
+    return db;
+  },
+};
@@ -0,0 +1,18 @@
+// backend/src/migrations/018_add_strategy_definitions.js
+// Adds versioned user-authored strategy definitions
+// (services/strategyRegistry.js).
+
+module.exports = {
+  version: 18,
+  name: "add_strategy_definitions",
+
+  up(db) {
+    if (!Array.isArray(db.strategyDefinitions)) db.strategyDefinitions = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.strategyDefinitions;
+    return db;
+  },
+};
@@ -0,0 +1,18 @@
+// backend/src/migrations/019_add_kill_switches.js
+// Adds the kill-switch / circuit-breaker ledger
+// (services/killSwitch.js).
+
+module.exports = {
+  version: 19,
+  name: "add_kill_switches",
+
+  up(db) {
+    if (!Array.isArray(db.killSwitches)) db.killSwitches = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.killSwitches;
+    return db;
+  },
+};
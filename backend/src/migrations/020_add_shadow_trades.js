@@ -0,0 +1,18 @@
+// backend/src/migrations/020_add_shadow_trades.js
+// Adds live ↔ shadow-paper decision pairs for the parity report
+// (services/shadowParity.js).
+
+module.exports = {
+  version: 20,
+  name: "add_shadow_trades",
+
+  up(db) {
+    if (!Array.isArray(db.shadowTrades)) db.shadowTrades = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.shadowTrades;
+    return db;
+  },
+};
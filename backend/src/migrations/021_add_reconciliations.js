@@ -0,0 +1,18 @@
+// backend/src/migrations/021_add_reconciliations.js
+// Adds the position reconciliation run history
+// (services/reconciliation.js).
+
+module.exports = {
+  version: 21,
+  name: "add_reconciliations",
+
+  up(db) {
+    if (!Array.isArray(db.reconciliations)) db.reconciliations = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.reconciliations;
+    return db;
+  },
+};
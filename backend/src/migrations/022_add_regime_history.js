@@ -0,0 +1,18 @@
+// backend/src/migrations/022_add_regime_history.js
+// Adds the market regime change history
+// (services/marketRegime.js).
+
+module.exports = {
+  version: 22,
+  name: "add_regime_history",
+
+  up(db) {
+    if (!Array.isArray(db.regimeHistory)) db.regimeHistory = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.regimeHistory;
+    return db;
+  },
+};
@@ -0,0 +1,18 @@
+// backend/src/migrations/023_add_decision_log.js
+// Adds the per-decision attribution log for entries, exits and
+// risk rejections (services/decisionLog.js).
+
+module.exports = {
+  version: 23,
+  name: "add_decision_log",
+
+  up(db) {
+    if (!Array.isArray(db.decisionLog)) db.decisionLog = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.decisionLog;
+    return db;
+  },
+};
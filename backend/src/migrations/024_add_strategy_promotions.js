@@ -0,0 +1,19 @@
+// backend/src/migrations/024_add_strategy_promotions.js
+// Adds the staged strategy promotion pipeline: candidates, their
+// stage evaluations, approvals and demotions
+// (services/strategyPromotion.js).
+
+module.exports = {
+  version: 24,
+  name: "add_strategy_promotions",
+
+  up(db) {
+    if (!Array.isArray(db.strategyPromotions)) db.strategyPromotions = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.strategyPromotions;
+    return db;
+  },
+};
@@ -0,0 +1,18 @@
+// backend/src/migrations/025_add_pnl_baselines.js
+// Adds the pnl_limit breaker's day-start baselines, so a restart does
+// not reset the daily loss limit (services/killSwitch.js).
+
+module.exports = {
+  version: 25,
+  name: "add_pnl_baselines",
+
+  up(db) {
+    if (!Array.isArray(db.pnlBaselines)) db.pnlBaselines = [];
+    return db;
+  },
+
+  down(db) {
+    delete db.pnlBaselines;
+    return db;
+  },
+};
@@ -0,0 +1,98 @@
+// backend/src/routes/killSwitch.routes.js
+// =========================================================
+// AUTOSHIELD — KILL SWITCH CONTROL PLANE ROUTES v1
+// STATUS • ENGAGE • CLEAR • HISTORY
+// =========================================================
+
+const express = require("express");
+const router = express.Router();
+
+const { authRequired, requireRole } = require("../middleware/auth");
+const killSwitch = require("../services/killSwitch");
+
+/* ================= ROLES ================= */
+
+const ADMIN = "admin";
+const MANAGER = "manager";
+
+/* ================= HELPERS ================= */
+
+function getTenantId(req) {
+  return req.user?.companyId || req.user?.id || "default_user";
+}
+
+function isAdmin(req) {
+  return String(req.user?.role || "").toLowerCase() === ADMIN;
+}
+
+/* ================= MIDDLEWARE ================= */
+
+router.use(authRequired);
+
+/* ================= STATUS ================= */
+
+// Admins see every switch; everyone else the ones affecting their tenant
+router.get("/", (req, res) => {
+  return res.json({ ok: true, ...killSwitch.status(isAdmin(req) ? null : getTenantId(req)) });
+});
+
+router.get("/history", (req, res) => {
+  const result = killSwitch.list({
+    tenantId: isAdmin(req) ? req.query.tenantId || null : getTenantId(req),
+    status: req.query.status || null,
+    limit: req.query.limit,
+    offset: req.query.offset,
+  });
+  return res.json({ ok: true, ...result });
+});
+
+/* ================= ENGAGE ================= */
+
+// Body: { scope: "global" | "tenant" | "symbol", symbol?, mode?, reason?, flatten?,
+//         tenantId? (admin), allTenants? (admin, symbol scope) }
+// Managers may only stop their own tenant; global and cross-tenant
+// switches are admin-only.
+router.post("/engage", requireRole(ADMIN, MANAGER), async (req, res) => {
+  const body = req.body || {};
+  const scope = String(body.scope || "tenant").toLowerCase();
+  const admin = isAdmin(req);
+
+  if (!admin && (scope === "global" || body.allTenants || (body.tenantId && body.tenantId !== getTenantId(req)))) {
+    return res.status(403).json({ ok: false, error: "Only admins can engage global or cross-tenant switches" });
+  }
+
+  const tenantId = scope === "symbol" && body.allTenants ? null : (admin && body.tenantId) || getTenantId(req);
+
+  try {
+    const result = await killSwitch.engage({
+      scope,
+      tenantId,
+      symbol: body.symbol,
+      mode: body.mode,
+      reason: body.reason,
+      flatten: body.flatten,
+      actor: req.user.id,
+      role: req.user.role,
+    });
+
+    if (!result.ok) return res.status(400).json(result);
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* ================= CLEAR ================= */
+
+router.post("/:id/clear", requireRole(ADMIN), (req, res) => {
+  const result = killSwitch.clear(req.params.id, {
+    actor: req.user.id,
+    role: req.user.role,
+    reason: req.body?.reason || null,
+  });
+
+  if (!result.ok) return res.status(404).json(result);
+  return res.json(result);
+});
+
+module.exports = router;
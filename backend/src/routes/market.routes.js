@@ -7,7 +7,18 @@
 const express = require("express");
 const router = express.Router();
 
+const { authRequired, requireRole } = require("../middleware/auth");
+const { writeAudit } = require("../lib/audit");
 const marketEngine = require("../services/marketEngine");
+const marketReplayEngine = require("../services/marketReplayEngine");
+const indicators = require("../services/indicators");
+const candleStore = require("../services/candleStore");
+const marketRegime = require("../services/marketRegime");
+
+const ADMIN = "admin";
+const MANAGER = "manager";
+
+router.use(authRequired);
 
 /* =========================================================
    TENANT RESOLUTION
@@ -63,9 +74,20 @@ router.get("/price", (req, res) => {
 
 /* =========================================================
    GET MARKET CANDLES
-   GET /api/market/candles?symbol=BTCUSDT&limit=200
+   GET /api/market/candles?symbol=BTCUSDT
+     &timeframe=1m|5m|15m|1h|4h|1d   default 1m
+     &source=sim|kraken              tenant simulator (default) or Kraken feed
+     &from=&to=                      bar open time, unix seconds/ms or ISO
+     &limit=200                      newest bars, max 5000
+     &open=false                     closed bars only
 ========================================================= */
 
+function feedFor(req,tenantId){
+  return req.query.source === "kraken" || req.body?.source === "kraken"
+    ? "kraken"
+    : candleStore.simFeed(tenantId);
+}
+
 router.get("/candles", (req,res)=>{
 
   try{
@@ -75,16 +97,32 @@ router.get("/candles", (req,res)=>{
       return res.status(400).json({ok:false,error:"Missing tenant"});
 
     const symbol = normalizeSymbol(req.query.symbol);
-    const limit = clamp(req.query.limit,20,500);
 
-    const candles =
-      marketEngine.getCandles(tenantId,symbol,limit) || [];
+    // Simulator series exist once the tenant's engine is running
+    if(req.query.source !== "kraken")
+      marketEngine.registerTenant(tenantId);
+
+    const result = candleStore.getCandles({
+      feed:feedFor(req,tenantId),
+      symbol,
+      timeframe:req.query.timeframe || req.query.tf || "1m",
+      from:req.query.from,
+      to:req.query.to,
+      limit:clamp(req.query.limit ?? 200,1,5000),
+      includeOpen:req.query.open !== "false"
+    });
+
+    if(!result.ok)
+      return res.status(400).json(result);
 
     return res.json({
       ok:true,
       symbol,
-      candles,
-      count:candles.length,
+      source:req.query.source === "kraken" ? "kraken" : "sim",
+      timeframe:result.timeframe,
+      candles:result.candles,
+      count:result.candles.length,
+      total:result.total,
       ts:Date.now()
     });
 
@@ -99,6 +137,173 @@ router.get("/candles", (req,res)=>{
 
 });
 
+/* =========================================================
+   CANDLE SERIES INFO
+   GET /api/market/candles/series?symbol=BTCUSDT&source=sim|kraken
+========================================================= */
+
+router.get("/candles/series",(req,res)=>{
+
+  try{
+
+    const tenantId = resolveTenant(req);
+    if(!tenantId)
+      return res.status(400).json({ok:false,error:"Missing tenant"});
+
+    const series =
+      candleStore.describeSeries(feedFor(req,tenantId),normalizeSymbol(req.query.symbol));
+
+    return res.json({ ok:true, ...series, ts:Date.now() });
+
+  }catch{
+
+    return res.status(500).json({
+      ok:false,
+      error:"Candle series unavailable"
+    });
+
+  }
+
+});
+
+/* =========================================================
+   BACKFILL FROM REPLAY FILES
+   POST /api/market/candles/backfill
+   Body: { symbol, source?: "kraken"|"sim", from?, to? }
+========================================================= */
+
+router.post("/candles/backfill",requireRole(ADMIN,MANAGER),(req,res)=>{
+
+  try{
+
+    const tenantId = resolveTenant(req);
+    if(!tenantId)
+      return res.status(400).json({ok:false,error:"Missing tenant"});
+
+    const symbol = normalizeSymbol(req.body?.symbol);
+    const source = req.body?.source === "sim" ? "sim" : "kraken";
+
+    const result = candleStore.backfill({
+      feed:source === "sim" ? candleStore.simFeed(tenantId) : "kraken",
+      symbol,
+      fromTime:req.body?.from ?? null,
+      toTime:req.body?.to ?? null
+    });
+
+    if(!result.ok)
+      return res.status(404).json(result);
+
+    writeAudit({
+      actor:req.user?.id || tenantId,
+      role:req.user?.role || "user",
+      action:"CANDLES_BACKFILLED",
+      target:symbol,
+      companyId:req.user?.companyId || null,
+      detail:{ source, candles:result.candles, added:result.added }
+    });
+
+    return res.json(result);
+
+  }catch{
+
+    return res.status(500).json({
+      ok:false,
+      error:"Candle backfill failed"
+    });
+
+  }
+
+});
+
+/* =========================================================
+   MARKET REGIME
+   GET /api/market/regime?symbol=BTCUSDT
+     &source=sim|kraken     tenant simulator (default) or Kraken feed
+     &history=true          also the recent regime changes
+   Without a symbol: every simulator symbol of the tenant.
+   Kraken needs a symbol.
+========================================================= */
+
+router.get("/regime",(req,res)=>{
+
+  try{
+
+    const tenantId = resolveTenant(req);
+    if(!tenantId)
+      return res.status(400).json({ok:false,error:"Missing tenant"});
+
+    const kraken = req.query.source === "kraken";
+    if(kraken && !req.query.symbol)
+      return res.status(400).json({ok:false,error:"symbol is required for the kraken source"});
+
+    const feed = feedFor(req,tenantId);
+
+    const symbols = req.query.symbol
+      ? [normalizeSymbol(req.query.symbol)]
+      : Object.keys(marketEngine.getMarketSnapshot(tenantId));
+
+    const regimes = symbols.map((symbol)=>{
+      const reading = marketRegime.current({ tenantId, symbol, feed });
+      if(req.query.history !== "true") return reading;
+      return { ...reading, history:marketRegime.history({ feed, symbol, limit:20 }).rows };
+    });
+
+    return res.json({
+      ok:true,
+      source:kraken ? "kraken" : "sim",
+      labels:marketRegime.LABELS,
+      regimes,
+      ts:Date.now()
+    });
+
+  }catch{
+
+    return res.status(500).json({
+      ok:false,
+      error:"Market regime unavailable"
+    });
+
+  }
+
+});
+
+/* =========================================================
+   REGIME HISTORY
+   GET /api/market/regime/history?symbol=BTCUSDT&source=sim|kraken
+     &from=&to=             unix ms
+     &limit=100&offset=0
+========================================================= */
+
+router.get("/regime/history",(req,res)=>{
+
+  try{
+
+    const tenantId = resolveTenant(req);
+    if(!tenantId)
+      return res.status(400).json({ok:false,error:"Missing tenant"});
+
+    const result = marketRegime.history({
+      feed:feedFor(req,tenantId),
+      symbol:req.query.symbol ? normalizeSymbol(req.query.symbol) : null,
+      from:req.query.from ?? null,
+      to:req.query.to ?? null,
+      limit:req.query.limit,
+      offset:req.query.offset
+    });
+
+    return res.json({ ok:true, ...result, ts:Date.now() });
+
+  }catch{
+
+    return res.status(500).json({
+      ok:false,
+      error:"Regime history unavailable"
+    });
+
+  }
+
+});
+
 /* =========================================================
    MARKET SNAPSHOT (NEW)
    GET /api/market/snapshot?symbol=BTCUSDT
@@ -142,4 +347,75 @@ router.get("/snapshot",(req,res)=>{
 
 });
 
+/* =========================================================
+   INDICATORS
+   GET /api/market/indicators?symbol=BTCUSDT
+     &source=live|replay      live simulator candles (default) or replay data
+     &indicators=rsi:14,macd  default: the standard panel
+     &series=true&limit=200   per-bar values, last `limit` bars
+     &forming=true            live only: also price the open candle
+========================================================= */
+
+router.get("/indicators",(req,res)=>{
+
+  try{
+
+    const tenantId = resolveTenant(req);
+    if(!tenantId)
+      return res.status(400).json({ok:false,error:"Missing tenant"});
+
+    const symbol = normalizeSymbol(req.query.symbol);
+    const source = req.query.source === "replay" ? "replay" : "live";
+    const series = req.query.series === "true";
+    const limit = clamp(req.query.limit ?? 200,1,5000);
+
+    const parsed = req.query.indicators
+      ? indicators.parseSpecs(req.query.indicators)
+      : indicators.parseSpecs(indicators.DEFAULT_SPECS);
+
+    if(!parsed.ok)
+      return res.status(400).json({ok:false,error:"Invalid indicators",errors:parsed.errors});
+
+    // The streaming feed already holds the standard panel
+    if(source === "live" && !req.query.indicators && !series){
+
+      const live =
+        marketEngine.getIndicators(tenantId,symbol,{ forming:req.query.forming === "true" });
+
+      if(!live)
+        return res.status(404).json({ok:false,error:"Unknown symbol"});
+
+      return res.json({ ok:true, source, ...live, ts:Date.now() });
+
+    }
+
+    // Closed candles only; the last live candle is still forming
+    const candles = source === "replay"
+      ? marketReplayEngine.replayCandles({ symbol, limit:Math.max(limit,1000) })
+      : marketEngine.getCandles(tenantId,symbol).slice(0,-1);
+
+    const result =
+      indicators.compute(candles,parsed.specs,{ series, limit });
+
+    return res.json({
+      ok:true,
+      source,
+      symbol,
+      bars:result.bars,
+      values:result.values,
+      series:result.series,
+      ts:Date.now()
+    });
+
+  }catch{
+
+    return res.status(500).json({
+      ok:false,
+      error:"Market indicators unavailable"
+    });
+
+  }
+
+});
+
 module.exports = router;
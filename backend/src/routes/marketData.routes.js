@@ -0,0 +1,95 @@
+// backend/src/routes/marketData.routes.js
+// =========================================================
+// AUTOSHIELD — HISTORICAL MARKET DATA ADMIN ROUTES v1
+// CSV • BINANCE KLINES • KRAKEN OHLCVT • COVERAGE MANIFEST
+// =========================================================
+
+const express = require("express");
+const router = express.Router();
+
+const { authRequired, requireRole } = require("../middleware/auth");
+const { writeAudit } = require("../lib/audit");
+const dataImporter = require("../services/dataImporter");
+
+/* ================= CONFIG ================= */
+
+const MAX_UPLOAD = process.env.MARKET_IMPORT_MAX_BYTES || "100mb";
+
+// Files are posted as the raw request body; options ride in the query
+const rawUpload = express.raw({
+  type: ["text/csv", "text/plain", "application/zip", "application/x-zip-compressed", "application/octet-stream"],
+  limit: MAX_UPLOAD,
+});
+
+/* ================= MIDDLEWARE ================= */
+
+router.use(authRequired, requireRole("admin"));
+
+function audit(req, action, detail) {
+  writeAudit({
+    actor: req.user.id,
+    role: req.user.role,
+    action,
+    target: detail.symbol || null,
+    detail,
+  });
+}
+
+/* ================= COVERAGE ================= */
+
+router.get("/", (req, res) => {
+  return res.json({ ok: true, formats: dataImporter.FORMATS, timeframes: Object.keys(dataImporter.TIMEFRAMES), manifest: dataImporter.manifest() });
+});
+
+router.get("/:symbol", (req, res) => {
+  const symbol = String(req.params.symbol).toUpperCase();
+  const entry = dataImporter.manifest().symbols[symbol];
+
+  if (!entry) {
+    return res.status(404).json({ ok: false, error: "No imported data for symbol" });
+  }
+  return res.json({ ok: true, ...entry });
+});
+
+/* ================= IMPORT ================= */
+
+// Body: the file (CSV or zip)
+// Query: filename, format?, symbol?, timeframe?, tzOffset? (minutes), replace?, dryRun?
+router.post("/import", rawUpload, (req, res) => {
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    return res.status(400).json({ ok: false, error: "Upload the file as the request body (text/csv or application/zip)" });
+  }
+
+  const q = req.query;
+
+  try {
+    const report = dataImporter.importData(req.body, {
+      filename: q.filename ? String(q.filename) : "upload.csv",
+      format: q.format ? String(q.format).toLowerCase() : null,
+      symbol: q.symbol || null,
+      timeframe: q.timeframe || null,
+      tzOffset: Number(q.tzOffset) || 0,
+      replace: q.replace === "true",
+      dryRun: q.dryRun === "true",
+    });
+
+    if (!report.ok) return res.status(400).json(report);
+
+    if (!report.dryRun) {
+      audit(req, "MARKET_DATA_IMPORTED", {
+        symbol: report.symbol,
+        timeframe: report.timeframe,
+        file: report.file,
+        format: report.format,
+        accepted: report.accepted,
+        rejected: report.rejected,
+      });
+    }
+
+    return res.json(report);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+// backend/src/routes/orders.routes.js
+// =========================================================
+// AUTOSHIELD — LIVE ORDER JOURNAL ROUTES v1
+// HISTORY • LIFECYCLE • RECONCILE • SMART ROUTING
+// =========================================================
+
+const express = require("express");
+const router = express.Router();
+
+const { authRequired, requireRole } = require("../middleware/auth");
+const { writeAudit } = require("../lib/audit");
+const orderJournal = require("../services/orderJournal");
+const smartOrderRouter = require("../services/smartOrderRouter");
+
+/* ================= MIDDLEWARE ================= */
+
+router.use(authRequired);
+
+function getTenantId(req) {
+  return req.user?.companyId || req.user?.id || "default_user";
+}
+
+function audit(req, action, target, detail) {
+  writeAudit({
+    actor: req.user.id,
+    role: req.user.role,
+    action,
+    target,
+    detail,
+  });
+}
+
+/* ================= SMART ROUTING ================= */
+
+// Body: { symbol, side, qty | riskPct, price, algo?, slices?, intervalMs?, venues?, volumeProfile? }
+router.post("/smart/plan", (req, res) => {
+  const plan = smartOrderRouter.planParentOrder({ ...req.body, tenantId: getTenantId(req) });
+  return res.status(plan.ok ? 200 : 400).json(plan);
+});
+
+router.post("/smart", requireRole("admin"), async (req, res) => {
+  const started = await smartOrderRouter.startParentOrder({ ...req.body, tenantId: getTenantId(req) });
+
+  if (!started.ok) {
+    return res.status(400).json(started);
+  }
+
+  const { parent } = started;
+  audit(req, "SMART_ORDER_STARTED", parent.id, {
+    symbol: parent.symbol,
+    side: parent.side,
+    qty: parent.qty,
+    algo: parent.algo,
+    slices: parent.slices.length,
+  });
+
+  return res.status(202).json(started);
+});
+
+router.get("/smart/:id", (req, res) => {
+  const parent = smartOrderRouter.getParentOrder(getTenantId(req), req.params.id);
+
+  if (!parent) {
+    return res.status(404).json({ ok: false, error: "Parent order not found" });
+  }
+
+  return res.json({ ok: true, parent });
+});
+
+router.post("/smart/:id/cancel", requireRole("admin"), (req, res) => {
+  const out = smartOrderRouter.cancelParentOrder(getTenantId(req), req.params.id);
+
+  if (!out.ok) {
+    return res.status(out.error === "Parent order not found" ? 404 : 409).json(out);
+  }
+
+  audit(req, "SMART_ORDER_CANCELED", req.params.id, { filledQty: out.parent.filledQty });
+  return res.json(out);
+});
+
+/* ================= HISTORY ================= */
+
+// Query: status?, symbol?, exchange?, parentId?, open?=true, limit?, offset?
+router.get("/", (req, res) => {
+  const { status, symbol, exchange, parentId, open, limit, offset } = req.query;
+
+  if (status && !orderJournal.STATUSES.includes(String(status).toUpperCase())) {
+    return res.status(400).json({ ok: false, error: `Unknown status: ${status}` });
+  }
+
+  const page = orderJournal.list(getTenantId(req), {
+    status,
+    symbol,
+    exchange,
+    parentId,
+    open: open === "true",
+    limit,
+    offset,
+  });
+
+  return res.json({ ok: true, ...page });
+});
+
+router.get("/:id", (req, res) => {
+  const order = orderJournal.get(getTenantId(req), req.params.id);
+
+  if (!order) {
+    return res.status(404).json({ ok: false, error: "Order not found" });
+  }
+
+  return res.json({ ok: true, order });
+});
+
+/* ================= RECONCILE ================= */
+
+// Body: { tenantId? } — omit to reconcile every tenant
+router.post("/reconcile", requireRole("admin"), async (req, res) => {
+  const tenantId = req.body?.tenantId || null;
+
+  try {
+    const report = await orderJournal.reconcile({ tenantId });
+
+    audit(req, "ORDER_JOURNAL_RECONCILED", tenantId, {
+      checked: report.checked,
+      updated: report.updated,
+      unresolved: report.unresolved.length,
+      orphans: report.orphans.length,
+    });
+
+    return res.json(report);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+module.exports = router;
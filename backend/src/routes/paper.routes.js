@@ -7,6 +7,10 @@ const express = require("express");
 const router = express.Router();
 const stealthCore = require("../services/paperTrader"); 
 const marketEngine = require("../services/marketEngine");
+const { writeAudit } = require("../lib/audit");
+const { authRequired } = require("../middleware/auth");
+const killSwitch = require("../services/killSwitch");
+const decisionLog = require("../services/decisionLog");
 
 /* ================= HELPERS ================= */
 const getTenantId = (req) => req.user?.companyId || req.user?.id || "default_user";
@@ -23,7 +27,7 @@ router.get("/snapshot", (req, res) => {
   const state = stealthCore.snapshot(tenantId);
   res.json({ 
     ok: true, 
-    ...state, // Includes equity, balance, position, trades, intelligence
+    ...state, // Includes equity, balance, position, open orders, trades, intelligence
     engine: "STEALTH_LEARNING",
     confidence: global.lastConfidence || 0,
     time: Date.now() 
@@ -66,31 +70,215 @@ router.post("/trade", (req, res) => {
 
 /**
  * POST /emergency-stop
- * New endpoint to handle UI Emergency Exit button.
+ * UI Emergency Exit button: engages the tenant's kill switch, which
+ * closes every paper position at market and blocks new orders until
+ * an admin clears it. Needs a signed-in user to attribute the stop.
  */
-router.post("/emergency-stop", (req, res) => {
+router.post("/emergency-stop", authRequired, async (req, res) => {
   try {
-    const tenantId = getTenantId(req);
-    const state = stealthCore.snapshot(tenantId);
-    
-    if (state.position) {
-      const price = marketEngine.getPrice(tenantId, state.position.symbol);
-      // We trigger a tick with a force-exit condition via the Core logic
-      stealthCore.tick(tenantId, state.position.symbol, price); 
-    }
-    
-    return res.json({ ok: true, message: "Emergency Exit Protocol Engaged" });
+    const result = await killSwitch.engage({
+      scope: "tenant",
+      tenantId: getTenantId(req),
+      reason: "USER_EMERGENCY_STOP",
+      actor: req.user.id,
+      role: req.user.role
+    });
+    if (!result.ok) return res.status(400).json(result);
+
+    return res.json({ ok: true, message: "Emergency Exit Protocol Engaged", killSwitch: result.switch });
   } catch (err) {
     return res.status(500).json({ ok: false, error: "System Lockdown Failed" });
   }
 });
 
+/* ================= 📊 PORTFOLIO ================= */
+
+/**
+ * GET /positions
+ * Every open symbol with mark price and unrealized PnL, plus portfolio equity.
+ */
+router.get("/positions", (req, res) => {
+  const state = stealthCore.snapshot(getTenantId(req));
+  res.json({
+    ok: true,
+    positions: state.positions,
+    equity: state.equity,
+    balance: state.balance,
+    exposure: state.exposure,
+    time: Date.now()
+  });
+});
+
+/**
+ * POST /positions/:symbol/close  { qty? }
+ * Scales out at market; closes the whole position when qty is omitted.
+ */
+router.post("/positions/:symbol/close", authRequired, (req, res) => {
+  const tenantId = getTenantId(req);
+  const symbol = String(req.params.symbol).toUpperCase();
+  const price = marketEngine.getPrice(tenantId, symbol);
+
+  const result = stealthCore.closePosition(tenantId, symbol, price, Number(req.body?.qty));
+  if (!result.ok) return res.status(409).json(result);
+  return res.json(result);
+});
+
+/**
+ * PUT /positions/:symbol/protection  { stopLoss?, takeProfit? }
+ */
+router.put("/positions/:symbol/protection", authRequired, (req, res) => {
+  const result = stealthCore.setProtection(getTenantId(req), req.params.symbol, req.body || {});
+  if (!result.ok) return res.status(404).json(result);
+  return res.json(result);
+});
+
+/* ================= 📒 ORDER BOOK ================= */
+
+/**
+ * GET /orders?status=open|closed|all&symbol=BTCUSDT
+ * Resting and recently closed orders, newest first.
+ */
+router.get("/orders", (req, res) => {
+  const tenantId = getTenantId(req);
+  const orders = stealthCore.listOrders(tenantId, {
+    status: String(req.query.status || "all").toLowerCase(),
+    symbol: req.query.symbol
+  });
+  res.json({ ok: true, orders, count: orders.length, time: Date.now() });
+});
+
+/**
+ * POST /orders
+ * { symbol, side, type, qty, limitPrice?, stopPrice?, trailPercent?|trailAmount?,
+ *   timeInForce?, stopLoss?, takeProfit? }
+ */
+router.post("/orders", authRequired, (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const body = req.body || {};
+    const symbol = String(body.symbol || "").toUpperCase();
+
+    marketEngine.registerTenant(tenantId);
+    const currentPrice = marketEngine.getPrice(tenantId, symbol);
+
+    const result = stealthCore.placeOrder(tenantId, body, currentPrice);
+    if (!result.ok) return res.status(400).json(result);
+
+    return res.status(201).json(result);
+  } catch (err) {
+    console.error("Order Route Error:", err.message);
+    return res.status(500).json({ ok: false, error: "Internal Engine Error" });
+  }
+});
+
+/**
+ * PUT /orders/:id
+ * Cancel/replace: unfilled quantity moves to a new order id.
+ */
+router.put("/orders/:id", authRequired, (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const existing = stealthCore.listOrders(tenantId).find(o => o.id === req.params.id);
+    if (!existing) return res.status(404).json({ ok: false, error: "Order not found" });
+
+    const currentPrice = marketEngine.getPrice(tenantId, existing.symbol);
+    const result = stealthCore.replaceOrder(tenantId, req.params.id, req.body || {}, currentPrice);
+    if (!result.ok) return res.status(409).json(result);
+
+    return res.json(result);
+  } catch (err) {
+    console.error("Order Route Error:", err.message);
+    return res.status(500).json({ ok: false, error: "Internal Engine Error" });
+  }
+});
+
+/**
+ * DELETE /orders/:id
+ */
+router.delete("/orders/:id", authRequired, (req, res) => {
+  const tenantId = getTenantId(req);
+  const exists = stealthCore.listOrders(tenantId).some(o => o.id === req.params.id);
+  if (!exists) return res.status(404).json({ ok: false, error: "Order not found" });
+
+  const result = stealthCore.cancelOrder(tenantId, req.params.id);
+  if (!result.ok) return res.status(409).json(result);
+
+  return res.json(result);
+});
+
+/* ================= 🗄️ ACCOUNT ================= */
+
+/**
+ * GET /history?type=EXIT&symbol=BTCUSDT&epoch=2|all&limit=50&offset=0
+ * Full persisted trade log, newest first. Defaults to the current account epoch.
+ */
+router.get("/history", (req, res) => {
+  const { type, symbol, epoch, limit, offset } = req.query;
+  const page = stealthCore.history(getTenantId(req), { type, symbol, epoch, limit, offset });
+  res.json({ ok: true, ...page, time: Date.now() });
+});
+
+/**
+ * POST /account/reset  { reason? }
+ * Starts a fresh account at the starting balance. Earlier trades stay in /history?epoch=all.
+ */
+router.post("/account/reset", authRequired, (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    const actor = req.user?.id || tenantId;
+    const reason = req.body?.reason ? String(req.body.reason) : null;
+
+    const result = stealthCore.resetAccount(tenantId, { actor, reason });
+
+    writeAudit({
+      actor,
+      role: req.user?.role || "user",
+      action: "PAPER_ACCOUNT_RESET",
+      target: tenantId,
+      companyId: req.user?.companyId || null,
+      detail: { epoch: result.epoch, reason },
+    });
+
+    return res.json(result);
+  } catch (err) {
+    console.error("Reset Route Error:", err.message);
+    return res.status(500).json({ ok: false, error: "Internal Engine Error" });
+  }
+});
+
+/* ================= 🔍 DECISIONS ================= */
+
+/**
+ * GET /decisions?symbol=&outcome=ENTERED|EXITED|REJECTED|SKIPPED|WAIT
+ *   &action=BUY&tradeId=&from=&to=&limit=50&offset=0
+ * Why the engine entered, exited or skipped: features, per-component
+ * contributions and thresholds of each decision, newest first.
+ */
+router.get("/decisions", (req, res) => {
+  const { symbol, outcome, action, tradeId, from, to, limit, offset } = req.query;
+  const page = decisionLog.list(getTenantId(req), { symbol, outcome, action, tradeId, from, to, limit, offset });
+  res.json({ ok: true, ...page, time: Date.now() });
+});
+
+router.get("/decisions/:id", (req, res) => {
+  const decision = decisionLog.get(getTenantId(req), req.params.id);
+  if (!decision) return res.status(404).json({ ok: false, error: "Decision not found" });
+  return res.json({ ok: true, decision });
+});
+
+/**
+ * GET /trades/:tradeId/decisions
+ * The entry decision and, once closed on a signal, the exit decision
+ * behind one trade (tradeId is on positions and EXIT history records).
+ */
+router.get("/trades/:tradeId/decisions", (req, res) => {
+  const decisions = decisionLog.forTrade(getTenantId(req), req.params.tradeId);
+  if (!decisions.length) return res.status(404).json({ ok: false, error: "No decisions for this trade" });
+  return res.json({ ok: true, tradeId: req.params.tradeId, decisions });
+});
+
 /* ================= LEGACY SUPPORT (STABILITY) ================= */
 // We keep these briefly so other services don't break during transition
 router.get("/status", (req, res) => res.redirect("/api/paper/snapshot"));
-router.get("/orders", (req, res) => {
-  const state = stealthCore.snapshot(getTenantId(req));
-  res.json({ ok: true, trades: state.trades, intelligence: state.intelligence });
-});
 
 module.exports = router;
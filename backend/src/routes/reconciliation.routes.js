@@ -0,0 +1,72 @@
+// backend/src/routes/reconciliation.routes.js
+// =========================================================
+// AUTOSHIELD — POSITION RECONCILIATION ROUTES v1
+// STATUS • HISTORY • RUN DETAIL • MANUAL RUN
+// =========================================================
+
+const express = require("express");
+const router = express.Router();
+
+const { authRequired, requireRole } = require("../middleware/auth");
+const { writeAudit } = require("../lib/audit");
+const reconciliation = require("../services/reconciliation");
+
+/* ================= MIDDLEWARE ================= */
+
+// Venue accounts are shared by every tenant
+router.use(authRequired, requireRole("admin"));
+
+/* ================= STATUS ================= */
+
+router.get("/", (req, res) => {
+  return res.json({ ok: true, kinds: reconciliation.KINDS, ...reconciliation.status() });
+});
+
+/* ================= HISTORY ================= */
+
+// Query: venue?, kind?, breaksOnly?, limit?, offset?
+router.get("/history", (req, res) => {
+  const result = reconciliation.history({
+    venue: req.query.venue || null,
+    kind: req.query.kind || null,
+    breaksOnly: req.query.breaksOnly === "true",
+    limit: req.query.limit,
+    offset: req.query.offset,
+  });
+  return res.json({ ok: true, ...result });
+});
+
+router.get("/history/:id", (req, res) => {
+  const run = reconciliation.get(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({ ok: false, error: "Reconciliation run not found" });
+  }
+  return res.json({ ok: true, run });
+});
+
+/* ================= RUN ================= */
+
+router.post("/run", async (req, res) => {
+  try {
+    const result = await reconciliation.run({ trigger: "manual", actor: req.user.id });
+
+    if (!result.ok) return res.status(409).json(result);
+
+    if (!result.skipped) {
+      writeAudit({
+        actor: req.user.id,
+        role: req.user.role,
+        action: "RECONCILIATION_RUN",
+        target: result.id,
+        detail: { venues: Object.keys(result.venues), ...result.summary },
+      });
+    }
+
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+module.exports = router;
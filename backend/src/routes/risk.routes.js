@@ -0,0 +1,72 @@
+// backend/src/routes/risk.routes.js
+// =========================================================
+// AUTOSHIELD — PORTFOLIO RISK ROUTES v1
+// VALUE-AT-RISK • CVAR • STRESS SCENARIOS
+// =========================================================
+
+const express = require("express");
+const router = express.Router();
+
+const { authRequired } = require("../middleware/auth");
+const portfolioRiskEngine = require("../services/portfolioRiskEngine");
+
+/* ================= MIDDLEWARE ================= */
+
+router.use(authRequired);
+
+function getTenantId(req) {
+  return req.user?.companyId || req.user?.id || "default_user";
+}
+
+function reportOptions(src = {}) {
+  const num = (v) => (v === undefined || v === "" ? undefined : Number(v));
+
+  return {
+    confidence: num(src.confidence),
+    horizonMs: num(src.horizonMs),
+    simulations: num(src.simulations),
+    seed: src.seed,
+  };
+}
+
+/* ================= REPORT ================= */
+
+// Query: confidence?, horizonMs?, simulations?, seed? — scores the paper book
+router.get("/report", (req, res) => {
+  try {
+    return res.json(portfolioRiskEngine.buildReport(getTenantId(req), reportOptions(req.query)));
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { ...query options, positions?, equity?, scenarios?: [{ id, name, shocks: { BTC: -0.2 } }] }
+router.post("/report", (req, res) => {
+  const body = req.body || {};
+
+  if (body.positions !== undefined && !Array.isArray(body.positions)) {
+    return res.status(400).json({ ok: false, error: "positions must be an array" });
+  }
+  if (body.scenarios !== undefined && !Array.isArray(body.scenarios)) {
+    return res.status(400).json({ ok: false, error: "scenarios must be an array" });
+  }
+
+  try {
+    return res.json(
+      portfolioRiskEngine.buildReport(getTenantId(req), {
+        ...reportOptions(body),
+        positions: body.positions,
+        equity: body.equity,
+        scenarios: body.scenarios,
+      })
+    );
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.get("/scenarios", (req, res) => {
+  return res.json({ ok: true, scenarios: portfolioRiskEngine.SCENARIOS });
+});
+
+module.exports = router;
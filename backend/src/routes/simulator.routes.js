@@ -0,0 +1,88 @@
+// backend/src/routes/simulator.routes.js
+// =========================================================
+// AUTOSHIELD — MARKET SIMULATOR ADMIN ROUTES v1
+// PRICE MODELS • PER-TENANT SEEDS • RUNTIME SYMBOLS
+// =========================================================
+
+const express = require("express");
+const router = express.Router();
+
+const { authRequired, requireRole } = require("../middleware/auth");
+const { writeAudit } = require("../lib/audit");
+const marketEngine = require("../services/marketEngine");
+const { MODEL_DEFAULTS } = require("../services/priceProcesses");
+
+/* ================= MIDDLEWARE ================= */
+
+router.use(authRequired, requireRole("admin"));
+
+function audit(req, action, detail) {
+  writeAudit({
+    actor: req.user.id,
+    role: req.user.role,
+    action,
+    target: detail.symbol || detail.tenantId || null,
+    detail,
+  });
+}
+
+/* ================= READ ================= */
+
+router.get("/", (req, res) => {
+  const tenantId = req.query.tenantId;
+
+  return res.json({
+    ok: true,
+    models: MODEL_DEFAULTS,
+    catalog: marketEngine.getCatalog(),
+    tenant: tenantId ? marketEngine.getSimulationConfig(tenantId) : null,
+  });
+});
+
+/* ================= SYMBOLS ================= */
+
+// Body: { symbol, start, vol?, model?, params?, tenantId? }
+router.post("/symbols", (req, res) => {
+  const { symbol, tenantId, ...def } = req.body || {};
+
+  try {
+    const config = marketEngine.addSymbol(symbol, def, { tenantId });
+    audit(req, "SIM_SYMBOL_ADDED", { symbol, tenantId: tenantId || null, model: config.model });
+    return res.status(201).json({ ok: true, symbol: String(symbol).toUpperCase(), config });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+router.delete("/symbols/:symbol", (req, res) => {
+  const tenantId = req.query.tenantId;
+  const removed = marketEngine.removeSymbol(req.params.symbol, { tenantId });
+
+  if (!removed) {
+    return res.status(404).json({ ok: false, error: "Symbol not simulated" });
+  }
+
+  audit(req, "SIM_SYMBOL_REMOVED", { symbol: req.params.symbol, tenantId: tenantId || null });
+  return res.json({ ok: true });
+});
+
+/* ================= TENANTS ================= */
+
+// Body: { seed?, symbols?: { BTCUSDT: { model, params, start, vol } } }
+router.put("/tenants/:tenantId", (req, res) => {
+  const { seed, symbols } = req.body || {};
+
+  try {
+    const config = marketEngine.configureTenant(req.params.tenantId, { seed, symbols });
+    audit(req, "SIM_TENANT_CONFIGURED", {
+      tenantId: req.params.tenantId,
+      seed: config.seed,
+      symbols: Object.keys(symbols || {}),
+    });
+    return res.json({ ok: true, config });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,295 @@
+// backend/src/routes/strategies.routes.js
+// =========================================================
+// AUTOSHIELD — STRATEGY DSL ROUTES v1
+// AUTHOR • VERSION • BACKTEST • PAPER • PROMOTION PIPELINE
+// =========================================================
+
+const express = require("express");
+const router = express.Router();
+
+const { authRequired, requireRole } = require("../middleware/auth");
+const { writeAudit } = require("../lib/audit");
+const strategyDsl = require("../services/strategyDsl");
+const strategyRegistry = require("../services/strategyRegistry");
+const strategyPromotion = require("../services/strategyPromotion");
+
+/* ================= ROLES ================= */
+
+const ADMIN = "admin";
+const MANAGER = "manager";
+
+/* ================= MIDDLEWARE ================= */
+
+router.use(authRequired);
+
+function getTenantId(req) {
+  return req.user?.companyId || req.user?.id || "default_user";
+}
+
+function actorOf(req) {
+  return req.user?.id || getTenantId(req);
+}
+
+function audit(req, action, target, detail) {
+  writeAudit({
+    actor: actorOf(req),
+    role: req.user?.role || "user",
+    action,
+    target,
+    companyId: req.user?.companyId || null,
+    detail,
+  });
+}
+
+function fail(res, result) {
+  const status = /not found/i.test(result.error || "") ? 404 : 400;
+  return res.status(status).json(result);
+}
+
+function backtestOptions(body = {}) {
+  const num = (v) => (v === undefined || v === "" ? undefined : Number(v));
+  return {
+    symbol: body.symbol,
+    seed: body.seed,
+    folds: num(body.folds),
+    inSample: num(body.inSample),
+    outOfSample: num(body.outOfSample),
+    anchored: Boolean(body.anchored),
+    limit: num(body.limit),
+    costs: body.costs,
+  };
+}
+
+/* ================= GRAMMAR ================= */
+
+router.get("/dsl", (req, res) => {
+  return res.json({ ok: true, ...strategyDsl.describe() });
+});
+
+// Body: { definition } — dry run, nothing is stored
+router.post("/validate", (req, res) => {
+  return res.json(strategyDsl.validate(req.body?.definition));
+});
+
+/* ================= DEFINITIONS ================= */
+
+router.get("/", (req, res) => {
+  return res.json({ ok: true, strategies: strategyRegistry.list(getTenantId(req)) });
+});
+
+// Body: { definition, note? }
+router.post("/", (req, res) => {
+  try {
+    const result = strategyRegistry.create(getTenantId(req), req.body?.definition, {
+      actor: actorOf(req),
+      note: req.body?.note ? String(req.body.note) : null,
+    });
+    if (!result.ok) return fail(res, result);
+
+    audit(req, "STRATEGY_CREATED", result.strategy.strategyId, { version: 1, name: result.strategy.name });
+    return res.status(201).json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* ================= PROMOTION PIPELINE ================= */
+
+router.get("/promotions", (req, res) => {
+  const result = strategyPromotion.list(getTenantId(req), {
+    strategyId: req.query.strategyId || null,
+    stage: req.query.stage || null,
+    status: req.query.status || null,
+    limit: req.query.limit,
+    offset: req.query.offset,
+  });
+  return res.json({ ok: true, ...result });
+});
+
+router.get("/promotions/gates", (req, res) => {
+  const { gates, demotion, pilotAllocation, interval } = strategyPromotion.CONFIG;
+  return res.json({ ok: true, stages: strategyPromotion.STAGES, gates, demotion, pilotAllocation, interval });
+});
+
+router.get("/promotions/:pid", (req, res) => {
+  const promotion = strategyPromotion.get(getTenantId(req), req.params.pid);
+  if (!promotion) return res.status(404).json({ ok: false, error: "Promotion not found" });
+  return res.json({ ok: true, promotion });
+});
+
+// Body: backtest options as for /:id/backtest; ignored on paper and live stages
+router.post("/promotions/:pid/evaluate", async (req, res) => {
+  try {
+    const result = await strategyPromotion.evaluate(getTenantId(req), req.params.pid, backtestOptions(req.body));
+    if (!result.ok) return fail(res, result);
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { note? } — moves the candidate to its next stage
+router.post("/promotions/:pid/approve", requireRole(ADMIN, MANAGER), async (req, res) => {
+  try {
+    const result = await strategyPromotion.approve(getTenantId(req), req.params.pid, {
+      actor: actorOf(req),
+      role: req.user.role,
+      note: req.body?.note ? String(req.body.note) : null,
+    });
+    if (!result.ok) return fail(res, result);
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { reason? }
+router.post("/promotions/:pid/demote", requireRole(ADMIN, MANAGER), (req, res) => {
+  try {
+    const result = strategyPromotion.demote(getTenantId(req), req.params.pid, {
+      actor: actorOf(req),
+      role: req.user.role,
+      reason: req.body?.reason ? String(req.body.reason) : "manual",
+    });
+    if (!result.ok) return fail(res, result);
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { reason? }
+router.post("/promotions/:pid/withdraw", requireRole(ADMIN, MANAGER), (req, res) => {
+  try {
+    const result = strategyPromotion.withdraw(getTenantId(req), req.params.pid, {
+      actor: actorOf(req),
+      role: req.user.role,
+      reason: req.body?.reason ? String(req.body.reason) : null,
+    });
+    if (!result.ok) return fail(res, result);
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.get("/:id", (req, res) => {
+  const strategy = strategyRegistry.get(getTenantId(req), req.params.id);
+  if (!strategy) return res.status(404).json({ ok: false, error: "Strategy not found" });
+  return res.json({ ok: true, strategy });
+});
+
+// Body: { definition, note? } — saves the next version
+router.post("/:id/versions", (req, res) => {
+  try {
+    const result = strategyRegistry.addVersion(getTenantId(req), req.params.id, req.body?.definition, {
+      actor: actorOf(req),
+      note: req.body?.note ? String(req.body.note) : null,
+    });
+    if (!result.ok) return fail(res, result);
+
+    if (result.created) {
+      audit(req, "STRATEGY_VERSIONED", req.params.id, { version: result.strategy.version });
+    }
+    return res.status(result.created ? 201 : 200).json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.get("/:id/versions/:version", (req, res) => {
+  const version = strategyRegistry.getVersion(getTenantId(req), req.params.id, req.params.version);
+  if (!version) return res.status(404).json({ ok: false, error: "Strategy version not found" });
+  return res.json({ ok: true, strategy: version });
+});
+
+/* ================= USE ================= */
+
+// Body: { version?, symbol?, seed?, folds?, inSample?, outOfSample?, anchored?, limit?, costs? }
+router.post("/:id/backtest", async (req, res) => {
+  try {
+    const result = await strategyRegistry.backtest(getTenantId(req), req.params.id, {
+      version: req.body?.version,
+      ...backtestOptions(req.body),
+    });
+    if (!result.ok) return fail(res, result);
+
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { version?, symbols? } — the paper account trades this version
+router.post("/:id/paper", (req, res) => {
+  try {
+    const result = strategyRegistry.paperTrade(getTenantId(req), req.params.id, {
+      version: req.body?.version,
+      symbols: req.body?.symbols,
+    });
+    if (!result.ok) return fail(res, result);
+
+    audit(req, "STRATEGY_PAPER_STARTED", req.params.id, { version: result.paper.version, symbols: result.paper.symbols });
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Hands the paper account back to tradeBrain
+router.delete("/paper", (req, res) => {
+  try {
+    const result = strategyRegistry.stopPaperTrading(getTenantId(req));
+    audit(req, "STRATEGY_PAPER_STOPPED", getTenantId(req), {});
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { version?, gates?, symbols? } — enters the pipeline at the backtest stage;
+// gates (admin/manager) override the configured ones per stage, symbols limit
+// the paper stage
+router.post("/:id/promotions", (req, res) => {
+  const role = String(req.user?.role || "").toLowerCase();
+  if (req.body?.gates && role !== ADMIN && role !== MANAGER) {
+    return res.status(403).json({ ok: false, error: "Only admins and managers can override promotion gates" });
+  }
+
+  try {
+    const result = strategyPromotion.nominate(getTenantId(req), req.params.id, {
+      version: req.body?.version,
+      gates: req.body?.gates || null,
+      symbols: req.body?.symbols,
+      actor: actorOf(req),
+      role: req.user?.role || "user",
+    });
+    if (!result.ok) return fail(res, result);
+    return res.status(201).json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { version?, note? } — approves the strategy's active candidate
+// into its next stage; live capital is only reached through the pipeline
+router.post("/:id/promote", requireRole(ADMIN, MANAGER), async (req, res) => {
+  try {
+    const candidate = strategyPromotion.activeFor(getTenantId(req), req.params.id, req.body?.version);
+    if (!candidate) {
+      return res.status(409).json({ ok: false, error: "No active promotion; nominate the version first (POST /:id/promotions)" });
+    }
+
+    const result = await strategyPromotion.approve(getTenantId(req), candidate.id, {
+      actor: actorOf(req),
+      role: req.user.role,
+      note: req.body?.note ? String(req.body.note) : null,
+    });
+    if (!result.ok) return fail(res, result);
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+module.exports = router;
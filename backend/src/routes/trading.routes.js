@@ -11,6 +11,7 @@ const { authRequired, requireRole } = require("../middleware/auth");
 const executionEngine = require("../services/executionEngine");
 const engineCore = require("../engine/engineCore");
 const stateStore = require("../engine/stateStore");
+const killSwitch = require("../services/killSwitch");
 
 /* ================= ROLES ================= */
 const ADMIN = "admin";
@@ -42,7 +43,7 @@ router.get("/ai/snapshot", requireRole(ADMIN, MANAGER), (req, res) => {
     return res.json({
       ok: true,
       data: {
-        action: stats.regime === "BULL_RUN" ? "BUY" : "WAIT",
+        action: stats.regime === "trend_up" ? "BUY" : "WAIT",
         confidence: stats.confidence,
         regime: stats.regime,
         reason: stats.uptime + " active",
@@ -134,19 +135,26 @@ router.post("/order", requireRole(ADMIN, MANAGER), (req, res) => {
 });
 
 // 🚨 EMERGENCY STOP ENDPOINT (Called by Frontend SecurityContext)
-router.post("/emergency-stop", requireRole(ADMIN, MANAGER), (req, res) => {
+// Engages the tenant's kill switch: every open position is closed at
+// market and new orders stay blocked until an admin clears it.
+router.post("/emergency-stop", requireRole(ADMIN, MANAGER), async (req, res) => {
   const tenantId = getTenantId(req);
   try {
-    const state = stateStore.getState(tenantId);
-    // Liquidate all positions in the execution engine
-    executionEngine.executePaperOrder({
-        tenantId,
-        side: "CLOSE",
-        price: state.lastPriceBySymbol["BTCUSDT"] || 0,
-        state,
-        reason: "USER_EMERGENCY_STOP"
+    const result = await killSwitch.engage({
+      scope: "tenant",
+      tenantId,
+      reason: "USER_EMERGENCY_STOP",
+      actor: req.user.id,
+      role: req.user.role
+    });
+    if (!result.ok) return res.json(result);
+
+    return res.json({
+      ok: true,
+      message: "TERMINAL_HALT_SUCCESSFUL",
+      closed: result.switch.flattened?.closed || 0,
+      killSwitch: result.switch
     });
-    return res.json({ ok: true, message: "TERMINAL_HALT_SUCCESSFUL" });
   } catch (err) {
     return res.json({ ok: false, error: err.message });
   }
@@ -15,6 +15,12 @@
 const express = require("express");
 const router = express.Router();
 
+const { authRequired } = require("../middleware/auth");
+const tearsheetEngine = require("../services/tearsheetEngine");
+const shadowParity = require("../services/shadowParity");
+
+router.use("/trading", authRequired);
+
 /* =========================================================
 UTIL
 ========================================================= */
@@ -123,6 +129,77 @@ router.get("/trading", (req, res) => {
   });
 });
 
+/* =========================================================
+TEARSHEET
+========================================================= */
+
+// Query: mode=paper|live, from?, to?, symbol?, strategy?, interval=day|hour,
+// format=json|csv, table=trades|equity|monthly|drawdowns|summary (csv only)
+router.get("/trading/tearsheet", (req, res) => {
+  const tenantId = getTenantId(req);
+  const q = req.query || {};
+  const format = String(q.format || "json").toLowerCase();
+
+  if (format !== "json" && format !== "csv") {
+    return res.status(400).json({ ok: false, error: "format must be json or csv" });
+  }
+
+  const sheet = tearsheetEngine.buildTearsheet({
+    tenantId,
+    mode: String(q.mode || "paper").toLowerCase(),
+    from: q.from,
+    to: q.to,
+    symbol: q.symbol,
+    strategy: q.strategy,
+    interval: String(q.interval || "day").toLowerCase(),
+    startingCapital: q.startingCapital,
+  });
+
+  if (!sheet.ok) return res.status(400).json(sheet);
+
+  const stamp = new Date(sheet.generatedAt).toISOString().slice(0, 10);
+
+  if (format === "csv") {
+    const table = String(q.table || "trades");
+    const out = tearsheetEngine.toCsv(sheet, table);
+    if (!out.ok) return res.status(400).json(out);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="tearsheet-${sheet.mode}-${table}-${stamp}.csv"`);
+    return res.send(out.csv);
+  }
+
+  if (q.download) {
+    res.setHeader("Content-Disposition", `attachment; filename="tearsheet-${sheet.mode}-${stamp}.json"`);
+  }
+
+  return res.json(sheet);
+});
+
+/* =========================================================
+LIVE ↔ SHADOW PARITY
+========================================================= */
+
+// Query: venue?, symbol?, source?, from?, to?, limit?
+// Implementation shortfall of live fills against their paper shadows.
+// Admins may pass tenantId=system for the Kraken executor's orders.
+router.get("/trading/parity", (req, res) => {
+  const q = req.query || {};
+  const admin = String(req.user?.role || "").toLowerCase() === "admin";
+
+  const report = shadowParity.report({
+    tenantId: admin && q.tenantId ? String(q.tenantId) : getTenantId(req),
+    venue: q.venue,
+    symbol: q.symbol,
+    source: q.source,
+    from: q.from,
+    to: q.to,
+    limit: q.limit,
+  });
+
+  return res.json(report);
+});
+
 /* =========================================================
 STATE (DEBUG)
 ========================================================= */
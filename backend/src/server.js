@@ -14,6 +14,7 @@ const { verify } = require("./lib/jwt");
 const marketEngine = require("./services/marketEngine");
 const paperTrader = require("./services/paperTrader"); // Corrected to paperTrader for paper channel sync
 const engineCore = require("./engine/engineCore"); 
+const riskGateway = require("./services/riskGateway");
 
 const app = express();
 
@@ -42,7 +43,19 @@ global.executeStealthTrade = async function(side, price, confidence, tenantId =
   console.log(`[SYS]: ${isLive ? 'LIVE' : 'PAPER'} GATE | Side: ${side} | Conf: ${confidence}%`);
 
   if (confidence > 25) {
-    return isLive ? "LIVE_ORDER_SENT" : paperTrader.tick(tenantId, "BTCUSDT", price);
+    // Paper entries pass the risk gateway inside the paper core
+    if (!isLive) return paperTrader.tick(tenantId, "BTCUSDT", price);
+
+    const risk = await riskGateway.authorize({
+      tenantId,
+      mode: "live",
+      source: "executeStealthTrade",
+      symbol: "BTCUSDT",
+      side,
+      price,
+      riskPct: 0.02 // same 2% sizing as paper entries
+    });
+    return risk.approved ? "LIVE_ORDER_SENT" : `RISK_REJECTED: ${risk.reason}`;
   }
   return "WAITING_FOR_SIGNAL";
 };
@@ -51,7 +64,16 @@ global.executeStealthTrade = async function(side, price, confidence, tenantId =
 app.use("/api/auth", require("./routes/auth.routes"));
 app.use("/api/paper", require("./routes/paper.routes")); 
 app.use("/api/analytics", require("./routes/analytics.routes"));
+app.use("/api/analytics", require("./routes/tradingAnalytics"));
 app.use("/api/system", require("./routes/system.routes")); 
+app.use("/api/admin/simulator", require("./routes/simulator.routes"));
+app.use("/api/admin/market-data", require("./routes/marketData.routes"));
+app.use("/api/kill-switch", require("./routes/killSwitch.routes"));
+app.use("/api/reconciliation", require("./routes/reconciliation.routes"));
+app.use("/api/orders", require("./routes/orders.routes"));
+app.use("/api/market", require("./routes/market.routes"));
+app.use("/api/risk", require("./routes/risk.routes"));
+app.use("/api/strategies", require("./routes/strategies.routes"));
 
 app.get("/", (req, res) => {
   res.json({
@@ -124,10 +146,64 @@ setInterval(() => {
   });
 }, 1000);
 
+/* ================= 🛑 KILL SWITCH PUSH ================= */
+// Engage / flatten / clear go out at once on every channel: to the
+// affected tenant, or to everyone for switches without a tenant
+const killSwitch = require("./services/killSwitch");
+
+killSwitch.events.on("change", (change) => {
+  const msg = JSON.stringify({ type: "killswitch", ...change });
+
+  wss.clients.forEach((client) => {
+    if (client.readyState !== 1) return;
+    if (change.switch.tenantId && client.tenantId !== change.switch.tenantId) return;
+    try {
+      client.send(msg);
+    } catch (err) {
+      console.error("[WS_PUSH_ERR]:", err.message);
+    }
+  });
+});
+
 /* ================= 🏁 STARTUP ================= */
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`🚀 AUTOSHIELD v33.0 BROADCAST ACTIVE ON PORT ${PORT}`);
+
+  // Paper accounts resume where the previous process left off
+  console.log(`[CORE]: restored ${paperTrader.restoreAll()} paper accounts`);
+
+  // Settle orders left in flight by the previous process
+  if (process.env.ORDER_JOURNAL_RECONCILE !== "false") {
+    require("./services/orderJournal").reconcile()
+      .then((r) => console.log(`[JOURNAL]: reconciled ${r.checked} open orders (${r.updated} updated, ${r.unresolved.length} unresolved, ${r.orphans.length} orphans)`))
+      .catch((err) => console.error("[JOURNAL_RECONCILE_ERR]:", err.message));
+  }
+
+  // Feed staleness, adapter failure and daily-loss breakers
+  if (killSwitch.start()) console.log(`[KILL_SWITCH]: breakers armed (${killSwitch.active().length} switches engaged)`);
+
+  // Books vs venue balances, cash and open orders; breaks raise SOC alerts
+  if (require("./services/reconciliation").start()) console.log("[RECON]: position reconciliation scheduled");
+
+  // Live promotion candidates back into strategyLab; degraded ones get demoted
+  if (require("./services/strategyPromotion").start()) console.log("[PROMOTION]: live strategy monitor scheduled");
+
+  // Live Kraken prices into the multi-timeframe candle store (opt-in: opens a public WS)
+  if (process.env.KRAKEN_CANDLES_ENABLED === "true") {
+    const candleStore = require("./services/candleStore");
+    const marketRegime = require("./services/marketRegime");
+    const handlers = candleStore.krakenHandlers();
+    require("./services/krakenFeed").startKrakenFeed({
+      ...handlers,
+      onTick: (e) => {
+        handlers.onTick(e);
+        killSwitch.heartbeat({ feed: "kraken", mode: "live", symbol: e.symbol, price: e.price });
+        marketRegime.current({ feed: "kraken", symbol: e.symbol });
+      },
+      onStatus: (s) => console.log(`[KRAKEN_CANDLES]: ${s}`),
+    });
+  }
 });
 
 process.on('uncaughtException', (err) => console.error('SHIELDED ERROR:', err.stack));
@@ -2,8 +2,12 @@
 // Phase 16 — Coinbase Advanced Trade Smart Adapter
 // Router Compatible • Risk-Based Qty • Liquidation Aware
 // Partial Fills • Slippage Model • Sandbox Safe
+// Live: signed REST via coinbasePrivate (COINBASE_SANDBOX=false)
 
 const crypto = require("crypto");
+const costModel = require("../costModel");
+const venue = require("../coinbasePrivate");
+const orderJournal = require("../orderJournal");
 
 /* =========================================================
    CONFIG
@@ -11,7 +15,14 @@ const crypto = require("crypto");
 
 const CONFIG = Object.freeze({
   name: "coinbase",
-  sandbox: true,
+  // Live REST only when explicitly disabled
+  sandbox:
+    String(process.env.COINBASE_SANDBOX || "true")
+      .toLowerCase() !== "false",
+
+  // Post-placement status polling (router timeout is 8s)
+  pollIntervalMs: Number(process.env.COINBASE_POLL_INTERVAL_MS || 250),
+  pollTimeoutMs: Number(process.env.COINBASE_POLL_TIMEOUT_MS || 5000),
 
   baseSlippagePct: 0.0006,
   liquidationSlippagePct: 0.0016,
@@ -47,13 +58,22 @@ function simulateLatency() {
   );
 }
 
-function simulateSlippage(price, side, forceClose) {
-  const slip = forceClose
+// Crosses the spread (live book when there is one) plus slippage and
+// charges the taker fee at the tenant's 30-day volume tier
+function simulateFill(order, qty) {
+  const slip = order.forceClose
     ? CONFIG.liquidationSlippagePct
     : CONFIG.baseSlippagePct;
 
-  if (side === "BUY") return price * (1 + slip);
-  return price * (1 - slip);
+  return costModel.takerFill({
+    venue: CONFIG.name,
+    tenantId: order.tenantId,
+    symbol: order.symbol,
+    side: order.side,
+    price: order.price,
+    qty,
+    slippageBps: slip * 10000,
+  });
 }
 
 function simulatePartialFill(qty, forceClose) {
@@ -72,6 +92,38 @@ function buildOrderId() {
     .slice(2)}`;
 }
 
+const TERMINAL_STATUSES = ["FILLED", "CANCELED", "REJECTED", "EXPIRED"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Market orders usually settle within a poll or two; limits may rest
+async function pollUntilSettled(order) {
+  const deadline = Date.now() + CONFIG.pollTimeoutMs;
+  let current = order;
+
+  while (!TERMINAL_STATUSES.includes(current.status) && Date.now() < deadline) {
+    await sleep(CONFIG.pollIntervalMs);
+    current = await venue.getOrder(current);
+  }
+
+  return current;
+}
+
+// `executionUnknown`: the venue may have executed it anyway (timeout,
+// 5xx, transport error, or the order was placed and then lost)
+function failure(err, { placed = false } = {}) {
+  return {
+    ok: false,
+    exchange: CONFIG.name,
+    error: err?.message || "Execution failure",
+    code: err?.code ?? null,
+    retryable: Boolean(err?.retryable),
+    executionUnknown: placed || !err?.rejected,
+  };
+}
+
 /* =========================================================
    NORMALIZATION
 ========================================================= */
@@ -80,11 +132,13 @@ function normalizeParams(params = {}) {
   return {
     symbol: String(params.symbol || "").toUpperCase(),
     side: String(params.side || "").toUpperCase(),
+    type: String(params.type || "MARKET").toUpperCase(),
     qty: safeNum(params.qty, 0),
     price: safeNum(params.price, 0),
     riskPct: safeNum(params.riskPct, 0),
     forceClose: !!params.forceClose,
     clientOrderId: params.clientOrderId || buildOrderId(),
+    tenantId: params.tenantId || null,
   };
 }
 
@@ -128,17 +182,13 @@ async function executeLiveOrder(params = {}) {
   if (CONFIG.sandbox) {
     const latency = simulateLatency();
 
-    const slippedPrice = simulateSlippage(
-      order.price,
-      order.side,
-      order.forceClose
-    );
-
     const filledQty = simulatePartialFill(
       requestedQty,
       order.forceClose
     );
 
+    const fill = simulateFill(order, filledQty);
+
     return {
       ok: true,
       exchange: CONFIG.name,
@@ -149,7 +199,11 @@ async function executeLiveOrder(params = {}) {
         side: order.side,
         requestedQty,
         filledQty,
-        avgPrice: slippedPrice,
+        avgPrice: fill.avgPrice,
+        fee: fill.fee,
+        feeBps: fill.feeBps,
+        liquidity: fill.liquidity,
+        costs: fill.costs,
         status: order.forceClose
           ? "LIQUIDATION_FILL"
           : "SIMULATED_FILL",
@@ -160,17 +214,99 @@ async function executeLiveOrder(params = {}) {
   }
 
   /* =====================================================
-     PRODUCTION FLOW (future wiring)
+     PRODUCTION FLOW
   ===================================================== */
 
+  let placed = null;
+
   try {
-    throw new Error("Live Coinbase execution not implemented.");
-  } catch (err) {
+    placed = await venue.placeOrder({
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      qty: requestedQty,
+      price: order.price,
+      clientOrderId: order.clientOrderId,
+    });
+
+    const settled = await pollUntilSettled(placed);
+
     return {
-      ok: false,
+      ok: true,
       exchange: CONFIG.name,
-      error: err.message || "Execution failure",
+      latencyMs: Date.now() - startedAt,
+
+      result: {
+        symbol: order.symbol,
+        side: order.side,
+        requestedQty,
+        filledQty: settled.filledQty,
+        avgPrice: settled.avgPrice,
+        status: settled.status,
+        orderId: settled.orderId,
+        clientOrderId: settled.clientOrderId || order.clientOrderId,
+        timestamp: nowIso(),
+      },
     };
+  } catch (err) {
+    return failure(err, { placed: Boolean(placed) });
+  }
+}
+
+/* =========================================================
+   ORDER STATUS / CANCEL / OPEN ORDERS / BALANCES
+========================================================= */
+
+// Status and cancel reports also advance the order journal
+async function getOrderStatus(ref = {}) {
+  if (CONFIG.sandbox) {
+    return { ok: false, exchange: CONFIG.name, error: "Sandbox orders settle immediately" };
+  }
+
+  try {
+    const order = await venue.getOrder(ref);
+    orderJournal.applyExchangeUpdate(CONFIG.name, order, "STATUS");
+    return { ok: true, exchange: CONFIG.name, order };
+  } catch (err) {
+    return failure(err);
+  }
+}
+
+async function cancelOrder(ref = {}) {
+  if (CONFIG.sandbox) {
+    return { ok: false, exchange: CONFIG.name, error: "Sandbox orders settle immediately" };
+  }
+
+  try {
+    const order = await venue.cancelOrder(ref);
+    orderJournal.applyExchangeUpdate(CONFIG.name, order, "CANCEL");
+    return { ok: true, exchange: CONFIG.name, order };
+  } catch (err) {
+    return failure(err);
+  }
+}
+
+async function getOpenOrders(filter = {}) {
+  if (CONFIG.sandbox) {
+    return { ok: true, exchange: CONFIG.name, sandbox: true, orders: [] };
+  }
+
+  try {
+    return { ok: true, exchange: CONFIG.name, orders: await venue.getOpenOrders(filter) };
+  } catch (err) {
+    return failure(err);
+  }
+}
+
+async function getBalances() {
+  if (CONFIG.sandbox) {
+    return { ok: true, exchange: CONFIG.name, sandbox: true, balances: [] };
+  }
+
+  try {
+    return { ok: true, exchange: CONFIG.name, balances: await venue.getBalances() };
+  } catch (err) {
+    return failure(err);
   }
 }
 
@@ -183,6 +319,7 @@ function health() {
     ok: true,
     exchange: CONFIG.name,
     sandbox: CONFIG.sandbox,
+    keys: venue.getKeysSafe().ok,
     time: nowIso(),
   };
 }
@@ -193,5 +330,9 @@ function health() {
 
 module.exports = {
   executeLiveOrder,
+  getOrderStatus,
+  cancelOrder,
+  getOpenOrders,
+  getBalances,
   health,
 };
@@ -4,6 +4,7 @@
 // Partial Fills • Slippage Model • Sandbox Safe
 
 const crypto = require("crypto");
+const costModel = require("../costModel");
 
 /* =========================================================
    CONFIG
@@ -47,13 +48,22 @@ function simulateLatency() {
   );
 }
 
-function simulateSlippage(price, side, forceClose) {
-  const slip = forceClose
+// Crosses the spread (live book when there is one) plus slippage and
+// charges the taker fee at the tenant's 30-day volume tier
+function simulateFill(order, qty) {
+  const slip = order.forceClose
     ? CONFIG.liquidationSlippagePct
     : CONFIG.baseSlippagePct;
 
-  if (side === "BUY") return price * (1 + slip);
-  return price * (1 - slip);
+  return costModel.takerFill({
+    venue: "cryptoCom",
+    tenantId: order.tenantId,
+    symbol: order.symbol,
+    side: order.side,
+    price: order.price,
+    qty,
+    slippageBps: slip * 10000,
+  });
 }
 
 function simulatePartialFill(qty, forceClose) {
@@ -85,6 +95,7 @@ function normalizeParams(params = {}) {
     riskPct: safeNum(params.riskPct, 0),
     forceClose: !!params.forceClose,
     clientOrderId: params.clientOrderId || buildOrderId(),
+    tenantId: params.tenantId || null,
   };
 }
 
@@ -128,17 +139,13 @@ async function executeLiveOrder(params = {}) {
   if (CONFIG.sandbox) {
     const latency = simulateLatency();
 
-    const slippedPrice = simulateSlippage(
-      order.price,
-      order.side,
-      order.forceClose
-    );
-
     const filledQty = simulatePartialFill(
       requestedQty,
       order.forceClose
     );
 
+    const fill = simulateFill(order, filledQty);
+
     return {
       ok: true,
       exchange: CONFIG.name,
@@ -149,7 +156,11 @@ async function executeLiveOrder(params = {}) {
         side: order.side,
         requestedQty,
         filledQty,
-        avgPrice: slippedPrice,
+        avgPrice: fill.avgPrice,
+        fee: fill.fee,
+        feeBps: fill.feeBps,
+        liquidity: fill.liquidity,
+        costs: fill.costs,
         status: order.forceClose
           ? "LIQUIDATION_FILL"
           : "SIMULATED_FILL",
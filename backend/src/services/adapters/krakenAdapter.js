@@ -3,6 +3,9 @@
 // Router Compatible • Real Execution + Simulation
 
 const kraken = require("../krakenConnector");
+const krakenPrivate = require("../krakenPrivate");
+const orderJournal = require("../orderJournal");
+const costModel = require("../costModel");
 
 /* =========================================================
 CONFIG
@@ -50,6 +53,7 @@ function normalizeParams(params = {}) {
     price: safeNum(params.price, 0),
     riskPct: safeNum(params.riskPct, 0),
     clientOrderId: params.clientOrderId || buildOrderId(),
+    tenantId: params.tenantId || null,
   };
 }
 
@@ -73,6 +77,25 @@ function deriveQty(order) {
 
 }
 
+/* =========================================================
+SANDBOX FILL
+========================================================= */
+
+// Crosses the spread (live book when there is one) and charges the
+// taker fee at the tenant's 30-day volume tier
+function simulateFill(order, qty) {
+
+  return costModel.takerFill({
+    venue: CONFIG.name,
+    tenantId: order.tenantId,
+    symbol: order.symbol,
+    side: order.side,
+    price: order.price,
+    qty,
+  });
+
+}
+
 /* =========================================================
 EXECUTION
 ========================================================= */
@@ -99,6 +122,8 @@ async function executeLiveOrder(params = {}) {
 
   if (CONFIG.sandbox) {
 
+    const fill = simulateFill(order, qty);
+
     return {
       ok: true,
       exchange: CONFIG.name,
@@ -106,7 +131,11 @@ async function executeLiveOrder(params = {}) {
         symbol: order.symbol,
         side: order.side,
         qty,
-        avgPrice: order.price,
+        avgPrice: fill.avgPrice,
+        fee: fill.fee,
+        feeBps: fill.feeBps,
+        liquidity: fill.liquidity,
+        costs: fill.costs,
         status: "SIMULATED_FILL",
         timestamp: nowIso(),
       },
@@ -130,6 +159,8 @@ async function executeLiveOrder(params = {}) {
 
     });
 
+    // krakenConnector folds timeouts and API errors into one
+    // failure, so a refusal cannot be told from a lost request
     if (!result || !result.ok) {
 
       return {
@@ -140,6 +171,8 @@ async function executeLiveOrder(params = {}) {
 
         error: "Kraken order failed",
 
+        executionUnknown: true,
+
       };
 
     }
@@ -156,6 +189,7 @@ async function executeLiveOrder(params = {}) {
 
   } catch (err) {
 
+    // thrown mid-request: Kraken may have taken the order
     return {
 
       ok: false,
@@ -164,12 +198,169 @@ async function executeLiveOrder(params = {}) {
 
       error: err?.message || "Execution error",
 
+      executionUnknown: true,
+
     };
 
   }
 
 }
 
+/* =========================================================
+ORDER STATUS / OPEN ORDERS
+========================================================= */
+
+// Kraken reports pending/open/closed/canceled/expired keyed by txid
+function normalizeOrder(txid, o = {}) {
+
+  const filledQty = safeNum(o.vol_exec, 0);
+
+  return {
+    orderId: txid,
+    clientOrderId: o.cl_ord_id || null,
+    symbol: o.descr?.pair || null,
+    side: String(o.descr?.type || "").toUpperCase(),
+    type: String(o.descr?.ordertype || "").toUpperCase(),
+    status: String(o.status || "UNKNOWN").toUpperCase(),
+    requestedQty: safeNum(o.vol, 0),
+    filledQty,
+    avgPrice: filledQty > 0 ? safeNum(o.price, null) : null,
+    price: safeNum(o.descr?.price, 0) || null,
+    updatedAt: o.closetm || o.opentm || null,
+  };
+
+}
+
+function failure(err) {
+
+  return {
+    ok: false,
+    exchange: CONFIG.name,
+    error: err?.message || "Execution error",
+  };
+
+}
+
+async function getOrderStatus(ref = {}) {
+
+  if (CONFIG.sandbox || !ref.orderId) {
+    return { ok: false, exchange: CONFIG.name, error: "Order not queryable" };
+  }
+
+  try {
+
+    const result = await krakenPrivate.privateRequest(
+      "/0/private/QueryOrders",
+      { txid: ref.orderId }
+    );
+
+    if (!result[ref.orderId]) {
+      return { ok: false, exchange: CONFIG.name, error: "Order not found" };
+    }
+
+    const order = normalizeOrder(ref.orderId, result[ref.orderId]);
+
+    orderJournal.applyExchangeUpdate(CONFIG.name, order, "STATUS");
+
+    return { ok: true, exchange: CONFIG.name, order };
+
+  } catch (err) {
+    return failure(err);
+  }
+
+}
+
+async function cancelOrder(ref = {}) {
+
+  if (CONFIG.sandbox || !ref.orderId) {
+    return { ok: false, exchange: CONFIG.name, error: "Order not cancelable" };
+  }
+
+  try {
+
+    await krakenPrivate.privateRequest(
+      "/0/private/CancelOrder",
+      { txid: ref.orderId }
+    );
+
+    // CancelOrder only returns a count; QueryOrders has the final fill
+    const status = await getOrderStatus(ref);
+    if (status.ok) return status;
+
+    const order = { orderId: ref.orderId, clientOrderId: ref.clientOrderId || null, status: "CANCELED" };
+
+    orderJournal.applyExchangeUpdate(CONFIG.name, order, "CANCEL");
+
+    return { ok: true, exchange: CONFIG.name, order };
+
+  } catch (err) {
+    return failure(err);
+  }
+
+}
+
+async function getOpenOrders() {
+
+  if (CONFIG.sandbox) {
+    return { ok: true, exchange: CONFIG.name, sandbox: true, orders: [] };
+  }
+
+  try {
+
+    const result = await krakenPrivate.getOpenOrders();
+
+    const orders = Object.entries(result.open || {})
+      .map(([txid, o]) => normalizeOrder(txid, o));
+
+    return { ok: true, exchange: CONFIG.name, orders };
+
+  } catch (err) {
+    return failure(err);
+  }
+
+}
+
+/* =========================================================
+BALANCES
+========================================================= */
+
+// Kraken prefixes legacy assets (XXBT, ZUSD) and suffixes staked or
+// earning balances (DOT.S, USD.F), which cannot be traded
+const ASSET_ALIASES = { XBT: "BTC", XDG: "DOGE" };
+
+function normalizeAsset(code) {
+
+  let asset = String(code || "").toUpperCase();
+
+  if (asset.length === 4 && /^[XZ]/.test(asset)) asset = asset.slice(1);
+
+  return ASSET_ALIASES[asset] || asset;
+
+}
+
+async function getBalances() {
+
+  if (CONFIG.sandbox) {
+    return { ok: true, exchange: CONFIG.name, sandbox: true, balances: [] };
+  }
+
+  try {
+
+    const result = await krakenPrivate.getBalance();
+
+    const balances = Object.entries(result || {})
+      .filter(([code]) => !code.includes("."))
+      .map(([code, total]) => ({ asset: normalizeAsset(code), free: safeNum(total, 0), locked: 0 }))
+      .filter((b) => b.free > 0);
+
+    return { ok: true, exchange: CONFIG.name, balances };
+
+  } catch (err) {
+    return failure(err);
+  }
+
+}
+
 /* =========================================================
 HEALTH
 ========================================================= */
@@ -184,6 +375,8 @@ function health() {
 
     sandbox: CONFIG.sandbox,
 
+    keys: krakenPrivate.getKeysSafe().ok,
+
     time: nowIso(),
 
   };
@@ -194,6 +387,14 @@ module.exports = {
 
   executeLiveOrder,
 
+  getOrderStatus,
+
+  cancelOrder,
+
+  getOpenOrders,
+
+  getBalances,
+
   health,
 
 };
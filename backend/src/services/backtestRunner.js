@@ -0,0 +1,451 @@
+// ==========================================================
+// FILE: backend/src/services/backtestRunner.js
+// VERSION: v1.0 (Seeded Walk-Forward Backtests)
+// PURPOSE
+// - Replay marketReplayEngine candles through trainingEngine
+//   with one seeded PRNG threaded through every random choice
+// - Walk-forward splits: optimise on in-sample, score out-of-sample
+// - Per-fold metricsEngine statistics + an overfitting verdict
+//
+// Same seed + same candles → identical report.
+// ==========================================================
+
+const replayEngine = require("./marketReplayEngine");
+const trainingEngine = require("./trainingEngine");
+const strategyLab = require("./strategyLab");
+const strategyDiscovery = require("./strategyDiscovery");
+const evolutionEngine = require("./evolutionEngine");
+const { computeMetrics } = require("./metricsEngine");
+const { createRng } = require("../lib/prng");
+
+const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+/* =========================================================
+CONFIG
+========================================================= */
+
+const DEFAULT_FOLDS = Number(process.env.BACKTEST_FOLDS || 4);
+
+// In-sample window length, in multiples of the out-of-sample window
+const DEFAULT_IS_RATIO = Number(process.env.BACKTEST_IS_RATIO || 3);
+
+const DEFAULT_CANDIDATES = Number(process.env.BACKTEST_CANDIDATES || 8);
+
+// OOS/IS Sharpe below this flags the strategy as overfit
+const MIN_WF_EFFICIENCY = Number(process.env.BACKTEST_MIN_EFFICIENCY || 0.5);
+
+const MIN_WINDOW_BARS = 20;
+const SIGNAL_LOOKBACK = 6;
+
+const OBJECTIVES = ["sharpe", "sortino", "expectancy", "profitFactor"];
+const SOURCES = ["lab", "discovery", "evolution"];
+
+/* =========================================================
+UTIL
+========================================================= */
+
+function safeNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function round(v, digits = 6) {
+  return Number(safeNum(v, 0).toFixed(digits));
+}
+
+function mean(arr) {
+  if (!arr.length) return 0;
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+/* =========================================================
+WALK-FORWARD SPLITS
+========================================================= */
+
+/**
+ * Splits `total` bars into rolling (or anchored) IS/OOS windows.
+ * OOS windows are contiguous and never overlap.
+ */
+function walkForwardSplits(total, {
+  folds = DEFAULT_FOLDS,
+  inSample = null,
+  outOfSample = null,
+  anchored = false,
+} = {}) {
+  const n = Math.max(1, Math.floor(safeNum(folds, DEFAULT_FOLDS)));
+
+  let oos = Math.floor(safeNum(outOfSample, 0));
+  let is = Math.floor(safeNum(inSample, 0));
+
+  if (oos <= 0 && is <= 0) {
+    oos = Math.floor(total / (n + DEFAULT_IS_RATIO));
+    is = oos * DEFAULT_IS_RATIO;
+  } else if (oos <= 0) {
+    oos = Math.floor((total - is) / n);
+  } else if (is <= 0) {
+    is = total - oos * n;
+  }
+
+  if (oos < MIN_WINDOW_BARS || is < MIN_WINDOW_BARS || is + oos * n > total) {
+    return [];
+  }
+
+  const splits = [];
+
+  for (let k = 0; k < n; k += 1) {
+    const isEnd = is + k * oos;
+
+    splits.push({
+      fold: k + 1,
+      inSample: { start: anchored ? 0 : k * oos, end: isEnd },
+      outOfSample: { start: isEnd, end: isEnd + oos },
+    });
+  }
+
+  return splits;
+}
+
+/* =========================================================
+STRATEGY CANDIDATES
+========================================================= */
+
+// Lab bookkeeping (counters, timestamps) would make reports differ per run
+const LAB_FIELDS = ["trades", "wins", "losses", "breakeven", "pnl", "createdAt", "updatedAt", "lastTradeAt"];
+
+// evolutionEngine names its thresholds differently
+function normalizeStrategy(strategy = {}, id = null) {
+  const params = { ...strategy };
+  for (const key of LAB_FIELDS) delete params[key];
+
+  return {
+    ...params,
+    id: id || strategy.id || "strategy",
+    confidenceThreshold: safeNum(
+      strategy.confidenceThreshold,
+      safeNum(strategy.minConfidence, 0.5)
+    ),
+    edgeThreshold: safeNum(
+      strategy.edgeThreshold,
+      safeNum(strategy.minEdge, 0.0001)
+    ),
+    riskMultiplier: safeNum(strategy.riskMultiplier, 1),
+  };
+}
+
+function generateCandidate(source, rng, id) {
+  if (source === "discovery") {
+    return strategyDiscovery.generateStrategyProfile({}, rng);
+  }
+
+  if (source === "evolution") {
+    return evolutionEngine.randomStrategy(rng);
+  }
+
+  return strategyLab.createStrategy({ id, label: id }, rng);
+}
+
+/* =========================================================
+DECISION BUILDER
+========================================================= */
+
+/**
+ * Deterministic replay decisions: weakness-reversal signals from
+ * strategyDiscovery, sized by the recent move. The rng adds a small
+ * confidence jitter so threshold ties break reproducibly.
+ */
+function signalDecisionBuilder(candles) {
+  return ({ index, rng }) => {
+    if (index < SIGNAL_LOOKBACK) return { action: "WAIT" };
+
+    const window = candles.slice(index - SIGNAL_LOOKBACK + 1, index + 1);
+    const signal = strategyDiscovery.detectDiscoverySignal(window, SIGNAL_LOOKBACK);
+
+    if (!signal) return { action: "WAIT" };
+
+    const first = safeNum(window[0]?.close, 0);
+    const last = safeNum(window[window.length - 1]?.close, 0);
+    const edge = first > 0 ? (last - first) / first : 0;
+
+    const jitter = rng ? (rng.next() - 0.5) * 0.1 : 0;
+    const confidence = clamp(
+      (0.5 + Math.min(Math.abs(edge) / 0.01, 1) * 0.4) * safeNum(signal.confidenceBoost, 1) + jitter,
+      0,
+      1
+    );
+
+    return {
+      action: signal.direction === "LONG" ? "BUY" : "SELL",
+      confidence,
+      edge: Math.abs(edge),
+    };
+  };
+}
+
+/* =========================================================
+EVALUATION
+========================================================= */
+
+function equityCurveFrom(trades, startingCapital) {
+  const curve = [startingCapital];
+  let equity = startingCapital;
+
+  for (const t of trades) {
+    equity += safeNum(t.pnl, 0);
+    curve.push(equity);
+  }
+
+  return curve;
+}
+
+async function evaluateWindow({
+  candles,
+  window,
+  strategy,
+  symbol,
+  startingCapital,
+  decisionBuilder,
+  rng,
+  costs,
+}) {
+  const slice = candles.slice(window.start, window.end);
+
+  const session = await trainingEngine.runTrainingSession({
+    tenantId: "backtest",
+    symbol,
+    candles: slice,
+    strategy,
+    decisionBuilder: decisionBuilder || signalDecisionBuilder(slice),
+    startingCapital,
+    rng,
+    costs,
+  });
+
+  const trades = session.ok ? session.closedTrades : [];
+
+  const metrics = computeMetrics({
+    trades: trades.map((t) => ({ profit: t.pnl })),
+    equityCurve: equityCurveFrom(trades, startingCapital),
+  });
+
+  return {
+    start: window.start,
+    end: window.end,
+    bars: slice.length,
+    fromTime: slice[0]?.time ?? null,
+    toTime: slice[slice.length - 1]?.time ?? null,
+    metrics,
+    stats: session.ok ? session.stats : null,
+  };
+}
+
+function objectiveScore(metrics, objective) {
+  const v = metrics?.[objective];
+  // profitFactor is Infinity when no trade lost
+  if (v === Infinity) return Number.MAX_SAFE_INTEGER;
+  return safeNum(v, 0);
+}
+
+/* =========================================================
+SUMMARY
+========================================================= */
+
+function summarize(folds) {
+  const pick = (side, key) => folds.map((f) => safeNum(f[side].metrics[key], 0));
+
+  const side = (name) => ({
+    sharpe: round(mean(pick(name, "sharpe"))),
+    sortino: round(mean(pick(name, "sortino"))),
+    expectancy: round(mean(pick(name, "expectancy"))),
+    winRate: round(mean(pick(name, "winRate"))),
+    maxDrawdown: round(Math.max(0, ...pick(name, "maxDrawdown"))),
+    totalTrades: pick(name, "totalTrades").reduce((a, b) => a + b, 0),
+    // net of fees, funding and borrow
+    pnl: round(
+      folds.reduce((sum, f) => sum + safeNum(f[name].stats?.netPnl, 0), 0),
+      8
+    ),
+    costs: round(
+      folds.reduce(
+        (sum, f) =>
+          sum +
+          safeNum(f[name].stats?.costs?.fees, 0) +
+          safeNum(f[name].stats?.costs?.funding, 0) +
+          safeNum(f[name].stats?.costs?.borrow, 0),
+        0
+      ),
+      8
+    ),
+  });
+
+  const inSample = side("inSample");
+  const outOfSample = side("outOfSample");
+
+  const efficiency =
+    inSample.sharpe > 0 ? round(outOfSample.sharpe / inSample.sharpe, 4) : null;
+
+  const profitableOos = folds.filter(
+    (f) => safeNum(f.outOfSample.stats?.netPnl, 0) > 0
+  ).length;
+
+  const overfit =
+    (efficiency !== null && efficiency < MIN_WF_EFFICIENCY) ||
+    (inSample.expectancy > 0 && outOfSample.expectancy <= 0);
+
+  return {
+    inSample,
+    outOfSample,
+    efficiency,
+    profitableOosFolds: profitableOos,
+    overfit,
+  };
+}
+
+/* =========================================================
+RUNNER
+========================================================= */
+
+/**
+ * Runs a seeded walk-forward backtest.
+ *
+ * With `strategy` set (e.g. one promoted by strategyLab) every fold
+ * scores that strategy as-is. Otherwise each fold draws `candidates`
+ * strategies from `source`, keeps the in-sample best by `objective`
+ * and reports its out-of-sample result.
+ *
+ * Fold P&L is net of fees, funding and borrow; `costs` is passed to
+ * trainingEngine ({ venue?, slippageBps? }, or false for frictionless fills).
+ */
+async function runBacktest({
+  symbol = "BTCUSDT",
+  candles = null,
+  limit = 5000,
+  seed = Date.now(),
+  strategy = null,
+  source = "lab",
+  candidates = DEFAULT_CANDIDATES,
+  objective = "sharpe",
+  folds = DEFAULT_FOLDS,
+  inSample = null,
+  outOfSample = null,
+  anchored = false,
+  startingCapital = 10000,
+  decisionBuilder = null,
+  costs = {},
+} = {}) {
+  const normalizedSymbol = String(symbol || "BTCUSDT").trim().toUpperCase();
+
+  if (!SOURCES.includes(source)) {
+    return { ok: false, error: `Unknown strategy source: ${source}` };
+  }
+  if (!OBJECTIVES.includes(objective)) {
+    return { ok: false, error: `Unknown objective: ${objective}` };
+  }
+
+  const feed = Array.isArray(candles)
+    ? candles
+    : replayEngine.replayCandles({ symbol: normalizedSymbol, limit });
+
+  const splits = walkForwardSplits(feed.length, {
+    folds,
+    inSample,
+    outOfSample,
+    anchored,
+  });
+
+  if (!splits.length) {
+    return {
+      ok: false,
+      error: `Not enough candles (${feed.length}) for ${folds} walk-forward folds`,
+    };
+  }
+
+  const rng = createRng(seed);
+  const candidateCount = clamp(Math.floor(safeNum(candidates, DEFAULT_CANDIDATES)), 1, 50);
+  const fixed = strategy ? normalizeStrategy(strategy) : null;
+  const common = { candles: feed, symbol: normalizedSymbol, startingCapital, decisionBuilder, rng, costs };
+
+  const report = [];
+
+  for (const split of splits) {
+    let chosen = fixed;
+    let chosenIs = null;
+    let tested = 0;
+
+    if (!chosen) {
+      let bestScore = -Infinity;
+
+      for (let i = 0; i < candidateCount; i += 1) {
+        const id = `wf${split.fold}-c${i + 1}`;
+        const candidate = normalizeStrategy(generateCandidate(source, rng, id), id);
+        const result = await evaluateWindow({ ...common, window: split.inSample, strategy: candidate });
+        const score = objectiveScore(result.metrics, objective);
+        tested += 1;
+
+        if (score > bestScore) {
+          bestScore = score;
+          chosen = candidate;
+          chosenIs = result;
+        }
+      }
+    } else {
+      chosenIs = await evaluateWindow({ ...common, window: split.inSample, strategy: chosen });
+    }
+
+    const oos = await evaluateWindow({ ...common, window: split.outOfSample, strategy: chosen });
+
+    report.push({
+      fold: split.fold,
+      strategy: chosen,
+      candidatesTested: tested,
+      inSample: chosenIs,
+      outOfSample: oos,
+    });
+  }
+
+  return {
+    ok: true,
+    seed,
+    symbol: normalizedSymbol,
+    source: fixed ? "fixed" : source,
+    objective,
+    anchored: Boolean(anchored),
+    candles: feed.length,
+    folds: report,
+    summary: summarize(report),
+  };
+}
+
+/**
+ * Walk-forward check of a strategy already living in strategyLab.
+ * Strategies promoted from strategyRegistry replay their DSL rules.
+ */
+async function checkLabStrategy(tenantId, strategyId, options = {}) {
+  const strategy = strategyLab.getStrategy(tenantId, strategyId);
+
+  if (!strategy) {
+    return { ok: false, error: "Strategy not found" };
+  }
+
+  if (strategy.dsl) {
+    // strategyRegistry runs its backtests through this module
+    const strategyRegistry = require("./strategyRegistry");
+    const decisionBuilder = strategyRegistry.decisionBuilderFor(tenantId, strategy.dsl);
+
+    if (!decisionBuilder) {
+      return { ok: false, error: "Strategy definition not found" };
+    }
+
+    return runBacktest({ ...options, strategy, decisionBuilder });
+  }
+
+  return runBacktest({ ...options, strategy });
+}
+
+module.exports = {
+  OBJECTIVES,
+  SOURCES,
+  walkForwardSplits,
+  signalDecisionBuilder,
+  runBacktest,
+  checkLabStrategy,
+};
@@ -0,0 +1,188 @@
+// backend/src/services/binancePrivate.js
+// Binance Spot private REST helper (HMAC-SHA256 signed requests)
+// BINANCE_API_URL can point at a local stub (node src/cli venue-stub)
+
+const crypto = require("crypto");
+
+// Node 18+ has fetch, but we guard just in case
+const fetchFn = global.fetch || ((...args) =>
+  import("node-fetch").then(({ default: f }) => f(...args)));
+
+const DEFAULT_BASE_URL = "https://api.binance.com";
+
+/* ------------------ ENV HELPERS ------------------ */
+function baseUrl() {
+  return (process.env.BINANCE_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+}
+
+function recvWindow() {
+  return Number(process.env.BINANCE_RECV_WINDOW || 5000);
+}
+
+function getKeysSafe() {
+  const key = (process.env.BINANCE_API_KEY || "").trim();
+  const secret = (process.env.BINANCE_API_SECRET || "").trim();
+  return { key, secret, ok: Boolean(key && secret) };
+}
+
+function requireKeys() {
+  const { key, secret, ok } = getKeysSafe();
+  if (!ok) {
+    throw new Error(
+      "Missing Binance keys (BINANCE_API_KEY / BINANCE_API_SECRET)"
+    );
+  }
+  return { key, secret };
+}
+
+/* ------------------ ERRORS ------------------ */
+// Codes the router may retry on another venue / later
+const RETRYABLE_CODES = new Set([-1001, -1003, -1007, -1021]);
+// The request may have reached the matching engine: status unknown
+const UNKNOWN_STATE_CODES = new Set([-1006, -1007]);
+
+function venueError(status, body) {
+  const code = Number(body?.code);
+  const msg = body?.msg || `HTTP_${status}`;
+  const err = new Error(`Binance error ${Number.isFinite(code) ? code : status}: ${msg}`);
+  err.exchange = "binance";
+  err.status = status;
+  err.code = Number.isFinite(code) ? code : null;
+  err.retryable = status === 429 || status === 418 || status >= 500 || RETRYABLE_CODES.has(code);
+  // Only a 4xx with a known code means the order was refused unexecuted
+  err.rejected = status >= 400 && status < 500 && !UNKNOWN_STATE_CODES.has(code);
+  return err;
+}
+
+/* ------------------ CORE REQUEST ------------------ */
+async function signedRequest(method, path, params = {}) {
+  const { key, secret } = requireKeys();
+
+  const query = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null && v !== "") query.append(k, String(v));
+  }
+  query.append("recvWindow", String(recvWindow()));
+  query.append("timestamp", String(Date.now()));
+
+  // Binance signature: HMAC-SHA256(secret, totalParams) as hex
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(query.toString())
+    .digest("hex");
+  query.append("signature", signature);
+
+  const res = await fetchFn(`${baseUrl()}${path}?${query.toString()}`, {
+    method,
+    headers: { "X-MBX-APIKEY": key },
+  });
+
+  let json;
+  try {
+    json = await res.json();
+  } catch {
+    throw venueError(res.status, { msg: "Invalid JSON response" });
+  }
+
+  if (!res.ok || (json && typeof json.code === "number" && json.code < 0)) {
+    throw venueError(res.status, json);
+  }
+
+  return json;
+}
+
+/* ------------------ SYMBOLS ------------------ */
+function normalizeSymbol(symbol) {
+  return String(symbol || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function fmtQty(v) {
+  return Number(v).toFixed(8).replace(/\.?0+$/, "");
+}
+
+/* ------------------ ORDERS ------------------ */
+function normalizeOrder(o = {}) {
+  const filledQty = Number(o.executedQty || 0);
+  const quote = Number(o.cummulativeQuoteQty || 0);
+
+  return {
+    orderId: o.orderId != null ? String(o.orderId) : null,
+    clientOrderId: o.clientOrderId || o.origClientOrderId || null,
+    symbol: o.symbol,
+    side: o.side,
+    type: o.type,
+    status: o.status === "EXPIRED_IN_MATCH" ? "EXPIRED" : o.status,
+    requestedQty: Number(o.origQty || 0),
+    filledQty,
+    avgPrice: filledQty > 0 ? quote / filledQty : null,
+    price: Number(o.price || 0) || null,
+    updatedAt: o.updateTime || o.transactTime || null,
+  };
+}
+
+async function placeOrder({ symbol, side, qty, type = "MARKET", price, timeInForce = "GTC", clientOrderId }) {
+  const orderType = String(type).toUpperCase();
+  const params = {
+    symbol: normalizeSymbol(symbol),
+    side: String(side).toUpperCase() === "SELL" ? "SELL" : "BUY",
+    type: orderType,
+    quantity: fmtQty(qty),
+    newClientOrderId: clientOrderId,
+    newOrderRespType: "RESULT",
+  };
+
+  if (orderType === "LIMIT") {
+    params.price = String(price);
+    params.timeInForce = timeInForce;
+  }
+
+  return normalizeOrder(await signedRequest("POST", "/api/v3/order", params));
+}
+
+function orderRef({ symbol, orderId, clientOrderId }) {
+  return {
+    symbol: normalizeSymbol(symbol),
+    orderId: orderId || undefined,
+    origClientOrderId: orderId ? undefined : clientOrderId,
+  };
+}
+
+async function getOrder(ref) {
+  return normalizeOrder(await signedRequest("GET", "/api/v3/order", orderRef(ref)));
+}
+
+async function cancelOrder(ref) {
+  return normalizeOrder(await signedRequest("DELETE", "/api/v3/order", orderRef(ref)));
+}
+
+async function getOpenOrders({ symbol } = {}) {
+  const params = symbol ? { symbol: normalizeSymbol(symbol) } : {};
+  const json = await signedRequest("GET", "/api/v3/openOrders", params);
+  return (Array.isArray(json) ? json : []).map(normalizeOrder);
+}
+
+/* ------------------ ACCOUNT ------------------ */
+async function getBalances() {
+  const account = await signedRequest("GET", "/api/v3/account");
+
+  return (account.balances || [])
+    .map((b) => ({
+      asset: b.asset,
+      free: Number(b.free || 0),
+      locked: Number(b.locked || 0),
+    }))
+    .filter((b) => b.free > 0 || b.locked > 0);
+}
+
+/* ------------------ EXPORTS ------------------ */
+module.exports = {
+  signedRequest,
+  getKeysSafe,
+  normalizeSymbol,
+  placeOrder,
+  getOrder,
+  cancelOrder,
+  getOpenOrders,
+  getBalances,
+  venueError,
+};
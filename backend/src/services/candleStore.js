@@ -0,0 +1,442 @@
+// ==========================================================
+// 🕯️ CANDLE STORE — v1.0 (MULTI-TIMEFRAME • GAP-FREE OHLCV)
+// FILE: backend/src/services/candleStore.js
+//
+// Aggregates price ticks into 1m / 5m / 15m / 1h / 4h / 1d bars
+// per feed and symbol. Feeds:
+//
+//   sim:<tenantId>  marketEngine's simulator, one per tenant
+//   kraken          krakenFeed ticker + trades, shared
+//
+// Buckets are UTC-aligned. A bucket with no ticks becomes a flat
+// bar at the previous close (volume 0, filled: true), so a series
+// never has holes. Closed bars are kept up to a per-timeframe
+// retention and flushed to CANDLE_STORE_DIR, one JSON file per
+// feed / symbol / timeframe; the open bar is saved with them so a
+// restart carries on where it stopped.
+//
+// History can be backfilled from marketReplayEngine files; live
+// bars always win over backfilled ones.
+// ==========================================================
+
+const fs = require("fs");
+const path = require("path");
+const marketReplayEngine = require("./marketReplayEngine");
+
+/* ================= CONFIG ================= */
+
+const STORE_DIR =
+  process.env.CANDLE_STORE_DIR ||
+  path.join(__dirname, "../../data/candles");
+
+const FLUSH_MS = Number(process.env.CANDLE_FLUSH_MS || 30000);
+
+const TIMEFRAMES = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "4h": 4 * 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+// Closed bars kept per series; CANDLE_RETENTION_<TF> overrides
+const DEFAULT_RETENTION = {
+  "1m": 10080,  // 7 days
+  "5m": 8640,   // 30 days
+  "15m": 8640,  // 90 days
+  "1h": 8760,   // 1 year
+  "4h": 4380,   // 2 years
+  "1d": 3650,   // 10 years
+};
+
+const RETENTION = Object.fromEntries(
+  Object.keys(TIMEFRAMES).map((tf) => {
+    const env = Number(process.env[`CANDLE_RETENTION_${tf.toUpperCase()}`]);
+    return [tf, Number.isInteger(env) && env > 0 ? env : DEFAULT_RETENTION[tf]];
+  })
+);
+
+const MAX_QUERY = 5000;
+
+// feed → symbol → timeframe → { bars, open, dirty }
+const SERIES = new Map();
+const LAST_TICK = new Map();
+
+/* ================= HELPERS ================= */
+
+function ensureDir(p) {
+  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
+}
+
+function normalizeSymbol(symbol) {
+  return String(symbol || "").trim().toUpperCase();
+}
+
+function simFeed(tenantId) {
+  return `sim:${tenantId || "default"}`;
+}
+
+// Feed ids carry tenant ids; keep them filesystem-safe
+function safeName(s) {
+  return String(s).replace(/[^A-Za-z0-9_.-]/g, "_");
+}
+
+function seriesPath(feed, symbol, tf) {
+  return path.join(STORE_DIR, safeName(feed), safeName(symbol), `${tf}.json`);
+}
+
+function bucketOf(ts, tf) {
+  const ms = TIMEFRAMES[tf];
+  return Math.floor(ts / ms) * ms;
+}
+
+// Unix seconds, unix ms or anything Date can parse
+function toMs(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const d = new Date(v).getTime();
+  return Number.isFinite(d) ? d : null;
+}
+
+function flatBar(t, price) {
+  return { t, o: price, h: price, l: price, c: price, v: 0, filled: true };
+}
+
+function publicBar(b) {
+  const out = {
+    time: Math.floor(b.t / 1000),
+    open: b.o, high: b.h, low: b.l, close: b.c,
+    volume: b.v,
+  };
+  if (b.filled) out.filled = true;
+  return out;
+}
+
+/* ================= SERIES STATE ================= */
+
+function loadSeries(feed, symbol, tf) {
+  const empty = { bars: [], open: null, dirty: false };
+
+  try {
+    const file = seriesPath(feed, symbol, tf);
+    if (!fs.existsSync(file)) return empty;
+
+    const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return {
+      bars: Array.isArray(raw.bars) ? raw.bars : [],
+      open: raw.open || null,
+      dirty: false,
+    };
+  } catch (err) {
+    console.error("[candleStore] load error:", err.message);
+    return empty;
+  }
+}
+
+function seriesFor(feed, symbol, tf) {
+  if (!SERIES.has(feed)) SERIES.set(feed, new Map());
+  const bySymbol = SERIES.get(feed);
+
+  if (!bySymbol.has(symbol)) bySymbol.set(symbol, {});
+  const byTf = bySymbol.get(symbol);
+
+  if (!byTf[tf]) byTf[tf] = loadSeries(feed, symbol, tf);
+  return byTf[tf];
+}
+
+function lastClose(s) {
+  const last = s.bars[s.bars.length - 1];
+  return last ? last.c : null;
+}
+
+function trim(s, tf) {
+  const keep = RETENTION[tf];
+  if (s.bars.length > keep) s.bars.splice(0, s.bars.length - keep);
+}
+
+/**
+ * Appends flat bars for every empty bucket before `until`. Never
+ * writes more than the retention window, however long the gap.
+ */
+function fillGap(s, tf, until) {
+  const ms = TIMEFRAMES[tf];
+  const last = s.bars[s.bars.length - 1];
+  if (!last) return;
+
+  const from = Math.max(last.t + ms, until - RETENTION[tf] * ms);
+  for (let t = from; t < until; t += ms) s.bars.push(flatBar(t, last.c));
+}
+
+function closeOpen(s, tf) {
+  if (!s.open) return;
+  s.bars.push(s.open);
+  s.open = null;
+  trim(s, tf);
+}
+
+function applyTick(s, tf, price, volume, ts) {
+  const t = bucketOf(ts, tf);
+
+  // Late tick for a bucket that is already closed
+  if (s.open ? t < s.open.t : s.bars.length && t <= s.bars[s.bars.length - 1].t) return;
+
+  if (s.open && t > s.open.t) closeOpen(s, tf);
+
+  if (!s.open) {
+    fillGap(s, tf, t);
+    trim(s, tf);
+    s.open = { t, o: price, h: price, l: price, c: price, v: 0 };
+  }
+
+  s.open.h = Math.max(s.open.h, price);
+  s.open.l = Math.min(s.open.l, price);
+  s.open.c = price;
+  s.open.v += volume;
+  s.dirty = true;
+}
+
+/* ================= INGEST ================= */
+
+/**
+ * One price tick into every timeframe. `volume` is traded size;
+ * ticker-only feeds leave it at 0.
+ */
+function recordTick({ feed, symbol, price, volume = 0, ts = Date.now() } = {}) {
+  const sym = normalizeSymbol(symbol);
+  const p = Number(price);
+  const v = Number(volume) || 0;
+  const at = Number(ts) || Date.now();
+
+  if (!feed || !sym || !(p > 0)) return false;
+
+  // Out-of-order ticks would rewrite closes; every timeframe skips them
+  const key = `${feed}|${sym}`;
+  if (at < (LAST_TICK.get(key) || 0)) return false;
+  LAST_TICK.set(key, at);
+
+  for (const tf of Object.keys(TIMEFRAMES)) {
+    applyTick(seriesFor(feed, sym, tf), tf, p, v, at);
+  }
+  return true;
+}
+
+/**
+ * krakenFeed callbacks; pass to startKrakenFeed({ ...krakenHandlers() }).
+ * Ticker updates move price, trades also carry volume.
+ */
+function krakenHandlers(feed = "kraken") {
+  return {
+    onTick: (e) => recordTick({ feed, symbol: e.symbol, price: e.price, ts: e.ts }),
+    onTrade: (e) => recordTick({ feed, symbol: e.symbol, price: e.price, volume: e.volume, ts: e.ts }),
+  };
+}
+
+/* ================= BACKFILL ================= */
+
+// Smallest spacing between consecutive candles
+function resolutionOf(candles) {
+  let best = Infinity;
+  for (let i = 1; i < candles.length; i++) {
+    const d = candles[i].t - candles[i - 1].t;
+    if (d > 0 && d < best) best = d;
+  }
+  return Number.isFinite(best) ? best : 0;
+}
+
+function aggregate(candles, tf) {
+  const out = [];
+  for (const c of candles) {
+    const t = bucketOf(c.t, tf);
+    const last = out[out.length - 1];
+    if (last && last.t === t) {
+      last.h = Math.max(last.h, c.h);
+      last.l = Math.min(last.l, c.l);
+      last.c = c.c;
+      last.v += c.v;
+    } else {
+      out.push({ t, o: c.o, h: c.h, l: c.l, c: c.c, v: c.v });
+    }
+  }
+  return out;
+}
+
+// Sorted bars with every hole between them filled, capped to retention
+function mergeGapFree(bars, tf) {
+  const ms = TIMEFRAMES[tf];
+  if (!bars.length) return [];
+
+  const start = bars[bars.length - 1].t - (RETENTION[tf] - 1) * ms;
+  const out = [];
+
+  for (const b of bars) {
+    if (b.t < start) continue;
+    const prev = out[out.length - 1];
+    if (prev) {
+      for (let t = prev.t + ms; t < b.t; t += ms) out.push(flatBar(t, prev.c));
+    }
+    out.push(b);
+  }
+  return out;
+}
+
+/**
+ * Loads marketReplayEngine history for `symbol` into `feed`. Each
+ * timeframe at or above the file's resolution is rebuilt from it;
+ * buckets already held (or still open) keep their live bars.
+ */
+function backfill({ feed = "kraken", symbol = "BTCUSDT", fromTime = null, toTime = null } = {}) {
+  const sym = normalizeSymbol(symbol);
+  const lo = toMs(fromTime) ?? -Infinity;
+  const hi = toMs(toTime) ?? Infinity;
+
+  // Replay files may hold seconds or ms; compare after normalising
+  const candles = marketReplayEngine
+    .loadMarketData(sym)
+    .map((c) => ({ t: toMs(c.time), o: c.open, h: c.high, l: c.low, c: c.close, v: c.volume || 0 }))
+    .filter((c) => Number.isFinite(c.t) && c.t >= lo && c.t <= hi)
+    .sort((a, b) => a.t - b.t);
+
+  if (!candles.length) return { ok: false, error: "No replay data for symbol" };
+
+  const resolution = resolutionOf(candles);
+  const added = {};
+
+  for (const [tf, ms] of Object.entries(TIMEFRAMES)) {
+    if (ms < resolution) continue; // can't split coarser bars
+
+    const s = seriesFor(feed, sym, tf);
+    const held = new Set(s.bars.map((b) => b.t));
+    const openAt = s.open ? s.open.t : Infinity;
+
+    const fresh = aggregate(candles, tf).filter((b) => !held.has(b.t) && b.t < openAt);
+    if (!fresh.length) {
+      added[tf] = 0;
+      continue;
+    }
+
+    const before = s.bars.length;
+    s.bars = mergeGapFree([...s.bars, ...fresh].sort((a, b) => a.t - b.t), tf);
+    if (s.open) fillGap(s, tf, s.open.t);
+    trim(s, tf);
+    s.dirty = true;
+
+    added[tf] = s.bars.length - before;
+  }
+
+  flush();
+
+  return {
+    ok: true,
+    feed,
+    symbol: sym,
+    candles: candles.length,
+    resolutionMs: resolution,
+    firstTime: candles[0].t,
+    lastTime: candles[candles.length - 1].t,
+    added,
+  };
+}
+
+/* ================= QUERY ================= */
+
+/**
+ * Bars of one series, oldest first. `from` / `to` are inclusive and
+ * match bar open times (unix seconds, ms or ISO); `limit` keeps the
+ * newest. `includeOpen` appends the forming bar.
+ */
+function getCandles({ feed, symbol, timeframe = "1m", from = null, to = null, limit = 200, includeOpen = true } = {}) {
+  const tf = String(timeframe);
+  if (!TIMEFRAMES[tf]) return { ok: false, error: `timeframe must be one of ${Object.keys(TIMEFRAMES).join(", ")}` };
+
+  const sym = normalizeSymbol(symbol);
+  const lo = toMs(from);
+  const hi = toMs(to);
+  if ((from && lo === null) || (to && hi === null)) return { ok: false, error: "Invalid from/to" };
+
+  const s = seriesFor(feed, sym, tf);
+  let bars = includeOpen && s.open ? [...s.bars, s.open] : s.bars;
+
+  if (lo !== null) bars = bars.filter((b) => b.t >= lo);
+  if (hi !== null) bars = bars.filter((b) => b.t <= hi);
+
+  const size = Math.min(Math.max(1, Number(limit) || 200), MAX_QUERY);
+
+  return {
+    ok: true,
+    feed,
+    symbol: sym,
+    timeframe: tf,
+    candles: bars.slice(-size).map(publicBar),
+    total: bars.length,
+    open: s.open ? publicBar(s.open) : null,
+  };
+}
+
+/**
+ * Per-timeframe bar counts and range of one series.
+ */
+function describeSeries(feed, symbol) {
+  const sym = normalizeSymbol(symbol);
+  const out = {};
+
+  for (const tf of Object.keys(TIMEFRAMES)) {
+    const s = seriesFor(feed, sym, tf);
+    out[tf] = {
+      bars: s.bars.length,
+      retention: RETENTION[tf],
+      firstTime: s.bars.length ? Math.floor(s.bars[0].t / 1000) : null,
+      lastTime: s.bars.length ? Math.floor(s.bars[s.bars.length - 1].t / 1000) : null,
+      lastClose: lastClose(s),
+      open: Boolean(s.open),
+    };
+  }
+
+  return { feed, symbol: sym, timeframes: out };
+}
+
+/* ================= PERSISTENCE ================= */
+
+function flush() {
+  let written = 0;
+
+  for (const [feed, bySymbol] of SERIES) {
+    for (const [symbol, byTf] of bySymbol) {
+      for (const [tf, s] of Object.entries(byTf)) {
+        if (!s.dirty) continue;
+
+        try {
+          const file = seriesPath(feed, symbol, tf);
+          const tmp = `${file}.tmp`;
+
+          ensureDir(path.dirname(file));
+          fs.writeFileSync(tmp, JSON.stringify({ feed, symbol, timeframe: tf, bars: s.bars, open: s.open }));
+          fs.renameSync(tmp, file);
+
+          s.dirty = false;
+          written++;
+        } catch (err) {
+          console.error("[candleStore] flush error:", err.message);
+        }
+      }
+    }
+  }
+
+  return written;
+}
+
+const flushTimer = setInterval(flush, FLUSH_MS);
+if (flushTimer.unref) flushTimer.unref();
+
+module.exports = {
+  TIMEFRAMES,
+  RETENTION,
+  simFeed,
+  recordTick,
+  krakenHandlers,
+  backfill,
+  getCandles,
+  describeSeries,
+  flush,
+};
@@ -0,0 +1,223 @@
+// backend/src/services/coinbasePrivate.js
+// Coinbase Advanced Trade private REST helper (HMAC-SHA256 signed requests)
+// COINBASE_API_URL can point at a local stub (node src/cli venue-stub)
+
+const crypto = require("crypto");
+
+// Node 18+ has fetch, but we guard just in case
+const fetchFn = global.fetch || ((...args) =>
+  import("node-fetch").then(({ default: f }) => f(...args)));
+
+const DEFAULT_BASE_URL = "https://api.coinbase.com";
+const API_PREFIX = "/api/v3/brokerage";
+
+// Longest first so USDT is not read as USD + "T"
+const QUOTES = ["USDT", "USDC", "USD", "EUR", "GBP", "BTC", "ETH"];
+
+/* ------------------ ENV HELPERS ------------------ */
+function baseUrl() {
+  return (process.env.COINBASE_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+}
+
+function getKeysSafe() {
+  const key = (process.env.COINBASE_API_KEY || "").trim();
+  const secret = (process.env.COINBASE_API_SECRET || "").trim();
+  return { key, secret, ok: Boolean(key && secret) };
+}
+
+function requireKeys() {
+  const { key, secret, ok } = getKeysSafe();
+  if (!ok) {
+    throw new Error(
+      "Missing Coinbase keys (COINBASE_API_KEY / COINBASE_API_SECRET)"
+    );
+  }
+  return { key, secret };
+}
+
+/* ------------------ ERRORS ------------------ */
+function venueError(status, body) {
+  const code = body?.error || body?.error_response?.error || `HTTP_${status}`;
+  const msg =
+    body?.message ||
+    body?.error_response?.message ||
+    body?.error_response?.preview_failure_reason ||
+    code;
+
+  const err = new Error(`Coinbase error ${code}: ${msg}`);
+  err.exchange = "coinbase";
+  err.status = status;
+  err.code = code;
+  err.retryable = status === 429 || status >= 500;
+  // A 4xx answer means the order was refused unexecuted; 5xx may not
+  err.rejected = status >= 400 && status < 500;
+  return err;
+}
+
+/* ------------------ CORE REQUEST ------------------ */
+async function signedRequest(method, path, { query = null, body = null } = {}) {
+  const { key, secret } = requireKeys();
+
+  const requestPath = API_PREFIX + path;
+  const payload = body ? JSON.stringify(body) : "";
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  // Coinbase signature: HMAC-SHA256(secret, timestamp + METHOD + path + body) as hex
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(timestamp + method + requestPath + payload)
+    .digest("hex");
+
+  const qs = query ? `?${new URLSearchParams(query).toString()}` : "";
+
+  const res = await fetchFn(`${baseUrl()}${requestPath}${qs}`, {
+    method,
+    headers: {
+      "CB-ACCESS-KEY": key,
+      "CB-ACCESS-SIGN": signature,
+      "CB-ACCESS-TIMESTAMP": timestamp,
+      "Content-Type": "application/json",
+    },
+    body: payload || undefined,
+  });
+
+  let json;
+  try {
+    json = await res.json();
+  } catch {
+    throw venueError(res.status, { message: "Invalid JSON response" });
+  }
+
+  if (!res.ok) {
+    throw venueError(res.status, json);
+  }
+
+  return json;
+}
+
+/* ------------------ SYMBOLS ------------------ */
+function toProductId(symbol) {
+  const raw = String(symbol || "").toUpperCase();
+  if (raw.includes("-")) return raw;
+
+  const s = raw.replace(/[^A-Z0-9]/g, "");
+  const quote = QUOTES.find((q) => s.endsWith(q) && s.length > q.length);
+  return quote ? `${s.slice(0, -quote.length)}-${quote}` : s;
+}
+
+function fmtQty(v) {
+  return Number(v).toFixed(8).replace(/\.?0+$/, "");
+}
+
+/* ------------------ ORDERS ------------------ */
+const STATUS_MAP = {
+  PENDING: "NEW",
+  QUEUED: "NEW",
+  OPEN: "NEW",
+  FILLED: "FILLED",
+  CANCELLED: "CANCELED",
+  CANCEL_QUEUED: "PENDING_CANCEL",
+  EXPIRED: "EXPIRED",
+  FAILED: "REJECTED",
+};
+
+function normalizeOrder(o = {}) {
+  const filledQty = Number(o.filled_size || 0);
+  const config = Object.values(o.order_configuration || {})[0] || {};
+  let status = STATUS_MAP[o.status] || o.status || "UNKNOWN";
+
+  if (status === "NEW" && filledQty > 0) status = "PARTIALLY_FILLED";
+
+  return {
+    orderId: o.order_id || null,
+    clientOrderId: o.client_order_id || null,
+    symbol: o.product_id,
+    side: o.side,
+    type: o.order_type || null,
+    status,
+    requestedQty: Number(config.base_size || 0),
+    filledQty,
+    avgPrice: filledQty > 0 ? Number(o.average_filled_price || 0) : null,
+    price: Number(config.limit_price || 0) || null,
+    updatedAt: o.last_fill_time || o.created_time || null,
+  };
+}
+
+async function placeOrder({ symbol, side, qty, type = "MARKET", price, clientOrderId }) {
+  const orderType = String(type).toUpperCase();
+  const baseSize = fmtQty(qty);
+
+  const body = {
+    client_order_id: clientOrderId,
+    product_id: toProductId(symbol),
+    side: String(side).toUpperCase() === "SELL" ? "SELL" : "BUY",
+    order_configuration:
+      orderType === "LIMIT"
+        ? { limit_limit_gtc: { base_size: baseSize, limit_price: String(price) } }
+        : { market_market_ioc: { base_size: baseSize } },
+  };
+
+  const json = await signedRequest("POST", "/orders", { body });
+
+  // Rejections come back as HTTP 200 with success=false
+  if (!json.success) {
+    throw venueError(200, json);
+  }
+
+  // Creation only acknowledges; fetch the order for fill state
+  return getOrder({ orderId: json.success_response?.order_id || json.order_id });
+}
+
+async function getOrder({ orderId }) {
+  const json = await signedRequest("GET", `/orders/historical/${encodeURIComponent(orderId)}`);
+  return normalizeOrder(json.order);
+}
+
+async function cancelOrder({ orderId }) {
+  const json = await signedRequest("POST", "/orders/batch_cancel", {
+    body: { order_ids: [orderId] },
+  });
+
+  const result = (json.results || [])[0];
+  if (!result || !result.success) {
+    throw venueError(200, {
+      error: result?.failure_reason || "UNKNOWN_CANCEL_FAILURE_REASON",
+      message: "Cancel rejected",
+    });
+  }
+
+  return getOrder({ orderId });
+}
+
+async function getOpenOrders({ symbol } = {}) {
+  const query = { order_status: "OPEN" };
+  if (symbol) query.product_id = toProductId(symbol);
+
+  const json = await signedRequest("GET", "/orders/historical/batch", { query });
+  return (json.orders || []).map(normalizeOrder);
+}
+
+/* ------------------ ACCOUNT ------------------ */
+async function getBalances() {
+  const json = await signedRequest("GET", "/accounts", { query: { limit: 250 } });
+
+  return (json.accounts || [])
+    .map((a) => ({
+      asset: a.currency,
+      free: Number(a.available_balance?.value || 0),
+      locked: Number(a.hold?.value || 0),
+    }))
+    .filter((b) => b.free > 0 || b.locked > 0);
+}
+
+/* ------------------ EXPORTS ------------------ */
+module.exports = {
+  signedRequest,
+  getKeysSafe,
+  toProductId,
+  placeOrder,
+  getOrder,
+  cancelOrder,
+  getOpenOrders,
+  getBalances,
+};
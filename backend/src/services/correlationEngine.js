@@ -326,6 +326,27 @@ function getMarketIntelligence(tenantId){
 
 }
 
+/* =====================================================
+RETURN SERIES (Risk analytics)
+===================================================== */
+
+function getReturns(tenantId,symbol){
+
+  const series =
+    getState(tenantId).markets[symbol] || [];
+
+  const span =
+    series.length > 1
+      ? series[series.length-1].ts - series[0].ts
+      : 0;
+
+  return{
+    returns: computeReturns(series),
+    intervalMs: series.length > 1 ? span/(series.length-1) : null
+  };
+
+}
+
 /* =====================================================
 RESET
 ===================================================== */
@@ -341,5 +362,6 @@ module.exports = {
   getCorrelationBoost,
   getMatrix,
   getMarketIntelligence,
+  getReturns,
   resetTenant
 };
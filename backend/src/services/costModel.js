@@ -0,0 +1,300 @@
+// ==========================================================
+// 💸 TRADING COST MODEL — v1.0 (FEES • SPREAD • CARRY)
+// FILE: backend/src/services/costModel.js
+//
+// One place for what simulated trading costs, shared by the paper
+// trader, trainingEngine backtests, the sandbox venue adapters and
+// the smart order router:
+//
+//   fees     maker/taker tiers per venue from 30-day volume
+//   spread   half the quoted spread, from the live book on the
+//            microstructure bus or the venue's modelled spread
+//   funding  perpetuals: paid every 8h (00/08/16 UTC), longs pay
+//            shorts when the rate is positive
+//   borrow   spot shorts: annual borrow rate on the notional
+//
+// All costs come back in USD, positive = paid.
+// ==========================================================
+
+const microstructure = require("./marketMicrostructure");
+
+/* ================= CONFIG ================= */
+
+const CONFIG = Object.freeze({
+  // Venue whose schedule paper and backtests are charged at
+  simVenue: process.env.SIM_FEE_VENUE || "kraken",
+
+  // "spot" | "perp"; SIM_PERP_SYMBOLS lists symbols simulated as perps
+  defaultInstrument: process.env.SIM_INSTRUMENT === "perp" ? "perp" : "spot",
+  perpSymbols: String(process.env.SIM_PERP_SYMBOLS || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean),
+
+  fundingRate8h: Number(process.env.SIM_FUNDING_RATE_8H || 0.0001),
+  fundingIntervalMs: 8 * 60 * 60 * 1000,
+
+  defaultBorrowApr: Number(process.env.SIM_BORROW_APR || 0.1),
+
+  volumeWindowDays: 30,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Published spot schedules (bps), by 30-day USD volume
+const FEE_SCHEDULES = {
+  kraken: [
+    { minVolume: 0, makerBps: 16, takerBps: 26 },
+    { minVolume: 50000, makerBps: 14, takerBps: 24 },
+    { minVolume: 100000, makerBps: 12, takerBps: 22 },
+    { minVolume: 250000, makerBps: 10, takerBps: 20 },
+    { minVolume: 500000, makerBps: 8, takerBps: 18 },
+    { minVolume: 1000000, makerBps: 6, takerBps: 16 },
+    { minVolume: 2500000, makerBps: 4, takerBps: 14 },
+    { minVolume: 5000000, makerBps: 2, takerBps: 12 },
+    { minVolume: 10000000, makerBps: 0, takerBps: 10 },
+  ],
+  binance: [
+    { minVolume: 0, makerBps: 10, takerBps: 10 },
+    { minVolume: 1000000, makerBps: 9, takerBps: 10 },
+    { minVolume: 5000000, makerBps: 8, takerBps: 10 },
+    { minVolume: 20000000, makerBps: 4.2, takerBps: 6 },
+  ],
+  coinbase: [
+    { minVolume: 0, makerBps: 40, takerBps: 60 },
+    { minVolume: 10000, makerBps: 25, takerBps: 40 },
+    { minVolume: 50000, makerBps: 15, takerBps: 25 },
+    { minVolume: 100000, makerBps: 10, takerBps: 20 },
+    { minVolume: 1000000, makerBps: 8, takerBps: 18 },
+    { minVolume: 15000000, makerBps: 6, takerBps: 16 },
+  ],
+  cryptoCom: [
+    { minVolume: 0, makerBps: 7.5, takerBps: 7.5 },
+    { minVolume: 25000, makerBps: 6.5, takerBps: 7 },
+    { minVolume: 50000, makerBps: 5.5, takerBps: 6.5 },
+    { minVolume: 100000, makerBps: 4.5, takerBps: 6 },
+    { minVolume: 250000, makerBps: 3.5, takerBps: 5 },
+  ],
+};
+
+// Modelled top-of-book half spread (bps) for BTC; other assets scale up
+const HALF_SPREAD_BPS = { kraken: 0.5, binance: 0.3, coinbase: 0.8, cryptoCom: 0.8 };
+const SPREAD_SCALE = { BTC: 1, ETH: 1.5 };
+const DEFAULT_SPREAD_SCALE = 4;
+
+const BORROW_APR = { BTC: 0.05, ETH: 0.06, USDT: 0.08 };
+
+/* ================= HELPERS ================= */
+
+function safeNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function baseAsset(symbol) {
+  const s = String(symbol || "").toUpperCase().replace(/[^A-Z0-9]/g, "").replace(/^XBT/, "BTC");
+  return s.replace(/(USDT|USDC|USD|PERP)+$/, "") || s;
+}
+
+function venueKey(venue) {
+  return FEE_SCHEDULES[venue] ? venue : CONFIG.simVenue;
+}
+
+function dayKey(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/* ================= FEES ================= */
+
+function feeTier(venue, volume30dUsd = 0) {
+  const tiers = FEE_SCHEDULES[venueKey(venue)];
+  let tier = tiers[0];
+  for (const t of tiers) {
+    if (volume30dUsd >= t.minVolume) tier = t;
+  }
+  return tier;
+}
+
+/**
+ * fee({ venue, notional, liquidity: "maker" | "taker", volume30dUsd })
+ * → { feeUsd, bps, liquidity, tier }
+ */
+function fee({ venue, notional, liquidity = "taker", volume30dUsd = 0 } = {}) {
+  const tier = feeTier(venue, safeNum(volume30dUsd));
+  const bps = liquidity === "maker" ? tier.makerBps : tier.takerBps;
+
+  return {
+    feeUsd: (Math.abs(safeNum(notional)) * bps) / 10000,
+    bps,
+    liquidity,
+    tier: tier.minVolume,
+  };
+}
+
+/* ================= 30-DAY VOLUME ================= */
+
+// A volume window is a plain { "YYYY-MM-DD": usd } map so it can be
+// persisted with whatever state owns it.
+
+function addVolume(window, notional, ts = Date.now()) {
+  const day = dayKey(ts);
+  window[day] = safeNum(window[day]) + Math.abs(safeNum(notional));
+
+  const cutoff = dayKey(ts - CONFIG.volumeWindowDays * DAY_MS);
+  for (const k of Object.keys(window)) {
+    if (k < cutoff) delete window[k];
+  }
+  return window;
+}
+
+function volume30d(window = {}, ts = Date.now()) {
+  const cutoff = dayKey(ts - CONFIG.volumeWindowDays * DAY_MS);
+  let total = 0;
+  for (const [k, v] of Object.entries(window)) {
+    if (k > cutoff) total += safeNum(v);
+  }
+  return total;
+}
+
+// Adapters have no state of their own to keep volume on
+const VENUE_VOLUME = new Map();
+
+function venueVolume(tenantId, venue) {
+  const key = `${tenantId || "system"}|${venue}`;
+  if (!VENUE_VOLUME.has(key)) VENUE_VOLUME.set(key, {});
+  return VENUE_VOLUME.get(key);
+}
+
+/* ================= SPREAD ================= */
+
+/**
+ * Half spread in bps: from `book` (or the live book on the bus) when
+ * one is available, otherwise the venue model.
+ */
+function halfSpread({ venue, symbol, book } = {}) {
+  const live = book || (symbol ? microstructure.getBook(symbol) : null);
+  if (live && safeNum(live.spreadBps) > 0) {
+    return { halfSpreadBps: live.spreadBps / 2, source: "book" };
+  }
+
+  const scale = SPREAD_SCALE[baseAsset(symbol)] ?? DEFAULT_SPREAD_SCALE;
+  return { halfSpreadBps: HALF_SPREAD_BPS[venueKey(venue)] * scale, source: "model" };
+}
+
+/**
+ * Price crossed to the far side of the spread, plus `slippageBps` of
+ * impact. Returns the fill price and what each part cost in USD.
+ */
+function crossSpread({ venue, symbol, side, price, qty = 0, slippageBps = 0, book } = {}) {
+  const { halfSpreadBps, source } = halfSpread({ venue, symbol, book });
+  const dir = side === "BUY" || side === "LONG" ? 1 : -1;
+  const mid = safeNum(price);
+
+  const fillPrice = mid * (1 + (dir * (halfSpreadBps + safeNum(slippageBps))) / 10000);
+  const notional = mid * Math.abs(safeNum(qty));
+
+  return {
+    price: fillPrice,
+    halfSpreadBps,
+    spreadUsd: (notional * halfSpreadBps) / 10000,
+    slippageUsd: (notional * safeNum(slippageBps)) / 10000,
+    source,
+  };
+}
+
+/* ================= SANDBOX FILLS ================= */
+
+/**
+ * A simulated taker fill for a sandbox adapter: crosses the spread (live
+ * book when there is one) plus `slippageBps`, charges the fee at the
+ * tenant's 30-day volume tier on `venue` and books the notional into it.
+ */
+function takerFill({ venue, tenantId, symbol, side, price, qty = 0, slippageBps = 0 } = {}) {
+  const fill = crossSpread({ venue, symbol, side, price, qty, slippageBps });
+  const notional = fill.price * qty;
+
+  const volume = venueVolume(tenantId, venue);
+  const charged = fee({ venue, notional, volume30dUsd: volume30d(volume) });
+  addVolume(volume, notional);
+
+  return {
+    avgPrice: fill.price,
+    fee: charged.feeUsd,
+    feeBps: charged.bps,
+    liquidity: "taker",
+    costs: { fees: charged.feeUsd, spread: fill.spreadUsd, slippage: fill.slippageUsd },
+  };
+}
+
+/* ================= FUNDING & BORROW ================= */
+
+function instrumentOf(symbol) {
+  const s = String(symbol || "").toUpperCase();
+  if (s.endsWith("PERP") || CONFIG.perpSymbols.includes(s)) return "perp";
+  return CONFIG.defaultInstrument;
+}
+
+function fundingEvents(fromTs, toTs) {
+  const step = CONFIG.fundingIntervalMs;
+  if (!(toTs > fromTs)) return 0;
+  return Math.floor(toTs / step) - Math.floor(fromTs / step);
+}
+
+/**
+ * Carry on an open position between two epoch-ms timestamps.
+ * → { fundingUsd, borrowUsd } (negative funding = received)
+ */
+function carry({ symbol, side, notional, fromTs, toTs, fundingRate8h = CONFIG.fundingRate8h } = {}) {
+  const from = safeNum(fromTs, NaN);
+  const to = safeNum(toTs, NaN);
+  const usd = Math.abs(safeNum(notional));
+
+  // index-based candle times are not clock time
+  if (!(from > 1e11) || !(to > from)) return { fundingUsd: 0, borrowUsd: 0 };
+
+  const isLong = side === "LONG" || side === "BUY";
+
+  if (instrumentOf(symbol) === "perp") {
+    const events = fundingEvents(from, to);
+    return { fundingUsd: events * usd * fundingRate8h * (isLong ? 1 : -1), borrowUsd: 0 };
+  }
+
+  if (isLong) return { fundingUsd: 0, borrowUsd: 0 };
+
+  const apr = BORROW_APR[baseAsset(symbol)] ?? CONFIG.defaultBorrowApr;
+  return { fundingUsd: 0, borrowUsd: (usd * apr * (to - from)) / YEAR_MS };
+}
+
+/* ================= REPORTING ================= */
+
+function emptyCosts() {
+  return { fees: 0, spread: 0, slippage: 0, funding: 0, borrow: 0 };
+}
+
+function addCosts(into, part = {}) {
+  for (const k of Object.keys(emptyCosts())) into[k] = safeNum(into[k]) + safeNum(part[k]);
+  return into;
+}
+
+function totalCosts(costs = {}) {
+  return Object.keys(emptyCosts()).reduce((s, k) => s + safeNum(costs[k]), 0);
+}
+
+module.exports = {
+  CONFIG,
+  FEE_SCHEDULES,
+  feeTier,
+  fee,
+  addVolume,
+  volume30d,
+  venueVolume,
+  halfSpread,
+  crossSpread,
+  takerFill,
+  instrumentOf,
+  carry,
+  emptyCosts,
+  addCosts,
+  totalCosts,
+};
@@ -0,0 +1,574 @@
+// ==========================================================
+// 📥 MARKET DATA IMPORTER — v1.0 (OFFLINE • VALIDATED • MANIFESTED)
+// FILE: backend/src/services/dataImporter.js
+//
+// Loads historical OHLCV files into the marketReplayEngine store:
+//
+//   csv      any CSV with a header (time/open/high/low/close/volume
+//            and common aliases), or headerless in that order
+//   binance  data.binance.vision kline dumps, .zip or .csv
+//            (open_time, o, h, l, c, v, close_time, ...)
+//   kraken   Kraken OHLCVT exports, e.g. XBTUSD_60.csv
+//            (unix seconds, o, h, l, c, v, trades)
+//
+// Every row is validated; duplicates collapse onto the last
+// occurrence. The report lists rejected lines, gaps and signs of
+// timezone trouble (naive local timestamps, bars off the UTC grid).
+// Accepted candles merge into <DATA_DIR>/<tf>/<SYMBOL>.json and
+// <DATA_DIR>/manifest.json records coverage per symbol/timeframe.
+// ==========================================================
+
+const fs = require("fs");
+const path = require("path");
+const zip = require("../lib/zip");
+const marketReplayEngine = require("./marketReplayEngine");
+
+/* ================= CONFIG ================= */
+
+const FORMATS = ["csv", "binance", "kraken"];
+
+const TIMEFRAMES = {
+  "1m": 60e3,
+  "3m": 180e3,
+  "5m": 300e3,
+  "15m": 900e3,
+  "30m": 1800e3,
+  "1h": 3600e3,
+  "2h": 7200e3,
+  "4h": 14400e3,
+  "6h": 21600e3,
+  "8h": 28800e3,
+  "12h": 43200e3,
+  "1d": 86400e3,
+  "3d": 259200e3,
+  "1w": 604800e3,
+};
+
+const MAX_ERRORS = 20;
+const MAX_GAP_RANGES = 20;
+const MAX_SOURCES = 20;
+
+// Generic CSV header aliases
+const COLUMNS = {
+  time: ["time", "timestamp", "date", "datetime", "open_time", "opentime", "ts", "unix", "t"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "c", "price"],
+  volume: ["volume", "vol", "v", "base_volume", "volume_base"],
+};
+
+// Kraken legacy asset codes
+const KRAKEN_ASSETS = { XBT: "BTC", XXBT: "BTC", XDG: "DOGE", XXDG: "DOGE", XETH: "ETH", ZUSD: "USD", ZEUR: "EUR" };
+
+/* ================= HELPERS ================= */
+
+function ensureDir(p) {
+  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
+}
+
+function writeJsonAtomic(file, value) {
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value));
+  fs.renameSync(tmp, file);
+}
+
+function normalizeSymbol(symbol) {
+  return String(symbol || "").trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function timeframeLabel(ms) {
+  return Object.keys(TIMEFRAMES).find((tf) => TIMEFRAMES[tf] === ms) || null;
+}
+
+// "60" (Kraken minutes), "1h", "1H" → "1h"
+function normalizeTimeframe(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) return timeframeLabel(Number(s) * 60e3);
+  const lower = s.toLowerCase();
+  return TIMEFRAMES[lower] ? lower : null;
+}
+
+// XBTUSD / XXBTZUSD → BTCUSDT, matching krakenFeed's symbol map
+function krakenSymbol(pair) {
+  let p = String(pair).toUpperCase();
+  if (/^[XZ][A-Z]{3}[XZ][A-Z]{3}$/.test(p)) p = p.slice(1, 4) + p.slice(5);
+
+  const quotes = ["USDT", "USDC", "USD", "EUR", "GBP", "BTC", "XBT", "ETH"];
+  const quote = quotes.find((q) => p.endsWith(q) && p.length > q.length);
+  if (!quote) return p;
+
+  const base = p.slice(0, -quote.length);
+  const b = KRAKEN_ASSETS[base] || base;
+  const q = quote === "USD" ? "USDT" : KRAKEN_ASSETS[quote] || quote;
+  return b + q;
+}
+
+/**
+ * Symbol, timeframe and format implied by a file name:
+ *   BTCUSDT-1m-2024-01.zip   binance
+ *   XBTUSD_60.csv            kraken
+ *   ETHUSDT_1h.csv           csv
+ */
+function inferFromFilename(filename = "") {
+  const base = path.basename(String(filename));
+
+  let m = base.match(/^([A-Za-z0-9]+)-(\d+[mhdw])-\d{4}-\d{2}(?:-\d{2})?\.(zip|csv)$/i);
+  if (m) return { format: "binance", symbol: normalizeSymbol(m[1]), timeframe: normalizeTimeframe(m[2]) };
+
+  m = base.match(/^([A-Za-z0-9]+)_(\d+)\.csv$/i);
+  if (m && normalizeTimeframe(m[2])) {
+    return { format: "kraken", symbol: krakenSymbol(m[1]), timeframe: normalizeTimeframe(m[2]) };
+  }
+
+  m = base.match(/^([A-Za-z0-9]+)(?:[-_](\d+[mhdw]))?(?:[-_.].*)?\.(csv|zip)$/i);
+  if (m) return { format: /zip$/i.test(base) ? "binance" : null, symbol: normalizeSymbol(m[1]), timeframe: normalizeTimeframe(m[2]) };
+
+  return { format: null, symbol: null, timeframe: null };
+}
+
+/* ================= PARSING ================= */
+
+function splitLine(line, delimiter) {
+  return line.split(delimiter).map((f) => f.trim().replace(/^"(.*)"$/, "$1").trim());
+}
+
+function parseCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const first = lines.find((l) => l.trim()) || "";
+  const delimiter = first.includes(";") && !first.includes(",") ? ";" : first.includes("\t") ? "\t" : ",";
+
+  const rows = [];
+  lines.forEach((line, i) => {
+    if (line.trim()) rows.push({ line: i + 1, fields: splitLine(line, delimiter) });
+  });
+  return rows;
+}
+
+function isHeader(fields) {
+  return fields.some((f) => f !== "" && !Number.isFinite(Number(f)) && Number.isNaN(Date.parse(f)));
+}
+
+/**
+ * Epoch seconds / ms / µs or a date string → ms. Date strings with
+ * no zone designator are read as UTC and flagged naive.
+ */
+function parseTime(value) {
+  const s = String(value).trim();
+  if (s === "") return null;
+
+  if (/^-?\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    if (n < 1e11) return { ms: Math.round(n * 1000), unit: "s", naive: false };
+    if (n < 1e14) return { ms: Math.round(n), unit: "ms", naive: false };
+    return { ms: Math.round(n / 1000), unit: "us", naive: false };
+  }
+
+  const naive = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(s);
+  const ms = Date.parse(naive ? `${s.replace(" ", "T")}${s.length > 10 ? "" : "T00:00:00"}Z` : s);
+  return Number.isFinite(ms) ? { ms, unit: "date", naive } : null;
+}
+
+function columnMap(header) {
+  const names = header.map((h) => h.toLowerCase().replace(/\s+/g, "_"));
+  const map = {};
+
+  for (const [col, aliases] of Object.entries(COLUMNS)) {
+    const idx = names.findIndex((n) => aliases.includes(n));
+    if (idx >= 0) map[col] = idx;
+  }
+  return map;
+}
+
+const POSITIONAL = { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+
+/**
+ * Column layout for a format. Binance and Kraken are headerless and
+ * positional; recent Binance dumps carry a header row, which is skipped.
+ */
+function layoutFor(format, rows) {
+  if (!rows.length) return { map: POSITIONAL, skip: 0 };
+
+  const header = isHeader(rows[0].fields);
+  if (!header) return { map: POSITIONAL, skip: 0 };
+  if (format !== "csv") return { map: POSITIONAL, skip: 1 };
+
+  return { map: columnMap(rows[0].fields), skip: 1 };
+}
+
+function detectFormat(rows) {
+  const sample = rows.find((r) => !isHeader(r.fields));
+  if (!sample) return "csv";
+
+  const t = Number(sample.fields[0]);
+  if (sample.fields.length >= 11 && t > 1e11) return "binance";
+  if (sample.fields.length === 7 && t > 1e8 && t < 1e11) return "kraken";
+  return "csv";
+}
+
+/* ================= VALIDATION ================= */
+
+function toCandle(fields, map) {
+  // Close-only files become flat bars
+  const close = map.close === undefined ? NaN : Number(fields[map.close]);
+  const num = (col) => (map[col] === undefined ? close : Number(fields[map[col]]));
+
+  const time = map.time === undefined ? null : parseTime(fields[map.time]);
+  if (!time) return { error: "unreadable timestamp" };
+
+  const c = {
+    time: time.ms,
+    open: num("open"),
+    high: num("high"),
+    low: num("low"),
+    close: num("close"),
+    volume: map.volume === undefined ? 0 : Number(fields[map.volume]),
+  };
+
+  if (![c.open, c.high, c.low, c.close].every(Number.isFinite)) return { error: "non-numeric OHLC" };
+  if (!(c.open > 0 && c.high > 0 && c.low > 0 && c.close > 0)) return { error: "non-positive price" };
+  if (c.high < Math.max(c.open, c.close, c.low)) return { error: "high below open/close/low" };
+  if (c.low > Math.min(c.open, c.close)) return { error: "low above open/close" };
+  if (!Number.isFinite(c.volume) || c.volume < 0) return { error: "invalid volume" };
+
+  return { candle: c, unit: time.unit, naive: time.naive };
+}
+
+// Sorted, one candle per timestamp; later rows win
+function dedupe(candles) {
+  const byTime = new Map();
+  let duplicates = 0;
+  let conflicts = 0;
+
+  for (const c of candles) {
+    const prev = byTime.get(c.time);
+    if (prev) {
+      duplicates++;
+      if (prev.open !== c.open || prev.high !== c.high || prev.low !== c.low || prev.close !== c.close || prev.volume !== c.volume) {
+        conflicts++;
+      }
+    }
+    byTime.set(c.time, c);
+  }
+
+  return {
+    candles: [...byTime.values()].sort((a, b) => a.time - b.time),
+    duplicates,
+    conflicts,
+  };
+}
+
+// Most common spacing between consecutive candles
+function inferInterval(candles) {
+  const counts = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    const d = candles[i].time - candles[i - 1].time;
+    if (d > 0) counts.set(d, (counts.get(d) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [d, n] of counts) {
+    if (!best || n > best.n || (n === best.n && d < best.d)) best = { d, n };
+  }
+  return best ? best.d : null;
+}
+
+function findGaps(candles, intervalMs) {
+  const ranges = [];
+  let count = 0;
+  let missingBars = 0;
+
+  for (let i = 1; i < candles.length; i++) {
+    const d = candles[i].time - candles[i - 1].time;
+    if (d <= intervalMs) continue;
+
+    const missing = Math.round(d / intervalMs) - 1;
+    if (missing < 1) continue;
+
+    count++;
+    missingBars += missing;
+    if (ranges.length < MAX_GAP_RANGES) {
+      ranges.push({ from: candles[i - 1].time + intervalMs, to: candles[i].time - intervalMs, missing });
+    }
+  }
+
+  return { count, missingBars, ranges };
+}
+
+/**
+ * Bars should open on the UTC grid. A constant offset (e.g. daily
+ * bars at 05:00) usually means local-time exports.
+ */
+function checkAlignment(candles, intervalMs) {
+  // Weekly bars open on Monday, the epoch was a Thursday
+  const origin = intervalMs === TIMEFRAMES["1w"] ? 4 * 86400e3 : 0;
+  const offsets = new Map();
+
+  for (const c of candles) {
+    const off = (((c.time - origin) % intervalMs) + intervalMs) % intervalMs;
+    offsets.set(off, (offsets.get(off) || 0) + 1);
+  }
+
+  const misaligned = candles.length - (offsets.get(0) || 0);
+  let offsetMs = 0;
+  let top = 0;
+  for (const [off, n] of offsets) {
+    if (n > top) {
+      top = n;
+      offsetMs = off;
+    }
+  }
+
+  // Report the offset as the nearest signed shift
+  const signed = offsetMs > intervalMs / 2 ? offsetMs - intervalMs : offsetMs;
+
+  return { aligned: misaligned === 0, misaligned, offsetMinutes: Math.round(signed / 60e3) };
+}
+
+/* ================= STORE ================= */
+
+function coverageOf(candles, timeframe) {
+  const intervalMs = TIMEFRAMES[timeframe];
+  const gaps = findGaps(candles, intervalMs);
+
+  return {
+    timeframe,
+    intervalMs,
+    candles: candles.length,
+    firstTime: candles.length ? candles[0].time : null,
+    lastTime: candles.length ? candles[candles.length - 1].time : null,
+    gaps: gaps.count,
+    missingBars: gaps.missingBars,
+  };
+}
+
+/**
+ * Merges `candles` into the stored timeframe file (imported rows
+ * replace stored ones at the same time), or overwrites it when
+ * `replace` is set, and refreshes the manifest.
+ */
+function writeCandles(symbol, timeframe, candles, source, { replace = false } = {}) {
+  const file = marketReplayEngine.getMarketFilePath(symbol, timeframe);
+  const stored = replace ? [] : marketReplayEngine.loadMarketData(symbol, { timeframe });
+
+  const byTime = new Map(stored.map((c) => [c.time, c]));
+  let replaced = 0;
+  for (const c of candles) {
+    if (byTime.has(c.time)) replaced++;
+    byTime.set(c.time, c);
+  }
+
+  const merged = [...byTime.values()].sort((a, b) => a.time - b.time);
+  writeJsonAtomic(file, merged);
+
+  const manifest = marketReplayEngine.readManifest();
+  const entry = manifest.symbols[symbol] || { symbol, timeframes: {} };
+  const previous = entry.timeframes[timeframe];
+
+  entry.timeframes[timeframe] = {
+    ...coverageOf(merged, timeframe),
+    file: path.relative(marketReplayEngine.DATA_DIR, file),
+    updatedAt: Date.now(),
+    sources: [...(replace ? [] : previous?.sources || []), source].slice(-MAX_SOURCES),
+  };
+
+  manifest.symbols[symbol] = entry;
+  manifest.updatedAt = Date.now();
+  writeJsonAtomic(marketReplayEngine.MANIFEST_FILE, manifest);
+
+  return { file, candles: merged.length, added: merged.length - stored.length, replaced };
+}
+
+/* ================= IMPORT ================= */
+
+function textsOf(buffer, filename) {
+  if (zip.isZip(buffer)) {
+    return zip
+      .readEntries(buffer)
+      .filter((e) => /\.(csv|txt)$/i.test(e.name))
+      .map((e) => ({ name: e.name, text: e.data.toString("utf8") }));
+  }
+  return [{ name: filename, text: buffer.toString("utf8") }];
+}
+
+/**
+ * Imports one file. `data` is a Buffer (zip or text) or a string.
+ *
+ * Options: format, symbol, timeframe (inferred from the file name or
+ * the data when omitted), tzOffset (minutes east of UTC the file's
+ * timestamps are in; subtracted from every row), replace (overwrite
+ * the stored timeframe instead of merging), dryRun (report only).
+ */
+function importData(data, {
+  filename = "upload.csv",
+  format = null,
+  symbol = null,
+  timeframe = null,
+  tzOffset = 0,
+  replace = false,
+  dryRun = false,
+} = {}) {
+  const hinted = inferFromFilename(filename);
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data ?? ""), "utf8");
+
+  if (format && !FORMATS.includes(format)) {
+    return { ok: false, error: `format must be one of ${FORMATS.join(", ")}` };
+  }
+  if (timeframe && !normalizeTimeframe(timeframe)) {
+    return { ok: false, error: `timeframe must be one of ${Object.keys(TIMEFRAMES).join(", ")}` };
+  }
+
+  const shiftMs = (Number(tzOffset) || 0) * 60e3;
+
+  let texts;
+  try {
+    texts = textsOf(buffer, filename);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+  if (!texts.length) return { ok: false, error: "No CSV found in archive" };
+
+  const raw = [];
+  const errors = [];
+  const units = new Set();
+  let rows = 0;
+  let rejected = 0;
+  let naive = 0;
+  let usedFormat = format || hinted.format;
+
+  for (const { name, text } of texts) {
+    const parsed = parseCsv(text);
+    const fmt = usedFormat || detectFormat(parsed);
+    usedFormat = fmt;
+
+    const { map, skip } = layoutFor(fmt, parsed);
+    if (map.time === undefined || map.close === undefined) {
+      return { ok: false, error: `${name}: no time/close columns in header` };
+    }
+
+    for (const row of parsed.slice(skip)) {
+      rows++;
+      const out = toCandle(row.fields, map);
+      if (out.error) {
+        rejected++;
+        if (errors.length < MAX_ERRORS) errors.push({ file: name, line: row.line, error: out.error });
+        continue;
+      }
+
+      units.add(out.unit);
+      if (out.naive) naive++;
+      out.candle.time -= shiftMs;
+      raw.push(out.candle);
+    }
+  }
+
+  // Bars can't open in the future; usually a unit or timezone mistake
+  const horizon = Date.now() + 86400e3;
+  const present = raw.filter((c) => c.time <= horizon);
+  if (present.length < raw.length) {
+    rejected += raw.length - present.length;
+    if (errors.length < MAX_ERRORS) errors.push({ file: filename, line: null, error: `${raw.length - present.length} rows dated in the future` });
+  }
+
+  const { candles, duplicates, conflicts } = dedupe(present);
+
+  const sym = normalizeSymbol(symbol) || hinted.symbol;
+  if (!sym) return { ok: false, error: "symbol is required (not in file name)" };
+  if (!candles.length) return { ok: false, error: "No valid candles", rows, rejected, errors };
+
+  const inferred = inferInterval(candles);
+  const tf = normalizeTimeframe(timeframe) || hinted.timeframe || timeframeLabel(inferred);
+  if (!tf) {
+    return { ok: false, error: `Could not infer timeframe (spacing ${inferred} ms); pass one explicitly`, rows, rejected, errors };
+  }
+
+  const intervalMs = TIMEFRAMES[tf];
+  const gaps = findGaps(candles, intervalMs);
+  const alignment = checkAlignment(candles, intervalMs);
+
+  const warnings = [];
+  if (inferred && inferred !== intervalMs) {
+    warnings.push(`rows are ${timeframeLabel(inferred) || `${inferred} ms`} apart but timeframe is ${tf}`);
+  }
+  if (units.size > 1) warnings.push(`mixed timestamp units: ${[...units].join(", ")}`);
+  if (naive) warnings.push(`${naive} timestamps had no timezone and were read as UTC`);
+  if (naive && duplicates) warnings.push("duplicate bars in naive local time can be a DST fall-back hour");
+  if (!alignment.aligned) {
+    warnings.push(
+      `${alignment.misaligned} bars are off the UTC ${tf} grid (typical offset ${alignment.offsetMinutes} min); ` +
+        "if the file is in local time, re-import with tzOffset"
+    );
+  }
+  if (conflicts) warnings.push(`${conflicts} duplicate timestamps had different values; the last row was kept`);
+
+  const report = {
+    ok: true,
+    dryRun: Boolean(dryRun),
+    file: path.basename(filename),
+    format: usedFormat,
+    symbol: sym,
+    timeframe: tf,
+    rows,
+    accepted: candles.length,
+    rejected,
+    duplicates,
+    conflicts,
+    errors,
+    firstTime: candles[0].time,
+    lastTime: candles[candles.length - 1].time,
+    gaps,
+    timezone: {
+      units: [...units],
+      naiveTimestamps: naive,
+      tzOffsetApplied: Number(tzOffset) || 0,
+      aligned: alignment.aligned,
+      misaligned: alignment.misaligned,
+      offsetMinutes: alignment.offsetMinutes,
+    },
+    warnings,
+    written: null,
+  };
+
+  if (dryRun) return report;
+
+  report.written = writeCandles(sym, tf, candles, {
+    file: report.file,
+    format: usedFormat,
+    accepted: candles.length,
+    rejected,
+    firstTime: report.firstTime,
+    lastTime: report.lastTime,
+    importedAt: Date.now(),
+  }, { replace });
+  report.written.file = path.relative(marketReplayEngine.DATA_DIR, report.written.file);
+  report.coverage = marketReplayEngine.readManifest().symbols[sym].timeframes[tf];
+
+  return report;
+}
+
+/**
+ * Imports a file, or every .csv/.zip in a directory (sorted by name).
+ */
+function importPath(target, options = {}) {
+  const stat = fs.statSync(target);
+  const files = stat.isDirectory()
+    ? fs.readdirSync(target).filter((f) => /\.(csv|zip)$/i.test(f)).sort().map((f) => path.join(target, f))
+    : [target];
+
+  return files.map((file) => importData(fs.readFileSync(file), { ...options, filename: path.basename(file) }));
+}
+
+function manifest() {
+  return marketReplayEngine.readManifest();
+}
+
+module.exports = {
+  FORMATS,
+  TIMEFRAMES,
+  inferFromFilename,
+  importData,
+  importPath,
+  manifest,
+};
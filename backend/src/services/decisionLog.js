@@ -0,0 +1,219 @@
+// ==========================================================
+// 🔍 DECISION LOG — v1.0 (PER-DECISION FEATURE ATTRIBUTION)
+// FILE: backend/src/services/decisionLog.js
+//
+// Why the AI entered, exited or skipped. paperTrader records every
+// decision it acts on (or declines to) with the attribution the
+// engines attach to their output:
+//
+//   features    what the engine saw (price, regime, indicators, ...)
+//   components  each input's contribution to confidence and edge,
+//               nested one level per layer (tradeBrain → strategy /
+//               ai → reasoning)
+//   thresholds  every guard checked, its limit, the actual value and
+//               whether it changed the action
+//
+// plus the action proposed, the final action and the outcome:
+//
+//   ENTERED   position opened; carries the new tradeId
+//   EXITED    position closed on the signal, or by the hard stop,
+//             stop-loss or take-profit (source "protection", the
+//             levels checked as thresholds); carries its tradeId
+//   REJECTED  entry stopped by the risk gateway (its reasons attached)
+//   SKIPPED   entry proposed but a threshold or open position held it
+//   WAIT      nothing proposed
+//
+// The last DECISION_LOG_RING decisions per tenant stay in memory.
+// ENTERED, EXITED and REJECTED are also written to db.decisionLog,
+// batched every DECISION_LOG_FLUSH_MS, so a trade's decisions can
+// be looked up by tradeId after a restart.
+// ==========================================================
+
+const crypto = require("crypto");
+const { readDb, updateDb } = require("../lib/db");
+
+/* ================= CONFIG ================= */
+
+const CONFIG = Object.freeze({
+  enabled: process.env.DECISION_LOG_ENABLED !== "false",
+  ring: Number(process.env.DECISION_LOG_RING || 1000),
+  maxPerTenant: Number(process.env.DECISION_LOG_MAX || 5000),
+  flushMs: Number(process.env.DECISION_LOG_FLUSH_MS || 5000),
+});
+
+const OUTCOMES = ["ENTERED", "EXITED", "REJECTED", "SKIPPED", "WAIT"];
+const DURABLE = new Set(["ENTERED", "EXITED", "REJECTED"]);
+
+const RING = new Map(); // tenantId → recent decisions, oldest first
+const PENDING = [];
+
+/* ================= HELPERS ================= */
+
+function makeId() {
+  return `dec_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function tenantKey(tenantId) {
+  return String(tenantId || "default_user");
+}
+
+function toMs(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function pruneTenant(rows, tenantId) {
+  const mine = rows.filter((r) => r.tenantId === tenantId);
+  const excess = mine.length - CONFIG.maxPerTenant;
+  if (excess <= 0) return;
+
+  const drop = new Set(mine.slice(0, excess).map((r) => r.id));
+  for (let i = rows.length - 1; i >= 0; i--) if (drop.has(rows[i].id)) rows.splice(i, 1);
+}
+
+/* ================= RECORD ================= */
+
+/**
+ * Logs one decision. `decision` is the engine output (tradeBrain or
+ * a bound strategy) with its `attribution`; `outcome` is what the
+ * paper core did with it.
+ */
+function record({
+  tenantId,
+  symbol,
+  source,
+  decision = {},
+  outcome,
+  outcomeReason = null,
+  tradeId = null,
+  thresholds = [],
+  risk = null,
+  persist = true,
+  ts = Date.now(),
+}) {
+  if (!CONFIG.enabled) return null;
+
+  const id = tenantKey(tenantId);
+  const attribution = decision.attribution || {};
+
+  const row = {
+    id: makeId(),
+    tenantId: id,
+    symbol,
+    source,
+    proposed: attribution.proposed || decision.action || "WAIT",
+    action: decision.action || "WAIT",
+    confidence: decision.confidence ?? 0,
+    edge: decision.edge ?? 0,
+    regime: decision.regime || null,
+    reason: decision.reason || null,
+    outcome: OUTCOMES.includes(outcome) ? outcome : "WAIT",
+    outcomeReason,
+    tradeId,
+    features: attribution.features || null,
+    components: attribution.components || [],
+    thresholds: [...(attribution.thresholds || []), ...thresholds],
+    risk,
+    ts,
+  };
+
+  if (!RING.has(id)) RING.set(id, []);
+  const ring = RING.get(id);
+  ring.push(row);
+  if (ring.length > CONFIG.ring) ring.shift();
+
+  if (persist && DURABLE.has(row.outcome)) PENDING.push(row);
+  return row;
+}
+
+/**
+ * Writes pending durable decisions. Runs on a timer; callers that
+ * need them on disk at once (tests, shutdown) can call it directly.
+ */
+function flush() {
+  if (!PENDING.length) return 0;
+  const rows = PENDING.splice(0);
+
+  try {
+    updateDb((db) => {
+      if (!Array.isArray(db.decisionLog)) db.decisionLog = [];
+      db.decisionLog.push(...rows);
+      for (const tenantId of new Set(rows.map((r) => r.tenantId))) pruneTenant(db.decisionLog, tenantId);
+      return db;
+    });
+  } catch (err) {
+    // keep them for the next attempt
+    PENDING.unshift(...rows);
+    console.error("[decisionLog] flush error:", err.message);
+    return 0;
+  }
+
+  return rows.length;
+}
+
+const flushTimer = setInterval(flush, CONFIG.flushMs);
+if (flushTimer.unref) flushTimer.unref();
+
+/* ================= QUERY ================= */
+
+// Stored, pending and in-memory decisions for a tenant, one per id
+function allFor(tenantId) {
+  const id = tenantKey(tenantId);
+  const byId = new Map();
+
+  for (const r of readDb().decisionLog || []) if (r.tenantId === id) byId.set(r.id, r);
+  for (const r of PENDING) if (r.tenantId === id) byId.set(r.id, r);
+  for (const r of RING.get(id) || []) byId.set(r.id, r);
+
+  return [...byId.values()];
+}
+
+/**
+ * Newest first: { total, decisions }.
+ */
+function list(tenantId, { symbol = null, outcome = null, action = null, tradeId = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+  let rows = allFor(tenantId);
+
+  if (symbol) rows = rows.filter((r) => r.symbol === String(symbol).toUpperCase());
+  if (outcome) rows = rows.filter((r) => r.outcome === String(outcome).toUpperCase());
+  if (action) rows = rows.filter((r) => r.action === String(action).toUpperCase() || r.proposed === String(action).toUpperCase());
+  if (tradeId) rows = rows.filter((r) => r.tradeId === tradeId);
+
+  const fromTs = toMs(from);
+  const toTs = toMs(to);
+  if (fromTs != null) rows = rows.filter((r) => r.ts >= fromTs);
+  if (toTs != null) rows = rows.filter((r) => r.ts <= toTs);
+
+  rows.sort((a, b) => b.ts - a.ts);
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 50), 500);
+
+  return { total: rows.length, decisions: rows.slice(start, start + size) };
+}
+
+function get(tenantId, decisionId) {
+  return allFor(tenantId).find((r) => r.id === decisionId) || null;
+}
+
+/**
+ * The decisions behind one trade, entry first.
+ */
+function forTrade(tenantId, tradeId) {
+  return allFor(tenantId)
+    .filter((r) => r.tradeId === tradeId)
+    .sort((a, b) => a.ts - b.ts);
+}
+
+module.exports = {
+  CONFIG,
+  OUTCOMES,
+  record,
+  flush,
+  list,
+  get,
+  forTrade,
+};
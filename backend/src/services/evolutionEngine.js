@@ -1,10 +1,11 @@
 // ==========================================================
 // FILE: backend/src/services/evolutionEngine.js
 // MODULE: AI Strategy Evolution Engine
-// VERSION: v2 (Safe Strategy Evaluation + Run Lock)
+// VERSION: v2.1 (Safe Strategy Evaluation + Run Lock + Seeded Runs)
 // ==========================================================
 
 const trainingLab = require("./trainingLab");
+const { createRng } = require("../lib/prng");
 
 /* ======================================================
 CONFIG
@@ -97,17 +98,19 @@ function withTimeout(promise, ms){
 STRATEGY GENERATION
 ====================================================== */
 
-function randomStrategy(){
+function randomStrategy(rng = null){
+
+  const random = rng ? rng.next : Math.random;
 
   return {
     minConfidence:
-      Number((0.4 + Math.random() * 0.4).toFixed(4)),
+      Number((0.4 + random() * 0.4).toFixed(4)),
 
     minEdge:
-      Number((0.0003 + Math.random() * 0.0015).toFixed(6)),
+      Number((0.0003 + random() * 0.0015).toFixed(6)),
 
     riskMultiplier:
-      Number((0.5 + Math.random() * 1.5).toFixed(4))
+      Number((0.5 + random() * 1.5).toFixed(4))
   };
 }
 
@@ -151,7 +154,7 @@ function scoreTrainingResult(result){
 TEST STRATEGY
 ====================================================== */
 
-async function testStrategy(strategy){
+async function testStrategy(strategy, rng = null){
 
   try{
 
@@ -159,7 +162,8 @@ async function testStrategy(strategy){
       await withTimeout(
         trainingLab.trainAI({
           runs: TRAINING_RUNS,
-          strategy
+          strategy,
+          rng
         }),
         EVOLUTION_TIMEOUT_MS
       );
@@ -192,7 +196,7 @@ async function testStrategy(strategy){
 EVOLUTION LOOP
 ====================================================== */
 
-async function evolveStrategies(){
+async function evolveStrategies({ seed = null } = {}){
 
   ensureEvolutionAllowed();
 
@@ -213,14 +217,18 @@ async function evolveStrategies(){
 
   const startedAt = Date.now();
 
+  // seeded evolution: strategies and their training runs share one stream
+  const rng =
+    seed !== null && seed !== undefined ? createRng(seed) : null;
+
   try{
 
     const population = [];
 
     for(let i = 0; i < MAX_STRATEGIES; i++){
 
-      const strategy = randomStrategy();
-      const tested = await testStrategy(strategy);
+      const strategy = randomStrategy(rng);
+      const tested = await testStrategy(strategy, rng);
       population.push(tested);
 
     }
@@ -244,6 +252,7 @@ async function evolveStrategies(){
       startedAt,
       finishedAt: LAST_EVOLUTION_AT,
       durationMs: LAST_EVOLUTION_AT - startedAt,
+      seed,
       bestStrategies: winners
     };
 
@@ -290,5 +299,6 @@ EXPORT
 
 module.exports = {
   evolveStrategies,
+  randomStrategy,
   getEvolutionStatus
 };
@@ -5,6 +5,7 @@
 
 const kraken = require("./krakenConnector");
 const liveGuard = require("./liveTradingGuard");
+const riskGateway = require("./riskGateway");
 
 /* =========================================================
 EXECUTE ORDER
@@ -14,7 +15,9 @@ async function executeOrder({
 
   symbol = "BTCUSD",
   action = "BUY",
-  qty
+  qty,
+  price,
+  tenantId = null
 
 }) {
 
@@ -41,6 +44,32 @@ async function executeOrder({
 
   }
 
+  /* ===== PRE-TRADE RISK ===== */
+
+  const risk =
+    riskGateway.review({
+      tenantId,
+      mode: "live",
+      source: "exchangeConnector",
+      exchange: "kraken",
+      symbol,
+      side: action,
+      qty,
+      price
+    }, { liveAllowed: canTrade });
+
+  if (!risk.approved) {
+
+    return {
+
+      ok: false,
+      error: risk.reason,
+      risk
+
+    };
+
+  }
+
   /* ===== LIVE MODE ===== */
 
   try {
@@ -53,7 +82,7 @@ async function executeOrder({
 
         pair: symbol,
         side,
-        volume: qty
+        volume: risk.qty
 
       });
 
@@ -5,6 +5,10 @@
 
 const fs = require("fs");
 const path = require("path");
+const orderJournal = require("./orderJournal");
+const executionMetrics = require("./executionMetrics");
+const riskGateway = require("./riskGateway");
+const killSwitch = require("./killSwitch");
 
 const clamp = (n,min,max)=>Math.max(min,Math.min(max,n));
 
@@ -49,7 +53,12 @@ const CONFIG = Object.freeze({
     Number(process.env.EXECUTION_METRICS_WINDOW || 50),
 
   executionTimeoutMs:
-    Number(process.env.EXECUTION_TIMEOUT_MS || 8000)
+    Number(process.env.EXECUTION_TIMEOUT_MS || 8000),
+
+  // "failover" (default) or "smart" — split across venues
+  routingMode:
+    String(process.env.EXECUTION_ROUTING_MODE || "failover")
+      .toLowerCase()
 
 });
 
@@ -96,10 +105,28 @@ const ADAPTERS = {
 
   kraken:()=>safeRequire("kraken"),
   binance:()=>safeRequire("binance"),
-  coinbase:()=>safeRequire("coinbase")
+  coinbase:()=>safeRequire("coinbase"),
+  cryptoCom:()=>safeRequire("cryptoCom")
 
 };
 
+function loadAdapter(name){
+
+  const factory = ADAPTERS[name];
+
+  if(!factory) return null;
+
+  const adapter = factory();
+
+  if(!adapter ||
+     typeof adapter.executeLiveOrder
+       !== "function")
+    return null;
+
+  return adapter;
+
+}
+
 /* =========================================================
 STATE
 ========================================================= */
@@ -114,9 +141,11 @@ function getAdapterState(name){
       failures:0,
       cooldownUntil:0,
       lastError:null,
+      lastRejection:null,
       metrics:{
         totalAttempts:0,
         success:0,
+        rejected:0,
         latencySamples:[]
       }
     });
@@ -142,6 +171,9 @@ function markFailure(name,err){
   state.failures++;
   state.lastError = String(err?.message || err);
 
+  // straight failures past the breaker threshold halt live trading
+  killSwitch.recordAdapterFailure(name,err);
+
   if(state.failures >= CONFIG.failureThreshold){
 
     state.cooldownUntil =
@@ -151,6 +183,18 @@ function markFailure(name,err){
 
 }
 
+// A refusal (balance, min notional ...) means the venue answered:
+// it is kept apart from failures so it never feeds the cooldown or
+// the adapter_failures breaker
+function markRejection(name,err){
+
+  const state = getAdapterState(name);
+
+  state.metrics.rejected++;
+  state.lastRejection = String(err?.message || err);
+
+}
+
 function markSuccess(name,latency){
 
   const state = getAdapterState(name);
@@ -158,6 +202,8 @@ function markSuccess(name,latency){
   state.failures = 0;
   state.cooldownUntil = 0;
 
+  killSwitch.recordAdapterSuccess(name);
+
   state.metrics.success++;
 
   if(Number.isFinite(latency)){
@@ -233,85 +279,288 @@ function withTimeout(promise,ms){
 
 }
 
+/* =========================================================
+VENUE ATTEMPT
+========================================================= */
+
+// One journaled, timed attempt on one venue. Throws on failure
+// so callers decide whether to fail over or re-route.
+async function executeOnVenue(exchange,params={}){
+
+  const adapter = loadAdapter(exchange);
+
+  if(!adapter){
+    throw new Error(`${exchange} adapter unavailable`);
+  }
+
+  // every venue attempt gets its own journal entry
+  const journal = orderJournal.open({
+    ...params,
+    exchange,
+    source:params.source || "router"
+  });
+
+  try{
+
+    markAttempt(exchange);
+
+    const start = Date.now();
+
+    let result;
+
+    try{
+
+      result =
+        await withTimeout(
+          adapter.executeLiveOrder({
+            ...params,
+            clientOrderId:journal.clientOrderId
+          }),
+          CONFIG.executionTimeoutMs
+        );
+
+    }
+    catch(err){
+
+      // timeout / transport: venue state unknown until reconcile
+      orderJournal.note(journal.id,err?.message || err);
+
+      const unknown =
+        err instanceof Error ? err : new Error(String(err));
+
+      unknown.executionUnknown = true;
+      throw unknown;
+
+    }
+
+    const latency =
+      Date.now() - start;
+
+    // the adapter could not tell whether the venue took it: the
+    // entry stays NEW for reconcile instead of being marked rejected
+    if(result && result.ok === false && result.executionUnknown){
+
+      orderJournal.note(journal.id,result.error || "Execution state unknown");
+
+      const err = new Error(
+        result.error || `${exchange} execution state unknown`
+      );
+      err.executionUnknown = true;
+      throw err;
+
+    }
+
+    orderJournal.recordResult(journal.id,result);
+
+    // refused before execution → safe to fail over
+    if(result && result.ok === false){
+      const err = new Error(
+        result.error || `${exchange} order rejected`
+      );
+      err.rejected = true;
+      throw err;
+    }
+
+    markSuccess(exchange,latency);
+
+    const fill = result?.result || {};
+    const price = Number(params.price);
+
+    executionMetrics.recordExecution({
+      exchange,
+      ok:true,
+      latencyMs:latency,
+      slippagePct:
+        price > 0 && Number(fill.avgPrice) > 0
+          ? (Number(fill.avgPrice) - price) / price
+          : 0,
+      requestedQty:fill.requestedQty ?? fill.qty,
+      filledQty:fill.filledQty
+    });
+
+    return{
+      ok:true,
+      exchange,
+      journalId:journal.id,
+      latencyMs:latency,
+      result
+    };
+
+  }
+  catch(err){
+
+    if(err.rejected) markRejection(exchange,err);
+    else markFailure(exchange,err);
+
+    executionMetrics.recordExecution({
+      exchange,
+      ok:false
+    });
+
+    err.journalId = journal.id;
+    throw err;
+
+  }
+
+}
+
 /* =========================================================
 ROUTER
 ========================================================= */
 
-async function routeLiveOrder(params={}){
+const NOTHING_EXECUTED = ["REJECTED","CANCELED","EXPIRED"];
+
+// After an attempt whose outcome is unknown: reconcile the venue
+// and report whether its journal entry is now known to have
+// executed nothing (safe to route elsewhere).
+async function settleUnknown(exchange,err,tenantId){
+
+  if(!err.journalId){
+    return { clear:false, entry:null };
+  }
+
+  try{
+    await orderJournal.reconcile({ tenantId, exchanges:[exchange] });
+  }
+  catch(reconcileErr){
+    console.error("[ROUTER] reconcile after unknown attempt failed:",reconcileErr.message);
+  }
+
+  const entry =
+    orderJournal.get(tenantId || "system",err.journalId);
+
+  const clear = Boolean(
+    entry &&
+    NOTHING_EXECUTED.includes(entry.status) &&
+    !(entry.filledQty > 0)
+  );
+
+  return { clear, entry };
+
+}
+
+// null when live execution may proceed
+function preflight(){
 
   if(envTrue("EXECUTION_KILL_SWITCH")){
+    return "Execution blocked by kill switch";
+  }
+
+  if(!hasApiKeys()){
+    return "No exchange API keys configured";
+  }
+
+  return null;
+
+}
+
+async function routeLiveOrder(params={}){
+
+  const blocked = preflight();
+
+  if(blocked){
 
     return{
       ok:false,
-      error:"Execution blocked by kill switch"
+      error:blocked
     };
 
   }
 
-  if(!hasApiKeys()){
+  const mode =
+    String(params.routing || CONFIG.routingMode).toLowerCase();
+
+  // smart parents pass the risk gateway themselves
+  if(mode === "smart"){
+    return require("./smartOrderRouter").executeParentOrder(params);
+  }
+
+  const risk =
+    await riskGateway.authorize({
+      ...params,
+      mode:"live",
+      source:params.source || "router",
+      exchange:null
+    });
+
+  if(!risk.approved){
 
     return{
       ok:false,
-      error:"No exchange API keys configured"
+      error:risk.reason,
+      risk
     };
 
   }
 
+  const order = {
+    ...params,
+    qty:risk.qty
+  };
+
   const route = getRouteOrder();
 
   for(const exchange of route){
 
-    if(!adapterAvailable(exchange))
+    if(!adapterAvailable(exchange) || !loadAdapter(exchange))
       continue;
 
-    const adapterFactory =
-      ADAPTERS[exchange];
-
-    if(!adapterFactory) continue;
+    try{
 
-    const adapter = adapterFactory();
+      return{
+        ...await executeOnVenue(exchange,order),
+        risk
+      };
 
-    if(!adapter ||
-       typeof adapter.executeLiveOrder
-         !== "function")
-      continue;
+    }
+    catch(err){
 
-    try{
+      // health already marked; a refusal fails over to the next venue
+      if(!err.executionUnknown) continue;
 
-      markAttempt(exchange);
+      // the venue may have filled it: re-routing could execute twice
+      const { clear, entry } =
+        await settleUnknown(exchange,err,params.tenantId);
 
-      const start = Date.now();
+      if(clear) continue;
 
-      const result =
-        await withTimeout(
-          adapter.executeLiveOrder(params),
-          CONFIG.executionTimeoutMs
-        );
+      if(entry && entry.status === "FILLED"){
 
-      const latency =
-        Date.now() - start;
+        return{
+          ok:true,
+          exchange,
+          journalId:entry.id,
+          reconciled:true,
+          result:{
+            status:entry.status,
+            filledQty:entry.filledQty,
+            avgPrice:entry.avgPrice,
+            orderId:entry.exchangeOrderId,
+            clientOrderId:entry.clientOrderId
+          },
+          risk
+        };
 
-      markSuccess(exchange,latency);
+      }
 
       return{
-        ok:true,
+        ok:false,
+        error:`Execution state unknown on ${exchange}; not re-routed until reconciled`,
+        executionUnknown:true,
         exchange,
-        latencyMs:latency,
-        result
+        journalId:err.journalId || null,
+        journal:entry,
+        risk
       };
 
     }
-    catch(err){
-
-      markFailure(exchange,err);
-
-    }
 
   }
 
   return{
     ok:false,
-    error:"All execution adapters failed"
+    error:"All execution adapters failed",
+    risk
   };
 
 }
@@ -336,6 +585,10 @@ function getHealth(){
 
       lastError:state.lastError,
 
+      rejected:state.metrics.rejected,
+
+      lastRejection:state.lastRejection,
+
       successRate:
         state.metrics.totalAttempts>0
           ? state.metrics.success /
@@ -353,12 +606,28 @@ function getHealth(){
 
 }
 
+function getVenueStats(name){
+
+  const state = getAdapterState(name);
+
+  return{
+    available:adapterAvailable(name) && Boolean(loadAdapter(name)),
+    failures:state.failures,
+    latencySamples:[...state.metrics.latencySamples]
+  };
+
+}
+
 function reset(){
   ADAPTER_STATE.clear();
 }
 
 module.exports = {
   routeLiveOrder,
+  executeOnVenue,
+  settleUnknown,
+  preflight,
+  getVenueStats,
   getHealth,
   reset
 };
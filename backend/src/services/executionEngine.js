@@ -11,6 +11,8 @@ try {
   console.warn("[EXEC_ENGINE]: brainMemory module not found, trades will persist in local state only.");
 }
 
+const riskGateway = require("./riskGateway");
+
 /* ================= HELPERS ================= */
 const safeNum = (v, f = 0) => (Number.isFinite(Number(v)) ? Number(v) : f);
 const roundMoney = (v) => Number(safeNum(v).toFixed(8));
@@ -44,16 +46,36 @@ function executePaperOrder({
   // 🛰️ PUSH 5.4: Hardening State structure for clean UI sync
   if (!state.trades) state.trades = [];
   if (!state.decisions) state.decisions = [];
-  if (!state.positions) state.positions = { scalp: null, swing: null };
+  if (!state.positions) state.positions = {};
 
-  let pos = state.positions[slot];
+  // Positions are keyed by symbol; `slot` is kept as a strategy label
+  let pos = state.positions[symbol];
 
   /* ================= OPEN POSITION ================= */
   if (normalizedSide === "BUY" || normalizedSide === "SELL") {
-    if (pos) return { ok: false, error: "SLOT_OCCUPIED" };
+    if (pos) return { ok: false, error: "POSITION_OPEN" };
 
     // ENTRY SLIPPAGE: Buy slightly higher, Sell slightly lower
     const slipPrice = normalizedSide === "BUY" ? px * (1 + SLIPPAGE) : px * (1 - SLIPPAGE);
+
+    // PRE-TRADE RISK: approve, resize or reject before anything opens
+    const risk = riskGateway.review({
+      tenantId,
+      mode: "paper",
+      source: "executionEngine",
+      symbol,
+      side: normalizedSide,
+      qty: qty || 1,
+      price: slipPrice,
+      stopLoss,
+      equity: safeNum(state.equity, safeNum(state.balance)),
+      trades: state.trades.map((t) => ({ profit: t.pnl })),
+      positions: state.positions,
+      lastPrices: state.lastPriceBySymbol,
+      ts,
+    });
+    if (!risk.approved) return { ok: false, error: "RISK_REJECTED", reason: risk.reason, risk };
+    qty = risk.qty;
     
     const position = {
       symbol,
@@ -68,8 +90,8 @@ function executePaperOrder({
       capitalUsed: roundMoney(slipPrice * (qty || 1))
     };
 
-    state.positions[slot] = position;
-    state.position = position; // UI Global reference
+    state.positions[symbol] = position;
+    state.position = position; // UI Global reference (latest entry)
 
     // 📡 Broadcaster Hook (Used by Socket Controller)
     if (global.broadcastTrade) {
@@ -123,8 +145,8 @@ function executePaperOrder({
     } catch (e) { /* silent fail */ }
 
     // CLEANUP
-    state.positions[slot] = null;
-    if (state.position?.slot === slot) state.position = null;
+    delete state.positions[symbol];
+    if (state.position?.symbol === symbol) state.position = null;
 
     if (global.broadcastTrade) {
       global.broadcastTrade({ 
@@ -21,6 +21,8 @@ function getState(name) {
       failures: 0,
       totalLatency: 0,
       totalSlippage: 0,
+      totalRequestedQty: 0,
+      totalFilledQty: 0,
       history: [],
       lastQualityScore: 1,
     });
@@ -85,6 +87,8 @@ function recordExecution({
   ok,
   latencyMs = 0,
   slippagePct = 0,
+  requestedQty = null,
+  filledQty = null,
 }) {
   if (!exchange) return;
 
@@ -97,6 +101,14 @@ function recordExecution({
   if (ok) state.successes++;
   else state.failures++;
 
+  // fill ratio only counts reports that carry both quantities
+  const req = Number(requestedQty);
+  const filled = Number(filledQty);
+  if (req > 0 && Number.isFinite(filled)) {
+    state.totalRequestedQty += req;
+    state.totalFilledQty += clamp(filled, 0, req);
+  }
+
   state.history.push({
     ts: Date.now(),
     ok,
@@ -208,6 +220,11 @@ function getMetrics(exchange) {
       ? state.totalSlippage / state.executions
       : 0;
 
+  const fillRatio =
+    state.totalRequestedQty > 0
+      ? state.totalFilledQty / state.totalRequestedQty
+      : 1;
+
   const score = computeExecutionQuality(state);
 
   return {
@@ -215,6 +232,7 @@ function getMetrics(exchange) {
     successRate,
     avgLatency,
     avgSlippage,
+    fillRatio,
     score,
     condition: getExecutionCondition(exchange),
   };
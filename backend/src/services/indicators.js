@@ -0,0 +1,577 @@
+// ==========================================================
+// 📈 INDICATOR LIBRARY — v1.0 (STREAMING • INCREMENTAL)
+// FILE: backend/src/services/indicators.js
+//
+// Technical indicators that update one bar at a time, shared by
+// the market simulator's live feeds, replay data, strategyDsl and
+// the brain:
+//
+//   sma ema wma rsi macd atr bollinger vwap adx stochastic obv
+//   keltner donchian roc stdev highest lowest
+//
+// Each indicator is plain-data state plus a step function, so
+// peek() can price the still-forming bar on a copy without
+// committing it. Values are null until there is enough history.
+//
+// Specs are { name, ...params } or the short form "macd:12:26:9"
+// (positional params in PARAMS order).
+// ==========================================================
+
+/* ================= CONFIG ================= */
+
+const MAX_PERIOD = 1000;
+const SOURCES = ["open", "high", "low", "close", "volume", "hl2", "hlc3"];
+
+// Positional params and defaults, in short-form order
+const PARAMS = {
+  sma: { period: 20 },
+  ema: { period: 20 },
+  wma: { period: 20 },
+  rsi: { period: 14 },
+  macd: { fast: 12, slow: 26, signal: 9 },
+  atr: { period: 14 },
+  bollinger: { period: 20, mult: 2 },
+  vwap: {},
+  adx: { period: 14 },
+  stochastic: { kPeriod: 14, dPeriod: 3, smooth: 1 },
+  obv: {},
+  keltner: { period: 20, mult: 2, atrPeriod: 10 },
+  donchian: { period: 20 },
+  roc: { period: 10 },
+  stdev: { period: 20 },
+  highest: { period: 20 },
+  lowest: { period: 20 },
+};
+
+// The standard panel: live market feeds and GET /api/market/indicators
+const DEFAULT_SPECS = [
+  "sma:20", "ema:20", "wma:20", "rsi:14", "macd", "atr:14", "bollinger", "vwap",
+  "adx:14", "stochastic", "obv", "keltner", "donchian",
+];
+
+// Indicators whose value is an object, and its fields
+const FIELDS = {
+  macd: ["macd", "signal", "histogram"],
+  bollinger: ["middle", "upper", "lower", "width", "percentB"],
+  adx: ["adx", "plusDI", "minusDI"],
+  stochastic: ["k", "d"],
+  keltner: ["middle", "upper", "lower"],
+  donchian: ["upper", "lower", "middle"],
+};
+
+// Indicators that read a single price series accept `source`
+const SOURCED = ["sma", "ema", "wma", "rsi", "bollinger", "roc", "stdev", "highest", "lowest"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* ================= HELPERS ================= */
+
+function safeNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Any candle shape (o/h/l/c, open/high/..., or a bare price) to
+ * { open, high, low, close, volume, time }.
+ */
+function normalizeBar(bar = {}) {
+  if (typeof bar === "number") bar = { close: bar };
+
+  const close = safeNum(bar.close ?? bar.price ?? bar.c, 0);
+  const open = safeNum(bar.open ?? bar.o, close);
+
+  return {
+    open,
+    high: Math.max(safeNum(bar.high ?? bar.h, close), open, close),
+    low: Math.min(safeNum(bar.low ?? bar.l, close), open, close),
+    close,
+    volume: safeNum(bar.volume ?? bar.v, 0),
+    time: bar.time ?? bar.ts ?? bar.t ?? null,
+  };
+}
+
+function read(bar, source = "close") {
+  if (source === "hl2") return (bar.high + bar.low) / 2;
+  if (source === "hlc3") return (bar.high + bar.low + bar.close) / 3;
+  return bar[source];
+}
+
+// Rolling window; returns the value that fell out, if any
+function push(win, x, size) {
+  win.push(x);
+  return win.length > size ? win.shift() : undefined;
+}
+
+function clockMs(time) {
+  const t = safeNum(time, NaN);
+  if (!Number.isFinite(t)) return null;
+  return t < 1e11 ? t * 1000 : t; // marketEngine candles carry seconds
+}
+
+/* ================= BUILDING BLOCKS ================= */
+
+// SMA / EMA / Wilder states are reused inside the compound indicators
+
+function smaInit() {
+  return { win: [], sum: 0 };
+}
+
+function smaNext(s, x, period) {
+  s.sum += x;
+  const out = push(s.win, x, period);
+  if (out !== undefined) s.sum -= out;
+  return s.win.length === period ? s.sum / period : null;
+}
+
+// Seeded with the SMA of the first `period` values
+function emaInit() {
+  return { n: 0, sum: 0, value: null };
+}
+
+function emaNext(s, x, period) {
+  s.n += 1;
+  if (s.value === null) {
+    s.sum += x;
+    if (s.n === period) s.value = s.sum / period;
+    return s.value;
+  }
+  s.value += (2 / (period + 1)) * (x - s.value);
+  return s.value;
+}
+
+// Wilder's smoothing: plain average to seed, then (prev·(n−1) + x) / n
+function wilderInit() {
+  return { n: 0, sum: 0, value: null };
+}
+
+function wilderNext(s, x, period) {
+  s.n += 1;
+  if (s.value === null) {
+    s.sum += x;
+    if (s.n === period) s.value = s.sum / period;
+    return s.value;
+  }
+  s.value = (s.value * (period - 1) + x) / period;
+  return s.value;
+}
+
+function trueRange(bar, prevClose) {
+  if (prevClose === null) return bar.high - bar.low;
+  return Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+}
+
+function meanStd(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/* ================= INDICATORS ================= */
+
+// { init(p) → state, next(state, bar, p) → value | null }
+
+const DEFS = {
+  sma: {
+    init: smaInit,
+    next: (s, bar, p) => smaNext(s, read(bar, p.source), p.period),
+  },
+
+  ema: {
+    init: emaInit,
+    next: (s, bar, p) => emaNext(s, read(bar, p.source), p.period),
+  },
+
+  // Running sum and weighted sum, so each bar is O(1)
+  wma: {
+    init: () => ({ win: [], sum: 0, num: 0 }),
+    next(s, bar, p) {
+      const x = read(bar, p.source);
+      if (s.win.length < p.period) {
+        s.win.push(x);
+        s.num += s.win.length * x;
+        s.sum += x;
+      } else {
+        s.num += p.period * x - s.sum;
+        s.sum += x - s.win.shift();
+        s.win.push(x);
+      }
+      return s.win.length === p.period ? s.num / ((p.period * (p.period + 1)) / 2) : null;
+    },
+  },
+
+  rsi: {
+    init: () => ({ prev: null, gain: wilderInit(), loss: wilderInit() }),
+    next(s, bar, p) {
+      const x = read(bar, p.source);
+      const prev = s.prev;
+      s.prev = x;
+      if (prev === null) return null;
+
+      const gain = wilderNext(s.gain, Math.max(x - prev, 0), p.period);
+      const loss = wilderNext(s.loss, Math.max(prev - x, 0), p.period);
+      if (gain === null) return null;
+      if (loss === 0) return gain === 0 ? 50 : 100;
+      return 100 - 100 / (1 + gain / loss);
+    },
+  },
+
+  macd: {
+    init: () => ({ fast: emaInit(), slow: emaInit(), signal: emaInit() }),
+    next(s, bar, p) {
+      const fast = emaNext(s.fast, bar.close, p.fast);
+      const slow = emaNext(s.slow, bar.close, p.slow);
+      if (fast === null || slow === null) return null;
+
+      const macd = fast - slow;
+      const signal = emaNext(s.signal, macd, p.signal);
+      return { macd, signal, histogram: signal === null ? null : macd - signal };
+    },
+  },
+
+  atr: {
+    init: () => ({ prevClose: null, tr: wilderInit() }),
+    next(s, bar, p) {
+      const tr = trueRange(bar, s.prevClose);
+      s.prevClose = bar.close;
+      return wilderNext(s.tr, tr, p.period);
+    },
+  },
+
+  bollinger: {
+    init: () => ({ win: [] }),
+    next(s, bar, p) {
+      push(s.win, read(bar, p.source), p.period);
+      if (s.win.length < p.period) return null;
+
+      const { mean, std } = meanStd(s.win);
+      const upper = mean + p.mult * std;
+      const lower = mean - p.mult * std;
+      return {
+        middle: mean,
+        upper,
+        lower,
+        width: mean ? (upper - lower) / mean : null,
+        percentB: upper === lower ? 0.5 : (read(bar, p.source) - lower) / (upper - lower),
+      };
+    },
+  },
+
+  // Resets each UTC day when bars carry clock time; bars without
+  // volume weigh 1 so simulator candles still get a typical-price mean
+  vwap: {
+    init: () => ({ day: null, pv: 0, v: 0 }),
+    next(s, bar) {
+      const ms = clockMs(bar.time);
+      const day = ms !== null && ms > 1e11 ? Math.floor(ms / DAY_MS) : null;
+      if (day !== null && day !== s.day) {
+        s.day = day;
+        s.pv = 0;
+        s.v = 0;
+      }
+
+      const w = bar.volume > 0 ? bar.volume : 1;
+      s.pv += read(bar, "hlc3") * w;
+      s.v += w;
+      return s.pv / s.v;
+    },
+  },
+
+  adx: {
+    init: () => ({ prev: null, tr: wilderInit(), plus: wilderInit(), minus: wilderInit(), dx: wilderInit() }),
+    next(s, bar, p) {
+      const prev = s.prev;
+      s.prev = bar;
+      if (!prev) return null;
+
+      const up = bar.high - prev.high;
+      const down = prev.low - bar.low;
+
+      // Wilder's sums are smoothed averages here; the ratios are the same
+      const tr = wilderNext(s.tr, trueRange(bar, prev.close), p.period);
+      const plus = wilderNext(s.plus, up > down && up > 0 ? up : 0, p.period);
+      const minus = wilderNext(s.minus, down > up && down > 0 ? down : 0, p.period);
+      if (tr === null || !tr) return null;
+
+      const plusDI = (100 * plus) / tr;
+      const minusDI = (100 * minus) / tr;
+      const sum = plusDI + minusDI;
+      const adx = wilderNext(s.dx, sum ? (100 * Math.abs(plusDI - minusDI)) / sum : 0, p.period);
+
+      return { adx, plusDI, minusDI };
+    },
+  },
+
+  stochastic: {
+    init: () => ({ highs: [], lows: [], k: smaInit(), d: smaInit() }),
+    next(s, bar, p) {
+      push(s.highs, bar.high, p.kPeriod);
+      push(s.lows, bar.low, p.kPeriod);
+      if (s.highs.length < p.kPeriod) return null;
+
+      const hh = Math.max(...s.highs);
+      const ll = Math.min(...s.lows);
+      const raw = hh === ll ? 50 : (100 * (bar.close - ll)) / (hh - ll);
+
+      const k = smaNext(s.k, raw, p.smooth);
+      if (k === null) return null;
+      return { k, d: smaNext(s.d, k, p.dPeriod) };
+    },
+  },
+
+  obv: {
+    init: () => ({ prev: null, value: 0 }),
+    next(s, bar) {
+      if (s.prev !== null) {
+        if (bar.close > s.prev) s.value += bar.volume;
+        else if (bar.close < s.prev) s.value -= bar.volume;
+      }
+      s.prev = bar.close;
+      return s.value;
+    },
+  },
+
+  keltner: {
+    init: () => ({ mid: emaInit(), atr: DEFS.atr.init() }),
+    next(s, bar, p) {
+      const middle = emaNext(s.mid, bar.close, p.period);
+      const atr = DEFS.atr.next(s.atr, bar, { period: p.atrPeriod });
+      if (middle === null || atr === null) return null;
+      return { middle, upper: middle + p.mult * atr, lower: middle - p.mult * atr };
+    },
+  },
+
+  donchian: {
+    init: () => ({ highs: [], lows: [] }),
+    next(s, bar, p) {
+      push(s.highs, bar.high, p.period);
+      push(s.lows, bar.low, p.period);
+      if (s.highs.length < p.period) return null;
+
+      const upper = Math.max(...s.highs);
+      const lower = Math.min(...s.lows);
+      return { upper, lower, middle: (upper + lower) / 2 };
+    },
+  },
+
+  roc: {
+    init: () => ({ win: [] }),
+    next(s, bar, p) {
+      push(s.win, read(bar, p.source), p.period + 1);
+      if (s.win.length <= p.period || !s.win[0]) return null;
+      return s.win[s.win.length - 1] / s.win[0] - 1;
+    },
+  },
+
+  // Sample standard deviation of simple returns
+  stdev: {
+    init: () => ({ prev: null, win: [] }),
+    next(s, bar, p) {
+      const x = read(bar, p.source);
+      const prev = s.prev;
+      s.prev = x;
+      if (!prev) return null;
+
+      push(s.win, x / prev - 1, p.period);
+      if (s.win.length < Math.max(2, p.period)) return null;
+
+      const { mean } = meanStd(s.win);
+      return Math.sqrt(s.win.reduce((a, r) => a + (r - mean) ** 2, 0) / (s.win.length - 1));
+    },
+  },
+
+  highest: {
+    init: () => ({ win: [] }),
+    next(s, bar, p) {
+      push(s.win, read(bar, p.source), p.period);
+      return s.win.length === p.period ? Math.max(...s.win) : null;
+    },
+  },
+
+  lowest: {
+    init: () => ({ win: [] }),
+    next(s, bar, p) {
+      push(s.win, read(bar, p.source), p.period);
+      return s.win.length === p.period ? Math.min(...s.win) : null;
+    },
+  },
+};
+
+/* ================= SPECS ================= */
+
+/**
+ * Validates and fills defaults.
+ * → { ok: true, spec } | { ok: false, error }
+ */
+function normalizeSpec(input) {
+  let spec = input;
+
+  if (typeof input === "string") {
+    const [name, ...args] = input.trim().split(":");
+    spec = { name };
+    Object.keys(PARAMS[name] || {}).forEach((key, i) => {
+      if (args[i] !== undefined && args[i] !== "") spec[key] = Number(args[i]);
+    });
+  }
+
+  if (!spec || typeof spec !== "object") return { ok: false, error: "indicator spec must be a string or object" };
+
+  const name = String(spec.name || "").toLowerCase();
+  if (!DEFS[name]) return { ok: false, error: `unknown indicator "${spec.name}"` };
+
+  const out = { name };
+  for (const [key, fallback] of Object.entries(PARAMS[name])) {
+    const v = spec[key] === undefined ? fallback : Number(spec[key]);
+    const integer = key !== "mult";
+
+    if (!Number.isFinite(v) || v <= 0 || v > MAX_PERIOD || (integer && !Number.isInteger(v))) {
+      return { ok: false, error: `${name}.${key} must be ${integer ? `an integer from 1 to ${MAX_PERIOD}` : "a positive number"}` };
+    }
+    out[key] = v;
+  }
+
+  if (SOURCED.includes(name)) {
+    const source = spec.source || "close";
+    if (!SOURCES.includes(source)) return { ok: false, error: `${name}.source must be one of ${SOURCES.join(", ")}` };
+    out.source = source;
+  }
+
+  if (name === "macd" && out.fast >= out.slow) return { ok: false, error: "macd.fast must be shorter than macd.slow" };
+
+  return { ok: true, spec: out };
+}
+
+/**
+ * "rsi(14)", "macd(12,26,9)", "sma(20,high)" — stable keys for output maps.
+ */
+function specKey(spec) {
+  const args = Object.keys(PARAMS[spec.name]).map((k) => spec[k]);
+  if (spec.source && spec.source !== "close") args.push(spec.source);
+  return args.length ? `${spec.name}(${args.join(",")})` : spec.name;
+}
+
+/**
+ * Comma list ("rsi:14,macd") or array of specs.
+ * → { ok, specs, errors }
+ */
+function parseSpecs(input) {
+  const list = Array.isArray(input)
+    ? input
+    : String(input || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+  const specs = [];
+  const errors = [];
+  for (const item of list) {
+    const r = normalizeSpec(item);
+    if (r.ok) specs.push(r.spec);
+    else errors.push(r.error);
+  }
+  return { ok: errors.length === 0, specs, errors };
+}
+
+/* ================= STREAMS ================= */
+
+/**
+ * One streaming indicator.
+ * update(bar) commits a closed bar; peek(bar) prices a forming bar
+ * without changing state. Both return the value after that bar.
+ */
+function createIndicator(input) {
+  const r = normalizeSpec(input);
+  if (!r.ok) throw new Error(r.error);
+
+  const { spec } = r;
+  const def = DEFS[spec.name];
+  let state = def.init(spec);
+  let value = null;
+  let count = 0;
+
+  return {
+    key: specKey(spec),
+    spec,
+    update(bar) {
+      value = def.next(state, normalizeBar(bar), spec);
+      count += 1;
+      return value;
+    },
+    peek(bar) {
+      return def.next(structuredClone(state), normalizeBar(bar), spec);
+    },
+    value: () => value,
+    count: () => count,
+    reset() {
+      state = def.init(spec);
+      value = null;
+      count = 0;
+    },
+  };
+}
+
+/**
+ * Several indicators over the same bars, keyed by specKey.
+ */
+function createIndicatorSet(specs) {
+  const indicators = specs.map(createIndicator);
+  let lastTime = null;
+  let count = 0;
+
+  const collect = (fn) => Object.fromEntries(indicators.map((ind) => [ind.key, fn(ind)]));
+
+  return {
+    keys: indicators.map((i) => i.key),
+    update(bar) {
+      const b = normalizeBar(bar);
+      lastTime = b.time;
+      count += 1;
+      return collect((ind) => ind.update(b));
+    },
+    peek(bar) {
+      const b = normalizeBar(bar);
+      return collect((ind) => ind.peek(b));
+    },
+    values: () => collect((ind) => ind.value()),
+    lastTime: () => lastTime,
+    count: () => count,
+  };
+}
+
+/**
+ * Runs specs over a candle array (e.g. marketReplayEngine data).
+ * → { values: { key: last value }, series?: [{ time, key: value }] }
+ */
+function compute(candles, specs, { series = false, limit = null } = {}) {
+  const set = createIndicatorSet(specs);
+  const rows = [];
+
+  for (const candle of Array.isArray(candles) ? candles : []) {
+    const values = set.update(candle);
+    if (series) rows.push({ time: normalizeBar(candle).time, ...values });
+  }
+
+  const out = { values: set.values(), bars: set.count() };
+  if (series) out.series = limit ? rows.slice(-limit) : rows;
+  return out;
+}
+
+/**
+ * The grammar as data, for the route and strategy editors.
+ */
+function describe() {
+  return { indicators: PARAMS, fields: FIELDS, sourced: SOURCED, sources: SOURCES, maxPeriod: MAX_PERIOD };
+}
+
+module.exports = {
+  PARAMS,
+  FIELDS,
+  SOURCED,
+  DEFAULT_SPECS,
+  SOURCES,
+  normalizeBar,
+  normalizeSpec,
+  parseSpecs,
+  specKey,
+  createIndicator,
+  createIndicatorSet,
+  compute,
+  describe,
+};
@@ -0,0 +1,610 @@
+// ==========================================================
+// 🛑 KILL SWITCH CONTROL PLANE — v1.0 (GLOBAL • TENANT • SYMBOL)
+// FILE: backend/src/services/killSwitch.js
+//
+// The one place trading gets stopped. A switch covers
+// everything (global), one tenant, or one symbol — for one
+// tenant or all of them — in paper, live or both modes.
+//
+// Engaging a switch:
+//   1. records it in db.killSwitches and the audit ledger
+//   2. blocks new orders at the risk gateway's killSwitch
+//      stage (reduce-only orders still pass)
+//   3. cancels open orders and closes positions at market
+//      through each engine's own exit path
+//   4. emits "change" on `events` (pushed over the WebSocket)
+//
+// A switch stays engaged until an admin clears it.
+//
+// Breakers engage switches on their own:
+//   feed_stale        no tick from a feed for KILL_FEED_STALE_MS (block only)
+//   adapter_failures  KILL_ADAPTER_FAILURES straight venue errors (block live)
+//   pnl_limit         paper equity down KILL_DAILY_LOSS_PCT / _USD, or
+//                     live realized P&L down KILL_LIVE_DAILY_LOSS_USD,
+//                     since the UTC day began (flatten + block that mode)
+//
+// The day-start baselines live in db.pnlBaselines, so a restart keeps
+// counting from the same point instead of re-baselining at the loss.
+// ==========================================================
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { readDb, updateDb } = require("../lib/db");
+const { writeAudit } = require("../lib/audit");
+const orderJournal = require("./orderJournal");
+
+/* ================= CONFIG ================= */
+
+const CONFIG = Object.freeze({
+  breakers: process.env.KILL_BREAKERS_ENABLED !== "false",
+  monitorMs: Number(process.env.KILL_MONITOR_MS || 5000),
+  feedStaleMs: Number(process.env.KILL_FEED_STALE_MS || 60000),
+  adapterFailures: Number(process.env.KILL_ADAPTER_FAILURES || 5),
+  dailyLossPct: Number(process.env.KILL_DAILY_LOSS_PCT || 0.05),
+  dailyLossUsd: Number(process.env.KILL_DAILY_LOSS_USD || 0),
+  liveDailyLossUsd: Number(process.env.KILL_LIVE_DAILY_LOSS_USD || process.env.KILL_DAILY_LOSS_USD || 0),
+  maxHistory: Number(process.env.KILL_SWITCH_HISTORY || 500),
+});
+
+const SCOPES = ["global", "tenant", "symbol"];
+const MODES = ["all", "paper", "live"];
+const BREAKERS = ["feed_stale", "adapter_failures", "pnl_limit"];
+
+const DAY_MS = 86400000;
+
+/* ================= STATE ================= */
+
+const events = new EventEmitter();
+events.setMaxListeners(50);
+
+let ENGAGED = null;          // key → row; loaded from the db on first use
+const FEEDS = new Map();     // "feed|SYMBOL" → last heartbeat
+const ADAPTERS = new Map();  // venue → { failures, lastError }
+let DAY_START = null;        // "mode:tenantId" → baseline; loaded from the db on first use
+
+let monitor = null;
+let lastPass = 0;
+
+/* ================= HELPERS ================= */
+
+function makeId() {
+  return `ks_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function normSymbol(symbol) {
+  return symbol ? String(symbol).trim().toUpperCase() : null;
+}
+
+function keyOf({ scope, tenantId, symbol, mode }) {
+  return `${scope}:${tenantId || "*"}:${symbol || "*"}:${mode}`;
+}
+
+function engaged() {
+  if (!ENGAGED) {
+    ENGAGED = new Map();
+    for (const row of readDb().killSwitches || []) {
+      if (row.status === "engaged") ENGAGED.set(row.key, row);
+    }
+  }
+  return ENGAGED;
+}
+
+function persist(mutator) {
+  updateDb((db) => {
+    if (!Array.isArray(db.killSwitches)) db.killSwitches = [];
+    mutator(db.killSwitches);
+    return db;
+  });
+}
+
+function saveRow(row) {
+  persist((rows) => {
+    const i = rows.findIndex((r) => r.id === row.id);
+    if (i >= 0) rows[i] = { ...row };
+    else rows.push({ ...row });
+
+    // Engaged rows are never dropped; cleared ones age out
+    const cleared = rows.filter((r) => r.status !== "engaged");
+    const excess = cleared.length - CONFIG.maxHistory;
+    if (excess > 0) {
+      const drop = new Set(cleared.slice(0, excess).map((r) => r.id));
+      for (let j = rows.length - 1; j >= 0; j--) if (drop.has(rows[j].id)) rows.splice(j, 1);
+    }
+  });
+}
+
+function parseSpec(input = {}) {
+  const scope = String(input.scope || "").toLowerCase();
+  const mode = String(input.mode || "all").toLowerCase();
+
+  if (!SCOPES.includes(scope)) return { error: `scope must be one of: ${SCOPES.join(", ")}` };
+  if (!MODES.includes(mode)) return { error: `mode must be one of: ${MODES.join(", ")}` };
+
+  const tenantId = scope !== "global" && input.tenantId ? String(input.tenantId) : null;
+  const symbol = scope === "symbol" ? normSymbol(input.symbol) : null;
+
+  if (scope === "tenant" && !tenantId) return { error: "tenantId required for a tenant switch" };
+  if (scope === "symbol" && !symbol) return { error: "symbol required for a symbol switch" };
+
+  return { scope, tenantId, symbol, mode };
+}
+
+function covers(row, { tenantId, symbol, mode }) {
+  if (row.mode !== "all" && row.mode !== mode) return false;
+  if (row.tenantId && row.tenantId !== String(tenantId ?? "")) return false;
+  if (row.symbol && row.symbol !== normSymbol(symbol)) return false;
+  return true;
+}
+
+function audit(action, row, actor, role, detail = {}) {
+  writeAudit({
+    actor: actor || "system",
+    role: role || "system",
+    action,
+    target: row.symbol || row.scope,
+    companyId: row.tenantId,
+    detail: {
+      id: row.id,
+      scope: row.scope,
+      mode: row.mode,
+      kind: row.kind,
+      breaker: row.breaker,
+      reason: row.reason,
+      ...detail,
+    },
+  });
+}
+
+function emit(event, row) {
+  events.emit("change", { event, switch: { ...row }, ts: Date.now() });
+}
+
+/* ================= PNL BASELINES ================= */
+
+function baselines() {
+  if (!DAY_START) {
+    DAY_START = new Map();
+    for (const b of readDb().pnlBaselines || []) DAY_START.set(`${b.mode}:${b.tenantId}`, b);
+  }
+  return DAY_START;
+}
+
+function writeBaselines() {
+  const rows = [...baselines().values()];
+  updateDb((db) => {
+    db.pnlBaselines = rows;
+    return db;
+  });
+}
+
+/* ================= FLATTEN ================= */
+
+// Open positions in the engine-core state store (trading routes)
+function flattenEngine(tenantId, symbol, reason) {
+  const stateStore = require("../engine/stateStore");
+  const executionEngine = require("./executionEngine");
+
+  const state = stateStore.getState(tenantId);
+  const closed = [];
+  const failed = [];
+
+  for (const sym of Object.keys(state.positions || {})) {
+    if (symbol && sym !== symbol) continue;
+
+    const res = executionEngine.executePaperOrder({
+      tenantId,
+      symbol: sym,
+      side: "CLOSE",
+      price: state.lastPriceBySymbol[sym] || 0,
+      state,
+      reason,
+    });
+    if (res.ok) closed.push(sym);
+    else failed.push({ symbol: sym, error: res.error });
+  }
+
+  return { closed, failed };
+}
+
+/**
+ * Cancels and closes everything the switch covers. Paper books close
+ * at their last price; live orders are cancelled through the journal's
+ * venue adapters, and the Kraken executor's account-wide position is
+ * closed only by switches that are not tenant-bound.
+ */
+async function flatten(row) {
+  const reason = `KILL_SWITCH_${String(row.breaker || "manual").toUpperCase()}`;
+  const inScope = (id) => !row.tenantId || id === row.tenantId;
+  const out = { paper: [], engine: [], orders: null, live: null, closed: 0, canceled: 0 };
+
+  if (row.mode !== "live") {
+    const paperTrader = require("./paperTrader");
+    for (const id of paperTrader.tenants().filter(inScope)) {
+      const res = paperTrader.flatten(id, { symbol: row.symbol, reason });
+      if (res.closed.length || res.canceled || res.unpriced.length) out.paper.push({ tenantId: id, ...res });
+      out.closed += res.closed.length;
+      out.canceled += res.canceled;
+    }
+
+    for (const id of require("../engine/stateStore").tenants().filter(inScope)) {
+      const res = flattenEngine(id, row.symbol, reason);
+      if (res.closed.length || res.failed.length) out.engine.push({ tenantId: id, ...res });
+      out.closed += res.closed.length;
+    }
+  }
+
+  if (row.mode !== "paper") {
+    out.orders = await orderJournal
+      .cancelOpen({ tenantId: row.tenantId, symbol: row.symbol })
+      .catch((err) => ({ ok: false, error: err.message }));
+    out.canceled += out.orders.canceled || 0;
+
+    if (!row.tenantId) {
+      const feed = row.symbol ? FEEDS.get(`kraken|${row.symbol}`) : null;
+      out.live = await require("./krakenLiveTrader")
+        .flatten({ symbol: row.symbol, price: feed?.price || null, reason })
+        .catch((err) => ({ ok: false, error: err.message }));
+      if (out.live.ok && !out.live.skipped) out.closed += 1;
+    }
+  }
+
+  return out;
+}
+
+/* ================= SWITCHES ================= */
+
+/**
+ * Engages a switch: { scope, tenantId?, symbol?, mode?, reason?,
+ * flatten? (default true), actor?, role? }. Engaging one that is
+ * already engaged returns it unchanged. Resolves after flattening.
+ */
+async function engage(input = {}) {
+  const spec = parseSpec(input);
+  if (spec.error) return { ok: false, error: spec.error };
+
+  const key = keyOf(spec);
+  const existing = engaged().get(key);
+  if (existing) return { ok: true, already: true, switch: existing };
+
+  const breaker = BREAKERS.includes(input.breaker) ? input.breaker : null;
+
+  const row = {
+    id: makeId(),
+    key,
+    ...spec,
+    kind: breaker ? "breaker" : "manual",
+    breaker,
+    reason: String(input.reason || breaker || "manual").slice(0, 500),
+    detail: input.detail || null,
+    flatten: input.flatten !== false,
+    status: "engaged",
+    engagedAt: Date.now(),
+    engagedBy: input.actor || "system",
+    flattened: null,
+    clearedAt: null,
+    clearedBy: null,
+    clearReason: null,
+  };
+
+  engaged().set(key, row);
+  saveRow(row);
+  audit("KILL_SWITCH_ENGAGED", row, input.actor, input.role, { flatten: row.flatten, detail: row.detail });
+  emit("engaged", row);
+
+  console.warn(`[KILL_SWITCH]: 🛑 ENGAGED ${key} | ${row.reason}`);
+
+  if (row.flatten) {
+    row.flattened = await flatten(row);
+    saveRow(row);
+    emit("flattened", row);
+  }
+
+  return { ok: true, switch: row };
+}
+
+/**
+ * Clears an engaged switch. Admin-only at the route; breakers never
+ * clear themselves. Clearing resets the breaker's own baseline so it
+ * does not re-trip on the condition the admin just acknowledged.
+ */
+function clear(id, { actor = null, role = null, reason = null } = {}) {
+  const row = [...engaged().values()].find((r) => r.id === id);
+  if (!row) return { ok: false, error: "Kill switch not engaged" };
+
+  engaged().delete(row.key);
+  Object.assign(row, {
+    status: "cleared",
+    clearedAt: Date.now(),
+    clearedBy: actor || "system",
+    clearReason: reason ? String(reason).slice(0, 500) : null,
+  });
+
+  if (row.breaker === "pnl_limit") rebaseline(row);
+  if (row.breaker === "adapter_failures") ADAPTERS.delete(row.detail?.venue);
+  if (row.breaker === "feed_stale") FEEDS.delete(`${row.detail?.feed}|${row.symbol}`);
+
+  saveRow(row);
+  audit("KILL_SWITCH_CLEARED", row, actor, role, { clearReason: row.clearReason });
+  emit("cleared", row);
+
+  console.warn(`[KILL_SWITCH]: ✅ CLEARED ${row.key} by ${row.clearedBy}`);
+
+  return { ok: true, switch: row };
+}
+
+/**
+ * The engaged switch blocking an order, or null. Synchronous: the
+ * risk gateway calls it for every order.
+ */
+function check({ tenantId = null, symbol = null, mode = "paper" } = {}) {
+  for (const row of engaged().values()) {
+    if (covers(row, { tenantId, symbol, mode })) return row;
+  }
+  return null;
+}
+
+/**
+ * Engaged switches that affect a tenant (null = all of them).
+ */
+function active(tenantId = null) {
+  return [...engaged().values()]
+    .filter((r) => !tenantId || !r.tenantId || r.tenantId === String(tenantId))
+    .sort((a, b) => b.engagedAt - a.engagedAt);
+}
+
+/**
+ * Switch history, newest first. `tenantId` limits it to that tenant's
+ * switches plus the tenant-less ones.
+ */
+function list({ tenantId = null, status = null, limit = 50, offset = 0 } = {}) {
+  let rows = (readDb().killSwitches || []).slice();
+
+  if (tenantId) rows = rows.filter((r) => !r.tenantId || r.tenantId === String(tenantId));
+  if (status) rows = rows.filter((r) => r.status === String(status).toLowerCase());
+
+  rows.sort((a, b) => b.engagedAt - a.engagedAt);
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 50), 500);
+
+  return { total: rows.length, switches: rows.slice(start, start + size) };
+}
+
+function status(tenantId = null) {
+  const now = Date.now();
+
+  return {
+    engaged: active(tenantId),
+    breakers: {
+      enabled: CONFIG.breakers,
+      monitoring: Boolean(monitor),
+      feedStaleMs: CONFIG.feedStaleMs,
+      adapterFailures: CONFIG.adapterFailures,
+      dailyLossPct: CONFIG.dailyLossPct,
+      dailyLossUsd: CONFIG.dailyLossUsd,
+    },
+    feeds: [...FEEDS.values()]
+      .filter((f) => !tenantId || !f.tenantId || f.tenantId === String(tenantId))
+      .map((f) => ({ feed: f.feed, symbol: f.symbol, mode: f.mode, lastTickAt: f.ts, ageMs: now - f.ts })),
+    adapters: Object.fromEntries(ADAPTERS),
+  };
+}
+
+/* ================= BREAKERS ================= */
+
+function trip(input) {
+  if (!CONFIG.breakers) return;
+  if (engaged().has(keyOf(parseSpec(input)))) return;
+
+  engage({ ...input, actor: `breaker:${input.breaker}` }).catch((err) =>
+    console.error("[KILL_SWITCH_BREAKER_ERR]:", err.message)
+  );
+}
+
+/**
+ * Feed liveness. `tenantId` marks a tenant's own feed (the simulator);
+ * `mode` is the order mode that trades off it.
+ */
+function heartbeat({ feed, symbol, price = null, ts = Date.now(), tenantId = null, mode = "paper" }) {
+  const sym = normSymbol(symbol);
+  if (!feed || !sym) return;
+
+  FEEDS.set(`${feed}|${sym}`, {
+    feed,
+    symbol: sym,
+    tenantId: tenantId ? String(tenantId) : null,
+    mode,
+    price: Number(price) || null,
+    ts,
+  });
+}
+
+// A symbol leaving a feed on purpose is not a stale feed
+function forgetFeed({ feed, symbol }) {
+  FEEDS.delete(`${feed}|${normSymbol(symbol)}`);
+}
+
+function recordAdapterFailure(venue, err) {
+  const name = String(venue || "unknown").toLowerCase();
+  const state = ADAPTERS.get(name) || { failures: 0, lastError: null };
+
+  state.failures += 1;
+  state.lastError = String(err?.message || err || "error");
+  ADAPTERS.set(name, state);
+
+  if (state.failures >= CONFIG.adapterFailures) {
+    trip({
+      scope: "global",
+      mode: "live",
+      breaker: "adapter_failures",
+      flatten: false,
+      reason: `${name}: ${state.failures} consecutive failures (${state.lastError})`,
+      detail: { venue: name, failures: state.failures, lastError: state.lastError },
+    });
+  }
+}
+
+function recordAdapterSuccess(venue) {
+  ADAPTERS.delete(String(venue || "unknown").toLowerCase());
+}
+
+function checkFeeds(now) {
+  for (const f of FEEDS.values()) {
+    const age = now - f.ts;
+    if (age <= CONFIG.feedStaleMs) continue;
+
+    trip({
+      scope: "symbol",
+      tenantId: f.tenantId,
+      symbol: f.symbol,
+      mode: f.mode,
+      breaker: "feed_stale",
+      flatten: false,
+      reason: `${f.feed} ${f.symbol}: no tick for ${Math.round(age / 1000)}s`,
+      detail: { feed: f.feed, lastTickAt: f.ts },
+    });
+  }
+}
+
+function lossLimits(mode) {
+  if (mode === "live") return CONFIG.liveDailyLossUsd > 0 ? [() => CONFIG.liveDailyLossUsd] : [];
+
+  const limits = [];
+  if (CONFIG.dailyLossUsd > 0) limits.push(() => CONFIG.dailyLossUsd);
+  if (CONFIG.dailyLossPct > 0) limits.push((start) => start * CONFIG.dailyLossPct);
+  return limits;
+}
+
+// Live P&L realized since the UTC day began, from journal round trips
+function liveRealizedToday(tenantId, now) {
+  const from = Math.floor(now / DAY_MS) * DAY_MS;
+  return require("./tearsheetEngine")
+    .liveRoundTrips(tenantId)
+    .filter((t) => t.closedAt >= from)
+    .reduce((sum, t) => sum + t.pnl, 0);
+}
+
+// Paper measures equity; live has no equity here, so it measures
+// realized P&L against a baseline of 0 at the start of the day
+function pnlSources(now) {
+  const paperTrader = require("./paperTrader");
+  const sources = [];
+
+  for (const id of paperTrader.tenants()) {
+    const { equity } = paperTrader.snapshot(id);
+    sources.push({ mode: "paper", tenantId: id, value: equity, opening: equity });
+  }
+  if (lossLimits("live").length) {
+    for (const id of orderJournal.tenants()) {
+      sources.push({ mode: "live", tenantId: id, value: liveRealizedToday(id, now), opening: 0 });
+    }
+  }
+  return sources;
+}
+
+/**
+ * Clearing a pnl_limit switch starts its tenant's count again from
+ * where the account stands now.
+ */
+function rebaseline(row) {
+  const key = `${row.mode}:${row.tenantId}`;
+  if (!baselines().has(key)) return;
+
+  const now = Date.now();
+  const value = row.mode === "live"
+    ? liveRealizedToday(row.tenantId, now)
+    : require("./paperTrader").snapshot(row.tenantId).equity;
+
+  baselines().set(key, { mode: row.mode, tenantId: row.tenantId, day: Math.floor(now / DAY_MS), value, setAt: now });
+  writeBaselines();
+}
+
+function checkPnl(now) {
+  const day = Math.floor(now / DAY_MS);
+  let fresh = false;
+
+  try {
+    for (const src of pnlSources(now)) {
+      const limits = lossLimits(src.mode);
+      if (!limits.length || !Number.isFinite(src.value)) continue;
+
+      const key = `${src.mode}:${src.tenantId}`;
+      let start = baselines().get(key);
+      if (!start || start.day !== day) {
+        start = { mode: src.mode, tenantId: src.tenantId, day, value: src.opening, setAt: now };
+        baselines().set(key, start);
+        fresh = true;
+      }
+
+      const loss = start.value - src.value;
+      const limit = Math.min(...limits.map((fn) => fn(start.value)));
+      if (!(loss >= limit)) continue;
+
+      trip({
+        scope: "tenant",
+        tenantId: src.tenantId,
+        mode: src.mode,
+        breaker: "pnl_limit",
+        reason: `Daily ${src.mode} loss ${loss.toFixed(2)} USD reached the ${limit.toFixed(2)} USD limit`,
+        detail: { dayStart: start.value, value: src.value, loss, limit },
+      });
+    }
+  } finally {
+    if (fresh) writeBaselines();
+  }
+}
+
+/**
+ * One breaker pass. A stalled event loop starves every feed at once;
+ * that is not a feed fault, so a late pass re-arms the feed clocks.
+ */
+function runBreakers(now = Date.now()) {
+  const stalled = lastPass > 0 && now - lastPass > CONFIG.feedStaleMs;
+  lastPass = now;
+
+  if (stalled) {
+    for (const f of FEEDS.values()) f.ts = now;
+  } else {
+    checkFeeds(now);
+  }
+
+  try {
+    checkPnl(now);
+  } catch (err) {
+    console.error("[KILL_SWITCH_PNL_ERR]:", err.message);
+  }
+}
+
+function start() {
+  if (monitor || !CONFIG.breakers) return false;
+  lastPass = Date.now();
+  monitor = setInterval(() => runBreakers(), CONFIG.monitorMs);
+  monitor.unref();
+  return true;
+}
+
+function stop() {
+  if (monitor) clearInterval(monitor);
+  monitor = null;
+}
+
+module.exports = {
+  CONFIG,
+  SCOPES,
+  MODES,
+  BREAKERS,
+  events,
+  engage,
+  clear,
+  check,
+  active,
+  list,
+  status,
+  heartbeat,
+  forgetFeed,
+  recordAdapterFailure,
+  recordAdapterSuccess,
+  runBreakers,
+  start,
+  stop,
+};
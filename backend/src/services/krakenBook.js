@@ -0,0 +1,146 @@
+// backend/src/services/krakenBook.js
+// AutoShield Tech — Kraken L2 local order book
+// Snapshot + incremental updates with Kraken's CRC32 book checksum
+//
+// Kraken checksums the top 10 asks (ascending) then the top 10 bids
+// (descending); each level contributes price and volume with the
+// decimal point and leading zeros removed. Levels keep the exact
+// strings Kraken sent so the checksum can be reproduced.
+
+const CHECKSUM_LEVELS = 10;
+
+/* ------------------ CRC32 ------------------ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(str) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < str.length; i++) {
+    crc = CRC_TABLE[(crc ^ str.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function checksumToken(s) {
+  return String(s).replace(".", "").replace(/^0+/, "");
+}
+
+/* ------------------ BOOK ------------------ */
+
+/**
+ * createBook(depth) → { applySnapshot, applyUpdate, checksum, verify, snapshot, levels, summary }
+ * Levels are [priceStr, volumeStr] pairs as received.
+ */
+function createBook(depth = 10) {
+  const sides = { asks: new Map(), bids: new Map() };
+  let updatedAt = 0;
+
+  function sorted(side) {
+    const rows = [...sides[side].values()];
+    return side === "asks"
+      ? rows.sort((a, b) => Number(a[0]) - Number(b[0]))
+      : rows.sort((a, b) => Number(b[0]) - Number(a[0]));
+  }
+
+  function truncate(side) {
+    if (sides[side].size <= depth) return;
+    const keep = sorted(side).slice(0, depth);
+    sides[side] = new Map(keep.map((l) => [l[0], l]));
+  }
+
+  function apply(side, levels = []) {
+    for (const [price, volume, ts] of levels) {
+      if (Number(volume) === 0) sides[side].delete(price);
+      else sides[side].set(price, [price, volume]);
+      updatedAt = Math.max(updatedAt, Number(ts) * 1000 || 0);
+    }
+  }
+
+  return {
+    applySnapshot({ as = [], bs = [] }) {
+      sides.asks.clear();
+      sides.bids.clear();
+      updatedAt = 0;
+      apply("asks", as);
+      apply("bids", bs);
+      truncate("asks");
+      truncate("bids");
+    },
+
+    applyUpdate({ a = [], b = [] }) {
+      apply("asks", a);
+      apply("bids", b);
+      truncate("asks");
+      truncate("bids");
+    },
+
+    checksum() {
+      const asks = sorted("asks").slice(0, CHECKSUM_LEVELS);
+      const bids = sorted("bids").slice(0, CHECKSUM_LEVELS);
+      let s = "";
+      for (const [p, v] of asks) s += checksumToken(p) + checksumToken(v);
+      for (const [p, v] of bids) s += checksumToken(p) + checksumToken(v);
+      return crc32(s);
+    },
+
+    verify(expected) {
+      return this.checksum() === Number(expected);
+    },
+
+    // Raw strings in Kraken snapshot shape ({ as, bs })
+    snapshot() {
+      const ts = ((updatedAt || Date.now()) / 1000).toFixed(6);
+      return {
+        as: sorted("asks").map(([p, v]) => [p, v, ts]),
+        bs: sorted("bids").map(([p, v]) => [p, v, ts]),
+      };
+    },
+
+    levels(n = depth) {
+      return {
+        asks: sorted("asks").slice(0, n).map(([p, v]) => [Number(p), Number(v)]),
+        bids: sorted("bids").slice(0, n).map(([p, v]) => [Number(p), Number(v)]),
+      };
+    },
+
+    // Top-of-book view the engines consume
+    summary(n = depth) {
+      const { asks, bids } = this.levels(n);
+      const bestAsk = asks[0]?.[0] ?? null;
+      const bestBid = bids[0]?.[0] ?? null;
+      const mid = bestAsk != null && bestBid != null ? (bestAsk + bestBid) / 2 : null;
+
+      const bidVolume = bids.reduce((s, l) => s + l[1], 0);
+      const askVolume = asks.reduce((s, l) => s + l[1], 0);
+      const total = bidVolume + askVolume;
+
+      return {
+        bids,
+        asks,
+        bestBid,
+        bestAsk,
+        mid,
+        spread: mid != null ? bestAsk - bestBid : null,
+        spreadBps: mid ? ((bestAsk - bestBid) / mid) * 10000 : null,
+        bidVolume,
+        askVolume,
+        // +1 all bids, -1 all asks
+        imbalance: total > 0 ? (bidVolume - askVolume) / total : 0,
+        updatedAt: updatedAt || null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  CHECKSUM_LEVELS,
+  crc32,
+  createBook,
+};
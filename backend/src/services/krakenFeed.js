@@ -1,16 +1,26 @@
 // backend/src/services/krakenFeed.js
-// Phase 25 — Institutional Market Data Engine
+// Phase 26 — Institutional Market Data Engine
 // Self-Healing • Symbol Stale Detection • Regime Tagging
 // Volatility Pulse • Feed Health Score • AI-Ready
 // Kill-Switch • Backoff Hardened • Production Grade
+// L2 Book (checksum verified) • Trade Tape • Record / Replay
 
+const fs = require("fs");
 const WebSocket = require("ws");
+const { createBook } = require("./krakenBook");
+const microstructure = require("./marketMicrostructure");
 
 /* =========================================================
    CONFIG
 ========================================================= */
 
-const URL = "wss://ws.kraken.com";
+// KRAKEN_WS_URL can point at a local stub (node src/cli kraken-ws-stub)
+const DEFAULT_URL = process.env.KRAKEN_WS_URL || "wss://ws.kraken.com";
+
+const BOOK_DEPTHS = [10, 25, 100, 500, 1000];
+const DEFAULT_BOOK_DEPTH = Number(process.env.KRAKEN_BOOK_DEPTH || 10);
+
+const CHANNELS = ["ticker", "book", "trade"];
 
 const FEED_ENABLED =
   String(process.env.KRAKEN_FEED_ENABLED || "true")
@@ -47,6 +57,13 @@ function getPairs() {
   return raw.split(",").map(s => s.trim()).filter(Boolean);
 }
 
+function getChannels() {
+  return String(process.env.KRAKEN_FEED_CHANNELS || CHANNELS.join(","))
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(c => CHANNELS.includes(c));
+}
+
 function buildMap(pairs) {
   const map = {};
   for (const p of pairs) {
@@ -60,7 +77,21 @@ function buildMap(pairs) {
    START
 ========================================================= */
 
-function startKrakenFeed({ onTick, onStatus }) {
+function startKrakenFeed({
+  onTick,
+  onStatus,
+  onBook,
+  onTrade,
+  url = DEFAULT_URL,
+  pairs = null,
+  channels = null,
+  depth = DEFAULT_BOOK_DEPTH,
+  recordTo = process.env.KRAKEN_FEED_RECORD || null,
+} = {}) {
+
+  if (!BOOK_DEPTHS.includes(Number(depth))) {
+    throw new Error(`Kraken book depth must be one of ${BOOK_DEPTHS.join(", ")}`);
+  }
 
   if (!FEED_ENABLED) {
     onStatus && onStatus("disabled");
@@ -68,11 +99,22 @@ function startKrakenFeed({ onTick, onStatus }) {
       stop() {},
       getMetrics() { return { disabled: true }; },
       getHealth() { return { disabled: true }; },
+      getOrderBook() { return null; },
     };
   }
 
-  const PAIRS = getPairs();
+  const PAIRS = pairs || getPairs();
   const MAP = buildMap(PAIRS);
+  const CHANNEL_SET = channels || getChannels();
+  const BOOK_DEPTH = Number(depth);
+
+  // pair -> { book, synced }; unsynced books ignore updates until a snapshot
+  const books = Object.create(null);
+  const lastBookEmit = Object.create(null);
+
+  const recorder = recordTo
+    ? fs.createWriteStream(recordTo, { flags: "a" })
+    : null;
 
   let ws = null;
   let closedByUs = false;
@@ -98,6 +140,11 @@ function startKrakenFeed({ onTick, onStatus }) {
     staleEvents: 0,
     symbolStaleEvents: 0,
     pingsSent: 0,
+    bookSnapshots: 0,
+    bookUpdates: 0,
+    checksumFailures: 0,
+    bookResyncs: 0,
+    trades: 0,
   };
 
   let volatilityPulse = 0;
@@ -154,6 +201,163 @@ function startKrakenFeed({ onTick, onStatus }) {
     lastSymbolPrice[symbol] = price;
   }
 
+  /* =========================================================
+     SUBSCRIPTIONS
+  ========================================================= */
+
+  function subscription(name) {
+    return name === "book" ? { name, depth: BOOK_DEPTH } : { name };
+  }
+
+  function send(payload) {
+    try { ws && ws.send(JSON.stringify(payload)); } catch {}
+  }
+
+  // Fresh snapshot after a checksum mismatch
+  function resyncBook(pair) {
+    metrics.bookResyncs++;
+    books[pair] = { book: createBook(BOOK_DEPTH), synced: false };
+
+    send({ event: "unsubscribe", pair: [pair], subscription: subscription("book") });
+    send({ event: "subscribe", pair: [pair], subscription: subscription("book") });
+  }
+
+  /* =========================================================
+     CHANNEL HANDLERS
+  ========================================================= */
+
+  function handleTicker(data, pair) {
+
+    const price = Number(data?.c?.[0]);
+    if (!Number.isFinite(price)) return;
+
+    const symbol = MAP[pair] || pair;
+    const now = Date.now();
+
+    resetTickCounter();
+    ticksThisSecond++;
+    if (ticksThisSecond > MAX_TICKS_PER_SECOND) return;
+
+    if (
+      lastEmit[symbol] &&
+      now - lastEmit[symbol] < EMIT_INTERVAL
+    ) return;
+
+    lastEmit[symbol] = now;
+    lastSymbolTick[symbol] = now;
+
+    updateVolatility(symbol, price);
+
+    metrics.ticks++;
+
+    try {
+      onTick && onTick({
+        type: "tick",
+        symbol,
+        price,
+        ts: now,
+        regime,
+        volatilityPulse,
+      });
+    } catch {}
+  }
+
+  // payloads: one object for snapshots, one or two ({a},{b}) for updates
+  function handleBook(payloads, pair) {
+
+    const symbol = MAP[pair] || pair;
+    const now = Date.now();
+
+    if (!books[pair]) {
+      books[pair] = { book: createBook(BOOK_DEPTH), synced: false };
+    }
+    const state = books[pair];
+
+    if (payloads[0].as || payloads[0].bs) {
+      state.book.applySnapshot(payloads[0]);
+      state.synced = true;
+      metrics.bookSnapshots++;
+    } else {
+      if (!state.synced) return;
+
+      const update = { a: [], b: [] };
+      let checksum = null;
+      for (const p of payloads) {
+        if (p.a) update.a.push(...p.a);
+        if (p.b) update.b.push(...p.b);
+        if (p.c) checksum = p.c;
+      }
+
+      state.book.applyUpdate(update);
+      metrics.bookUpdates++;
+
+      if (checksum != null && !state.book.verify(checksum)) {
+        metrics.checksumFailures++;
+        safeStatus(`book_checksum_mismatch:${symbol}`);
+        resyncBook(pair);
+        return;
+      }
+    }
+
+    lastSymbolTick[symbol] = now;
+
+    if (
+      lastBookEmit[symbol] &&
+      now - lastBookEmit[symbol] < EMIT_INTERVAL
+    ) return;
+
+    lastBookEmit[symbol] = now;
+
+    const event = {
+      type: "book",
+      symbol,
+      pair,
+      depth: BOOK_DEPTH,
+      ts: now,
+      ...state.book.summary(),
+    };
+
+    microstructure.publishBook(event);
+
+    try { onBook && onBook(event); } catch {}
+  }
+
+  // [price, volume, time, side(b|s), orderType(m|l), misc]
+  function handleTrades(trades, pair) {
+
+    const symbol = MAP[pair] || pair;
+    const now = Date.now();
+
+    lastSymbolTick[symbol] = now;
+
+    for (const t of trades) {
+      const event = {
+        type: "trade",
+        symbol,
+        pair,
+        price: Number(t[0]),
+        volume: Number(t[1]),
+        side: t[3] === "s" ? "sell" : "buy",
+        ordType: t[4] === "l" ? "limit" : "market",
+        exchangeTs: Number(t[2]) * 1000 || null,
+        ts: now,
+      };
+
+      if (!Number.isFinite(event.price) || !(event.volume > 0)) continue;
+
+      metrics.trades++;
+      microstructure.publishTrade(event);
+
+      try { onTrade && onTrade(event); } catch {}
+    }
+  }
+
+  function handleEvent(msg) {
+    if (msg.event === "subscriptionStatus" && msg.status === "error") {
+      safeStatus(`subscription_error:${msg.pair || ""}:${msg.errorMessage || "unknown"}`);
+    }
+  }
+
   /* =========================================================
      RECONNECT
   ========================================================= */
@@ -185,7 +389,7 @@ function startKrakenFeed({ onTick, onStatus }) {
 
     safeStatus("connecting");
 
-    ws = new WebSocket(URL, {
+    ws = new WebSocket(url, {
       maxPayload: MAX_MESSAGE_SIZE,
     });
 
@@ -197,11 +401,16 @@ function startKrakenFeed({ onTick, onStatus }) {
 
       safeStatus("connected");
 
-      ws.send(JSON.stringify({
-        event: "subscribe",
-        pair: PAIRS,
-        subscription: { name: "ticker" },
-      }));
+      // every connection starts from fresh snapshots
+      for (const k of Object.keys(books)) delete books[k];
+
+      for (const name of CHANNEL_SET) {
+        send({
+          event: "subscribe",
+          pair: PAIRS,
+          subscription: subscription(name),
+        });
+      }
 
       pingTimer = setInterval(() => {
         try {
@@ -221,49 +430,29 @@ function startKrakenFeed({ onTick, onStatus }) {
 
       if (!buf || buf.length > MAX_MESSAGE_SIZE) return;
 
+      const raw = buf.toString();
+
       let msg;
       try {
-        msg = JSON.parse(buf.toString());
+        msg = JSON.parse(raw);
       } catch { return; }
 
-      if (!Array.isArray(msg)) return;
-
-      const data = msg[1];
-      const pair = msg[3];
-      if (!data || !pair) return;
-
-      const price = Number(data?.c?.[0]);
-      if (!Number.isFinite(price)) return;
-
-      const symbol = MAP[pair] || pair;
-      const now = Date.now();
-
-      resetTickCounter();
-      ticksThisSecond++;
-      if (ticksThisSecond > MAX_TICKS_PER_SECOND) return;
-
-      if (
-        lastEmit[symbol] &&
-        now - lastEmit[symbol] < EMIT_INTERVAL
-      ) return;
+      if (recorder) recorder.write(raw + "\n");
 
-      lastEmit[symbol] = now;
-      lastSymbolTick[symbol] = now;
-
-      updateVolatility(symbol, price);
+      if (!Array.isArray(msg)) {
+        if (msg && msg.event) handleEvent(msg);
+        return;
+      }
 
-      metrics.ticks++;
+      // [channelID, ...payloads, channelName, pair]
+      const channel = msg[msg.length - 2];
+      const pair = msg[msg.length - 1];
+      const payloads = msg.slice(1, -2);
+      if (typeof channel !== "string" || !pair || !payloads[0]) return;
 
-      try {
-        onTick && onTick({
-          type: "tick",
-          symbol,
-          price,
-          ts: now,
-          regime,
-          volatilityPulse,
-        });
-      } catch {}
+      if (channel === "ticker") handleTicker(payloads[0], pair);
+      else if (channel.startsWith("book")) handleBook(payloads, pair);
+      else if (channel === "trade") handleTrades(payloads[0], pair);
     });
 
     ws.on("close", () => {
@@ -329,9 +518,19 @@ function startKrakenFeed({ onTick, onStatus }) {
       clearTimers();
       try { ws && ws.close(); } catch {}
       cleanupSocket();
+      if (recorder) recorder.end();
       safeStatus("stopped");
     },
 
+    getOrderBook(symbol, levels = BOOK_DEPTH) {
+      const pair =
+        Object.keys(MAP).find(p => MAP[p] === symbol || p === symbol);
+      const state = pair && books[pair];
+      if (!state || !state.synced) return null;
+
+      return { symbol: MAP[pair], pair, ...state.book.summary(levels) };
+    },
+
     getMetrics() {
       return {
         ...metrics,
@@ -361,10 +560,16 @@ function startKrakenFeed({ onTick, onStatus }) {
           ? 1 - Math.min(metrics.staleEvents / 20, 0.5)
           : 0;
 
+      const bookHealth = {};
+      for (const p of Object.keys(books)) {
+        bookHealth[MAP[p] || p] = books[p].synced;
+      }
+
       return {
         connected: !!ws,
         globalHealthy,
         symbolHealth,
+        bookHealth,
         healthScore: Math.max(0, healthScore),
         regime,
         volatilityPulse,
@@ -374,4 +579,4 @@ function startKrakenFeed({ onTick, onStatus }) {
   };
 }
 
-module.exports = { startKrakenFeed };
+module.exports = { startKrakenFeed, BOOK_DEPTHS };
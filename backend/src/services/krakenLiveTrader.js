@@ -5,12 +5,24 @@
 // - This is NOT the brain; it only follows BUY / SELL / WAIT
 // - Includes safety gates, cooldowns, hard notional caps
 // - Includes startup + interval position sync from Kraken
+// - flatten() closes the position for the kill switch
+// - Every submitted order is shadowed in paper (shadowParity)
+// - A decision naming a promoted lab strategy (snapshot.strategy) is
+//   journaled under it and sized by its live allocation
 // ==========================================================
 
 const crypto = require("crypto");
+const orderJournal = require("./orderJournal");
+const riskGateway = require("./riskGateway");
+const killSwitch = require("./killSwitch");
+const shadowParity = require("./shadowParity");
 
 const KRAKEN_BASE = "https://api.kraken.com";
 
+// Private calls honour KRAKEN_API_URL (local stub) like krakenPrivate
+const KRAKEN_PRIVATE_BASE =
+  String(process.env.KRAKEN_API_URL || KRAKEN_BASE).replace(/\/+$/, "");
+
 const API_KEY = String(process.env.KRAKEN_API_KEY || "").trim();
 const API_SECRET = String(process.env.KRAKEN_API_SECRET || "").trim();
 
@@ -90,7 +102,7 @@ async function krakenPrivate(urlPath, paramsObj = {}){
 
   const bodyStr = body.toString();
 
-  const res = await fetch(KRAKEN_BASE + urlPath, {
+  const res = await fetch(KRAKEN_PRIVATE_BASE + urlPath, {
     method: "POST",
     headers: {
       "Content-Type": "application/x-www-form-urlencoded",
@@ -193,13 +205,69 @@ function calcVolumeFromNotionalUSD(pair, notionalUSD, price){
 
 /* ================= ORDER PLACEMENT ================= */
 
+// Market fills are not in the AddOrder reply; the parity report
+// reads them from the journal once reconcile has seen them
+function shadow(journal, sentAt, error){
+  shadowParity.mirror({
+    tenantId: journal.tenantId,
+    source: journal.source,
+    symbol: journal.symbol,
+    side: journal.side,
+    price: journal.price,
+    ts: journal.createdAt,
+    live: {
+      ok: !error,
+      venue: "kraken",
+      journalId: journal.id,
+      requestedQty: journal.qty,
+      latencyMs: Date.now() - sentAt,
+      error: error ? String(error?.message || error) : null
+    }
+  });
+}
+
+async function submitOrder(journal, params){
+
+  const sentAt = Date.now();
+
+  let result;
+  try{
+    result = await krakenPrivate("/0/private/AddOrder", params);
+  }catch(e){
+    // Venue errors are definite rejections; transport failures stay NEW
+    // for reconcile and are the only ones that feed the adapter breaker
+    if(String(e?.message || "").startsWith("Kraken error")){
+      orderJournal.recordResult(journal.id, { ok:false, error: e.message });
+    }else{
+      orderJournal.note(journal.id, e?.message || e);
+      killSwitch.recordAdapterFailure("kraken", e);
+    }
+    shadow(journal, sentAt, e);
+    throw e;
+  }
+
+  killSwitch.recordAdapterSuccess("kraken");
+
+  orderJournal.recordResult(journal.id, {
+    ok: true,
+    result: { txid: result?.txid, status: "ACK" }
+  });
+
+  shadow(journal, sentAt, null);
+
+  return result;
+}
+
 async function placeOrder({
   symbol,
   side,
   price,
   notionalUSD,
   type = "market",
-  limitPrice = null
+  limitPrice = null,
+  tenantId = null,
+  strategy = null,
+  reducing = false
 }){
 
   const pair = toKrakenPair(symbol);
@@ -224,7 +292,7 @@ async function placeOrder({
     return { ok:false, skipped:true, reason:"notional <= 0" };
   }
 
-  const vol = calcVolumeFromNotionalUSD(pair, useNotional, price);
+  let vol = calcVolumeFromNotionalUSD(pair, useNotional, price);
 
   if(!(vol > 0)){
     return { ok:false, skipped:true, reason:"volume <= 0" };
@@ -236,6 +304,30 @@ async function placeOrder({
   const krSide =
     String(side).toLowerCase() === "sell" ? "sell" : "buy";
 
+  const lp = Number(limitPrice);
+
+  if(orderType === "limit" && (!Number.isFinite(lp) || lp <= 0)){
+    return { ok:false, skipped:true, reason:"missing limitPrice" };
+  }
+
+  const risk = await riskGateway.authorize({
+    tenantId,
+    mode: "live",
+    source: "krakenLiveTrader",
+    exchange: "kraken",
+    symbol,
+    side: krSide,
+    qty: vol,
+    price: orderType === "limit" ? lp : Number(price),
+    reducing
+  });
+
+  if(!risk.approved){
+    return { ok:false, skipped:true, reason:`risk: ${risk.reason}`, risk };
+  }
+
+  vol = risk.qty;
+
   const params = {
     pair,
     type: krSide,
@@ -244,14 +336,22 @@ async function placeOrder({
   };
 
   if(orderType === "limit"){
-    const lp = Number(limitPrice);
-    if(!Number.isFinite(lp) || lp <= 0){
-      return { ok:false, skipped:true, reason:"missing limitPrice" };
-    }
     params.price = lp.toFixed(2);
   }
 
-  const result = await krakenPrivate("/0/private/AddOrder", params);
+  const journal = orderJournal.open({
+    tenantId,
+    exchange: "kraken",
+    source: "krakenLiveTrader",
+    strategy,
+    symbol,
+    side: krSide,
+    type: orderType,
+    qty: Number(params.volume),
+    price: orderType === "limit" ? Number(params.price) : Number(price)
+  });
+
+  const result = await submitOrder(journal, params);
 
   state.lastOrderAt = now;
 
@@ -263,12 +363,91 @@ async function placeOrder({
     volume: params.volume,
     notionalUSD: useNotional,
     txid: result?.txid?.[0] || null,
-    descr: result?.descr || null
+    descr: result?.descr || null,
+    journalId: journal.id,
+    risk: risk.decision
   };
 
   return { ok:true, result: state.lastOrder };
 }
 
+/* ================= KILL SWITCH ================= */
+
+// OpenPositions reports XXBTZUSD where orders use XBTUSD
+function pairKey(pair){
+  return String(pair || "")
+    .toUpperCase()
+    .replace(/^X(?=[XE])/, "")
+    .replace(/Z(USD|EUR)$/, "$1");
+}
+
+/**
+ * Closes the synced position at market. Ignores the enabled flag,
+ * cooldown and notional cap: this order only ever reduces, and it
+ * still passes the risk gateway as reduce-only.
+ */
+async function flatten({ symbol = null, price = null, reason = "KILL_SWITCH" } = {}){
+
+  const pos = state.position;
+
+  if(!pos || !(Number(pos.vol) > 0)){
+    return { ok:true, skipped:true, reason:"no position" };
+  }
+
+  if(symbol && pairKey(toKrakenPair(symbol)) !== pairKey(pos.pair)){
+    return { ok:true, skipped:true, reason:"position is on another pair" };
+  }
+
+  if(!ok(API_KEY) || !ok(API_SECRET)){
+    return { ok:false, skipped:true, reason:"missing api keys" };
+  }
+
+  const side = pos.side === "buy" ? "sell" : "buy";
+  const volume = Number(pos.vol).toFixed(6);
+  const px = Number(price) || Number(pos.avgPrice) || 0;
+
+  const risk = await riskGateway.authorize({
+    mode: "live",
+    source: "killSwitch",
+    exchange: "kraken",
+    symbol: symbol || pos.pair,
+    side,
+    qty: Number(volume),
+    price: px,
+    reducing: true
+  });
+
+  if(!risk.approved){
+    return { ok:false, reason:`risk: ${risk.reason}`, risk };
+  }
+
+  const journal = orderJournal.open({
+    exchange: "kraken",
+    source: "killSwitch",
+    symbol: symbol || pos.pair,
+    side,
+    type: "market",
+    qty: Number(volume),
+    price: px
+  });
+
+  try{
+    const result = await submitOrder(journal, {
+      pair: pos.pair,
+      type: side,
+      ordertype: "market",
+      volume
+    });
+
+    state.position = null;
+
+    return { ok:true, pair: pos.pair, side, volume, txid: result?.txid?.[0] || null, journalId: journal.id, reason };
+  }catch(e){
+    pushErr(e);
+    return { ok:false, error:String(e?.message || e), journalId: journal.id };
+  }
+}
+
 /* ================= POSITION SYNC ================= */
 
 async function syncPosition(){
@@ -383,6 +562,18 @@ async function evaluateAndTrade(snapshot){
       return { ok:true, skipped:true, reason:"brain did not approve" };
     }
 
+    const tenantId = s.tenantId || null;
+    const strategy = s.strategy || null;
+
+    // a promoted strategy trades at its lab allocation, or not at all
+    const allocation = strategy
+      ? require("./strategyPromotion").liveAllocation(tenantId, strategy)
+      : 1;
+
+    if(!(allocation > 0)){
+      return { ok:true, skipped:true, reason:`strategy ${strategy} not live` };
+    }
+
     const pair = toKrakenPair(symbol);
     const desiredSide = decision === "BUY" ? "buy" : "sell";
 
@@ -400,7 +591,10 @@ async function evaluateAndTrade(snapshot){
         price,
         notionalUSD: Number(s.notionalUSD || LIVE_MAX_NOTIONAL_USD),
         type: s.orderType || "market",
-        limitPrice: s.limitPrice || null
+        limitPrice: s.limitPrice || null,
+        tenantId,
+        strategy,
+        reducing: true
       });
 
       if(!closeOut.ok){
@@ -417,9 +611,11 @@ async function evaluateAndTrade(snapshot){
       symbol,
       side: desiredSide,
       price,
-      notionalUSD: Number(s.notionalUSD || 0),
+      notionalUSD: Number(s.notionalUSD || 0) * allocation,
       type: s.orderType || "market",
-      limitPrice: s.limitPrice || null
+      limitPrice: s.limitPrice || null,
+      tenantId,
+      strategy
     });
 
     if(out.ok){
@@ -473,5 +669,6 @@ module.exports = {
   clearPosition,
   syncPosition,
   evaluateAndTrade,
-  placeOrder
+  placeOrder,
+  flatten
 };
@@ -1,6 +1,7 @@
 // backend/src/services/krakenPrivate.js
 // Kraken Private REST API helper (signed requests)
 // Funds NEVER leave Kraken unless ALL safety locks are enabled
+// KRAKEN_API_URL can point at a local stub (node src/cli venue-stub --venue kraken)
 
 const crypto = require("crypto");
 
@@ -8,9 +9,13 @@ const crypto = require("crypto");
 const fetchFn = global.fetch || ((...args) =>
   import("node-fetch").then(({ default: f }) => f(...args)));
 
-const BASE_URL = "https://api.kraken.com";
+const DEFAULT_BASE_URL = "https://api.kraken.com";
 
 /* ------------------ ENV HELPERS ------------------ */
+function baseUrl() {
+  return (process.env.KRAKEN_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+}
+
 function envBool(name, fallback = false) {
   const v = process.env[name];
   if (v === undefined || v === null || v === "") return fallback;
@@ -77,7 +82,7 @@ async function privateRequest(path, bodyObj = {}) {
   const msg = Buffer.concat([Buffer.from(path), hash]);
   const sig = hmacSha512(b64ToBuf(secret), msg);
 
-  const res = await fetchFn(BASE_URL + path, {
+  const res = await fetchFn(baseUrl() + path, {
     method: "POST",
     headers: {
       "API-Key": key,
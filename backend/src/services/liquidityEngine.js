@@ -2,13 +2,19 @@
 // Institutional Liquidity Intelligence Engine
 // Detects stop hunts, traps, absorption, liquidity zones,
 // pressure shifts, and liquidity vacuums
+// Uses the live L2 book (marketMicrostructure) when fresh
 // ======================================================
 
+const microstructure = require("./marketMicrostructure");
+
 const LIQUIDITY = new Map();
 
 const MAX_PRICE_MEMORY = 150;
 const MAX_LEVEL_MEMORY = 60;
 
+const BOOK_PRESSURE_IMBALANCE = 0.25;
+const THIN_BOOK_SPREAD_BPS = 8;
+
 /* ======================================================
 STATE
 ====================================================== */
@@ -249,27 +255,67 @@ function detectPressure(prices){
 
 }
 
+/* ======================================================
+BOOK PRESSURE (REAL DEPTH)
+====================================================== */
+
+function detectBookPressure(book){
+
+  if(book.imbalance > BOOK_PRESSURE_IMBALANCE)
+    return "buy";
+
+  if(book.imbalance < -BOOK_PRESSURE_IMBALANCE)
+    return "sell";
+
+  return "neutral";
+
+}
+
+function bookView(book){
+
+  if(!book) return null;
+
+  return{
+    spreadBps:book.spreadBps,
+    imbalance:book.imbalance,
+    bidVolume:book.bidVolume,
+    askVolume:book.askVolume
+  };
+
+}
+
 /* ======================================================
 ANALYSIS
 ====================================================== */
 
 function analyzeLiquidity({
-  tenantId
+  tenantId,
+  symbol
 }){
 
   const state = getState(tenantId);
 
   const prices = state.prices;
 
+  const book =
+    symbol ? microstructure.getBook(symbol) : null;
+
+  const depth = bookView(book);
+
   if(prices.length < 12)
-    return {type:"neutral",boost:1};
+    return {type:"neutral",boost:1,book:depth};
 
   const sweep = detectLiquiditySweep(prices);
   const trap = detectTrap(prices);
   const absorption = detectAbsorption(prices);
-  const vacuum = detectVacuum(prices);
 
-  const pressure = detectPressure(prices);
+  // a wide spread is a vacuum even before price runs
+  const vacuum =
+    detectVacuum(prices) ||
+    Boolean(book && book.spreadBps > THIN_BOOK_SPREAD_BPS);
+
+  const pressure =
+    book ? detectBookPressure(book) : detectPressure(prices);
 
   state.pressure = pressure;
 
@@ -278,7 +324,8 @@ function analyzeLiquidity({
     return{
       type:sweep,
       pressure,
-      boost:0.75
+      boost:0.75,
+      book:depth
     };
 
   }
@@ -288,7 +335,8 @@ function analyzeLiquidity({
     return{
       type:trap,
       pressure,
-      boost:0.65
+      boost:0.65,
+      book:depth
     };
 
   }
@@ -298,7 +346,8 @@ function analyzeLiquidity({
     return{
       type:absorption,
       pressure,
-      boost:0.85
+      boost:0.85,
+      book:depth
     };
 
   }
@@ -308,7 +357,8 @@ function analyzeLiquidity({
     return{
       type:"liquidity_vacuum",
       pressure,
-      boost:1.35
+      boost:1.35,
+      book:depth
     };
 
   }
@@ -316,12 +366,20 @@ function analyzeLiquidity({
   return{
     type:"neutral",
     pressure,
-    boost:1
+    boost:1,
+    book:depth
   };
 
 }
 
 module.exports={
   recordPrice,
-  analyzeLiquidity
+  analyzeLiquidity,
+
+  // pure detectors over [{ price }], shared with strategyDsl
+  detectLiquiditySweep,
+  detectAbsorption,
+  detectTrap,
+  detectVacuum,
+  detectPressure
 };
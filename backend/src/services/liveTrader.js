@@ -9,8 +9,10 @@ const path = require("path");
 
 const { makeDecision } = require("./tradeBrain");
 const exchangeRouter = require("./exchangeRouter");
-const aiBrain = require("./aiBrain");
-const riskManager = require("./riskManager");
+const aiBrain = require("../../brain/aiBrain");
+const shadowParity = require("./shadowParity");
+const marketRegime = require("./marketRegime");
+const strategyPromotion = require("./strategyPromotion");
 
 /* ================= CONFIG ================= */
 
@@ -79,7 +81,7 @@ function defaultState(){
     orders:[],
 
     volatility:0,
-    regime:"neutral",
+    regime:marketRegime.UNKNOWN,
 
     lastError:null
 
@@ -252,7 +254,7 @@ function applyFill(state,{symbol,side,price,qty}){
 
 /* ================= REGIME ================= */
 
-function updateMarketStats(state,pricePrev,priceNow){
+function updateMarketStats(state,tenantId,symbol,pricePrev,priceNow){
 
   const move =
     Math.abs(priceNow-pricePrev)/pricePrev;
@@ -260,12 +262,8 @@ function updateMarketStats(state,pricePrev,priceNow){
   state.volatility =
     state.volatility*0.9 + move*0.1;
 
-  if(state.volatility>0.02)
-    state.regime="volatile";
-  else if(move>0.005)
-    state.regime="trend";
-  else
-    state.regime="range";
+  state.regime =
+    marketRegime.current({tenantId,symbol}).regime;
 
 }
 
@@ -290,32 +288,30 @@ async function tick(
 
   state.lastPrices[symbol]=price;
 
-  updateMarketStats(state,prev,price);
+  updateMarketStats(state,tenantId,symbol,prev,price);
 
   recalcEquity(state);
 
-  /* ===== RISK ===== */
-
-  const risk =
-    riskManager.evaluate({
-      tenantId,
-      equity:state.equity,
-      trades:state.trades,
-      marginUsed:state.marginUsed,
-      ts,
-      mode:"live"
-    });
-
-  if(risk?.halted){
+  /* ===== DECISION ===== */
 
-    save(tenantId);
-    return;
+  // a live promotion candidate covering the symbol trades its own
+  // rules, tagged with its labId and sized by its lab allocation
+  const held =
+    state.positions[symbol]?.qty || 0;
 
-  }
-
-  /* ===== DECISION ===== */
+  const promoted =
+    strategyPromotion.liveDecision(
+      tenantId,
+      symbol,
+      price,
+      {
+        position:held>0 ? "LONG" : held<0 ? "SHORT" : null,
+        now:ts
+      }
+    );
 
   const plan =
+    promoted ||
     makeDecision({
       tenantId,
       symbol,
@@ -324,10 +320,13 @@ async function tick(
       mode:"live"
     });
 
+  const closing =
+    plan.action==="CLOSE" && held!==0;
+
   if(
     !state.enabled ||
     !state.execute ||
-    plan.action==="WAIT"
+    (plan.action!=="BUY" && plan.action!=="SELL" && !closing)
   ){
 
     save(tenantId);
@@ -335,33 +334,66 @@ async function tick(
 
   }
 
+  const side =
+    closing ? (held>0 ? "SELL" : "BUY") : plan.action;
+
   try{
 
+    const sentAt = Date.now();
+
     const result =
       await exchangeRouter.routeLiveOrder({
 
         tenantId,
         symbol,
-        side:plan.action,
+        side,
         price,
-        riskPct:
-          plan.riskPct *
-          (risk.riskMultiplier||1)
+        ...(closing
+          ? {qty:Math.abs(held),reducing:true}
+          : {riskPct:plan.riskPct}),
+        strategy:plan.strategy || null,
+
+        // risk gateway context (halts, cooldowns, multiplier)
+        equity:state.equity,
+        trades:state.trades,
+        marginUsed:state.marginUsed,
+        volatility:state.volatility,
+        source:"liveTrader"
+
+      });
 
+    const live = {
+      ...shadowParity.routedFill(result),
+      latencyMs:Date.now() - sentAt
+    };
+
+    // shadow the decision in paper unless the gateway refused it outright
+    if(result?.ok || result?.risk?.approved){
+
+      shadowParity.mirror({
+        tenantId,
+        source:"liveTrader",
+        symbol,
+        side,
+        price,
+        ts,
+        live
       });
 
+    }
+
     if(
-      result?.ok &&
-      result?.result?.order?.filledQty
+      live.ok &&
+      live.filledQty > 0
     ){
 
       applyFill(
         state,
         {
           symbol,
-          side:plan.action,
-          price,
-          qty:result.result.order.filledQty
+          side,
+          price:live.avgPrice || price,
+          qty:live.filledQty
         }
       );
 
@@ -370,7 +402,8 @@ async function tick(
     state.orders.push({
       ts,
       symbol,
-      side:plan.action,
+      side,
+      strategy:plan.strategy || null,
       ok:result?.ok
     });
 
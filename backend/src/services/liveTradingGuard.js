@@ -7,7 +7,10 @@ const kraken = require("./krakenConnector");
 
 /* ================= CONFIG ================= */
 
-let LIVE_TRADING_ENABLED = false;
+let LIVE_TRADING_ENABLED =
+  String(process.env.LIVE_TRADING_ENABLED || "false")
+    .trim()
+    .toLowerCase() === "true";
 
 /* =========================================================
    MANUAL SWITCH (FROM AI CONTROL PANEL)
@@ -28,15 +31,21 @@ function isLiveTradingEnabled() {
 /* =========================================================
    SAFE LIVE CHECK
    Determines whether real trading is allowed
+   Only Kraken orders probe the Kraken balance; pass
+   exchange: null for venue-agnostic routing
 ========================================================= */
 
-async function canTradeLive() {
+async function canTradeLive({ exchange = "kraken" } = {}) {
 
   // kill switch disabled
   if (!LIVE_TRADING_ENABLED) {
     return false;
   }
 
+  if (exchange !== "kraken") {
+    return true;
+  }
+
   try {
 
     const balance = await kraken.getBalance();
@@ -1,13 +1,24 @@
 // ==========================================================
-// 🔒 STEALTH PULSE — v9.2 (BRIDGE-COMPLIANT)
+// 🔒 STEALTH PULSE — v10.0 (CONFIGURABLE SIMULATOR)
 // FILE: backend/src/services/marketEngine.js
 // ==========================================================
 
 const stealthCore = require("./paperTrader"); 
 const { recordVisit } = require("./analyticsEngine");
+const { createRng } = require("../lib/prng");
+const priceProcesses = require("./priceProcesses");
+const correlationEngine = require("./correlationEngine");
+const indicators = require("./indicators");
+const candleStore = require("./candleStore");
+const killSwitch = require("./killSwitch");
+const marketRegime = require("./marketRegime");
 
 /* ================= CONFIG ================= */
-const SYMBOLS = {
+const DEFAULT_MODEL = String(process.env.MARKET_SIM_MODEL || "random_walk").toLowerCase();
+const BASE_SEED = process.env.MARKET_SIM_SEED || "autoshield";
+
+// Global catalogue: new tenants start from this; admins can extend it at runtime
+const CATALOG = {
   BTCUSDT: { start: 67200, vol: 0.0004 }, 
   ETHUSDT: { start: 3800, vol: 0.0005 },
   SOLUSDT: { start: 185, vol: 0.0008 }
@@ -16,10 +27,56 @@ const SYMBOLS = {
 const TENANTS = new Map();
 
 /* ================= SIMULATION ================= */
-function simulate(price, vol) {
-  const drift = (Math.random() - 0.49) * 0.0001; 
-  const change = price * (vol * (Math.random() - 0.5) + drift);
-  return Number((price + change).toFixed(2));
+
+/**
+ * Normalises a symbol definition. `vol` is the per-tick volatility and
+ * seeds the model's own scale parameter unless params override it.
+ */
+function symbolConfig(def = {}, base = {}) {
+  const model = String(def.model || base.model || DEFAULT_MODEL).toLowerCase();
+  const start = Number(def.start ?? base.start);
+  const vol = Number(def.vol ?? base.vol ?? 0.0004);
+
+  if (!(start > 0)) throw new Error("start price must be positive");
+  if (!priceProcesses.MODELS.includes(model)) throw new Error(`Unknown price model: ${model}`);
+
+  const scale = model === "random_walk" ? { vol } : model === "bootstrap" ? {} : { sigma: vol };
+  const params = {
+    ...scale,
+    ...(model === (base.model || DEFAULT_MODEL) ? base.params : {}),
+    ...(def.params || {})
+  };
+
+  return { start, vol, model, params: priceProcesses.resolveParams(model, params) };
+}
+
+// Builds a throwaway process so bad params fail before any state changes
+function assertBuildable(symbol, cfg) {
+  priceProcesses.createProcess({ model: cfg.model, params: cfg.params, symbol }, createRng(0));
+}
+
+function buildProcess(state, symbol) {
+  // One stream per symbol: adding/removing symbols never shifts the others
+  const rng = createRng(`${state.seed}:${symbol}`);
+  const cfg = state.symbols[symbol];
+  return priceProcesses.createProcess({ model: cfg.model, params: cfg.params, symbol }, rng);
+}
+
+function resetSymbol(state, symbol) {
+  state.processes[symbol] = buildProcess(state, symbol);
+  state.prices[symbol] = state.symbols[symbol].start;
+  delete state.snapshot[symbol];
+  delete state.candles[symbol];
+  delete state.indicators[symbol];
+}
+
+function dropSymbol(state, symbol) {
+  delete state.symbols[symbol];
+  delete state.processes[symbol];
+  delete state.prices[symbol];
+  delete state.snapshot[symbol];
+  delete state.candles[symbol];
+  delete state.indicators[symbol];
 }
 
 /* ================= CORE LOGIC ================= */
@@ -30,14 +87,18 @@ function tickTenant(tenantId) {
 
   const now = Date.now();
 
-  for (const sym in SYMBOLS) {
-    const prev = state.prices[sym] || SYMBOLS[sym].start;
-    const next = simulate(prev, SYMBOLS[sym].vol);
+  for (const sym in state.symbols) {
+    const prev = state.prices[sym] || state.symbols[sym].start;
+    const next = state.processes[sym].step(prev);
 
     state.prices[sym] = next;
     state.snapshot[sym] = { price: next, symbol: sym, ts: now };
 
     updateCandle(state, sym, next, now);
+    candleStore.recordTick({ feed: candleStore.simFeed(tenantId), symbol: sym, price: next, ts: now });
+    killSwitch.heartbeat({ feed: candleStore.simFeed(tenantId), tenantId, mode: "paper", symbol: sym, price: next, ts: now });
+    correlationEngine.recordPrice({ tenantId, symbol: sym, price: next });
+    marketRegime.current({ tenantId, symbol: sym, now });
 
     try {
       stealthCore.tick(tenantId, sym, next);
@@ -58,6 +119,8 @@ function updateCandle(state, symbol, price, now) {
   const last = arr[arr.length - 1];
 
   if (!last || now - last.t >= 60000) {
+    // The previous candle is closed: commit it to the indicator feed
+    if (last) indicatorFeed(state, symbol).update(last);
     arr.push({ t: now, o: price, h: price, l: price, c: price });
     if (arr.length > 200) arr.shift();
   } else {
@@ -67,6 +130,13 @@ function updateCandle(state, symbol, price, now) {
   }
 }
 
+function indicatorFeed(state, symbol) {
+  if (!state.indicators[symbol]) {
+    state.indicators[symbol] = indicators.createIndicatorSet(indicators.DEFAULT_SPECS);
+  }
+  return state.indicators[symbol];
+}
+
 /* ================= LIFECYCLE & HELPERS ================= */
 
 function registerTenant(tenantId) {
@@ -75,17 +145,130 @@ function registerTenant(tenantId) {
 
   console.log(`🚀 AUTO-IGNITION: Waking up AI for [${id}]`);
   
-  TENANTS.set(id, {
+  const state = {
+    seed: `${BASE_SEED}:${id}`,
+    symbols: {},
+    processes: {},
     prices: {},
     snapshot: {},
     candles: {},
+    indicators: {},   // symbol → streaming indicator set over closed candles
     ticks: 0,
     lastTick: Date.now()
-  });
+  };
+
+  for (const sym of Object.keys(CATALOG)) {
+    state.symbols[sym] = symbolConfig(CATALOG[sym]);
+    resetSymbol(state, sym);
+  }
+
+  TENANTS.set(id, state);
   
   stealthCore.snapshot(id);
 }
 
+/* ================= SIMULATOR ADMIN ================= */
+
+function getTenantState(tenantId) {
+  const id = String(tenantId || "default");
+  if (!TENANTS.has(id)) registerTenant(id);
+  return TENANTS.get(id);
+}
+
+function describe(state) {
+  const symbols = {};
+  for (const [sym, cfg] of Object.entries(state.symbols)) {
+    symbols[sym] = { ...cfg, price: state.prices[sym] ?? null };
+  }
+  return { seed: state.seed, ticks: state.ticks, symbols };
+}
+
+function getSimulationConfig(tenantId) {
+  return describe(getTenantState(tenantId));
+}
+
+function getCatalog() {
+  return Object.fromEntries(
+    Object.entries(CATALOG).map(([sym, def]) => [sym, symbolConfig(def)])
+  );
+}
+
+/**
+ * Per-tenant overrides. Changing the seed restarts every symbol from its
+ * start price so the run replays exactly; otherwise only the symbols
+ * listed are reset.
+ */
+function configureTenant(tenantId, { seed, symbols = {} } = {}) {
+  const state = getTenantState(tenantId);
+
+  const next = {};
+  for (const [raw, def] of Object.entries(symbols)) {
+    const sym = String(raw).trim().toUpperCase();
+    next[sym] = symbolConfig(def, state.symbols[sym] || CATALOG[sym]);
+    assertBuildable(sym, next[sym]);
+  }
+
+  const reseed = seed !== undefined && String(seed) !== String(state.seed);
+  if (reseed) state.seed = String(seed);
+
+  Object.assign(state.symbols, next);
+
+  for (const sym of reseed ? Object.keys(state.symbols) : Object.keys(next)) {
+    resetSymbol(state, sym);
+  }
+
+  return describe(state);
+}
+
+/**
+ * Adds a simulated symbol to one tenant, or to the catalogue and
+ * every running tenant when no tenantId is given.
+ */
+function addSymbol(symbol, def = {}, { tenantId } = {}) {
+  const sym = String(symbol || "").trim().toUpperCase();
+  if (!/^[A-Z0-9]{2,20}$/.test(sym)) throw new Error("Invalid symbol");
+
+  const cfg = symbolConfig(def);
+  assertBuildable(sym, cfg);
+
+  if (tenantId) {
+    const state = getTenantState(tenantId);
+    state.symbols[sym] = cfg;
+    resetSymbol(state, sym);
+    return describe(state).symbols[sym];
+  }
+
+  CATALOG[sym] = { start: cfg.start, vol: cfg.vol, model: cfg.model, params: cfg.params };
+  for (const state of TENANTS.values()) {
+    if (state.symbols[sym]) continue;
+    state.symbols[sym] = cfg;
+    resetSymbol(state, sym);
+  }
+  return cfg;
+}
+
+function removeSymbol(symbol, { tenantId } = {}) {
+  const sym = String(symbol || "").trim().toUpperCase();
+
+  if (tenantId) {
+    const state = getTenantState(tenantId);
+    if (!state.symbols[sym]) return false;
+    dropSymbol(state, sym);
+    killSwitch.forgetFeed({ feed: candleStore.simFeed(tenantId), symbol: sym });
+    marketRegime.forget({ feed: candleStore.simFeed(tenantId), symbol: sym });
+    return true;
+  }
+
+  if (!CATALOG[sym]) return false;
+  delete CATALOG[sym];
+  for (const [id, state] of TENANTS) {
+    dropSymbol(state, sym);
+    killSwitch.forgetFeed({ feed: candleStore.simFeed(id), symbol: sym });
+    marketRegime.forget({ feed: candleStore.simFeed(id), symbol: sym });
+  }
+  return true;
+}
+
 // v9.2: Auto-register default
 registerTenant("default");
 
@@ -104,6 +287,29 @@ function getCandles(tenantId, symbol) {
   }));
 }
 
+/**
+ * Standard indicator panel over closed 1m candles; `forming` also
+ * prices the open candle without committing it.
+ */
+function getIndicators(tenantId, symbol, { forming = false } = {}) {
+  const id = String(tenantId || "default");
+  if (!TENANTS.has(id)) registerTenant(id);
+  const state = TENANTS.get(id);
+  if (!state.symbols[symbol]) return null;
+
+  const feed = indicatorFeed(state, symbol);
+  const arr = state.candles[symbol] || [];
+  const open = arr[arr.length - 1];
+
+  return {
+    symbol,
+    bars: feed.count(),
+    closedAt: feed.lastTime(),
+    values: feed.values(),
+    forming: forming && open ? feed.peek(open) : null,
+  };
+}
+
 /**
  * 🛰️ STEP 2 FIX: Added getPrice helper
  * This ensures paper.routes.js can execute manual orders without crashing.
@@ -127,5 +333,13 @@ module.exports = {
   registerTenant,
   getMarketSnapshot,
   getCandles,
-  getPrice // <--- Exported for v13.0 Routes & v14.0 Server
+  getIndicators,
+  getPrice, // <--- Exported for v13.0 Routes & v14.0 Server
+  tickTenant,
+  getSimulationConfig,
+  getCatalog,
+  configureTenant,
+  addSymbol,
+  removeSymbol,
+  MODELS: priceProcesses.MODELS
 };
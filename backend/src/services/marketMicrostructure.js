@@ -0,0 +1,111 @@
+// backend/src/services/marketMicrostructure.js
+// AutoShield Tech — Market microstructure bus
+// Latest L2 book and rolling aggressor flow per symbol
+//
+// Feeds publish here (krakenFeed); liquidity / order-flow / pattern
+// engines read from here. Subscribe with events.on("book" | "trade").
+
+const { EventEmitter } = require("events");
+
+const BOOK_MAX_AGE_MS = Number(process.env.MICROSTRUCTURE_BOOK_MAX_AGE_MS || 10000);
+const TRADE_WINDOW_MS = Number(process.env.MICROSTRUCTURE_TRADE_WINDOW_MS || 60000);
+const MAX_TRADES_PER_SYMBOL = 2000;
+
+const events = new EventEmitter();
+events.setMaxListeners(50);
+
+const BOOKS = new Map();
+const TRADES = new Map();
+
+function key(symbol) {
+  return String(symbol || "").toUpperCase();
+}
+
+/* ------------------ PUBLISH ------------------ */
+function publishBook(book) {
+  if (!book || !book.symbol) return;
+
+  const entry = { ...book, symbol: key(book.symbol), receivedAt: Date.now() };
+  BOOKS.set(entry.symbol, entry);
+  events.emit("book", entry);
+}
+
+function publishTrade(trade) {
+  if (!trade || !trade.symbol) return;
+
+  const entry = {
+    symbol: key(trade.symbol),
+    price: Number(trade.price),
+    volume: Number(trade.volume),
+    side: trade.side === "sell" ? "sell" : "buy",
+    ordType: trade.ordType || null,
+    // Windows use receipt time so replayed recordings stay in range
+    ts: Number(trade.ts) || Date.now(),
+    exchangeTs: Number(trade.exchangeTs) || null,
+  };
+  if (!Number.isFinite(entry.price) || !(entry.volume > 0)) return;
+
+  const list = TRADES.get(entry.symbol) || [];
+  list.push(entry);
+  if (list.length > MAX_TRADES_PER_SYMBOL) list.splice(0, list.length - MAX_TRADES_PER_SYMBOL);
+  TRADES.set(entry.symbol, list);
+
+  events.emit("trade", entry);
+}
+
+/* ------------------ READ ------------------ */
+
+// null when no book or the last one is older than maxAgeMs
+function getBook(symbol, { maxAgeMs = BOOK_MAX_AGE_MS } = {}) {
+  const book = BOOKS.get(key(symbol));
+  if (!book || Date.now() - book.receivedAt > maxAgeMs) return null;
+  return book;
+}
+
+/**
+ * Aggressor volume over the trailing window. delta is in [-1, 1]:
+ * +1 means every traded unit was a market buy.
+ */
+function getTradeFlow(symbol, { windowMs = TRADE_WINDOW_MS, now = Date.now() } = {}) {
+  const list = TRADES.get(key(symbol)) || [];
+  const from = now - windowMs;
+
+  let buyVolume = 0;
+  let sellVolume = 0;
+  let notional = 0;
+  let count = 0;
+
+  for (let i = list.length - 1; i >= 0 && list[i].ts >= from; i--) {
+    const t = list[i];
+    if (t.side === "buy") buyVolume += t.volume;
+    else sellVolume += t.volume;
+    notional += t.price * t.volume;
+    count++;
+  }
+
+  const total = buyVolume + sellVolume;
+
+  return {
+    symbol: key(symbol),
+    windowMs,
+    trades: count,
+    buyVolume,
+    sellVolume,
+    delta: total > 0 ? (buyVolume - sellVolume) / total : 0,
+    vwap: total > 0 ? notional / total : null,
+  };
+}
+
+function reset() {
+  BOOKS.clear();
+  TRADES.clear();
+}
+
+module.exports = {
+  events,
+  publishBook,
+  publishTrade,
+  getBook,
+  getTradeFlow,
+  reset,
+};
@@ -0,0 +1,426 @@
+// ==========================================================
+// 🧭 MARKET REGIME SERVICE — v1.0 (HMM • MULTI-TIMEFRAME)
+// FILE: backend/src/services/marketRegime.js
+//
+// The one regime detector. Every engine reads its labels:
+//
+//   trend_up     sustained drift up
+//   trend_down   sustained drift down
+//   range        no drift, normal volatility
+//   compression  volatility well below its own average
+//   volatile     volatility well above it, direction unreliable
+//   unknown      not enough bars yet
+//
+// Per timeframe, a five-state hidden Markov model is filtered over
+// the bars: each bar is observed as (z, v) where z is the recent
+// log-return drift in units of longer-run volatility and v the log
+// ratio of recent volatility to the whole series'. States are
+// sticky (REGIME_STICKINESS per bar); the odds of leaving one state
+// for another are learned from that series' recorded changes.
+//
+// The composite regime blends the timeframes' state probabilities
+// (higher timeframes weigh more); its top probability is the
+// confidence. Composite changes are kept in db.regimeHistory.
+//
+// Series are candleStore feeds: sim:<tenantId> or kraken.
+// Older labels (bull, BULL_RUN, sideways, ...) map through
+// canonical().
+// ==========================================================
+
+const crypto = require("crypto");
+const { readDb, updateDb } = require("../lib/db");
+const candleStore = require("./candleStore");
+
+/* ================= CONFIG ================= */
+
+const CONFIG = Object.freeze({
+  timeframes: String(process.env.REGIME_TIMEFRAMES || "1m,5m,15m,1h")
+    .split(",")
+    .map((tf) => tf.trim())
+    .filter((tf) => candleStore.TIMEFRAMES[tf]),
+  window: Number(process.env.REGIME_WINDOW || 20),
+  lookback: Number(process.env.REGIME_LOOKBACK || 200),
+  stickiness: Number(process.env.REGIME_STICKINESS || 0.9),
+  forecastBars: Number(process.env.REGIME_FORECAST_BARS || 10),
+  evalMs: Number(process.env.REGIME_EVAL_MS || 30000),
+  maxHistory: Number(process.env.REGIME_HISTORY_MAX || 500),
+});
+
+const LABELS = ["trend_up", "trend_down", "range", "compression", "volatile"];
+const UNKNOWN = "unknown";
+
+// Emission model: independent Gaussians over (z, v) per state
+const EMISSIONS = {
+  trend_up: { z: [2.2, 1.0], v: [0, 0.4] },
+  trend_down: { z: [-2.2, 1.0], v: [0, 0.4] },
+  range: { z: [0, 0.9], v: [0, 0.3] },
+  compression: { z: [0, 0.9], v: [-0.7, 0.35] },
+  volatile: { z: [0, 2.5], v: [0.6, 0.35] },
+};
+
+// Higher timeframes weigh more in the composite
+const TF_WEIGHT = { "1m": 1, "5m": 1.5, "15m": 2, "1h": 2.5, "4h": 3, "1d": 3 };
+
+const LEGACY = {
+  bull: "trend_up",
+  bull_run: "trend_up",
+  bear: "trend_down",
+  bear_pressure: "trend_down",
+  sideways: "range",
+  stable: "range",
+  neutral: "range",
+  range_continuation: "range",
+  dead_market: "compression",
+  low_vol: "compression",
+  volatility_shock: "volatile",
+  volatility_expansion: "volatile",
+  high_vol: "volatile",
+  learning: UNKNOWN,
+  observing: UNKNOWN,
+};
+
+const FLAT_EPSILON = 1e-12;
+
+/* ================= STATE ================= */
+
+const READINGS = new Map();    // series key → last reading
+const LAST_CHANGE = new Map(); // series key → last history row (or null)
+const TRANSITIONS = new Map(); // series key → counts[from][to]
+
+/* ================= HELPERS ================= */
+
+function seriesKey(feed, symbol) {
+  return `${feed}|${symbol}`;
+}
+
+function normSymbol(symbol) {
+  return String(symbol || "BTCUSDT").trim().toUpperCase();
+}
+
+function round(n, dp = 4) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+function closes(input) {
+  return (Array.isArray(input) ? input : [])
+    .map((b) => Number(typeof b === "number" ? b : b?.close ?? b?.c))
+    .filter((p) => Number.isFinite(p) && p > 0);
+}
+
+function stdev(arr) {
+  if (arr.length < 2) return 0;
+  const mean = arr.reduce((s, x) => s + x, 0) / arr.length;
+  return Math.sqrt(arr.reduce((s, x) => s + (x - mean) ** 2, 0) / (arr.length - 1));
+}
+
+function gauss(x, [mu, sigma]) {
+  return Math.exp(-0.5 * ((x - mu) / sigma) ** 2) / sigma;
+}
+
+function normalize(p) {
+  const sum = p.reduce((s, x) => s + x, 0);
+  return sum > 0 ? p.map((x) => x / sum) : p.map(() => 1 / p.length);
+}
+
+function toMap(p) {
+  return Object.fromEntries(LABELS.map((label, i) => [label, round(p[i])]));
+}
+
+function argmax(p) {
+  let best = 0;
+  for (let i = 1; i < p.length; i++) if (p[i] > p[best]) best = i;
+  return best;
+}
+
+/**
+ * Any regime label this codebase has used → canonical label.
+ * "trend" carried no direction and has no canonical form.
+ */
+function canonical(label) {
+  if (label === null || label === undefined) return null;
+  const raw = String(label).trim().toLowerCase();
+  if (LABELS.includes(raw) || raw === UNKNOWN) return raw;
+  return LEGACY[raw] || null;
+}
+
+function isTrending(label) {
+  return label === "trend_up" || label === "trend_down";
+}
+
+/* ================= FEATURES ================= */
+
+// Old detector readings, still exposed as DSL signals
+function meanAbsReturn(prices) {
+  if (prices.length < 10) return 0;
+  let sum = 0;
+  for (let i = 1; i < prices.length; i++) sum += Math.abs((prices[i] - prices[i - 1]) / prices[i - 1]);
+  return sum / prices.length;
+}
+
+function netChange(prices) {
+  if (prices.length < 2) return 0;
+  return (prices[prices.length - 1] - prices[0]) / prices[0];
+}
+
+/**
+ * One (z, v) observation per bar once `window` returns exist.
+ * z: drift over the window in units of the last three windows'
+ * volatility. v: window volatility against everything seen so far,
+ * so a long volatile stretch still reads as volatile.
+ */
+function observations(prices, window = CONFIG.window) {
+  const rets = [];
+  for (let i = 1; i < prices.length; i++) rets.push(Math.log(prices[i] / prices[i - 1]));
+
+  const out = [];
+  let sum = 0;
+  let sumSq = 0;
+
+  for (let i = 0; i < rets.length; i++) {
+    sum += rets[i];
+    sumSq += rets[i] ** 2;
+    if (i + 1 < window) continue;
+
+    const short = rets.slice(i + 1 - window, i + 1);
+    const long = rets.slice(Math.max(0, i + 1 - window * 3), i + 1);
+    const sdShort = stdev(short);
+    const sdLong = stdev(long);
+    const n = i + 1;
+    const sdAll = Math.sqrt(Math.max(0, (sumSq - (sum * sum) / n) / Math.max(1, n - 1)));
+
+    if (sdLong < FLAT_EPSILON || sdAll < FLAT_EPSILON) {
+      out.push({ z: 0, v: -1.5 });
+      continue;
+    }
+
+    const drift = short.reduce((s, r) => s + r, 0);
+    out.push({
+      z: drift / (sdLong * Math.sqrt(window)),
+      v: Math.log(Math.max(sdShort, FLAT_EPSILON) / sdAll),
+    });
+  }
+  return out;
+}
+
+/* ================= MODEL ================= */
+
+function transitionMatrix(counts = null) {
+  const k = LABELS.length;
+  const stay = Math.min(0.999, Math.max(0, CONFIG.stickiness));
+
+  return LABELS.map((from, i) => {
+    const row = counts?.[from] || {};
+    const total = LABELS.reduce((s, to, j) => s + (j === i ? 0 : row[to] || 0), 0);
+
+    return LABELS.map((to, j) =>
+      j === i ? stay : (1 - stay) * ((row[to] || 0) + 1) / (total + k - 1)
+    );
+  });
+}
+
+function step(p, A) {
+  return LABELS.map((_, j) => p.reduce((s, pi, i) => s + pi * A[i][j], 0));
+}
+
+/**
+ * Filters the HMM over a bar or price series.
+ * → { regime, confidence, probabilities, bars, volatility, trend }
+ */
+function classify(input, { transitions = null } = {}) {
+  const prices = closes(input);
+  const obs = observations(prices);
+  const base = { bars: prices.length, volatility: meanAbsReturn(prices), trend: netChange(prices) };
+
+  if (!obs.length) {
+    return { regime: UNKNOWN, confidence: 0, probabilities: null, ...base };
+  }
+
+  const A = transitionMatrix(transitions);
+  let p = LABELS.map(() => 1 / LABELS.length);
+
+  for (const o of obs) {
+    const prior = step(p, A);
+    p = normalize(prior.map((pi, i) => pi * (gauss(o.z, EMISSIONS[LABELS[i]].z) * gauss(o.v, EMISSIONS[LABELS[i]].v) + 1e-300)));
+  }
+
+  const best = argmax(p);
+  return { regime: LABELS[best], confidence: round(p[best]), probabilities: p, ...base };
+}
+
+/* ================= LEARNED TRANSITIONS ================= */
+
+function transitionsFor(key) {
+  if (!TRANSITIONS.has(key)) {
+    const counts = {};
+    for (const row of readDb().regimeHistory || []) {
+      if (seriesKey(row.feed, row.symbol) !== key || !row.previous || row.previous === UNKNOWN) continue;
+      (counts[row.previous] ||= {})[row.regime] = (counts[row.previous][row.regime] || 0) + 1;
+    }
+    TRANSITIONS.set(key, counts);
+  }
+  return TRANSITIONS.get(key);
+}
+
+function lastChange(key) {
+  if (!LAST_CHANGE.has(key)) {
+    const rows = (readDb().regimeHistory || []).filter((r) => seriesKey(r.feed, r.symbol) === key);
+    LAST_CHANGE.set(key, rows.length ? rows[rows.length - 1] : null);
+  }
+  return LAST_CHANGE.get(key);
+}
+
+/* ================= DETECTION ================= */
+
+/**
+ * Multi-timeframe reading for one series, without recording it.
+ */
+function detect({ feed, symbol, timeframes = CONFIG.timeframes, now = Date.now() } = {}) {
+  const sym = normSymbol(symbol);
+  const key = seriesKey(feed, sym);
+  const transitions = transitionsFor(key);
+
+  const perTf = {};
+  let blend = LABELS.map(() => 0);
+  let weight = 0;
+
+  for (const tf of timeframes) {
+    const res = candleStore.getCandles({ feed, symbol: sym, timeframe: tf, limit: CONFIG.lookback, includeOpen: false });
+    const reading = classify(res.ok ? res.candles : [], { transitions });
+
+    perTf[tf] = {
+      regime: reading.regime,
+      confidence: reading.confidence,
+      probabilities: reading.probabilities ? toMap(reading.probabilities) : null,
+      bars: reading.bars,
+    };
+
+    if (reading.probabilities) {
+      const w = TF_WEIGHT[tf] || 1;
+      blend = blend.map((x, i) => x + w * reading.probabilities[i]);
+      weight += w;
+    }
+  }
+
+  const out = { feed, symbol: sym, timeframes: perTf, ts: now };
+
+  if (!weight) {
+    return { ...out, regime: UNKNOWN, confidence: 0, probabilities: null, forecast: null };
+  }
+
+  const p = blend.map((x) => x / weight);
+  const best = argmax(p);
+
+  // k bars ahead on the same transition model
+  const A = transitionMatrix(transitions);
+  let ahead = p;
+  for (let i = 0; i < CONFIG.forecastBars; i++) ahead = step(ahead, A);
+  const next = argmax(ahead);
+
+  return {
+    ...out,
+    regime: LABELS[best],
+    confidence: round(p[best]),
+    probabilities: toMap(p),
+    forecast: { bars: CONFIG.forecastBars, regime: LABELS[next], probabilities: toMap(ahead) },
+  };
+}
+
+/* ================= HISTORY ================= */
+
+function record(key, reading, tenantId) {
+  const prev = lastChange(key);
+  if (prev && prev.regime === reading.regime) return prev;
+
+  const row = {
+    id: `rg_${crypto.randomBytes(8).toString("hex")}`,
+    feed: reading.feed,
+    symbol: reading.symbol,
+    tenantId: tenantId || null,
+    regime: reading.regime,
+    previous: prev ? prev.regime : null,
+    confidence: reading.confidence,
+    probabilities: reading.probabilities,
+    timeframes: Object.fromEntries(Object.entries(reading.timeframes).map(([tf, r]) => [tf, r.regime])),
+    ts: reading.ts,
+  };
+
+  updateDb((db) => {
+    if (!Array.isArray(db.regimeHistory)) db.regimeHistory = [];
+    db.regimeHistory.push(row);
+
+    const mine = db.regimeHistory.filter((r) => seriesKey(r.feed, r.symbol) === key);
+    const excess = mine.length - CONFIG.maxHistory;
+    if (excess > 0) {
+      const drop = new Set(mine.slice(0, excess).map((r) => r.id));
+      db.regimeHistory = db.regimeHistory.filter((r) => !drop.has(r.id));
+    }
+    return db;
+  });
+
+  if (row.previous && row.previous !== UNKNOWN) {
+    const counts = transitionsFor(key);
+    (counts[row.previous] ||= {})[row.regime] = (counts[row.previous][row.regime] || 0) + 1;
+  }
+
+  LAST_CHANGE.set(key, row);
+  return row;
+}
+
+/**
+ * Current regime for a series, re-detected at most every
+ * REGIME_EVAL_MS; changes go to the history. Defaults to the
+ * tenant's simulator feed.
+ */
+function current({ tenantId = null, symbol, feed = null, force = false, now = Date.now() } = {}) {
+  const src = feed || candleStore.simFeed(tenantId || "default");
+  const sym = normSymbol(symbol);
+  const key = seriesKey(src, sym);
+
+  const cached = READINGS.get(key);
+  if (!force && cached && now - cached.ts < CONFIG.evalMs) return cached;
+
+  const reading = detect({ feed: src, symbol: sym, now });
+  const change = reading.regime !== UNKNOWN ? record(key, reading, tenantId) : lastChange(key);
+
+  reading.since = change && change.regime === reading.regime ? change.ts : null;
+  READINGS.set(key, reading);
+  return reading;
+}
+
+function history({ feed, symbol = null, from = null, to = null, limit = 100, offset = 0 } = {}) {
+  let rows = (readDb().regimeHistory || []).filter((r) => r.feed === feed);
+
+  if (symbol) rows = rows.filter((r) => r.symbol === normSymbol(symbol));
+  if (from != null) rows = rows.filter((r) => r.ts >= Number(from));
+  if (to != null) rows = rows.filter((r) => r.ts <= Number(to));
+
+  rows.sort((a, b) => b.ts - a.ts);
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 100), 500);
+
+  return { total: rows.length, rows: rows.slice(start, start + size) };
+}
+
+function forget({ feed, symbol }) {
+  const key = seriesKey(feed, normSymbol(symbol));
+  READINGS.delete(key);
+  LAST_CHANGE.delete(key);
+  TRANSITIONS.delete(key);
+}
+
+module.exports = {
+  CONFIG,
+  LABELS,
+  UNKNOWN,
+  canonical,
+  isTrending,
+  meanAbsReturn,
+  netChange,
+  classify,
+  detect,
+  current,
+  history,
+  forget,
+};
@@ -18,6 +18,9 @@ const DATA_DIR =
 const DEFAULT_LIMIT =
   Number(process.env.MARKET_REPLAY_LIMIT || 1000);
 
+// Written by dataImporter: coverage per symbol and timeframe
+const MANIFEST_FILE = path.join(DATA_DIR, "manifest.json");
+
 /* =========================================================
 UTIL
 ========================================================= */
@@ -197,29 +200,68 @@ function normalizeCandles(input) {
 FILE ACCESS
 ========================================================= */
 
-function getMarketFilePath(symbol = "BTCUSDT") {
+/*
+ * Layout:
+ *   <DATA_DIR>/<SYMBOL>.json        legacy single file per symbol
+ *   <DATA_DIR>/<tf>/<SYMBOL>.json   imported data, one per timeframe
+ */
+function getMarketFilePath(symbol = "BTCUSDT", timeframe = null) {
   const normalized = normalizeSymbol(symbol);
-  return path.join(DATA_DIR, `${normalized}.json`);
+  return timeframe
+    ? path.join(DATA_DIR, String(timeframe), `${normalized}.json`)
+    : path.join(DATA_DIR, `${normalized}.json`);
+}
+
+function readManifest() {
+  const parsed = readJsonFile(MANIFEST_FILE);
+  return parsed && typeof parsed === "object" && parsed.symbols
+    ? parsed
+    : { version: 1, updatedAt: null, symbols: {} };
+}
+
+// Finest imported timeframe of a symbol, or null
+function primaryTimeframe(symbol) {
+  const entry = readManifest().symbols[normalizeSymbol(symbol)];
+  if (!entry) return null;
+
+  const frames = Object.values(entry.timeframes || {})
+    .filter((t) => t.candles > 0)
+    .sort((a, b) => a.intervalMs - b.intervalMs);
+
+  return frames.length ? frames[0].timeframe : null;
+}
+
+function readCandleFile(file) {
+  const parsed = readJsonFile(file);
+  if (!parsed) return [];
+
+  const rawCandles = Array.isArray(parsed)
+    ? parsed
+    : asArray(parsed?.candles).length
+      ? parsed.candles
+      : asArray(parsed?.data).length
+        ? parsed.data
+        : asArray(parsed?.results);
+
+  return normalizeCandles(rawCandles);
 }
 
-function loadMarketData(symbol = "BTCUSDT") {
+/**
+ * Candles of one symbol. Without a timeframe the legacy file is
+ * used, falling back to the finest imported timeframe when it is
+ * missing or holds no usable candles.
+ */
+function loadMarketData(symbol = "BTCUSDT", { timeframe = null } = {}) {
   try {
     ensureDir(DATA_DIR);
 
-    const file = getMarketFilePath(symbol);
-    const parsed = readJsonFile(file);
-
-    if (!parsed) return [];
+    if (timeframe) return readCandleFile(getMarketFilePath(symbol, timeframe));
 
-    const rawCandles = Array.isArray(parsed)
-      ? parsed
-      : asArray(parsed?.candles).length
-        ? parsed.candles
-        : asArray(parsed?.data).length
-          ? parsed.data
-          : asArray(parsed?.results);
+    const legacy = readCandleFile(getMarketFilePath(symbol));
+    if (legacy.length) return legacy;
 
-    return normalizeCandles(rawCandles);
+    const primary = primaryTimeframe(symbol);
+    return primary ? readCandleFile(getMarketFilePath(symbol, primary)) : [];
   } catch (err) {
     console.error("[marketReplayEngine] Replay load error:", err.message);
     return [];
@@ -232,16 +274,19 @@ REPLAY ACCESS
 
 function replayCandles({
   symbol = "BTCUSDT",
+  timeframe = null,
   limit = DEFAULT_LIMIT,
   fromTime = null,
   toTime = null,
 } = {}) {
-  const candles = loadMarketData(symbol);
+  const candles = loadMarketData(symbol, { timeframe });
 
   if (!candles.length) return [];
 
-  const from = Number.isFinite(Number(fromTime)) ? Number(fromTime) : null;
-  const to = Number.isFinite(Number(toTime)) ? Number(toTime) : null;
+  // Number(null) is 0, which would filter everything out
+  const bound = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+  const from = bound(fromTime);
+  const to = bound(toTime);
   const boundedLimit =
     Number.isFinite(Number(limit)) && Number(limit) > 0
       ? Number(limit)
@@ -266,8 +311,8 @@ function replayCandles({
 DEBUG / METADATA
 ========================================================= */
 
-function getReplayMeta(symbol = "BTCUSDT") {
-  const candles = loadMarketData(symbol);
+function getReplayMeta(symbol = "BTCUSDT", timeframe = null) {
+  const candles = loadMarketData(symbol, { timeframe });
 
   if (!candles.length) {
     return {
@@ -276,7 +321,7 @@ function getReplayMeta(symbol = "BTCUSDT") {
       candles: 0,
       firstTime: null,
       lastTime: null,
-      file: getMarketFilePath(symbol),
+      file: getMarketFilePath(symbol, timeframe),
     };
   }
 
@@ -286,11 +331,16 @@ function getReplayMeta(symbol = "BTCUSDT") {
     candles: candles.length,
     firstTime: candles[0]?.time || null,
     lastTime: candles[candles.length - 1]?.time || null,
-    file: getMarketFilePath(symbol),
+    file: getMarketFilePath(symbol, timeframe),
   };
 }
 
 module.exports = {
+  DATA_DIR,
+  MANIFEST_FILE,
+  getMarketFilePath,
+  readManifest,
+  normalizeCandles,
   loadMarketData,
   replayCandles,
   getReplayMeta,
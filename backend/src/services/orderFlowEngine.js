@@ -1,11 +1,17 @@
 // backend/src/services/orderFlowEngine.js
-// Institutional Order Flow Engine — Stable v2
+// Institutional Order Flow Engine — Stable v3
+// Price-path flow + aggressor volume from the live trade tape
+
+const microstructure = require("./marketMicrostructure");
 
 const FLOW = new Map();
 
 const MAX_MEMORY = 120;
 const MAX_TENANTS = 200;
 
+const MIN_TAPE_TRADES = 10;
+const AGGRESSOR_DELTA = 0.6;
+
 /* ======================================================
 STATE
 ====================================================== */
@@ -70,7 +76,7 @@ function recordPrice({
 FLOW ANALYSIS
 ====================================================== */
 
-function analyzeFlow({ tenantId, price }){
+function analyzeFlow({ tenantId, price, symbol }){
 
   const state = getState(tenantId);
 
@@ -80,6 +86,52 @@ function analyzeFlow({ tenantId, price }){
     recordPrice({ tenantId, price });
   }
 
+  const flow = analyzePriceFlow(state);
+
+  const tape =
+    symbol ? microstructure.getTradeFlow(symbol) : null;
+
+  if(!tape || tape.trades < MIN_TAPE_TRADES)
+    return flow;
+
+  const aggressor = {
+    buyVolume:tape.buyVolume,
+    sellVolume:tape.sellVolume,
+    delta:tape.delta,
+    trades:tape.trades
+  };
+
+  const prices = state.prices;
+
+  /* ================= AGGRESSOR IMBALANCE ================= */
+
+  // one-sided market orders only override a neutral read
+  if(flow.type === "neutral" && Math.abs(tape.delta) > AGGRESSOR_DELTA && prices.length >= 2){
+
+    const first = prices[0].price;
+    const last = prices[prices.length-1].price;
+    const move = first ? (last-first)/first : 0;
+
+    // aggressors pushing but price not following = absorbed
+    const followed = Math.sign(move) === Math.sign(tape.delta);
+
+    return {
+      type: followed
+        ? (tape.delta > 0 ? "aggressive_buying" : "aggressive_selling")
+        : "absorption",
+      boost: followed ? 1.2 : 0.8,
+      velocity:flow.velocity,
+      aggressor
+    };
+
+  }
+
+  return { ...flow, aggressor };
+
+}
+
+function analyzePriceFlow(state){
+
   const prices = state.prices;
 
   if(prices.length < 8)
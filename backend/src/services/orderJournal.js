@@ -0,0 +1,515 @@
+// ==========================================================
+// 🧾 ORDER JOURNAL — v1.0 (LIVE ORDER LIFECYCLE)
+// FILE: backend/src/services/orderJournal.js
+//
+// Exchange-agnostic order state machine, persisted per tenant in
+// db.orderJournal so "what happened to that order" survives a crash.
+//
+//   NEW ──► ACK ──► PARTIALLY_FILLED ──► FILLED
+//    │       │             │
+//    │       └─────────────┴──► CANCELED | EXPIRED | REJECTED
+//    └──► REJECTED
+//
+// NEW means "about to be sent". An entry left in NEW after a crash
+// or timeout is unknown to us and gets resolved by reconcile().
+// ==========================================================
+
+const crypto = require("crypto");
+const { readDb, updateDb } = require("../lib/db");
+
+/* ================= CONFIG ================= */
+const MAX_ENTRIES_PER_TENANT = Number(process.env.ORDER_JOURNAL_MAX || 5000);
+const MAX_TRANSITIONS = 50;
+const QTY_EPSILON = 1e-12;
+
+const STATUSES = ["NEW", "ACK", "PARTIALLY_FILLED", "FILLED", "CANCELED", "REJECTED", "EXPIRED"];
+const TERMINAL = ["FILLED", "CANCELED", "REJECTED", "EXPIRED"];
+
+const TRANSITIONS = {
+  NEW: ["ACK", "REJECTED"],
+  ACK: ["PARTIALLY_FILLED", "FILLED", "CANCELED", "REJECTED", "EXPIRED"],
+  PARTIALLY_FILLED: ["PARTIALLY_FILLED", "FILLED", "CANCELED", "EXPIRED"],
+  FILLED: [],
+  CANCELED: [],
+  REJECTED: [],
+  EXPIRED: [],
+};
+
+// Venue vocabularies (Binance, Coinbase, Kraken, sandbox fills)
+const STATUS_ALIASES = {
+  NEW: "ACK",
+  OPEN: "ACK",
+  PENDING: "ACK",
+  PENDING_CANCEL: "ACK",
+  CANCELLED: "CANCELED",
+  CLOSED: "FILLED",
+  FAILED: "REJECTED",
+  EXPIRED_IN_MATCH: "EXPIRED",
+  SIMULATED_FILL: "FILLED",
+  LIQUIDATION_FILL: "FILLED",
+};
+
+/* ================= HELPERS ================= */
+
+function safeNum(v, fallback = null) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function makeId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function isTerminal(status) {
+  return TERMINAL.includes(status);
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Maps a venue status onto the journal vocabulary. Anything the venue
+ * accepted but only partly filled becomes PARTIALLY_FILLED.
+ */
+function toJournalStatus(status, filledQty = 0) {
+  const raw = String(status || "").trim().toUpperCase();
+  let mapped = STATUSES.includes(raw) && raw !== "NEW" ? raw : STATUS_ALIASES[raw] || null;
+
+  if (mapped === "ACK" && safeNum(filledQty, 0) > QTY_EPSILON) mapped = "PARTIALLY_FILLED";
+  return mapped;
+}
+
+function persist(mutator) {
+  let out;
+  updateDb((db) => {
+    if (!Array.isArray(db.orderJournal)) db.orderJournal = [];
+    out = mutator(db.orderJournal, db);
+    return db;
+  });
+  return out;
+}
+
+function pruneTenant(journal, tenantId) {
+  const mine = journal.filter((e) => e.tenantId === tenantId);
+  const excess = mine.length - MAX_ENTRIES_PER_TENANT;
+  if (excess <= 0) return;
+
+  // Oldest settled orders go first; live ones are never pruned
+  const drop = new Set(
+    mine
+      .filter((e) => isTerminal(e.status))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, excess)
+      .map((e) => e.id)
+  );
+
+  for (let i = journal.length - 1; i >= 0; i--) {
+    if (drop.has(journal[i].id)) journal.splice(i, 1);
+  }
+}
+
+/* ================= STATE MACHINE ================= */
+
+/**
+ * Applies `to` plus any fill/id details to an entry in place.
+ * A venue that reports a fill before we saw the ack passes through ACK.
+ * Returns { changed } or { error }.
+ */
+function applyTransition(entry, to, update = {}, now = Date.now()) {
+  if (!STATUSES.includes(to)) return { error: `Unknown status: ${to}` };
+
+  const filledQty = safeNum(update.filledQty, entry.filledQty);
+  const moreFilled = filledQty > entry.filledQty + QTY_EPSILON;
+
+  let path;
+  if (entry.status === to) {
+    if (to !== "PARTIALLY_FILLED" || !moreFilled) path = [];
+    else path = [to];
+  } else if (canTransition(entry.status, to)) {
+    path = [to];
+  } else if (entry.status === "NEW" && canTransition("ACK", to)) {
+    path = ["ACK", to];
+  } else {
+    return { error: `Illegal transition ${entry.status} → ${to}` };
+  }
+
+  if (update.exchangeOrderId && !entry.exchangeOrderId) {
+    entry.exchangeOrderId = String(update.exchangeOrderId);
+  }
+  if (update.error) entry.error = String(update.error);
+
+  // Risk-sized orders only learn their quantity from the venue
+  if (entry.qty == null && safeNum(update.qty) != null) entry.qty = safeNum(update.qty);
+
+  if (moreFilled) {
+    entry.filledQty = filledQty;
+    entry.avgPrice = safeNum(update.avgPrice, entry.avgPrice);
+  }
+
+  for (const step of path) {
+    entry.transitions.push({
+      from: entry.status,
+      to: step,
+      ts: now,
+      reason: update.reason || null,
+      filledQty: entry.filledQty,
+    });
+    entry.status = step;
+  }
+
+  if (entry.transitions.length > MAX_TRANSITIONS) {
+    entry.transitions = entry.transitions.slice(-MAX_TRANSITIONS);
+  }
+
+  entry.updatedAt = now;
+  return { changed: path.length > 0 };
+}
+
+/* ================= WRITES ================= */
+
+/**
+ * Journals an order before it is sent. The returned clientOrderId
+ * should be passed to the venue so the order can be matched later.
+ */
+function open(input = {}) {
+  const now = Date.now();
+
+  const entry = {
+    id: makeId("oj"),
+    tenantId: String(input.tenantId || "system"),
+    exchange: String(input.exchange || "unknown").toLowerCase(),
+    source: input.source || null,
+    strategy: input.strategy || null,
+    parentId: input.parentId || null,
+    symbol: String(input.symbol || "").toUpperCase(),
+    side: String(input.side || "").toUpperCase(),
+    type: String(input.type || "MARKET").toUpperCase(),
+    qty: safeNum(input.qty),
+    price: safeNum(input.price),
+    clientOrderId: input.clientOrderId || makeId("as"),
+    exchangeOrderId: null,
+    status: "NEW",
+    filledQty: 0,
+    avgPrice: null,
+    error: null,
+    transitions: [{ from: null, to: "NEW", ts: now, reason: null, filledQty: 0 }],
+    lastReconciledAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  persist((journal) => {
+    journal.push(entry);
+    pruneTenant(journal, entry.tenantId);
+  });
+
+  return entry;
+}
+
+function transition(id, to, update = {}) {
+  return persist((journal) => {
+    const entry = journal.find((e) => e.id === id);
+    if (!entry) return { ok: false, error: "Order not found" };
+
+    const res = applyTransition(entry, to, update);
+    if (res.error) return { ok: false, error: res.error, entry };
+    return { ok: true, changed: res.changed, entry };
+  });
+}
+
+/**
+ * Notes an error without moving the state (e.g. a timeout where the
+ * venue may or may not have accepted the order).
+ */
+function note(id, error) {
+  return persist((journal) => {
+    const entry = journal.find((e) => e.id === id);
+    if (!entry) return { ok: false, error: "Order not found" };
+    entry.error = String(error || "");
+    entry.updatedAt = Date.now();
+    return { ok: true, entry };
+  });
+}
+
+/**
+ * Records an adapter executeLiveOrder() response:
+ * { ok, result: { status, filledQty, avgPrice, orderId | txid } } or { ok:false, error }.
+ */
+function recordResult(id, response = {}) {
+  if (!response || response.ok === false) {
+    return transition(id, "REJECTED", {
+      error: response?.error || "Order rejected",
+      reason: response?.code != null ? String(response.code) : "VENUE_REJECTED",
+    });
+  }
+
+  const r = response.result || {};
+  const txid = Array.isArray(r.txid) ? r.txid[0] : r.txid;
+  const requestedQty = safeNum(r.requestedQty ?? r.qty);
+  let status = toJournalStatus(r.status || "ACK", r.filledQty) || "ACK";
+  let filledQty = safeNum(r.filledQty);
+
+  if (status === "FILLED") {
+    // Fill reports without a quantity cover the whole order; a short
+    // fill means the IOC remainder expired (Binance's EXPIRED)
+    if (filledQty == null) filledQty = requestedQty;
+    else if (requestedQty != null && filledQty < requestedQty - QTY_EPSILON) status = "EXPIRED";
+  }
+
+  return transition(id, status, {
+    exchangeOrderId: r.orderId || txid || null,
+    qty: requestedQty,
+    filledQty,
+    avgPrice: r.avgPrice,
+    reason: "EXECUTION_REPORT",
+  });
+}
+
+function matches(entry, exchange, { orderId, clientOrderId }) {
+  if (entry.exchange !== exchange) return false;
+  if (orderId && entry.exchangeOrderId === String(orderId)) return true;
+  return Boolean(clientOrderId) && entry.clientOrderId === clientOrderId;
+}
+
+/**
+ * Applies a venue order report (status poll, cancel ack, reconcile)
+ * to whichever journal entry it belongs to.
+ */
+function applyExchangeUpdate(exchange, order = {}, reason = "VENUE_UPDATE") {
+  const venue = String(exchange || "").toLowerCase();
+  const to = toJournalStatus(order.status, order.filledQty);
+  if (!to) return { ok: false, error: `Unmapped status: ${order.status}` };
+
+  return persist((journal) => {
+    const entry = journal.find((e) => matches(e, venue, order));
+    if (!entry) return { ok: false, error: "Order not journaled" };
+
+    const res = applyTransition(entry, to, {
+      exchangeOrderId: order.orderId,
+      filledQty: order.filledQty,
+      avgPrice: order.avgPrice,
+      reason,
+    });
+    if (res.error) return { ok: false, error: res.error, entry };
+    return { ok: true, changed: res.changed, entry };
+  });
+}
+
+/* ================= READS ================= */
+
+function list(tenantId, { status, symbol, exchange, parentId, open: openOnly = false, limit = 50, offset = 0 } = {}) {
+  const id = String(tenantId || "system");
+  const db = readDb();
+
+  let rows = (db.orderJournal || []).filter((e) => e.tenantId === id);
+
+  if (status) rows = rows.filter((e) => e.status === String(status).toUpperCase());
+  if (symbol) rows = rows.filter((e) => e.symbol === String(symbol).toUpperCase());
+  if (exchange) rows = rows.filter((e) => e.exchange === String(exchange).toLowerCase());
+  if (parentId) rows = rows.filter((e) => e.parentId === parentId);
+  if (openOnly) rows = rows.filter((e) => !isTerminal(e.status));
+
+  rows.sort((a, b) => b.createdAt - a.createdAt);
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 50), 500);
+
+  return { total: rows.length, orders: rows.slice(start, start + size) };
+}
+
+/**
+ * Entries with any fill, oldest fill first. `filledAt` is the time of
+ * the entry's last transition (when its fill quantity was last known).
+ */
+function fills(tenantId, { symbol } = {}) {
+  const id = String(tenantId || "system");
+
+  return (readDb().orderJournal || [])
+    .filter((e) => e.tenantId === id && e.filledQty > 0 && e.avgPrice > 0)
+    .filter((e) => !symbol || e.symbol === String(symbol).toUpperCase())
+    .map((e) => ({ ...e, filledAt: e.transitions[e.transitions.length - 1]?.ts || e.updatedAt }))
+    .sort((a, b) => a.filledAt - b.filledAt);
+}
+
+// Tenants with at least one filled entry
+function tenants() {
+  return [...new Set((readDb().orderJournal || []).filter((e) => e.filledQty > 0).map((e) => e.tenantId))];
+}
+
+function get(tenantId, id) {
+  const entry = (readDb().orderJournal || []).find((e) => e.id === id);
+  if (!entry || entry.tenantId !== String(tenantId || "system")) return null;
+  return entry;
+}
+
+/* ================= RECONCILE ================= */
+
+const VENUES = {
+  kraken: () => require("./adapters/krakenAdapter"),
+  binance: () => require("./adapters/binanceAdapter"),
+  coinbase: () => require("./adapters/coinbaseAdapter"),
+};
+
+/**
+ * Resolves every non-terminal entry against the venue: first the
+ * venue's open orders, then a per-order status lookup. Venue open
+ * orders nobody journaled are reported as orphans. `exchanges`
+ * limits the pass to those venues.
+ */
+async function reconcile({ tenantId = null, venues = null, exchanges: only = null } = {}) {
+  const pending = (readDb().orderJournal || []).filter(
+    (e) =>
+      !isTerminal(e.status) &&
+      (!tenantId || e.tenantId === String(tenantId)) &&
+      (!only || only.includes(e.exchange))
+  );
+
+  const report = { ok: true, checked: pending.length, updated: 0, unresolved: [], orphans: [], errors: {} };
+  const byExchange = {};
+  for (const e of pending) (byExchange[e.exchange] ||= []).push(e);
+
+  const exchanges = new Set([...Object.keys(byExchange), ...(tenantId ? [] : only || Object.keys(VENUES))]);
+
+  for (const exchange of exchanges) {
+    let adapter = null;
+    try {
+      adapter = venues?.[exchange] || VENUES[exchange]?.();
+    } catch (err) {
+      report.errors[exchange] = err.message;
+    }
+
+    const entries = byExchange[exchange] || [];
+
+    let openOrders = null;
+    if (adapter && typeof adapter.getOpenOrders === "function") {
+      const res = await adapter.getOpenOrders().catch((err) => ({ ok: false, error: err.message }));
+      if (res.ok) openOrders = res.orders || [];
+      else report.errors[exchange] = res.error;
+    }
+
+    for (const entry of entries) {
+      // Status lookups journal on their own, so diff against the snapshot
+      const before = { status: entry.status, filledQty: entry.filledQty };
+
+      let venueOrder = (openOrders || []).find((o) =>
+        matches(entry, exchange, { orderId: o.orderId, clientOrderId: o.clientOrderId })
+      );
+
+      if (!venueOrder && adapter && typeof adapter.getOrderStatus === "function") {
+        const res = await adapter
+          .getOrderStatus({
+            symbol: entry.symbol,
+            orderId: entry.exchangeOrderId,
+            clientOrderId: entry.clientOrderId,
+          })
+          .catch((err) => ({ ok: false, error: err.message }));
+        if (res.ok) venueOrder = res.order;
+      }
+
+      if (!venueOrder) {
+        report.unresolved.push(entry.id);
+        continue;
+      }
+
+      const res = applyExchangeUpdate(
+        exchange,
+        { ...venueOrder, clientOrderId: venueOrder.clientOrderId || entry.clientOrderId },
+        "RECONCILE"
+      );
+      if (!res.ok) {
+        report.unresolved.push(entry.id);
+      } else if (res.entry.status !== before.status || res.entry.filledQty !== before.filledQty) {
+        report.updated += 1;
+      }
+    }
+
+    const journaled = (readDb().orderJournal || []).filter((e) => e.exchange === exchange);
+    for (const o of openOrders || []) {
+      if (!journaled.some((e) => matches(e, exchange, o))) {
+        report.orphans.push({ exchange, ...o });
+      }
+    }
+  }
+
+  if (pending.length) {
+    const ids = new Set(pending.map((e) => e.id));
+    const now = Date.now();
+    persist((journal) => {
+      for (const e of journal) if (ids.has(e.id)) e.lastReconciledAt = now;
+    });
+  }
+
+  return report;
+}
+
+/* ================= CANCEL ================= */
+
+/**
+ * Cancels every open entry for a tenant and/or symbol through its
+ * venue adapter (kill switch). Entries still in NEW have no venue id
+ * yet and are left to reconcile().
+ */
+async function cancelOpen({ tenantId = null, symbol = null, venues = null } = {}) {
+  const sym = symbol ? String(symbol).toUpperCase() : null;
+  const targets = (readDb().orderJournal || []).filter(
+    (e) =>
+      !isTerminal(e.status) &&
+      (!tenantId || e.tenantId === String(tenantId)) &&
+      (!sym || e.symbol === sym)
+  );
+
+  const report = { ok: true, requested: targets.length, canceled: 0, unresolved: [], errors: {} };
+
+  for (const entry of targets) {
+    if (entry.status === "NEW" && !entry.exchangeOrderId) {
+      report.unresolved.push(entry.id);
+      continue;
+    }
+
+    let adapter = null;
+    try {
+      adapter = venues?.[entry.exchange] || VENUES[entry.exchange]?.();
+    } catch (err) {
+      report.errors[entry.exchange] = err.message;
+    }
+
+    if (!adapter || typeof adapter.cancelOrder !== "function") {
+      report.unresolved.push(entry.id);
+      continue;
+    }
+
+    const res = await adapter
+      .cancelOrder({ symbol: entry.symbol, orderId: entry.exchangeOrderId, clientOrderId: entry.clientOrderId })
+      .catch((err) => ({ ok: false, error: err.message }));
+
+    if (res.ok) {
+      report.canceled += 1;
+    } else {
+      report.unresolved.push(entry.id);
+      report.errors[entry.exchange] = res.error;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  STATUSES,
+  TERMINAL,
+  TRANSITIONS,
+  isTerminal,
+  canTransition,
+  toJournalStatus,
+  open,
+  transition,
+  note,
+  recordResult,
+  applyExchangeUpdate,
+  list,
+  fills,
+  tenants,
+  get,
+  reconcile,
+  cancelOpen,
+};
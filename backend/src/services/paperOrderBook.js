@@ -0,0 +1,306 @@
+// ==========================================================
+// 📒 PAPER ORDER BOOK — v1.0 (RESTING ORDERS & MATCHING)
+// FILE: backend/src/services/paperOrderBook.js
+//
+// Order types : MARKET, LIMIT, STOP, STOP_LIMIT, TRAILING_STOP
+// Time-in-force: GTC (rests), IOC (fill what's there, cancel rest),
+//                FOK (all or nothing)
+// Orders match against simulated ticks. Each tick exposes a finite
+// amount of liquidity per symbol, so large orders fill partially
+// over several ticks.
+// ==========================================================
+
+const crypto = require("crypto");
+const costModel = require("./costModel");
+
+/* ================= CONFIG ================= */
+const SLIPPAGE_BPS = 0.0002; // Taker impact on top of the spread (matches paperTrader)
+const TICK_LIQUIDITY_USD = Number(process.env.PAPER_TICK_LIQUIDITY_USD || 250000);
+const QTY_EPSILON = 1e-12;
+
+const TYPES = ["MARKET", "LIMIT", "STOP", "STOP_LIMIT", "TRAILING_STOP"];
+const TIFS = ["GTC", "IOC", "FOK"];
+const OPEN_STATUSES = ["NEW", "PARTIALLY_FILLED"];
+
+/* ================= HELPERS ================= */
+
+function safeNum(v, fallback = null) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function makeOrderId() {
+  return `ord_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function isOpen(order) {
+  return OPEN_STATUSES.includes(order.status);
+}
+
+function isStopType(type) {
+  return type === "STOP" || type === "STOP_LIMIT" || type === "TRAILING_STOP";
+}
+
+function tickLiquidity(price) {
+  return price > 0 ? TICK_LIQUIDITY_USD / price : 0;
+}
+
+/* ================= VALIDATION ================= */
+
+/**
+ * Normalises raw order input. Returns { ok, order } or { ok: false, error }.
+ */
+function createOrder(input = {}, now = Date.now()) {
+  const symbol = String(input.symbol || "").trim().toUpperCase();
+  const side = String(input.side || "").trim().toUpperCase();
+  const type = String(input.type || "MARKET").trim().toUpperCase();
+  const qty = safeNum(input.qty);
+  const limitPrice = safeNum(input.limitPrice);
+  const stopPrice = safeNum(input.stopPrice);
+  const trailPercent = safeNum(input.trailPercent);
+  const trailAmount = safeNum(input.trailAmount);
+  const timeInForce = String(
+    input.timeInForce || (type === "MARKET" ? "IOC" : "GTC")
+  ).trim().toUpperCase();
+
+  if (!symbol) return { ok: false, error: "Missing symbol" };
+  if (side !== "BUY" && side !== "SELL") return { ok: false, error: "Side must be BUY or SELL" };
+  if (!TYPES.includes(type)) return { ok: false, error: `Unsupported order type: ${type}` };
+  if (!TIFS.includes(timeInForce)) return { ok: false, error: `Unsupported timeInForce: ${timeInForce}` };
+  if (!qty || qty <= 0) return { ok: false, error: "Quantity must be positive" };
+
+  if ((type === "LIMIT" || type === "STOP_LIMIT") && !(limitPrice > 0)) {
+    return { ok: false, error: "limitPrice required" };
+  }
+  if ((type === "STOP" || type === "STOP_LIMIT") && !(stopPrice > 0)) {
+    return { ok: false, error: "stopPrice required" };
+  }
+  if (type === "TRAILING_STOP") {
+    const pctOk = trailPercent > 0 && trailPercent < 100;
+    const amtOk = trailAmount > 0;
+    if (pctOk === amtOk) {
+      return { ok: false, error: "Provide exactly one of trailPercent or trailAmount" };
+    }
+  }
+
+  return {
+    ok: true,
+    order: {
+      id: makeOrderId(),
+      symbol,
+      side,
+      type,
+      timeInForce,
+      qty,
+      filledQty: 0,
+      remainingQty: qty,
+      avgFillPrice: null,
+      limitPrice: type === "LIMIT" || type === "STOP_LIMIT" ? limitPrice : null,
+      stopPrice: isStopType(type) && type !== "TRAILING_STOP" ? stopPrice : null,
+      trailPercent: type === "TRAILING_STOP" && trailPercent > 0 ? trailPercent : null,
+      trailAmount: type === "TRAILING_STOP" && trailAmount > 0 ? trailAmount : null,
+      trailAnchor: null,
+      triggered: !isStopType(type),
+      triggeredAt: null,
+      stopLoss: safeNum(input.stopLoss),
+      takeProfit: safeNum(input.takeProfit),
+      status: "NEW",
+      reason: null,
+      fills: [],
+      replaces: input.replaces || null,
+      replacedBy: null,
+      createdAt: now,
+      updatedAt: now,
+    },
+  };
+}
+
+/* ================= TRIGGERS ================= */
+
+function updateTrailingStop(order, price) {
+  if (order.side === "SELL") {
+    order.trailAnchor = order.trailAnchor === null ? price : Math.max(order.trailAnchor, price);
+    order.stopPrice = order.trailAmount
+      ? order.trailAnchor - order.trailAmount
+      : order.trailAnchor * (1 - order.trailPercent / 100);
+  } else {
+    order.trailAnchor = order.trailAnchor === null ? price : Math.min(order.trailAnchor, price);
+    order.stopPrice = order.trailAmount
+      ? order.trailAnchor + order.trailAmount
+      : order.trailAnchor * (1 + order.trailPercent / 100);
+  }
+}
+
+function checkTrigger(order, price, now) {
+  if (order.triggered) return true;
+
+  if (order.type === "TRAILING_STOP") updateTrailingStop(order, price);
+
+  const hit = order.side === "BUY" ? price >= order.stopPrice : price <= order.stopPrice;
+  if (hit) {
+    order.triggered = true;
+    order.triggeredAt = now;
+    order.updatedAt = now;
+  }
+  return hit;
+}
+
+/* ================= PRICING ================= */
+
+function isLimitType(type) {
+  return type === "LIMIT" || type === "STOP_LIMIT";
+}
+
+/**
+ * Execution on the current tick, or null. Limits fill at the tick
+ * price; everything else crosses the spread and pays slippage.
+ * → { price, spreadUsd, slippageUsd }
+ */
+function execution(order, price, qty) {
+  if (isLimitType(order.type)) {
+    const marketable = order.side === "BUY" ? price <= order.limitPrice : price >= order.limitPrice;
+    return marketable ? { price, spreadUsd: 0, slippageUsd: 0 } : null;
+  }
+
+  return costModel.crossSpread({
+    symbol: order.symbol,
+    side: order.side,
+    price,
+    qty,
+    slippageBps: SLIPPAGE_BPS * 10000,
+  });
+}
+
+/* ================= STATE CHANGES ================= */
+
+function recordFill(order, qty, price, now) {
+  const prevNotional = (order.avgFillPrice || 0) * order.filledQty;
+  order.filledQty += qty;
+  order.remainingQty = Math.max(0, order.qty - order.filledQty);
+  order.avgFillPrice = (prevNotional + qty * price) / order.filledQty;
+  order.fills.push({ qty, price, ts: now });
+  order.status = order.remainingQty <= QTY_EPSILON ? "FILLED" : "PARTIALLY_FILLED";
+  if (order.status === "FILLED") order.remainingQty = 0;
+  order.updatedAt = now;
+}
+
+function closeOrder(order, status, reason, now = Date.now()) {
+  order.status = status;
+  order.reason = reason || null;
+  order.updatedAt = now;
+  return order;
+}
+
+/* ================= MATCHING ================= */
+
+/**
+ * Matches one symbol's open orders against a tick (FIFO by creation).
+ * `canFill(order)` lets the account veto a fill without cancelling.
+ * Returns the list of fills: { order, qty, price, ts, liquidity,
+ * spreadUsd, slippageUsd }. Limit orders that rested on an earlier
+ * tick fill as maker.
+ */
+function matchTick(orders, symbol, price, { now = Date.now(), canFill = () => true } = {}) {
+  let liquidity = tickLiquidity(price);
+  const fills = [];
+
+  const book = orders
+    .filter((o) => o.symbol === symbol && isOpen(o))
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  for (const order of book) {
+    if (!checkTrigger(order, price, now)) continue;
+
+    const qty = Math.min(order.remainingQty, liquidity);
+    const exec = execution(order, price, qty);
+    const immediate = order.timeInForce !== "GTC";
+
+    if (exec === null || !canFill(order)) {
+      if (immediate) closeOrder(order, "EXPIRED", "NOT_MARKETABLE", now);
+      else order.rested = true;
+      continue;
+    }
+
+    if (order.timeInForce === "FOK" && liquidity + QTY_EPSILON < order.remainingQty) {
+      closeOrder(order, "EXPIRED", "INSUFFICIENT_LIQUIDITY", now);
+      continue;
+    }
+
+    if (qty > QTY_EPSILON) {
+      const liquidityRole = isLimitType(order.type) && order.rested ? "maker" : "taker";
+      recordFill(order, qty, exec.price, now);
+      liquidity -= qty;
+      fills.push({
+        order,
+        qty,
+        price: exec.price,
+        ts: now,
+        liquidity: liquidityRole,
+        spreadUsd: exec.spreadUsd,
+        slippageUsd: exec.slippageUsd,
+      });
+    }
+
+    if (immediate && isOpen(order)) {
+      closeOrder(order, "EXPIRED", "IOC_REMAINDER", now);
+    } else if (isOpen(order)) {
+      order.rested = true;
+    }
+  }
+
+  return fills;
+}
+
+/* ================= CANCEL / REPLACE ================= */
+
+function cancelOrder(order, reason = "USER_CANCEL") {
+  if (!order || !isOpen(order)) return { ok: false, error: "Order not open" };
+  closeOrder(order, "CANCELED", reason);
+  return { ok: true, order };
+}
+
+/**
+ * Builds the replacement for an open order. Unfilled quantity carries
+ * over; the new order loses time priority and gets a fresh id.
+ */
+function replaceOrder(order, changes = {}) {
+  if (!order || !isOpen(order)) return { ok: false, error: "Order not open" };
+
+  const qty = changes.qty !== undefined ? safeNum(changes.qty) : order.qty;
+  if (!(qty > order.filledQty + QTY_EPSILON)) {
+    return { ok: false, error: "New quantity must exceed filled quantity" };
+  }
+
+  const created = createOrder({
+    symbol: order.symbol,
+    side: order.side,
+    type: order.type,
+    timeInForce: changes.timeInForce || order.timeInForce,
+    qty: qty - order.filledQty,
+    limitPrice: changes.limitPrice ?? order.limitPrice,
+    stopPrice: changes.stopPrice ?? order.stopPrice,
+    trailPercent: changes.trailAmount !== undefined ? null : changes.trailPercent ?? order.trailPercent,
+    trailAmount: changes.trailPercent !== undefined ? null : changes.trailAmount ?? order.trailAmount,
+    stopLoss: changes.stopLoss ?? order.stopLoss,
+    takeProfit: changes.takeProfit ?? order.takeProfit,
+    replaces: order.id,
+  });
+
+  if (!created.ok) return created;
+
+  closeOrder(order, "REPLACED", "USER_REPLACE");
+  order.replacedBy = created.order.id;
+
+  return { ok: true, order: created.order, replaced: order };
+}
+
+module.exports = {
+  TYPES,
+  TIFS,
+  OPEN_STATUSES,
+  isOpen,
+  createOrder,
+  matchTick,
+  cancelOrder,
+  replaceOrder,
+};
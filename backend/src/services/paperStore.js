@@ -0,0 +1,200 @@
+// ==========================================================
+// 💾 PAPER ACCOUNT STORE — v1.0 (SNAPSHOT + APPEND-ONLY LOG)
+// FILE: backend/src/services/paperStore.js
+//
+// Durable side of paperTrader, on the shared DB layer:
+//
+//   db.paperAccounts  one snapshot per tenant (balance, positions,
+//                     resting orders, marks, stats, costs and the
+//                     bound DSL strategy, if any)
+//   db.paperTradeLog  every history record, append-only, stamped
+//                     with the account epoch and a per-tenant seq
+//
+// A reset starts a new epoch instead of deleting anything, so the
+// log of earlier accounts stays queryable.
+// ==========================================================
+
+const { readDb, updateDb } = require("../lib/db");
+
+/* ================= CONFIG ================= */
+const MAX_PAGE = 500;
+
+// Snapshot fields owned by paperTrader; everything else is bookkeeping
+const ACCOUNT_FIELDS = ["balance", "equity", "positions", "lastPrices", "orders", "stats", "costs", "strategy"];
+
+/* ================= HELPERS ================= */
+
+function tenantKey(tenantId) {
+  return String(tenantId || "default_user");
+}
+
+function persist(mutator) {
+  let out;
+  updateDb((db) => {
+    if (!Array.isArray(db.paperAccounts)) db.paperAccounts = [];
+    if (!Array.isArray(db.paperTradeLog)) db.paperTradeLog = [];
+    out = mutator(db);
+    return db;
+  });
+  return out;
+}
+
+function pick(account = {}) {
+  const out = {};
+  for (const f of ACCOUNT_FIELDS) {
+    if (account[f] !== undefined) out[f] = account[f];
+  }
+  return out;
+}
+
+function upsertAccount(db, id, now) {
+  let row = db.paperAccounts.find((a) => a.tenantId === id);
+  if (!row) {
+    row = { id, tenantId: id, epoch: 1, lastSeq: 0, createdAt: now, updatedAt: now, resetAt: null };
+    db.paperAccounts.push(row);
+  }
+  return row;
+}
+
+function append(db, row, records) {
+  for (const r of records) {
+    row.lastSeq += 1;
+    db.paperTradeLog.push({
+      ...r,
+      id: `${row.tenantId}:${row.lastSeq}`,
+      tenantId: row.tenantId,
+      epoch: row.epoch,
+      seq: row.lastSeq,
+    });
+  }
+}
+
+/* ================= ACCOUNTS ================= */
+
+/**
+ * Stored account plus the last `recent` log records of its current
+ * epoch (oldest first), or null when the tenant has never persisted.
+ */
+function load(tenantId, { recent = 0 } = {}) {
+  const id = tenantKey(tenantId);
+  const db = readDb();
+  const account = (db.paperAccounts || []).find((a) => a.tenantId === id);
+  if (!account) return null;
+
+  const log = recent > 0
+    ? (db.paperTradeLog || []).filter((r) => r.tenantId === id && r.epoch === account.epoch).slice(-recent)
+    : [];
+
+  return { account, recent: log };
+}
+
+function write(db, tenantId, account, records, now) {
+  const row = upsertAccount(db, tenantKey(tenantId), now);
+  Object.assign(row, pick(account), { updatedAt: now });
+  append(db, row, records);
+  return { epoch: row.epoch, lastSeq: row.lastSeq };
+}
+
+/**
+ * Writes the snapshot and appends `records` in one DB update.
+ */
+function save(tenantId, account, records = []) {
+  const now = Date.now();
+  return persist((db) => write(db, tenantId, account, records, now));
+}
+
+/**
+ * save() for many tenants in a single DB update.
+ * `entries` is [{ tenantId, account, records }].
+ */
+function saveMany(entries = []) {
+  if (!entries.length) return [];
+  const now = Date.now();
+  return persist((db) => entries.map((e) => write(db, e.tenantId, e.account, e.records || [], now)));
+}
+
+/**
+ * Starts a new epoch from `account` (a fresh snapshot). The first
+ * record of the new epoch notes what the old account ended with.
+ */
+function reset(tenantId, account, { actor = null, reason = null } = {}) {
+  const id = tenantKey(tenantId);
+  const now = Date.now();
+
+  return persist((db) => {
+    const row = upsertAccount(db, id, now);
+    const previous = { epoch: row.epoch, balance: row.balance ?? null, equity: row.equity ?? null };
+
+    row.epoch += 1;
+    for (const f of ACCOUNT_FIELDS) delete row[f];
+    Object.assign(row, pick(account), { updatedAt: now, resetAt: now });
+
+    append(db, row, [{
+      type: "ACCOUNT_RESET",
+      previousEpoch: previous.epoch,
+      previousBalance: previous.balance,
+      previousEquity: previous.equity,
+      actor,
+      reason,
+      timestamp: now,
+    }]);
+
+    return { epoch: row.epoch, previous };
+  });
+}
+
+function tenants() {
+  return (readDb().paperAccounts || []).map((a) => a.tenantId);
+}
+
+/* ================= TRADE LOG ================= */
+
+/**
+ * Log page, newest first. `epoch` defaults to the current account;
+ * pass "all" for every epoch.
+ */
+function history(tenantId, { epoch, type, symbol, limit = 50, offset = 0 } = {}) {
+  const id = tenantKey(tenantId);
+  const db = readDb();
+  const account = (db.paperAccounts || []).find((a) => a.tenantId === id);
+  const current = account ? account.epoch : 1;
+  const wanted = epoch === "all" ? null : Number(epoch) || current;
+
+  let rows = (db.paperTradeLog || []).filter((r) => r.tenantId === id);
+
+  if (wanted !== null) rows = rows.filter((r) => r.epoch === wanted);
+  if (type) rows = rows.filter((r) => r.type === String(type).toUpperCase());
+  if (symbol) rows = rows.filter((r) => r.symbol === String(symbol).toUpperCase());
+
+  rows.sort((a, b) => b.seq - a.seq);
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 50), MAX_PAGE);
+
+  return { total: rows.length, epoch: wanted === null ? "all" : wanted, currentEpoch: current, records: rows.slice(start, start + size) };
+}
+
+/**
+ * Every closed trade of an epoch (default: current), oldest first.
+ */
+function trades(tenantId, { epoch } = {}) {
+  const id = tenantKey(tenantId);
+  const db = readDb();
+  const account = (db.paperAccounts || []).find((a) => a.tenantId === id);
+  const wanted = Number(epoch) || (account ? account.epoch : 1);
+
+  return (db.paperTradeLog || [])
+    .filter((r) => r.tenantId === id && r.epoch === wanted && r.type === "EXIT")
+    .sort((a, b) => a.seq - b.seq);
+}
+
+module.exports = {
+  ACCOUNT_FIELDS,
+  load,
+  save,
+  saveMany,
+  reset,
+  tenants,
+  history,
+  trades,
+};
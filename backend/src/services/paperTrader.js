@@ -3,112 +3,801 @@
 // FILE: backend/src/services/paperTrader.js
 // ==========================================================
 
+const crypto = require("crypto");
 const { makeDecision } = require("./tradeBrain");
+const orderBook = require("./paperOrderBook");
+const riskGateway = require("./riskGateway");
+const paperStore = require("./paperStore");
+const costModel = require("./costModel");
+const strategyDsl = require("./strategyDsl");
+const decisionLog = require("./decisionLog");
 
 /* ================= CONFIG ================= */
 const START_BAL = Number(process.env.STARTING_CAPITAL || 100000);
 const HARD_STOP_LOSS = -0.0045; // -0.45%
-const SLIPPAGE_BPS = 0.0002;    // 0.02% Real-world friction
+const SLIPPAGE_BPS = 0.0002;    // 0.02% impact on top of the spread (see costModel)
 const MAX_HISTORY = 300;        
+const QTY_EPSILON = 1e-12;
+const MAX_OPEN_POSITIONS = Number(process.env.PAPER_MAX_OPEN_POSITIONS || 5);
+const PERSIST = process.env.PAPER_PERSIST !== "false";
+// tradeBrain confidence (%) needed to enter, and below which an open position exits
+const ENTRY_MIN_CONFIDENCE = 15;
+const EXIT_MAX_CONFIDENCE = 5;
+// Trades and order actions save at once; mark-to-market is batched
+// across tenants into one write this often
+const SNAPSHOT_INTERVAL_MS = Number(process.env.PAPER_SNAPSHOT_INTERVAL_MS || 5000);
 
 /* ================= STATE ================= */
 const STATES = new Map();
+const EPHEMERAL = new Set(); // training / replay namespaces (see hardReset)
+const STRATEGY_BARS = new Map(); // "id|symbol" → recent ticks for a bound DSL strategy
+const COMPILED = new Map();      // id → { key, strategy }
+const DIRTY = new Set();         // tenants with marks not yet written (see flushSnapshots)
+let flushTimer = null;
 
-function load(id) {
-  if (!STATES.has(id)) {
-    STATES.set(id, {
-      balance: START_BAL,
-      equity: START_BAL,
-      position: null,
-      history: [],
-      intelligence: [], 
-      stats: { ticks: 0, signals: 0, executionCount: 0 }
-    });
+function freshState() {
+  return {
+    balance: START_BAL,
+    equity: START_BAL,
+    positions: {},    // one net position per symbol
+    lastPrices: {},
+    history: [],      // last MAX_HISTORY records; the full log is in paperStore
+    orders: [],       // open + recently closed (see pruneOrders)
+    intelligence: [], 
+    stats: { ticks: 0, signals: 0, executionCount: 0 },
+    costs: { ...costModel.emptyCosts(), volume: {} }, // running totals + 30-day fee volume
+    strategy: null,   // strategyRegistry binding; null = tradeBrain
+    pending: [],      // history records not yet appended to the store
+    savedAt: 0
+  };
+}
+
+function persistent(id) {
+  return PERSIST && !EPHEMERAL.has(id);
+}
+
+function restore(id) {
+  const stored = persistent(id) ? paperStore.load(id, { recent: MAX_HISTORY }) : null;
+  if (!stored) return freshState();
+
+  const state = { ...freshState(), savedAt: Date.now(), history: stored.recent };
+  for (const f of paperStore.ACCOUNT_FIELDS) {
+    if (stored.account[f] !== undefined) state[f] = stored.account[f];
   }
+  return state;
+}
+
+function load(id) {
+  if (!STATES.has(id)) STATES.set(id, restore(id));
   return STATES.get(id);
 }
 
+function record(state, entry) {
+  state.history.push(entry);
+  if (state.history.length > MAX_HISTORY) state.history.shift();
+  state.pending.push(entry);
+}
+
+/**
+ * Saves the snapshot and appends pending history. An unforced save
+ * with no new records only marks the tenant dirty; flushSnapshots()
+ * writes every dirty tenant in one DB update per SNAPSHOT_INTERVAL_MS.
+ */
+function persist(id, state, force = false) {
+  if (!persistent(id)) {
+    state.pending.length = 0;
+    return;
+  }
+
+  if (!force && !state.pending.length) {
+    scheduleFlush(id);
+    return;
+  }
+
+  const records = state.pending.splice(0);
+  try {
+    paperStore.save(id, state, records);
+    state.savedAt = Date.now();
+    DIRTY.delete(id);
+  } catch (err) {
+    // keep the records for the next attempt
+    state.pending.unshift(...records);
+    console.error(`[CORE]: paper state save failed for ${id}:`, err.message);
+  }
+}
+
+function scheduleFlush(id) {
+  DIRTY.add(id);
+  if (flushTimer) return;
+  flushTimer = setTimeout(flushSnapshots, SNAPSHOT_INTERVAL_MS);
+  flushTimer.unref?.();
+}
+
+/**
+ * Writes every dirty tenant's snapshot in a single DB update.
+ * Returns how many accounts were written.
+ */
+function flushSnapshots() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const ids = [...DIRTY].filter((id) => STATES.has(id) && persistent(id));
+  DIRTY.clear();
+  if (!ids.length) return 0;
+
+  const entries = ids.map((id) => ({ tenantId: id, account: STATES.get(id), records: STATES.get(id).pending.splice(0) }));
+  try {
+    paperStore.saveMany(entries);
+    const now = Date.now();
+    for (const e of entries) e.account.savedAt = now;
+    return entries.length;
+  } catch (err) {
+    for (const e of entries) e.account.pending.unshift(...e.records);
+    ids.forEach(scheduleFlush);
+    console.error("[CORE]: paper snapshot flush failed:", err.message);
+    return 0;
+  }
+}
+
+/* ================= PORTFOLIO ================= */
+
+function unrealizedOf(pos, price) {
+  if (!price) return 0;
+  return pos.side === "LONG"
+    ? (price - pos.entry) * pos.qty
+    : (pos.entry - price) * pos.qty;
+}
+
+/**
+ * Portfolio-level equity: cash plus mark-to-market of every open position.
+ */
+function refreshEquity(state) {
+  let unrealized = 0;
+  for (const pos of Object.values(state.positions)) {
+    unrealized += unrealizedOf(pos, state.lastPrices[pos.symbol] || pos.entry);
+  }
+  state.equity = state.balance + unrealized;
+  return state.equity;
+}
+
+function openPositions(state) {
+  return Object.values(state.positions);
+}
+
+// One id per round trip, from entry to the EXIT record(s)
+function makeTradeId() {
+  return `tr_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+/**
+ * Pre-trade risk gateway, checked against the live book.
+ */
+function checkRisk(id, state, order, opts = {}) {
+  if (openPositions(state).length >= MAX_OPEN_POSITIONS && !state.positions[order.symbol]) {
+    return { approved: false, reason: "Max open positions" };
+  }
+
+  return riskGateway.review({
+    ...order,
+    tenantId: id,
+    mode: "paper",
+    source: "paperTrader",
+    equity: state.equity,
+    trades: state.history.filter((h) => h.type === "EXIT").map((h) => ({ profit: h.pnl })),
+    positions: state.positions,
+    lastPrices: state.lastPrices,
+    ts: opts.now
+  }, { audit: opts.audit, killSwitch: !EPHEMERAL.has(id) });
+}
+
 /* ================= UNIVERSAL EXECUTION ================= */
 
-function executeExit(state, symbol, price, reason) {
-  const pos = state.position;
-  if (!pos) return;
+/**
+ * Worst (MAE) and best (MFE) move seen while the position was open,
+ * as signed fractions of entry. Tracked from tick prices.
+ */
+function excursions(pos) {
+  const high = Math.max(pos.high ?? pos.entry, pos.entry);
+  const low = Math.min(pos.low ?? pos.entry, pos.entry);
 
-  const exitPrice = pos.side === "LONG" 
-    ? price * (1 - SLIPPAGE_BPS) 
-    : price * (1 + SLIPPAGE_BPS);
+  return pos.side === "LONG"
+    ? { mae: (low - pos.entry) / pos.entry, mfe: (high - pos.entry) / pos.entry }
+    : { mae: (pos.entry - high) / pos.entry, mfe: (pos.entry - low) / pos.entry };
+}
+
+/* ================= COSTS ================= */
+
+/**
+ * Charges one fill's fee at the account's 30-day volume tier and books
+ * the spread/slippage already inside the fill price. Returns the fill's
+ * costs so they can follow the position to its exit.
+ */
+function chargeFill(state, { notional, liquidity = "taker", spreadUsd = 0, slippageUsd = 0 }) {
+  const now = Date.now();
+  const { feeUsd } = costModel.fee({
+    venue: costModel.CONFIG.simVenue,
+    notional,
+    liquidity,
+    volume30dUsd: costModel.volume30d(state.costs.volume, now)
+  });
 
-  const pnl = pos.side === "LONG"
-      ? (exitPrice - pos.entry) * pos.qty
-      : (pos.entry - exitPrice) * pos.qty;
+  costModel.addVolume(state.costs.volume, notional, now);
+  costModel.addCosts(state.costs, { fees: feeUsd, spread: spreadUsd, slippage: slippageUsd });
+  state.balance -= feeUsd;
 
-  const record = {
+  return { fees: feeUsd, spread: spreadUsd, slippage: slippageUsd, funding: 0, borrow: 0 };
+}
+
+/**
+ * Funding (perps) and borrow (spot shorts) on every open position
+ * since it was last charged.
+ */
+function accrueCarry(state, now = Date.now()) {
+  for (const pos of openPositions(state)) {
+    const c = costModel.carry({
+      symbol: pos.symbol,
+      side: pos.side,
+      notional: pos.qty * (state.lastPrices[pos.symbol] || pos.entry),
+      fromTs: pos.carriedTo || pos.openedAt,
+      toTs: now
+    });
+    pos.carriedTo = now;
+    if (!c.fundingUsd && !c.borrowUsd) continue;
+
+    pos.costs = costModel.addCosts(pos.costs || costModel.emptyCosts(), { funding: c.fundingUsd, borrow: c.borrowUsd });
+    costModel.addCosts(state.costs, { funding: c.fundingUsd, borrow: c.borrowUsd });
+    state.balance -= c.fundingUsd + c.borrowUsd;
+  }
+}
+
+// Moves `share` of a position's accumulated costs out of it
+function takeCosts(pos, share) {
+  const out = costModel.emptyCosts();
+  if (!pos.costs) return out;
+
+  for (const k of Object.keys(out)) {
+    out[k] = pos.costs[k] * share;
+    pos.costs[k] -= out[k];
+  }
+  return out;
+}
+
+function scaleCosts(costs, share) {
+  const out = costModel.emptyCosts();
+  for (const k of Object.keys(out)) out[k] = (costs[k] || 0) * share;
+  return out;
+}
+
+/**
+ * Realises `qty` of a symbol's position at `exitPrice` (spread and
+ * slippage already in the price). `exitCosts` are this exit's fill
+ * costs. Records gross price P&L, each cost, and `pnl` net of fees,
+ * funding and borrow. Partial quantities scale out; the position
+ * closes when nothing is left.
+ */
+function realize(state, symbol, qty, exitPrice, reason, extra = {}, exitCosts = costModel.emptyCosts()) {
+  const pos = state.positions[symbol];
+
+  const grossPnl = pos.side === "LONG"
+      ? (exitPrice - pos.entry) * qty
+      : (pos.entry - exitPrice) * qty;
+
+  const costs = costModel.addCosts(takeCosts(pos, qty / pos.qty), exitCosts);
+  const pnl = grossPnl - costs.fees - costs.funding - costs.borrow;
+
+  const entry = {
     type: "EXIT",
+    tradeId: pos.tradeId || null,
+    symbol,
     side: pos.side,
     entry: pos.entry,
     exit: exitPrice,
+    qty,
+    grossPnl,
     pnl,
+    ...costs,
     reason,
+    strategy: pos.strategy || null,
+    openedAt: pos.openedAt || null,
+    ...excursions(pos),
+    ...extra,
     timestamp: Date.now()
   };
 
-  state.balance += pnl;
-  state.position = null;
-  state.history.push(record);
-  
-  if (state.history.length > MAX_HISTORY) state.history.shift();
+  // fees and carry already left the balance when they were charged
+  state.balance += grossPnl;
+  pos.qty -= qty;
+  if (pos.qty <= QTY_EPSILON) delete state.positions[symbol];
+
+  record(state, entry);
   state.stats.executionCount += 1;
+
+  return pnl;
+}
+
+function executeExit(state, symbol, price, reason, qty) {
+  const pos = state.positions[symbol];
+  if (!pos) return;
+
+  const exitQty = Math.min(qty || pos.qty, pos.qty);
+  const fill = costModel.crossSpread({
+    symbol,
+    side: pos.side === "LONG" ? "SELL" : "BUY",
+    price,
+    qty: exitQty,
+    slippageBps: SLIPPAGE_BPS * 10000
+  });
+  const exitCosts = chargeFill(state, {
+    notional: fill.price * exitQty,
+    spreadUsd: fill.spreadUsd,
+    slippageUsd: fill.slippageUsd
+  });
+
+  const pnl = realize(state, symbol, exitQty, fill.price, reason, {}, exitCosts);
+  refreshEquity(state);
   
-  console.log(`[CORE]: 🛑 Trade Closed | Reason: ${reason} | PnL: ${pnl.toFixed(2)}`);
+  console.log(`[CORE]: 🛑 Trade Closed | ${symbol} | Reason: ${reason} | PnL: ${pnl.toFixed(2)}`);
+  return pnl;
 }
 
-function executeEntry(state, symbol, action, price) {
-  if (state.position) return;
+/**
+ * → { ok: true, tradeId } | { ok: false, reason, gate? }
+ */
+function executeEntry(id, state, symbol, action, price, opts = {}, plan = {}) {
+  if (state.positions[symbol]) return { ok: false, reason: "POSITION_OPEN" };
 
-  const entryPrice = action === "BUY" 
-    ? price * (1 + SLIPPAGE_BPS) 
-    : price * (1 - SLIPPAGE_BPS);
+  const quote = costModel.crossSpread({ symbol, side: action, price, slippageBps: SLIPPAGE_BPS * 10000 });
+  const entryPrice = quote.price;
 
-  const riskAmount = state.balance * 0.02; 
-  const qty = riskAmount / entryPrice;
+  const riskAmount = state.balance * (plan.riskPct || 0.02); 
+  const stopLoss = plan.stopLoss || (action === "BUY" ? entryPrice * 0.995 : entryPrice * 1.005);
 
-  state.position = {
+  const gate = checkRisk(id, state, {
     symbol,
+    side: action,
+    qty: riskAmount / entryPrice,
+    price: entryPrice,
+    stopLoss
+  }, opts);
+  if (!gate.approved) return { ok: false, reason: "RISK_REJECTED", gate };
+
+  const costs = chargeFill(state, {
+    notional: entryPrice * gate.qty,
+    spreadUsd: (price * gate.qty * quote.halfSpreadBps) / 10000,
+    slippageUsd: price * gate.qty * SLIPPAGE_BPS
+  });
+
+  const tradeId = makeTradeId();
+  state.positions[symbol] = {
+    symbol,
+    tradeId,
     side: action === "BUY" ? "LONG" : "SHORT",
     entry: entryPrice,
-    qty,
-    stopLoss: action === "BUY" ? entryPrice * 0.995 : entryPrice * 1.005,
-    takeProfit: action === "BUY" ? entryPrice * 1.01 : entryPrice * 0.99
+    qty: gate.qty,
+    stopLoss,
+    takeProfit: plan.takeProfit || (action === "BUY" ? entryPrice * 1.01 : entryPrice * 0.99),
+    strategy: plan.strategy || "tradeBrain",
+    high: entryPrice,
+    low: entryPrice,
+    costs,
+    openedAt: Date.now()
+  };
+
+  console.log(`[CORE]: 🚀 ${action} ${symbol} Executed at ${entryPrice.toFixed(2)}`);
+  return { ok: true, tradeId };
+}
+
+/* ================= ORDER FILLS ================= */
+
+/**
+ * Applies an order-book fill to the symbol's net position: opens,
+ * scales in, scales out, or flips it. The fill's costs split between
+ * the closed and opened quantity.
+ */
+function applyFill(state, fill) {
+  const { order, qty, price } = fill;
+  const symbol = order.symbol;
+  const dir = order.side === "BUY" ? "LONG" : "SHORT";
+  let remaining = qty;
+  const pos = state.positions[symbol];
+
+  const costs = chargeFill(state, {
+    notional: price * qty,
+    liquidity: fill.liquidity,
+    spreadUsd: fill.spreadUsd,
+    slippageUsd: fill.slippageUsd
+  });
+
+  if (pos && pos.side !== dir) {
+    const closeQty = Math.min(pos.qty, remaining);
+    realize(state, symbol, closeQty, price, "ORDER_FILL", { orderId: order.id, liquidity: fill.liquidity }, scaleCosts(costs, closeQty / qty));
+    remaining -= closeQty;
+  }
+
+  if (remaining <= QTY_EPSILON) return;
+
+  const openCosts = scaleCosts(costs, remaining / qty);
+  const current = state.positions[symbol];
+  if (current) {
+    current.entry = (current.entry * current.qty + price * remaining) / (current.qty + remaining);
+    current.qty += remaining;
+    current.costs = costModel.addCosts(current.costs || costModel.emptyCosts(), openCosts);
+    if (order.stopLoss != null) current.stopLoss = order.stopLoss;
+    if (order.takeProfit != null) current.takeProfit = order.takeProfit;
+    return;
+  }
+
+  state.positions[symbol] = {
+    symbol,
+    tradeId: makeTradeId(),
+    side: dir,
+    entry: price,
+    qty: remaining,
+    stopLoss: order.stopLoss,
+    takeProfit: order.takeProfit,
+    orderId: order.id,
+    strategy: order.strategy || "manual",
+    high: price,
+    low: price,
+    costs: openCosts,
+    openedAt: Date.now()
+  };
+}
+
+function pruneOrders(state) {
+  const open = state.orders.filter(orderBook.isOpen);
+  const closed = state.orders.filter((o) => !orderBook.isOpen(o));
+  state.orders = open.concat(closed.slice(-MAX_HISTORY));
+}
+
+function matchOrders(state, symbol, price, orders = state.orders) {
+  const fills = orderBook.matchTick(orders, symbol, price);
+
+  for (const f of fills) {
+    applyFill(state, f);
+    console.log(`[CORE]: 📒 ${f.order.type} ${f.order.side} filled ${f.qty} @ ${f.price.toFixed(2)} (${f.order.status})`);
+  }
+
+  if (fills.length) refreshEquity(state);
+  if (fills.length || orders !== state.orders) pruneOrders(state);
+  return fills;
+}
+
+/* ================= ORDER API ================= */
+
+/**
+ * How much of a `side` order on `symbol` would close the open
+ * position, net of other open orders already working against it.
+ */
+function reducibleQty(state, symbol, side, excludeId = null) {
+  const pos = state.positions[symbol];
+  if (!pos || pos.side === (side === "BUY" ? "LONG" : "SHORT")) return 0;
+
+  const working = state.orders
+    .filter((o) => orderBook.isOpen(o) && o.symbol === symbol && o.side === side && o.id !== excludeId)
+    .reduce((sum, o) => sum + o.remainingQty, 0);
+
+  return Math.max(0, pos.qty - working);
+}
+
+/**
+ * Places a resting or immediate order. The order is matched right away
+ * against `price` (the current tick), then rests per its time-in-force.
+ * `opts.presized` marks a copy of a live order the risk gateway already
+ * sized (shadowParity); it fills at the same quantity unchecked.
+ */
+function placeOrder(id, input, price, opts = {}) {
+  const state = load(id);
+  let created = orderBook.createOrder(input);
+  if (!created.ok) return created;
+
+  const refPrice = created.order.limitPrice || created.order.stopPrice || price;
+
+  // Only what closes the open position reduces; the rest opens (or
+  // flips) and goes through the full gateway
+  const closing = Math.min(created.order.qty, reducibleQty(state, created.order.symbol, created.order.side));
+  const opening = created.order.qty - closing;
+  const reducing = opening <= QTY_EPSILON;
+
+  if (!reducing && opening * refPrice > state.equity) {
+    return { ok: false, error: "Insufficient equity" };
+  }
+
+  const risk = opts.presized ? null : checkRisk(id, state, {
+    symbol: created.order.symbol,
+    side: created.order.side,
+    qty: reducing ? created.order.qty : opening,
+    price: refPrice,
+    stopLoss: created.order.stopLoss,
+    reducing
+  });
+  if (risk && !risk.approved) return { ok: false, error: risk.reason, risk };
+
+  if (risk && risk.decision === "RESIZE") {
+    created = orderBook.createOrder({ ...input, qty: reducing ? risk.qty : closing + risk.qty });
+    if (!created.ok) return created;
+  }
+
+  const order = created.order;
+  order.strategy = input.strategy ? String(input.strategy) : "manual";
+  state.orders.push(order);
+  if (price > 0) matchOrders(state, order.symbol, price, [order]);
+  persist(id, state, true);
+
+  return { ok: true, order, risk };
+}
+
+function cancelOrder(id, orderId) {
+  const state = load(id);
+  const result = orderBook.cancelOrder(state.orders.find((o) => o.id === orderId));
+  if (result.ok) {
+    pruneOrders(state);
+    persist(id, state, true);
+  }
+  return result;
+}
+
+function replaceOrder(id, orderId, changes, price) {
+  const state = load(id);
+  const existing = state.orders.find((o) => o.id === orderId);
+  let risk = null;
+
+  // Only added quantity is new risk, and only the part of it the
+  // open position cannot absorb skips the full gateway
+  const added = existing && changes.qty !== undefined ? Number(changes.qty) - existing.qty : 0;
+
+  if (added > QTY_EPSILON && orderBook.isOpen(existing)) {
+    const reducible = reducibleQty(state, existing.symbol, existing.side, existing.id);
+    const opening = Math.max(0, existing.remainingQty + added - reducible) - Math.max(0, existing.remainingQty - reducible);
+    const reducing = opening <= QTY_EPSILON;
+    const refPrice = changes.limitPrice || changes.stopPrice || existing.limitPrice || existing.stopPrice || price;
+
+    if (!reducing && opening * refPrice > state.equity) {
+      return { ok: false, error: "Insufficient equity" };
+    }
+
+    risk = checkRisk(id, state, {
+      symbol: existing.symbol,
+      side: existing.side,
+      qty: reducing ? added : opening,
+      price: refPrice,
+      stopLoss: changes.stopLoss ?? existing.stopLoss,
+      reducing
+    });
+    if (!risk.approved) return { ok: false, error: risk.reason, risk };
+    if (risk.decision === "RESIZE") {
+      changes = { ...changes, qty: existing.qty + (reducing ? risk.qty : added - opening + risk.qty) };
+    }
+  }
+
+  const result = orderBook.replaceOrder(existing, changes);
+  if (!result.ok) return result;
+  if (risk) result.risk = risk;
+  result.order.strategy = existing.strategy;
+
+  state.orders.push(result.order);
+  if (price > 0) matchOrders(state, result.order.symbol, price, [result.order]);
+  persist(id, state, true);
+
+  return result;
+}
+
+function listOrders(id, { status = "all", symbol } = {}) {
+  const state = load(id);
+  let orders = state.orders;
+
+  if (status === "open") orders = orders.filter(orderBook.isOpen);
+  else if (status === "closed") orders = orders.filter((o) => !orderBook.isOpen(o));
+  if (symbol) orders = orders.filter((o) => o.symbol === String(symbol).toUpperCase());
+
+  return orders.slice().sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/* ================= POSITION API ================= */
+
+/**
+ * Scales out of (or fully closes) a symbol's position at market.
+ */
+function closePosition(id, symbol, price, qty) {
+  const state = load(id);
+  const sym = String(symbol || "").toUpperCase();
+  if (!state.positions[sym]) return { ok: false, error: "No open position" };
+  if (!(price > 0)) return { ok: false, error: "Market warming up..." };
+
+  executeExit(state, sym, price, "MANUAL_CLOSE", qty > 0 ? qty : undefined);
+  persist(id, state, true);
+  return { ok: true, position: state.positions[sym] || null, equity: state.equity };
+}
+
+/**
+ * Updates per-position protective levels. `null` clears a level.
+ */
+function setProtection(id, symbol, { stopLoss, takeProfit } = {}) {
+  const state = load(id);
+  const pos = state.positions[String(symbol || "").toUpperCase()];
+  if (!pos) return { ok: false, error: "No open position" };
+
+  if (stopLoss !== undefined) pos.stopLoss = stopLoss === null ? null : Number(stopLoss);
+  if (takeProfit !== undefined) pos.takeProfit = takeProfit === null ? null : Number(takeProfit);
+  persist(id, state, true);
+
+  return { ok: true, position: pos };
+}
+
+/* ================= DSL STRATEGY ================= */
+
+function compiledFor(id, binding) {
+  const key = `${binding.strategyId}@v${binding.version}`;
+  const cached = COMPILED.get(id);
+  if (cached && cached.key === key) return cached;
+
+  const compiled = strategyDsl.compile(binding.definition);
+  const entry = { key, strategy: compiled.ok ? compiled.strategy : null };
+  COMPILED.set(id, entry);
+  return entry;
+}
+
+function dropStrategyCache(id) {
+  COMPILED.delete(id);
+  for (const key of STRATEGY_BARS.keys()) {
+    if (key.startsWith(`${id}|`)) STRATEGY_BARS.delete(key);
+  }
+}
+
+/**
+ * The bound strategy's call on this symbol's recent ticks, shaped
+ * like tradeBrain's output (confidence 0–100). Entries under the
+ * strategy's thresholds come back as WAIT.
+ */
+function strategyDecision(id, state, symbol, price, now) {
+  const binding = state.strategy;
+  const { key, strategy } = compiledFor(id, binding);
+  const base = { symbol, action: "WAIT", confidence: 0, edge: 0, strategy: key, ts: now };
+
+  if (!strategy) return { ...base, reason: "INVALID_STRATEGY" };
+  if (binding.symbols && !binding.symbols.includes(symbol)) return { ...base, reason: "SYMBOL_FILTER" };
+
+  const barsKey = `${id}|${symbol}`;
+  if (!STRATEGY_BARS.has(barsKey)) STRATEGY_BARS.set(barsKey, []);
+  const bars = STRATEGY_BARS.get(barsKey);
+  bars.push({ close: price, time: now });
+  if (bars.length > strategy.lookback) bars.shift();
+
+  const pos = state.positions[symbol];
+  const d = strategy.decide(bars, { position: pos ? pos.side : null });
+  const entering = d.action === "BUY" || d.action === "SELL";
+  const belowThreshold = entering &&
+    (d.confidence < strategy.params.confidenceThreshold || d.edge < strategy.params.edgeThreshold);
+
+  return {
+    ...base,
+    ...d,
+    action: belowThreshold ? "WAIT" : d.action,
+    confidence: Math.round(d.confidence * 100),
+    reason: belowThreshold ? "BELOW_THRESHOLD" : d.reason,
+    attribution: {
+      features: { price, regime: d.regime ?? null, bars: bars.length, position: pos ? pos.side : null },
+      components: [{ name: d.reason, confidence: d.confidence, edge: d.edge }],
+      thresholds: entering
+        ? [
+            { name: "confidenceThreshold", value: strategy.params.confidenceThreshold, actual: d.confidence, passed: d.confidence >= strategy.params.confidenceThreshold, applied: belowThreshold },
+            { name: "edgeThreshold", value: strategy.params.edgeThreshold, actual: d.edge, passed: d.edge >= strategy.params.edgeThreshold, applied: belowThreshold }
+          ]
+        : [],
+      proposed: d.action
+    }
   };
+}
 
-  console.log(`[CORE]: 🚀 ${action} Executed at ${entryPrice.toFixed(2)}`);
+/**
+ * Binds a strategyRegistry version to the account (null unbinds and
+ * hands decisions back to tradeBrain). Open positions are kept.
+ */
+function setStrategy(id, binding) {
+  const state = load(id);
+  state.strategy = binding || null;
+  dropStrategyCache(id);
+  persist(id, state, true);
+  return { ok: true, strategy: strategyView(state) };
 }
 
-/* ================= TICK & SYNC — v53.2 ================= */
+function strategyView(state) {
+  if (!state.strategy) return null;
+  const { strategyId, version, name, symbols } = state.strategy;
+  return { strategyId, version, name, symbols };
+}
 
-function tick(id, symbol, price) {
+/* ================= TICK & SYNC — v54.0 (MULTI-SYMBOL) ================= */
+
+/**
+ * `opts.now` / `opts.rng` let offline simulations drive the brain and
+ * risk gateway with a simulated clock and seeded rng; `opts.audit: false`
+ * keeps their rejected entries out of the audit ledger. Live ticks omit them.
+ */
+function tick(id, symbol, price, opts = {}) {
   const state = load(id);
+  runTick(id, state, symbol, price, opts);
+  persist(id, state);
+}
+
+/**
+ * Hard stop, stop-loss and take-profit checks for a position, in the
+ * order they are applied; the first with `applied` closes it.
+ */
+function protectionChecks(pos, price) {
+  const long = pos.side === "LONG";
+  const pnlPct = unrealizedOf(pos, price) / (pos.entry * pos.qty);
+  const checks = [
+    { name: "hardStopLoss", reason: "HARD_STOP", value: HARD_STOP_LOSS, actual: pnlPct, passed: pnlPct > HARD_STOP_LOSS }
+  ];
+
+  if (pos.stopLoss != null) {
+    const hit = long ? price <= pos.stopLoss : price >= pos.stopLoss;
+    checks.push({ name: "stopLoss", reason: "STOP_LOSS", value: pos.stopLoss, actual: price, passed: !hit });
+  }
+  if (pos.takeProfit != null) {
+    const hit = long ? price >= pos.takeProfit : price <= pos.takeProfit;
+    checks.push({ name: "takeProfit", reason: "TAKE_PROFIT", value: pos.takeProfit, actual: price, passed: !hit });
+  }
+
+  const first = checks.findIndex((c) => !c.passed);
+  return checks.map((c, i) => ({ ...c, applied: i === first }));
+}
+
+function runTick(id, state, symbol, price, opts) {
   state.stats.ticks += 1;
+  state.lastPrices[symbol] = price;
+  accrueCarry(state);
+
+  /* --- RESTING ORDERS --- */
+  matchOrders(state, symbol, price);
+
+  /* --- PER-POSITION PROTECTION (this symbol only) --- */
+  const pos = state.positions[symbol];
+  if (pos) {
+    pos.high = Math.max(pos.high ?? price, price);
+    pos.low = Math.min(pos.low ?? price, price);
 
-  /* --- REAL-TIME EQUITY SYNC --- */
-  let currentUnrealized = 0;
-  if (state.position) {
-    const pos = state.position;
-    currentUnrealized = pos.side === "LONG"
-      ? (price - pos.entry) * pos.qty
-      : (pos.entry - price) * pos.qty;
-    
-    const pnlPct = currentUnrealized / (pos.entry * pos.qty);
-    if (pnlPct <= HARD_STOP_LOSS) return executeExit(state, symbol, price, "HARD_STOP");
-    
-    if (pos.side === "LONG" && price <= pos.stopLoss) return executeExit(state, symbol, price, "STOP_LOSS");
-    if (pos.side === "SHORT" && price >= pos.stopLoss) return executeExit(state, symbol, price, "STOP_LOSS");
+    const checks = protectionChecks(pos, price);
+    const trigger = checks.find((c) => c.applied);
+    if (trigger) {
+      const tradeId = pos.tradeId || null;
+      executeExit(state, symbol, price, trigger.reason);
+
+      if (!EPHEMERAL.has(id)) {
+        decisionLog.record({
+          tenantId: id,
+          symbol,
+          source: "protection",
+          decision: { action: "CLOSE", reason: trigger.reason },
+          thresholds: checks.map(({ reason, ...c }) => c),
+          persist: persistent(id),
+          ts: Number.isFinite(opts.now) ? opts.now : Date.now(),
+          outcome: "EXITED",
+          outcomeReason: trigger.reason,
+          tradeId
+        });
+      }
+      return;
+    }
   }
   
-  state.equity = state.balance + currentUnrealized;
+  /* --- REAL-TIME EQUITY SYNC (whole portfolio) --- */
+  refreshEquity(state);
 
-  /* --- INTELLIGENCE (BRAIN) CALL --- */
-  const brainOutput = makeDecision({ symbol, last: price, core: state });
+  /* --- INTELLIGENCE (BRAIN OR BOUND STRATEGY) CALL --- */
+  const dsl = state.strategy
+    ? strategyDecision(id, state, symbol, price, Number.isFinite(opts.now) ? opts.now : Date.now())
+    : null;
+
+  const brainOutput = dsl || makeDecision({
+    tenantId: id,
+    symbol,
+    last: price,
+    core: state,
+    now: opts.now,
+    rng: opts.rng
+  });
   
   // ⚡ SYNC: Force-updating the global confidence for the Frontend Dashboard
   const currentConf = brainOutput.confidence || 0;
@@ -120,52 +809,244 @@ function tick(id, symbol, price) {
   }
 
   state.stats.signals += 1;
-  state.intelligence.push({ ...brainOutput, ts: Date.now() });
-  if (state.intelligence.length > MAX_HISTORY) state.intelligence.shift();
 
   /* --- STEALTH EXECUTION LOGIC --- */
-  if (!state.position && currentConf > 15) {
-    if (brainOutput.action === "BUY" || brainOutput.action === "SELL") {
-      executeEntry(state, symbol, brainOutput.action, price);
+  // A bound strategy has already applied its own thresholds and only
+  // closes on its exit rules
+  const entering = brainOutput.action === "BUY" || brainOutput.action === "SELL";
+  const held = Boolean(state.positions[symbol]);
+  const thresholds = dsl ? [] : [
+    { name: "entryConfidence", value: ENTRY_MIN_CONFIDENCE, actual: currentConf, passed: currentConf > ENTRY_MIN_CONFIDENCE, applied: entering && !held && currentConf <= ENTRY_MIN_CONFIDENCE }
+  ];
+  let outcome = { outcome: entering ? "SKIPPED" : "WAIT", outcomeReason: null };
+
+  if (!held && (dsl || currentConf > ENTRY_MIN_CONFIDENCE)) {
+    if (entering) {
+      const plan = dsl
+        ? { riskPct: dsl.riskPct, stopLoss: dsl.stopLoss, takeProfit: dsl.takeProfit, strategy: dsl.strategy }
+        : {};
+      const entry = executeEntry(id, state, symbol, brainOutput.action, price, opts, plan);
+      outcome = entry.ok
+        ? { outcome: "ENTERED", tradeId: entry.tradeId }
+        : { outcome: "REJECTED", outcomeReason: entry.gate?.reason || entry.reason, risk: entry.gate ? { decision: entry.gate.decision || "REJECT", reasons: entry.gate.reasons || [] } : null };
     }
+  } else if (entering) {
+    outcome.outcomeReason = held ? "POSITION_OPEN" : "BELOW_ENTRY_CONFIDENCE";
   }
 
-  if (state.position && (brainOutput.action === "CLOSE" || currentConf < 5)) {
-    executeExit(state, symbol, price, "AI_SIGNAL");
+  const open = state.positions[symbol];
+  if (open && (brainOutput.action === "CLOSE" || (!dsl && currentConf < EXIT_MAX_CONFIDENCE))) {
+    executeExit(state, symbol, price, dsl ? "STRATEGY_EXIT" : "AI_SIGNAL");
+    outcome = { outcome: "EXITED", outcomeReason: dsl ? "STRATEGY_EXIT" : "AI_SIGNAL", tradeId: open.tradeId || null };
   }
+  if (!dsl && held) {
+    thresholds.push({ name: "exitConfidence", value: EXIT_MAX_CONFIDENCE, actual: currentConf, passed: currentConf >= EXIT_MAX_CONFIDENCE, applied: currentConf < EXIT_MAX_CONFIDENCE });
+  }
+
+  const logged = EPHEMERAL.has(id) ? null : decisionLog.record({
+    tenantId: id,
+    symbol,
+    source: dsl ? "strategy" : "tradeBrain",
+    decision: brainOutput,
+    thresholds,
+    persist: persistent(id),
+    ts: Number.isFinite(opts.now) ? opts.now : Date.now(),
+    ...outcome
+  });
+
+  // Attribution lives in the decision log; the snapshot keeps the summary
+  const { attribution, ...summary } = brainOutput;
+  state.intelligence.push({ ...summary, decisionId: logged?.id || null, outcome: outcome.outcome, ts: Date.now() });
+  if (state.intelligence.length > MAX_HISTORY) state.intelligence.shift();
+}
+
+/**
+ * Kill-switch exit: cancels open orders and closes positions at the
+ * last price through the normal exit path, for one symbol or all.
+ * Positions that have never been priced stay open and are reported.
+ */
+function flatten(id, { symbol = null, reason = "KILL_SWITCH" } = {}) {
+  const state = load(id);
+  const sym = symbol ? String(symbol).toUpperCase() : null;
+
+  let canceled = 0;
+  for (const order of state.orders) {
+    if (!orderBook.isOpen(order) || (sym && order.symbol !== sym)) continue;
+    if (orderBook.cancelOrder(order).ok) canceled += 1;
+  }
+
+  const closed = [];
+  const unpriced = [];
+  for (const pos of openPositions(state)) {
+    if (sym && pos.symbol !== sym) continue;
+
+    const price = state.lastPrices[pos.symbol];
+    if (!(price > 0)) {
+      unpriced.push(pos.symbol);
+      continue;
+    }
+    closed.push({ symbol: pos.symbol, price, pnl: executeExit(state, pos.symbol, price, reason) });
+  }
+
+  if (canceled || closed.length) {
+    pruneOrders(state);
+    persist(id, state, true);
+  }
+
+  return { ok: true, canceled, closed, unpriced };
 }
 
 /**
  * 🚨 PUSH 5.2.1: EMERGENCY TERMINATION
- * Clears all positions immediately without AI intervention.
+ * Flattens the whole account without AI intervention.
  */
 function emergencyStop(id) {
-  const state = load(id);
-  if (state.position) {
+  if (openPositions(load(id)).length) {
     console.warn(`[CORE]: ⚠️ EMERGENCY_STOP_SIGNAL_RECEIVED for ${id}`);
-    state.position = null; // Instant drop to prevent further losses
-    state.history.push({
-      type: "EMERGENCY_EXIT",
-      timestamp: Date.now(),
-      reason: "SECURITY_BREACH_PROTOCOL"
-    });
   }
+  return flatten(id, { reason: "EMERGENCY_EXIT" });
+}
+
+/**
+ * Accounts loaded in this process, excluding offline namespaces.
+ */
+function tenants() {
+  return [...STATES.keys()].filter((id) => !EPHEMERAL.has(id));
+}
+
+/**
+ * Drops a tenant's paper account so the next tick starts from a clean
+ * balance. Used by offline training / replay namespaces, which are
+ * never persisted; real accounts use resetAccount().
+ */
+function hardReset(id) {
+  EPHEMERAL.add(id);
+  STATES.delete(id);
+  dropStrategyCache(id);
+  riskGateway.resetTenant(id);
+  return load(id);
+}
+
+/**
+ * Explicit "reset account": a clean balance under a new epoch. The
+ * earlier epoch's trade log is kept and stays queryable.
+ */
+function resetAccount(id, { actor = null, reason = null } = {}) {
+  STATES.delete(id);
+  dropStrategyCache(id);
+  riskGateway.resetTenant(id);
+
+  const state = freshState();
+  STATES.set(id, state);
+
+  let epoch = null;
+  if (persistent(id)) {
+    epoch = paperStore.reset(id, state, { actor, reason }).epoch;
+    state.savedAt = Date.now();
+  }
+
+  return { ok: true, epoch, snapshot: snapshot(id) };
+}
+
+/**
+ * Loads every stored account into memory. Called once on boot so
+ * resting orders match again from the first tick.
+ */
+function restoreAll() {
+  if (!PERSIST) return 0;
+  const ids = paperStore.tenants();
+  ids.forEach(load);
+  return ids.length;
+}
+
+/**
+ * Closed trades, oldest first. Each carries strategy, openedAt and
+ * MAE/MFE for the tearsheet. Persisted accounts return the whole
+ * current epoch; others only what is still in memory.
+ */
+function tradeLog(id) {
+  const state = load(id);
+  persist(id, state, state.pending.length > 0);
+
+  if (persistent(id)) return paperStore.trades(id);
+  return state.history.filter((h) => h.type === "EXIT").map((h) => ({ ...h }));
+}
+
+/**
+ * Paginated history, newest first: { total, epoch, currentEpoch, records }.
+ */
+function history(id, query = {}) {
+  if (persistent(id)) return paperStore.history(id, query);
+
+  let rows = load(id).history.slice().reverse();
+  if (query.type) rows = rows.filter((r) => r.type === String(query.type).toUpperCase());
+  if (query.symbol) rows = rows.filter((r) => r.symbol === String(query.symbol).toUpperCase());
+
+  const start = Math.max(0, Number(query.offset) || 0);
+  const size = Math.min(Math.max(1, Number(query.limit) || 50), 500);
+  return { total: rows.length, epoch: null, currentEpoch: null, records: rows.slice(start, start + size) };
+}
+
+/**
+ * Cost totals since the account opened, plus the current fee tier.
+ * Spread and slippage are inside fill prices; fees, funding and
+ * borrow were deducted from the balance.
+ */
+function costsReport(state) {
+  const { volume, ...totals } = state.costs;
+  const volume30dUsd = costModel.volume30d(volume);
+  const tier = costModel.feeTier(costModel.CONFIG.simVenue, volume30dUsd);
+
+  return {
+    ...totals,
+    total: costModel.totalCosts(totals),
+    venue: costModel.CONFIG.simVenue,
+    volume30dUsd,
+    makerBps: tier.makerBps,
+    takerBps: tier.takerBps
+  };
 }
 
 function snapshot(id) {
   const s = load(id);
+  const positions = openPositions(s).map((p) => ({
+    ...p,
+    mark: s.lastPrices[p.symbol] || null,
+    unrealized: unrealizedOf(p, s.lastPrices[p.symbol])
+  }));
+
   return {
     equity: s.equity,
     balance: s.balance,
-    position: s.position,
+    positions,
+    position: positions[0] || null, // legacy single-position view
+    exposure: positions.reduce((sum, p) => sum + p.qty * (p.mark || p.entry), 0),
+    orders: s.orders.filter(orderBook.isOpen),
     history: s.history,
     intelligence: s.intelligence,
-    stats: s.stats
+    stats: s.stats,
+    costs: costsReport(s),
+    strategy: strategyView(s)
   };
 }
 
 module.exports = { 
   tick, 
   snapshot, 
-  emergencyStop 
+  emergencyStop,
+  flatten,
+  tenants,
+  placeOrder,
+  cancelOrder,
+  replaceOrder,
+  listOrders,
+  closePosition,
+  setProtection,
+  tradeLog,
+  history,
+  resetAccount,
+  restoreAll,
+  flushSnapshots,
+  setStrategy,
+  hardReset
 };
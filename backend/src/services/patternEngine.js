@@ -2,8 +2,11 @@
 // PATTERN ENGINE — Institutional Liquidity Map Engine v5
 // Liquidity Pools • Stop Hunts • Liquidity Magnets
 // Vacuums • Momentum Exhaustion • Trap Detection
+// Order-book walls (marketMicrostructure) as liquidity pools
 // ==========================================================
 
+const microstructure = require("./marketMicrostructure");
+
 const clamp = (n,min,max)=>Math.max(min,Math.min(max,n));
 
 const PATTERN_MEMORY = new Map();
@@ -11,6 +14,9 @@ const PATTERN_MEMORY = new Map();
 const MAX_MEMORY = 400;
 const MIN_PATTERN_OCCURRENCES = 3;
 
+// a level this many times the side's average size is a wall
+const WALL_MULTIPLE = 3;
+
 /* ======================================================
 STATE
 ====================================================== */
@@ -298,11 +304,44 @@ function detectMomentumExhaustion(prices){
 
 }
 
+/* ======================================================
+BOOK WALLS (REAL DEPTH)
+====================================================== */
+
+function findWall(levels){
+
+  if(!Array.isArray(levels) || levels.length < 3)
+    return null;
+
+  const avg =
+    levels.reduce((s,l)=>s+l[1],0) / levels.length;
+
+  const wall =
+    levels.find(l => l[1] >= avg * WALL_MULTIPLE);
+
+  return wall ? { price:wall[0], volume:wall[1] } : null;
+
+}
+
+function detectBookWalls(symbol){
+
+  const book =
+    symbol ? microstructure.getBook(symbol) : null;
+
+  if(!book) return { bid:null, ask:null };
+
+  return {
+    bid:findWall(book.bids),
+    ask:findWall(book.asks)
+  };
+
+}
+
 /* ======================================================
 PATTERN DETECTION
 ====================================================== */
 
-function detectMarketPattern({ tenantId }){
+function detectMarketPattern({ tenantId, symbol }){
 
   const state = getState(tenantId);
   const prices = state.priceHistory;
@@ -331,17 +370,20 @@ function detectMarketPattern({ tenantId }){
   const exhaustion =
     detectMomentumExhaustion(prices);
 
+  const walls =
+    detectBookWalls(symbol);
+
   if(liquiditySweep === "bearish_sweep")
     return { type:"stop_hunt_short", boost:1.35 };
 
   if(liquiditySweep === "bullish_sweep")
     return { type:"stop_hunt_long", boost:1.35 };
 
-  if(equalHighs)
-    return { type:"liquidity_pool_high", boost:1.2 };
+  if(equalHighs || walls.ask)
+    return { type:"liquidity_pool_high", boost:1.2, level:walls.ask };
 
-  if(equalLows)
-    return { type:"liquidity_pool_low", boost:1.2 };
+  if(equalLows || walls.bid)
+    return { type:"liquidity_pool_low", boost:1.2, level:walls.bid };
 
   if(vacuum)
     return { type:"liquidity_vacuum", boost:1.25 };
@@ -434,7 +476,7 @@ function getPatternEdgeBoost({
   }
 
   const livePattern =
-    detectMarketPattern({tenantId});
+    detectMarketPattern({tenantId,symbol});
 
   boost *= livePattern.boost;
 
@@ -446,5 +488,14 @@ module.exports={
   recordSignal,
   recordTrade,
   recordPrice,
-  getPatternEdgeBoost
+  getPatternEdgeBoost,
+
+  // pure detectors over [{ price }], shared with strategyDsl
+  detectEqualHighs,
+  detectEqualLows,
+  detectLiquiditySweep,
+  detectLiquidityMagnet,
+  detectLiquidityVacuum,
+  analyzeMomentum,
+  detectMomentumExhaustion
 };
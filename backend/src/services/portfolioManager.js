@@ -142,6 +142,25 @@ function computeAllocation(symbols){
 EXPOSURE REBUILD
 ========================================================= */
 
+function addExposure(state,symbol,notional){
+
+  state.exposureBySymbol[symbol] =
+    (state.exposureBySymbol[symbol] || 0) + notional;
+
+  state.totalExposure += notional;
+
+  const sector = getSector(symbol);
+
+  state.sectors[sector] =
+    (state.sectors[sector] || 0) + notional;
+
+}
+
+/*
+  Accepts either a multi-position book
+  ({ positions: {symbol: pos} | [pos], lastPrices })
+  or the legacy single-position shape ({ position, lastPrice }).
+*/
 function rebuildExposure(state,tradingState){
 
   state.exposureBySymbol={};
@@ -150,23 +169,40 @@ function rebuildExposure(state,tradingState){
 
   if(!tradingState) return;
 
-  if(tradingState.position){
+  if(tradingState.positions){
 
-    const pos = tradingState.position;
+    const positions = Array.isArray(tradingState.positions)
+      ? tradingState.positions
+      : Object.values(tradingState.positions);
 
-    if(pos.qty && tradingState.lastPrice){
+    const prices = tradingState.lastPrices || {};
+
+    for(const pos of positions){
 
-      const notional =
-        Math.abs(pos.qty * tradingState.lastPrice);
+      if(!pos || !pos.qty) continue;
 
-      state.exposureBySymbol[pos.symbol] = notional;
+      const mark = prices[pos.symbol] || pos.entry;
+      if(!mark) continue;
 
-      state.totalExposure += notional;
+      addExposure(state,pos.symbol,Math.abs(pos.qty * mark));
 
-      const sector = getSector(pos.symbol);
+    }
+
+    return;
+
+  }
+
+  if(tradingState.position){
+
+    const pos = tradingState.position;
+
+    if(pos.qty && tradingState.lastPrice){
 
-      state.sectors[sector] =
-        (state.sectors[sector] || 0) + notional;
+      addExposure(
+        state,
+        pos.symbol,
+        Math.abs(pos.qty * tradingState.lastPrice)
+      );
 
     }
 
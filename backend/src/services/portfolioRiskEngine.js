@@ -0,0 +1,501 @@
+// backend/src/services/portfolioRiskEngine.js
+// AutoShield Tech — Portfolio Value-at-Risk & Stress Testing
+// Historical • Parametric • Monte Carlo • Scenario Shocks
+//
+// Return series come from replay candles (marketReplayEngine) when a
+// symbol has enough history, otherwise from live ticks recorded by
+// correlationEngine. Each series is scaled to the report horizon by
+// sqrt(horizon / interval) and series are aligned on their most
+// recent observations. Symbols without a series fall back to a flat
+// volatility with no correlation and are left out of historical VaR.
+//
+// VaR and CVaR are positive USD losses at `confidence` over
+// `horizonMs`. The latest report per tenant is cached; riskGateway
+// hands its VaR to riskManager.evaluate, which halts live trading
+// above RISK_MAX_VAR_PCT of equity.
+
+const correlationEngine = require("./correlationEngine");
+const marketReplayEngine = require("./marketReplayEngine");
+const { createRng } = require("../lib/prng");
+
+/* =========================================================
+   CONFIG
+========================================================= */
+
+const DAY_MS = 86400000;
+
+const CONFIG = Object.freeze({
+  confidence: Number(process.env.RISK_VAR_CONFIDENCE || 0.99),
+  horizonMs: Number(process.env.RISK_VAR_HORIZON_MS || DAY_MS),
+  lookback: Number(process.env.RISK_VAR_LOOKBACK || 500),
+  minObservations: Number(process.env.RISK_VAR_MIN_OBSERVATIONS || 30),
+  simulations: Number(process.env.RISK_VAR_SIMULATIONS || 10000),
+  fallbackDailyVol: Number(process.env.RISK_VAR_FALLBACK_DAILY_VOL || 0.05),
+  // Cached reports older than this are rebuilt by currentVar()
+  maxAgeMs: Number(process.env.RISK_VAR_MAX_AGE_MS || 300000),
+  // Headline figure: historical | parametric | monteCarlo | max
+  headline: String(process.env.RISK_VAR_HEADLINE || "max"),
+});
+
+const METHODS = ["historical", "parametric", "monteCarlo"];
+
+// Shocks are returns keyed by base asset; "*" hits every asset.
+// Unshocked assets follow the largest shock through their beta.
+const SCENARIOS = [
+  { id: "btc_crash_1h", name: "BTC -20% in one hour", shocks: { BTC: -0.2 } },
+  { id: "eth_crash_1h", name: "ETH -25% in one hour", shocks: { ETH: -0.25 } },
+  { id: "crypto_crash", name: "All crypto -35%", shocks: { "*": -0.35 } },
+  { id: "btc_squeeze", name: "BTC +15% short squeeze", shocks: { BTC: 0.15 } },
+  { id: "correlation_one", name: "Correlations go to 1", correlationOne: true },
+  { id: "vol_spike", name: "Volatility triples", volMultiplier: 3 },
+];
+
+// Used when an asset has no shared series with the shock driver
+const FALLBACK_BETA = 1;
+
+/* =========================================================
+   STATE
+========================================================= */
+
+const LATEST = new Map();
+
+/* =========================================================
+   MATH
+========================================================= */
+
+function safeNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function round(v, dp = 2) {
+  return Number(safeNum(v).toFixed(dp));
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const s = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function covariance(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < 2) return 0;
+  const ma = mean(a);
+  const mb = mean(b);
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += (a[i] - ma) * (b[i] - mb);
+  return sum / (n - 1);
+}
+
+// Acklam's rational approximation of the standard normal quantile
+function inverseNormal(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -inverseNormal(1 - p);
+
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+// Lower-triangular L with L·Lᵀ = m; tiny pivots are floored so
+// near-singular matrices (perfectly co-moving assets) still factor
+function cholesky(m) {
+  const n = m.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = m[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+
+      if (i === j) L[i][j] = Math.sqrt(Math.max(sum, 1e-18));
+      else L[i][j] = sum / L[j][j];
+    }
+  }
+
+  return L;
+}
+
+// VaR is the loss quantile; CVaR the mean loss at or beyond it
+function tailRisk(losses, confidence) {
+  if (!losses.length) return null;
+  const sorted = losses.slice().sort((a, b) => a - b);
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(confidence * sorted.length) - 1));
+  const var_ = sorted[idx];
+  const tail = sorted.slice(idx);
+  return { var: Math.max(0, var_), cvar: Math.max(0, mean(tail)) };
+}
+
+/* =========================================================
+   INPUTS
+========================================================= */
+
+function baseAsset(symbol) {
+  const s = String(symbol || "").toUpperCase().replace(/[^A-Z]/g, "");
+  const base = s.replace(/(USDT|USDC|USD|EUR|GBP)$/, "") || s;
+  return base === "XBT" ? "BTC" : base;
+}
+
+function returnsFromCandles(candles) {
+  const returns = [];
+  const gaps = [];
+  for (let i = 1; i < candles.length; i++) {
+    const prev = safeNum(candles[i - 1].close);
+    const cur = safeNum(candles[i].close);
+    if (prev > 0 && cur > 0) returns.push((cur - prev) / prev);
+    gaps.push(candles[i].time - candles[i - 1].time);
+  }
+  return { returns, intervalMs: median(gaps.filter((g) => g > 0)) };
+}
+
+function loadReturns(tenantId, symbol) {
+  const candles = marketReplayEngine.replayCandles({ symbol, limit: CONFIG.lookback + 1 });
+  if (candles.length > CONFIG.minObservations) {
+    const series = returnsFromCandles(candles);
+    if (series.returns.length >= CONFIG.minObservations && series.intervalMs > 0) {
+      return { source: "candles", ...series };
+    }
+  }
+
+  const live = correlationEngine.getReturns(tenantId, symbol);
+  if (live.returns.length >= CONFIG.minObservations && live.intervalMs > 0) {
+    return { source: "live", returns: live.returns.slice(-CONFIG.lookback), intervalMs: live.intervalMs };
+  }
+
+  return { source: "none", returns: [], intervalMs: null };
+}
+
+// Signed USD exposure per position: long positive, short negative
+function normalizePositions(positions = []) {
+  const bySymbol = {};
+
+  for (const p of positions) {
+    const symbol = String(p?.symbol || "").toUpperCase();
+    const qty = Math.abs(safeNum(p?.qty));
+    const mark = safeNum(p?.mark, safeNum(p?.price, safeNum(p?.entry)));
+    if (!symbol || !(qty > 0) || !(mark > 0)) continue;
+
+    const short = ["SHORT", "SELL"].includes(String(p.side || "").toUpperCase());
+    const exposure = (short ? -1 : 1) * qty * mark;
+
+    if (!bySymbol[symbol]) bySymbol[symbol] = { symbol, asset: baseAsset(symbol), qty: 0, mark, exposure: 0 };
+    bySymbol[symbol].qty += short ? -qty : qty;
+    bySymbol[symbol].exposure += exposure;
+  }
+
+  return Object.values(bySymbol);
+}
+
+function paperBook(tenantId) {
+  // Required lazily: paperTrader → riskGateway → this module
+  const snap = require("./paperTrader").snapshot(tenantId);
+  return { equity: snap.equity, positions: snap.positions };
+}
+
+/* =========================================================
+   MODEL
+========================================================= */
+
+/**
+ * Horizon-scaled return matrix and covariance for the book.
+ * `rows[t][i]` is asset i's scaled return at aligned observation t.
+ */
+function buildModel(tenantId, positions, horizonMs) {
+  const legs = positions.map((p) => {
+    const series = loadReturns(tenantId, p.symbol);
+    const scale = series.intervalMs ? Math.sqrt(horizonMs / series.intervalMs) : 0;
+    return { ...p, source: series.source, scaled: series.returns.map((r) => r * scale) };
+  });
+
+  const covered = legs.filter((l) => l.scaled.length);
+  const n = covered.length ? Math.min(...covered.map((l) => l.scaled.length)) : 0;
+  for (const l of covered) l.scaled = l.scaled.slice(-n);
+
+  const fallbackVar = Math.pow(CONFIG.fallbackDailyVol * Math.sqrt(horizonMs / DAY_MS), 2);
+
+  const cov = legs.map((a) =>
+    legs.map((b) => {
+      if (a.scaled.length && b.scaled.length) return covariance(a.scaled, b.scaled);
+      return a === b ? fallbackVar : 0;
+    })
+  );
+
+  legs.forEach((l, i) => {
+    l.vol = Math.sqrt(cov[i][i]);
+    l.observations = l.scaled.length;
+  });
+
+  const rows = [];
+  for (let t = 0; t < n; t++) rows.push(covered.map((l) => l.scaled[t]));
+
+  return { legs, covered, cov, rows };
+}
+
+function historicalVar(model, confidence) {
+  if (!model.rows.length) return null;
+
+  const exposures = model.covered.map((l) => l.exposure);
+  const losses = model.rows.map((row) => -row.reduce((sum, r, i) => sum + r * exposures[i], 0));
+  const risk = tailRisk(losses, confidence);
+
+  return {
+    ...risk,
+    observations: losses.length,
+    partial: model.covered.length < model.legs.length,
+  };
+}
+
+function portfolioSigma(legs, cov) {
+  let variance = 0;
+  for (let i = 0; i < legs.length; i++) {
+    for (let j = 0; j < legs.length; j++) variance += legs[i].exposure * legs[j].exposure * cov[i][j];
+  }
+  return Math.sqrt(Math.max(0, variance));
+}
+
+// Zero-mean normal: VaR = zσ, CVaR = σφ(z)/(1-c)
+function parametricVar(model, confidence) {
+  if (!model.legs.length) return null;
+  const sigma = portfolioSigma(model.legs, model.cov);
+  const z = inverseNormal(confidence);
+  return { var: z * sigma, cvar: (sigma * normalPdf(z)) / (1 - confidence), sigma };
+}
+
+function monteCarloVar(model, confidence, { simulations, seed }) {
+  if (!model.legs.length) return null;
+
+  const rng = createRng(seed);
+  const L = cholesky(model.cov);
+  const k = model.legs.length;
+  const losses = new Array(simulations);
+  const z = new Array(k);
+
+  for (let s = 0; s < simulations; s++) {
+    for (let i = 0; i < k; i++) z[i] = rng.normal();
+
+    let pnl = 0;
+    for (let i = 0; i < k; i++) {
+      let r = 0;
+      for (let j = 0; j <= i; j++) r += L[i][j] * z[j];
+      pnl += r * model.legs[i].exposure;
+    }
+    losses[s] = -pnl;
+  }
+
+  return { ...tailRisk(losses, confidence), simulations, seed };
+}
+
+/* =========================================================
+   STRESS
+========================================================= */
+
+function betaTo(model, leg, driverAsset) {
+  const driver = model.legs.find((l) => l.asset === driverAsset && l.scaled.length);
+  if (!driver || !leg.scaled.length) return FALLBACK_BETA;
+  const v = covariance(driver.scaled, driver.scaled);
+  return v > 0 ? covariance(leg.scaled, driver.scaled) / v : FALLBACK_BETA;
+}
+
+function scenarioResult(scenario, byAsset, equity) {
+  const pnl = Object.values(byAsset).reduce((a, b) => a + b, 0);
+  return {
+    id: scenario.id,
+    name: scenario.name,
+    pnl: round(pnl),
+    loss: round(Math.max(0, -pnl)),
+    lossPct: equity > 0 ? round(Math.max(0, -pnl) / equity, 6) : null,
+    byAsset: Object.fromEntries(Object.entries(byAsset).map(([k, v]) => [k, round(v)])),
+  };
+}
+
+function runScenario(scenario, model, { equity, confidence }) {
+  const byAsset = {};
+  const z = inverseNormal(confidence);
+
+  // Every asset moves zσ together, in whichever direction hurts more
+  if (scenario.correlationOne) {
+    const move = model.legs.map((l) => l.exposure * l.vol * z);
+    const down = -move.reduce((a, b) => a + b, 0);
+    const dir = down <= 0 ? -1 : 1;
+    model.legs.forEach((l, i) => (byAsset[l.symbol] = dir * move[i]));
+    return scenarioResult(scenario, byAsset, equity);
+  }
+
+  if (scenario.volMultiplier) {
+    const sigma = portfolioSigma(model.legs, model.cov) * scenario.volMultiplier;
+    const total = -z * sigma;
+    const gross = model.legs.reduce((a, l) => a + Math.abs(l.exposure) * l.vol, 0);
+    model.legs.forEach((l) => (byAsset[l.symbol] = gross > 0 ? (total * Math.abs(l.exposure) * l.vol) / gross : 0));
+    return scenarioResult(scenario, byAsset, equity);
+  }
+
+  const shocks = Object.fromEntries(
+    Object.entries(scenario.shocks || {}).map(([k, v]) => [k === "*" ? k : baseAsset(k), safeNum(v)])
+  );
+  const [driver] = Object.entries(shocks)
+    .filter(([k]) => k !== "*")
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+
+  for (const l of model.legs) {
+    let r = 0;
+    if (shocks[l.asset] !== undefined) r = shocks[l.asset];
+    else if (shocks["*"] !== undefined) r = shocks["*"];
+    else if (driver) r = betaTo(model, l, driver[0]) * driver[1];
+    byAsset[l.symbol] = (byAsset[l.symbol] || 0) + l.exposure * r;
+  }
+
+  return scenarioResult(scenario, byAsset, equity);
+}
+
+function normalizeScenario(s, i) {
+  return {
+    id: String(s?.id || `custom_${i + 1}`),
+    name: String(s?.name || s?.id || `Custom scenario ${i + 1}`),
+    shocks: s?.shocks && typeof s.shocks === "object" ? s.shocks : {},
+    correlationOne: Boolean(s?.correlationOne),
+    volMultiplier: safeNum(s?.volMultiplier, 0) || null,
+  };
+}
+
+/* =========================================================
+   REPORT
+========================================================= */
+
+// Largest VaR among `names`; a configured method without data falls back to "max"
+function headlineOf(methods, names = CONFIG.headline === "max" ? METHODS : [CONFIG.headline]) {
+  let best = null;
+  for (const name of names) {
+    const m = methods[name];
+    if (m && (!best || m.var > best.var)) best = { method: name, var: m.var, cvar: m.cvar };
+  }
+  return best || (names === METHODS ? null : headlineOf(methods, METHODS));
+}
+
+/**
+ * Builds (and caches) a tenant's risk report. Positions default to
+ * the tenant's paper book; pass `positions` / `equity` to score any
+ * other book. `scenarios` are added to the built-in stress set.
+ */
+function buildReport(tenantId, options = {}) {
+  const confidence = Math.min(0.9999, Math.max(0.5, safeNum(options.confidence, CONFIG.confidence)));
+  const horizonMs = Math.max(1000, safeNum(options.horizonMs, CONFIG.horizonMs));
+  const simulations = Math.min(100000, Math.max(100, Math.round(safeNum(options.simulations, CONFIG.simulations))));
+  const seed = options.seed ?? `${tenantId}:var`;
+
+  const book = Array.isArray(options.positions) ? { positions: options.positions, equity: options.equity } : paperBook(tenantId);
+  const equity = safeNum(options.equity, safeNum(book.equity));
+  const positions = normalizePositions(book.positions);
+
+  const model = buildModel(tenantId, positions, horizonMs);
+
+  const methods = {
+    historical: historicalVar(model, confidence),
+    parametric: parametricVar(model, confidence),
+    monteCarlo: monteCarloVar(model, confidence, { simulations, seed }),
+  };
+
+  const headline = headlineOf(methods) || { method: null, var: 0, cvar: 0 };
+
+  const custom = Array.isArray(options.scenarios) ? options.scenarios.map(normalizeScenario) : [];
+  const stress = SCENARIOS.concat(custom).map((s) => runScenario(s, model, { equity, confidence }));
+
+  const roundMethod = (m) =>
+    m && Object.fromEntries(Object.entries(m).map(([k, v]) => [k, typeof v === "number" && !Number.isInteger(v) ? round(v) : v]));
+
+  const report = {
+    ok: true,
+    tenantId,
+    asOf: Date.now(),
+    equity: round(equity),
+    confidence,
+    horizonMs,
+    exposure: {
+      gross: round(positions.reduce((a, p) => a + Math.abs(p.exposure), 0)),
+      net: round(positions.reduce((a, p) => a + p.exposure, 0)),
+      positions: model.legs.map((l) => ({
+        symbol: l.symbol,
+        asset: l.asset,
+        qty: l.qty,
+        mark: l.mark,
+        exposure: round(l.exposure),
+        source: l.source,
+        observations: l.observations,
+        vol: round(l.vol, 6),
+      })),
+    },
+    coverage: {
+      covered: model.covered.map((l) => l.symbol),
+      missing: model.legs.filter((l) => !l.scaled.length).map((l) => l.symbol),
+    },
+    var: {
+      historical: roundMethod(methods.historical),
+      parametric: roundMethod(methods.parametric),
+      monteCarlo: roundMethod(methods.monteCarlo),
+    },
+    headline: { method: headline.method, var: round(headline.var), cvar: round(headline.cvar) },
+    varPct: equity > 0 ? round(headline.var / equity, 6) : null,
+    stress,
+  };
+
+  LATEST.set(String(tenantId), { var: headline.var, varPct: report.varPct, method: headline.method, asOf: report.asOf });
+
+  return report;
+}
+
+/* =========================================================
+   LIMIT FEED
+========================================================= */
+
+function getLatest(tenantId) {
+  return LATEST.get(String(tenantId)) || null;
+}
+
+/**
+ * Headline VaR (USD) for the tenant's paper book, rebuilt when the
+ * cached report is older than RISK_VAR_MAX_AGE_MS. 0 when flat.
+ */
+function currentVar(tenantId, { maxAgeMs = CONFIG.maxAgeMs } = {}) {
+  const latest = getLatest(tenantId);
+  if (latest && Date.now() - latest.asOf <= maxAgeMs) return latest.var;
+
+  try {
+    buildReport(tenantId);
+    return getLatest(tenantId)?.var || 0;
+  } catch (err) {
+    console.error("[portfolioRiskEngine] VaR refresh failed:", err.message);
+    return latest?.var || 0;
+  }
+}
+
+function resetTenant(tenantId) {
+  LATEST.delete(String(tenantId));
+}
+
+module.exports = {
+  METHODS,
+  SCENARIOS,
+  buildReport,
+  getLatest,
+  currentVar,
+  resetTenant,
+  inverseNormal,
+};
@@ -0,0 +1,173 @@
+// ==========================================================
+// 📈 PRICE PROCESSES — v1.0 (SIMULATOR MODELS)
+// FILE: backend/src/services/priceProcesses.js
+//
+// Per-step stochastic price models used by marketEngine.
+// Every parameter is expressed per tick (one simulator step).
+//
+//   random_walk — legacy uniform walk (pre-v10 marketEngine)
+//   gbm         — geometric Brownian motion
+//   jump        — Merton jump-diffusion (GBM + lognormal jumps)
+//   garch       — GARCH(1,1) volatility clustering
+//   bootstrap   — block bootstrap of log returns from replay candles
+// ==========================================================
+
+const marketReplayEngine = require("./marketReplayEngine");
+
+/* ================= DEFAULTS ================= */
+const MODEL_DEFAULTS = {
+  random_walk: { vol: 0.0004, drift: 0.0001 },
+  gbm: { mu: 0, sigma: 0.0004 },
+  jump: { mu: 0, sigma: 0.0004, lambda: 0.002, jumpMean: 0, jumpStd: 0.01 },
+  garch: { mu: 0, sigma: 0.0004, alpha: 0.08, beta: 0.9 },
+  bootstrap: { source: null, blockSize: 30, limit: 5000 },
+};
+
+const MODELS = Object.keys(MODEL_DEFAULTS);
+
+/* ================= HELPERS ================= */
+
+function num(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function resolveParams(model, params = {}) {
+  const base = MODEL_DEFAULTS[model];
+  const out = {};
+  for (const key of Object.keys(base)) {
+    out[key] = typeof base[key] === "number" ? num(params[key], base[key]) : params[key] ?? base[key];
+  }
+  return out;
+}
+
+function round2(v) {
+  return Number(v.toFixed(2));
+}
+
+/* ================= MODELS ================= */
+
+function randomWalk(p, rng) {
+  return {
+    step(price) {
+      const drift = (rng.next() - 0.49) * p.drift;
+      const change = price * (p.vol * (rng.next() - 0.5) + drift);
+      return round2(price + change);
+    },
+  };
+}
+
+function gbm(p, rng) {
+  return {
+    step(price) {
+      const z = rng.normal();
+      return round2(price * Math.exp(p.mu - 0.5 * p.sigma * p.sigma + p.sigma * z));
+    },
+  };
+}
+
+function jumpDiffusion(p, rng) {
+  // Drift compensator keeps the expected return equal to mu
+  const kappa = Math.exp(p.jumpMean + 0.5 * p.jumpStd * p.jumpStd) - 1;
+
+  return {
+    step(price) {
+      const z = rng.normal();
+      const jumps = rng.poisson(p.lambda);
+      let jump = 0;
+      for (let i = 0; i < jumps; i++) jump += rng.normal(p.jumpMean, p.jumpStd);
+
+      const logRet = p.mu - p.lambda * kappa - 0.5 * p.sigma * p.sigma + p.sigma * z + jump;
+      return round2(price * Math.exp(logRet));
+    },
+  };
+}
+
+function garch(p, rng) {
+  const persistence = p.alpha + p.beta;
+  if (persistence >= 1) {
+    throw new Error("garch requires alpha + beta < 1");
+  }
+
+  // omega targets the long-run variance sigma²
+  const omega = p.sigma * p.sigma * (1 - persistence);
+  let variance = p.sigma * p.sigma;
+  let lastShock = 0;
+
+  return {
+    step(price) {
+      variance = omega + p.alpha * lastShock * lastShock + p.beta * variance;
+      const sd = Math.sqrt(variance);
+      lastShock = sd * rng.normal();
+      return round2(price * Math.exp(p.mu - 0.5 * variance + lastShock));
+    },
+  };
+}
+
+function bootstrap(p, rng, symbol) {
+  const source = p.source || symbol;
+  const candles = marketReplayEngine.loadMarketData(source).slice(-p.limit);
+  const returns = [];
+
+  for (let i = 1; i < candles.length; i++) {
+    const prev = candles[i - 1].close;
+    const cur = candles[i].close;
+    if (prev > 0 && cur > 0) returns.push(Math.log(cur / prev));
+  }
+
+  if (returns.length < 2) {
+    console.warn(`[SIM]: No replay data for ${source}, bootstrap falling back to gbm`);
+    return gbm(resolveParams("gbm"), rng);
+  }
+
+  const blockSize = Math.max(1, Math.min(Math.floor(p.blockSize), returns.length));
+  let cursor = 0;
+  let remaining = 0;
+
+  return {
+    step(price) {
+      if (remaining === 0) {
+        cursor = rng.int(returns.length - blockSize + 1);
+        remaining = blockSize;
+      }
+      const r = returns[cursor];
+      cursor++;
+      remaining--;
+      return round2(price * Math.exp(r));
+    },
+    sampleSize: returns.length,
+  };
+}
+
+const FACTORIES = {
+  random_walk: randomWalk,
+  gbm,
+  jump: jumpDiffusion,
+  garch,
+  bootstrap,
+};
+
+/* ================= FACTORY ================= */
+
+/**
+ * Builds a stepping process for one symbol.
+ * `rng` must be a lib/prng generator so runs replay from the seed.
+ */
+function createProcess({ model = "random_walk", params = {}, symbol } = {}, rng) {
+  const name = String(model || "random_walk").toLowerCase();
+  if (!FACTORIES[name]) {
+    throw new Error(`Unknown price model: ${model}`);
+  }
+
+  const resolved = resolveParams(name, params);
+  const proc = FACTORIES[name](resolved, rng, symbol);
+
+  return { model: name, params: resolved, ...proc };
+}
+
+module.exports = {
+  MODELS,
+  MODEL_DEFAULTS,
+  resolveParams,
+  createProcess,
+};
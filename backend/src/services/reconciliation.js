@@ -0,0 +1,649 @@
+// ==========================================================
+// ⚖️ POSITION RECONCILIATION — v1.0 (BOOKS ↔ VENUES)
+// FILE: backend/src/services/reconciliation.js
+//
+// Diffs what the live engines believe against what each venue
+// actually holds, so a broken book shows up as an alert instead
+// of being quietly overwritten by the next position sync.
+//
+// A run, per live venue (keys present, not sandboxed):
+//   1. settles in-flight journal orders (orderJournal.reconcile)
+//   2. positions: liveTrader books (persisted per tenant) plus the
+//      krakenLiveTrader position, against venue balances
+//   3. cash: venue quote balances against the previous run's plus
+//      the journal's fills in between
+//   4. open orders: journal against venue
+//
+// Break kinds:
+//   missing_fill      venue holds an asset no book recorded
+//   phantom_position  a book holds an asset the venue does not
+//   qty_mismatch      both hold it, quantities differ
+//   cash_mismatch     cash moved more than the journal explains
+//   orphan_order      open at the venue, never journaled
+//   stale_order       open in the journal, unknown to the venue
+//
+// Every break raises a SOC alert (db.socAlerts); one still open
+// for the same break gets a RECURRED entry instead of a new alert.
+// Runs are kept in db.reconciliations.
+//
+// Holdings the engines do not manage (long-term stacks, fee
+// float) go in RECON_RESERVES, e.g. "kraken:BTC=0.5,binance:USDT=200".
+// ==========================================================
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { readDb, updateDb } = require("../lib/db");
+const { writeAudit } = require("../lib/audit");
+const orderJournal = require("./orderJournal");
+
+/* ================= CONFIG ================= */
+
+function parseReserves(raw) {
+  const out = {};
+  for (const part of String(raw || "").split(",")) {
+    const m = part.trim().match(/^([a-z]+):([A-Za-z0-9]+)=([\d.]+)$/i);
+    if (!m) continue;
+    const venue = m[1].toLowerCase();
+    (out[venue] ||= {})[m[2].toUpperCase()] = Number(m[3]);
+  }
+  return out;
+}
+
+const CONFIG = Object.freeze({
+  enabled: process.env.RECON_ENABLED !== "false",
+  intervalMs: Number(process.env.RECON_INTERVAL_MS || 300000),
+  qtyTolerance: Number(process.env.RECON_QTY_TOLERANCE || 1e-6),
+  qtyTolerancePct: Number(process.env.RECON_QTY_TOLERANCE_PCT || 0.001),
+  cashToleranceUsd: Number(process.env.RECON_CASH_TOLERANCE_USD || 1),
+  cashTolerancePct: Number(process.env.RECON_CASH_TOLERANCE_PCT || 0.002),
+  orderGraceMs: Number(process.env.RECON_ORDER_GRACE_MS || 60000),
+  cashAssets: String(process.env.RECON_CASH_ASSETS || "USD,USDT,USDC,EUR,GBP")
+    .split(",")
+    .map((a) => a.trim().toUpperCase())
+    .filter(Boolean),
+  reserves: parseReserves(process.env.RECON_RESERVES),
+  defaultVenue: String(process.env.EXECUTION_PRIMARY || "kraken").toLowerCase(),
+  liveStateDir: process.env.LIVE_TRADER_STATE_DIR || path.join("/tmp", "live_trader"),
+  maxHistory: Number(process.env.RECON_HISTORY_MAX || 500),
+});
+
+const KINDS = ["missing_fill", "phantom_position", "qty_mismatch", "cash_mismatch", "orphan_order", "stale_order"];
+
+const PRIORITY = {
+  missing_fill: "P1",
+  phantom_position: "P1",
+  qty_mismatch: "P2",
+  cash_mismatch: "P2",
+  orphan_order: "P2",
+  stale_order: "P3",
+};
+
+const RISK = { P1: 90, P2: 70, P3: 40 };
+const DEADLINE_MS = { P1: 15 * 60000, P2: 60 * 60000, P3: 4 * 60 * 60000 };
+const CLOSED = ["RESOLVED", "ARCHIVED"];
+
+const VENUES = {
+  kraken: () => require("./adapters/krakenAdapter"),
+  binance: () => require("./adapters/binanceAdapter"),
+  coinbase: () => require("./adapters/coinbaseAdapter"),
+};
+
+const QUOTES = ["USDT", "USDC", "USD", "EUR", "GBP", "BTC", "ETH"];
+const ASSET_ALIASES = { XBT: "BTC", XXBT: "BTC", XETH: "ETH", XDG: "DOGE" };
+
+/* ================= STATE ================= */
+
+let timer = null;
+let running = false;
+
+/* ================= HELPERS ================= */
+
+function makeId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function round(n, dp = 8) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+function asset(code) {
+  const a = String(code || "").toUpperCase();
+  return ASSET_ALIASES[a] || a;
+}
+
+// BTCUSDT, BTC-USD, XBT/USD, XBTUSD → { base: "BTC", quote: "USD" }
+function splitSymbol(symbol) {
+  const raw = String(symbol || "").toUpperCase();
+  const sep = raw.match(/^([A-Z0-9]+)[-/]([A-Z0-9]+)$/);
+  if (sep) return { base: asset(sep[1]), quote: asset(sep[2]) };
+
+  const quote = QUOTES.find((q) => raw.endsWith(q) && raw.length > q.length);
+  if (!quote) return null;
+  return { base: asset(raw.slice(0, -quote.length)), quote };
+}
+
+function qtyTolerance(a, b) {
+  return Math.max(CONFIG.qtyTolerance, CONFIG.qtyTolerancePct * Math.max(Math.abs(a), Math.abs(b)));
+}
+
+function reserveOf(venue, code) {
+  return CONFIG.reserves[venue]?.[code] || 0;
+}
+
+function persist(mutator) {
+  updateDb((db) => {
+    if (!Array.isArray(db.reconciliations)) db.reconciliations = [];
+    mutator(db.reconciliations, db);
+    return db;
+  });
+}
+
+/* ================= VENUES ================= */
+
+// Venues trading for real: keys present and not sandboxed
+function liveVenues() {
+  const out = {};
+  for (const [name, load] of Object.entries(VENUES)) {
+    try {
+      const adapter = load();
+      const health = adapter.health?.() || {};
+      if (health.keys && !health.sandbox) out[name] = adapter;
+    } catch {}
+  }
+  return out;
+}
+
+// Sequential on purpose: Kraken rejects a nonce lower than the last one seen
+async function venueSnapshot(adapter) {
+  const balances =
+    typeof adapter.getBalances === "function"
+      ? await adapter.getBalances().catch((err) => ({ ok: false, error: err.message }))
+      : { ok: false, error: "Adapter has no getBalances" };
+
+  const open =
+    typeof adapter.getOpenOrders === "function"
+      ? await adapter.getOpenOrders().catch((err) => ({ ok: false, error: err.message }))
+      : { ok: true, orders: [] };
+
+  if (!balances.ok) return { ok: false, error: balances.error };
+
+  const holdings = {};
+  for (const b of balances.balances || []) {
+    const code = asset(b.asset);
+    holdings[code] = (holdings[code] || 0) + Number(b.free || 0) + Number(b.locked || 0);
+  }
+
+  return { ok: true, holdings, openOrders: open.ok ? (open.orders || []).length : null };
+}
+
+/* ================= BOOKS ================= */
+
+// Last venue a tenant's symbol filled on; liveTrader routes per order
+function venueFor(journal, tenantId, symbol) {
+  const sym = String(symbol).toUpperCase();
+  let best = null;
+  for (const e of journal) {
+    if (e.tenantId !== tenantId || e.symbol !== sym || !(e.filledQty > 0)) continue;
+    if (!best || e.updatedAt > best.updatedAt) best = e;
+  }
+  return best ? best.exchange : CONFIG.defaultVenue;
+}
+
+// liveTrader persists one file per tenant; the files are the book
+// that survives a restart, so they are what gets reconciled
+function liveTraderBooks(journal) {
+  let files = [];
+  try {
+    files = fs.readdirSync(CONFIG.liveStateDir);
+  } catch {
+    return [];
+  }
+
+  const out = [];
+  for (const file of files) {
+    const m = file.match(/^live_(.+)\.json$/);
+    if (!m) continue;
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(path.join(CONFIG.liveStateDir, file), "utf-8"));
+    } catch {
+      continue;
+    }
+
+    for (const [symbol, pos] of Object.entries(state.positions || {})) {
+      const pair = splitSymbol(symbol);
+      const qty = Number(pos?.qty);
+      if (!pair || !Number.isFinite(qty) || qty === 0) continue;
+
+      out.push({
+        source: "liveTrader",
+        tenantId: m[1],
+        venue: venueFor(journal, m[1], symbol),
+        symbol,
+        asset: pair.base,
+        qty,
+      });
+    }
+  }
+  return out;
+}
+
+function krakenTraderBook() {
+  try {
+    const pos = require("./krakenLiveTrader").getStatus().position;
+    const pair = pos && splitSymbol(pos.pair);
+    if (!pair || !(Number(pos.vol) > 0)) return [];
+
+    return [{
+      source: "krakenLiveTrader",
+      tenantId: "system",
+      venue: "kraken",
+      symbol: pos.pair,
+      asset: pair.base,
+      qty: pos.side === "sell" ? -Number(pos.vol) : Number(pos.vol),
+    }];
+  } catch {
+    return [];
+  }
+}
+
+/* ================= CASH ================= */
+
+/**
+ * Quote cash the journal says moved on a venue in (from, to]:
+ * fills spend quote on BUY and receive it on SELL. Fill increments
+ * are read from each entry's transitions.
+ */
+function journalCashFlow(journal, venue, code, from, to) {
+  let net = 0;
+  let gross = 0;
+
+  for (const e of journal) {
+    if (e.exchange !== venue || splitSymbol(e.symbol)?.quote !== code) continue;
+
+    const price = Number(e.avgPrice || e.price) || 0;
+    let prev = 0;
+
+    for (const t of e.transitions || []) {
+      const filled = Number(t.filledQty) || 0;
+      if (t.ts > from && t.ts <= to && filled > prev) {
+        const notional = (filled - prev) * price;
+        net += e.side === "BUY" ? -notional : notional;
+        gross += notional;
+      }
+      prev = Math.max(prev, filled);
+    }
+  }
+
+  return { net, gross };
+}
+
+/* ================= DIFF ================= */
+
+function positionBreaks(venue, holdings, books) {
+  const breaks = [];
+  const positions = [];
+  const assets = new Set([
+    ...books.map((b) => b.asset),
+    ...Object.keys(holdings).filter((a) => !CONFIG.cashAssets.includes(a)),
+  ]);
+
+  for (const code of assets) {
+    const mine = books.filter((b) => b.asset === code);
+    const internal = mine.reduce((s, b) => s + b.qty, 0);
+    const reserve = reserveOf(venue, code);
+    const held = (holdings[code] || 0) - reserve;
+    const diff = held - internal;
+    const tol = qtyTolerance(held, internal);
+
+    positions.push({ asset: code, internal: round(internal), venue: round(held), reserve, diff: round(diff) });
+    if (Math.abs(diff) <= tol) continue;
+
+    let kind = "qty_mismatch";
+    if (Math.abs(internal) <= tol) kind = "missing_fill";
+    else if (Math.abs(held) <= tol) kind = "phantom_position";
+
+    const tenants = [...new Set(mine.map((b) => b.tenantId))];
+
+    breaks.push({
+      kind,
+      venue,
+      asset: code,
+      tenantId: tenants.length === 1 ? tenants[0] : null,
+      internal: round(internal),
+      actual: round(held),
+      diff: round(diff),
+      books: mine.map(({ source, tenantId, symbol, qty }) => ({ source, tenantId, symbol, qty })),
+    });
+  }
+
+  return { breaks, positions };
+}
+
+function cashBreaks(venue, holdings, journal, prev, now) {
+  const breaks = [];
+  const cash = {};
+
+  for (const code of CONFIG.cashAssets) {
+    const actual = (holdings[code] || 0) - reserveOf(venue, code);
+    const last = prev?.venues?.[venue]?.cash?.[code];
+
+    if (!holdings[code] && !last) continue;
+
+    cash[code] = { actual: round(actual, 6) };
+    if (!last) continue;
+
+    const flow = journalCashFlow(journal, venue, code, prev.ts, now);
+    const expected = last.actual + flow.net;
+    const diff = actual - expected;
+    const tol = Math.max(CONFIG.cashToleranceUsd, CONFIG.cashTolerancePct * flow.gross);
+
+    Object.assign(cash[code], { expected: round(expected, 6), flow: round(flow.net, 6), diff: round(diff, 6) });
+
+    if (Math.abs(diff) > tol) {
+      breaks.push({
+        kind: "cash_mismatch",
+        venue,
+        asset: code,
+        tenantId: null,
+        internal: round(expected, 6),
+        actual: round(actual, 6),
+        diff: round(diff, 6),
+        since: prev.ts,
+      });
+    }
+  }
+
+  return { breaks, cash };
+}
+
+function orderBreaks(journalReport, now) {
+  const breaks = [];
+
+  for (const o of journalReport.orphans || []) {
+    breaks.push({
+      kind: "orphan_order",
+      venue: o.exchange,
+      asset: splitSymbol(o.symbol)?.base || null,
+      tenantId: null,
+      orderId: o.orderId || null,
+      detail: { symbol: o.symbol, side: o.side, qty: o.requestedQty ?? o.qty ?? null, status: o.status },
+    });
+  }
+
+  const stale = new Set(journalReport.unresolved || []);
+  for (const e of readDb().orderJournal || []) {
+    if (!stale.has(e.id) || now - e.updatedAt < CONFIG.orderGraceMs) continue;
+
+    breaks.push({
+      kind: "stale_order",
+      venue: e.exchange,
+      asset: splitSymbol(e.symbol)?.base || null,
+      tenantId: e.tenantId,
+      orderId: e.exchangeOrderId || e.clientOrderId,
+      journalId: e.id,
+      detail: { symbol: e.symbol, side: e.side, qty: e.qty, status: e.status, since: e.updatedAt },
+    });
+  }
+
+  return breaks;
+}
+
+/* ================= SOC ALERTS ================= */
+
+function breakKey(b) {
+  return ["recon", b.venue, b.kind, b.asset || "-", b.orderId || "-"].join(":");
+}
+
+function describe(b) {
+  const where = `${b.venue}${b.asset ? ` ${b.asset}` : ""}`;
+  switch (b.kind) {
+    case "missing_fill":
+      return `Reconciliation: ${where} holds ${b.actual} not recorded in any book`;
+    case "phantom_position":
+      return `Reconciliation: books hold ${b.internal} ${b.asset} that ${b.venue} does not`;
+    case "qty_mismatch":
+      return `Reconciliation: ${where} books ${b.internal} vs venue ${b.actual}`;
+    case "cash_mismatch":
+      return `Reconciliation: ${where} cash ${b.actual} vs expected ${b.internal}`;
+    case "orphan_order":
+      return `Reconciliation: ${b.venue} order ${b.orderId} was never journaled`;
+    default:
+      return `Reconciliation: journal order ${b.orderId} is unknown to ${b.venue}`;
+  }
+}
+
+/**
+ * Opens a SOC alert per new break and notes recurrences on the
+ * open one. Alerts whose break is gone (on a venue that answered)
+ * get a BREAK_CLEARED entry; closing them stays with the analyst.
+ */
+function raiseAlerts(breaks, { runId, checkedVenues, now }) {
+  const created = [];
+  const stamp = new Date(now).toISOString();
+  const keys = new Set(breaks.map(breakKey));
+
+  updateDb((db) => {
+    if (!Array.isArray(db.socAlerts)) db.socAlerts = [];
+
+    for (const b of breaks) {
+      const key = breakKey(b);
+      const open = db.socAlerts.find((a) => a.reconKey === key && !CLOSED.includes(a.status));
+
+      if (open) {
+        open.activity = open.activity || [];
+        open.activity.unshift({ time: stamp, action: "RECURRED", actor: "reconciliation", runId });
+        open.lastSeenAt = stamp;
+        open.clearedAt = null;
+        b.alertId = open.id;
+        continue;
+      }
+
+      const priority = PRIORITY[b.kind];
+      const alert = {
+        id: `soc-${now}-${crypto.randomBytes(6).toString("hex")}`,
+        companyId: b.tenantId && b.tenantId !== "system" ? b.tenantId : null,
+        risk: RISK[priority],
+        priority,
+        containment: "STABLE",
+        status: "NEW",
+        createdAt: stamp,
+        deadline: new Date(now + DEADLINE_MS[priority]).toISOString(),
+        assignedTo: null,
+        locked: false,
+        source: "reconciliation",
+        category: "RECONCILIATION_BREAK",
+        title: describe(b),
+        reconKey: key,
+        detail: { ...b, runId },
+        lastSeenAt: stamp,
+        clearedAt: null,
+        activity: [{ time: stamp, action: "CREATED", actor: "reconciliation", runId }],
+      };
+
+      db.socAlerts.unshift(alert);
+      b.alertId = alert.id;
+      created.push(alert);
+    }
+
+    for (const a of db.socAlerts) {
+      if (a.source !== "reconciliation" || CLOSED.includes(a.status) || a.clearedAt) continue;
+      if (keys.has(a.reconKey) || !checkedVenues.includes(a.detail?.venue)) continue;
+
+      a.clearedAt = stamp;
+      a.activity = a.activity || [];
+      a.activity.unshift({ time: stamp, action: "BREAK_CLEARED", actor: "reconciliation", runId });
+    }
+
+    return db;
+  });
+
+  for (const alert of created) {
+    writeAudit({
+      actor: "reconciliation",
+      role: "system",
+      action: "SOC_ALERT_CREATED",
+      target: alert.detail.venue,
+      companyId: alert.companyId,
+      detail: { alertId: alert.id, kind: alert.detail.kind, asset: alert.detail.asset, runId },
+    });
+  }
+
+  return created.length;
+}
+
+/* ================= RUN ================= */
+
+/**
+ * One reconciliation pass. `venues` ({ name: adapter }) replaces the
+ * live-venue lookup, e.g. with adapters pointed at a local stub.
+ */
+async function run({ trigger = "manual", actor = null, venues = null } = {}) {
+  if (running) return { ok: false, error: "Reconciliation already running" };
+
+  const adapters = venues || liveVenues();
+  const names = Object.keys(adapters);
+  if (!names.length) return { ok: true, skipped: true, reason: "No live venues configured" };
+
+  running = true;
+  const startedAt = Date.now();
+
+  try {
+    const journalReport = await orderJournal
+      .reconcile({ venues: adapters, exchanges: names })
+      .catch((err) => ({ ok: false, error: err.message, orphans: [], unresolved: [] }));
+
+    const now = Date.now();
+    const journal = readDb().orderJournal || [];
+    const past = readDb().reconciliations || [];
+
+    const books = [...liveTraderBooks(journal), ...(names.includes("kraken") ? krakenTraderBook() : [])];
+
+    const breaks = orderBreaks(journalReport, now).filter((b) => names.includes(b.venue));
+    const report = {};
+    const checked = [];
+
+    for (const venue of names) {
+      const snap = await venueSnapshot(adapters[venue]);
+      if (!snap.ok) {
+        report[venue] = { ok: false, error: snap.error };
+        continue;
+      }
+
+      // Cash is diffed against the venue's last successful snapshot
+      const base = past.findLast((r) => r.venues?.[venue]?.ok) || null;
+      const pos = positionBreaks(venue, snap.holdings, books.filter((b) => b.venue === venue));
+      const cash = cashBreaks(venue, snap.holdings, journal, base, now);
+
+      breaks.push(...pos.breaks, ...cash.breaks);
+      checked.push(venue);
+
+      report[venue] = {
+        ok: true,
+        positions: pos.positions,
+        cash: cash.cash,
+        openOrders: { venue: snap.openOrders, journal: journal.filter((e) => e.exchange === venue && !orderJournal.isTerminal(e.status)).length },
+      };
+    }
+
+    const runId = makeId("recon");
+    const alerts = raiseAlerts(breaks, { runId, checkedVenues: checked, now });
+
+    const byKind = {};
+    for (const b of breaks) byKind[b.kind] = (byKind[b.kind] || 0) + 1;
+
+    const row = {
+      id: runId,
+      ts: now,
+      trigger,
+      actor,
+      durationMs: Date.now() - startedAt,
+      venues: report,
+      journal: {
+        checked: journalReport.checked || 0,
+        updated: journalReport.updated || 0,
+        errors: journalReport.errors || (journalReport.error ? { all: journalReport.error } : {}),
+      },
+      books: books.length,
+      breaks,
+      summary: { breaks: breaks.length, byKind, alerts },
+    };
+
+    persist((rows) => {
+      rows.push(row);
+      if (rows.length > CONFIG.maxHistory) rows.splice(0, rows.length - CONFIG.maxHistory);
+    });
+
+    if (breaks.length) {
+      console.warn(`[RECON]: ${breaks.length} breaks (${Object.entries(byKind).map(([k, n]) => `${k}=${n}`).join(", ")})`);
+    }
+
+    return { ok: true, ...row };
+  } finally {
+    running = false;
+  }
+}
+
+/* ================= READS ================= */
+
+function history({ venue = null, kind = null, breaksOnly = false, limit = 50, offset = 0 } = {}) {
+  let rows = (readDb().reconciliations || []).slice();
+
+  if (venue) rows = rows.filter((r) => r.venues?.[String(venue).toLowerCase()]);
+  if (kind) rows = rows.filter((r) => r.breaks.some((b) => b.kind === kind));
+  if (breaksOnly) rows = rows.filter((r) => r.breaks.length);
+
+  rows.sort((a, b) => b.ts - a.ts);
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 50), 500);
+
+  return { total: rows.length, runs: rows.slice(start, start + size) };
+}
+
+function get(id) {
+  return (readDb().reconciliations || []).find((r) => r.id === id) || null;
+}
+
+function status() {
+  const last = (readDb().reconciliations || []).slice(-1)[0] || null;
+
+  return {
+    enabled: CONFIG.enabled,
+    scheduled: Boolean(timer),
+    running,
+    intervalMs: CONFIG.intervalMs,
+    venues: Object.keys(liveVenues()),
+    lastRun: last ? { id: last.id, ts: last.ts, trigger: last.trigger, summary: last.summary } : null,
+  };
+}
+
+/* ================= SCHEDULER ================= */
+
+function start() {
+  if (timer || !CONFIG.enabled) return false;
+  timer = setInterval(() => {
+    run({ trigger: "schedule" }).catch((err) => console.error("[RECON_ERR]:", err.message));
+  }, CONFIG.intervalMs);
+  timer.unref();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  CONFIG,
+  KINDS,
+  run,
+  history,
+  get,
+  status,
+  start,
+  stop,
+};
@@ -1,20 +1,14 @@
 // ==========================================================
 // backend/src/services/regimeMemory.js
-// Institutional Market Regime Engine v4
+// Institutional Market Regime Engine v5
 //
-// Detects:
-// ✔ trend
-// ✔ range
-// ✔ compression
-// ✔ volatility expansion
-// ✔ dead markets
-//
-// NEW:
-// ✔ regime prediction
-// ✔ volatility shock detection
-// ✔ breakout probability modeling
+// Per-tenant win/loss memory by regime. Detection and the
+// next-regime forecast moved to marketRegime.js; labels here are
+// its canonical ones, and older names are mapped on the way in.
 // ==========================================================
 
+const { canonical, UNKNOWN } = require("./marketRegime");
+
 const clamp = (n,min,max)=>Math.max(min,Math.min(max,n));
 
 const REGIMES = new Map();
@@ -38,9 +32,7 @@ function getState(tenantId){
       REGIMES.clear();
 
     REGIMES.set(key,{
-      regimes:{},
-      lastRegime:"neutral",
-      volatilityMemory:[]
+      regimes:{}
     });
 
   }
@@ -49,136 +41,6 @@ function getState(tenantId){
 
 }
 
-/* ======================================================
-VOLATILITY MEMORY
-====================================================== */
-
-function recordVolatility(tenantId,volatility){
-
-  const state = getState(tenantId);
-
-  const arr = state.volatilityMemory;
-
-  arr.push(volatility);
-
-  if(arr.length > 30)
-    arr.shift();
-
-}
-
-/* ======================================================
-VOLATILITY SHOCK DETECTION
-====================================================== */
-
-function detectVolatilityShock(state,volatility){
-
-  const arr = state.volatilityMemory;
-
-  if(arr.length < 10)
-    return false;
-
-  const avg =
-    arr.reduce((a,b)=>a+b,0)/arr.length;
-
-  if(volatility > avg * 1.8)
-    return true;
-
-  return false;
-
-}
-
-/* ======================================================
-DETECT CURRENT REGIME
-====================================================== */
-
-function detectRegime({
-  tenantId,
-  price,
-  lastPrice,
-  volatility
-}){
-
-  const state = getState(tenantId);
-
-  recordVolatility(tenantId,volatility);
-
-  if(!lastPrice)
-    return "neutral";
-
-  const move =
-    Math.abs((price-lastPrice)/lastPrice);
-
-  const shock =
-    detectVolatilityShock(state,volatility);
-
-  /* DEAD MARKET */
-
-  if(volatility < 0.001 && move < 0.0005)
-    return "dead_market";
-
-  /* VOLATILITY SHOCK */
-
-  if(shock)
-    return "volatility_shock";
-
-  /* VOLATILITY EXPANSION */
-
-  if(volatility > 0.01 && move > 0.006)
-    return "volatility_expansion";
-
-  /* TREND */
-
-  if(move > volatility * 1.2)
-    return "trend";
-
-  /* COMPRESSION */
-
-  if(move < volatility * 0.25)
-    return "compression";
-
-  /* RANGE */
-
-  return "range";
-
-}
-
-/* ======================================================
-REGIME PREDICTION
-Predict next likely regime
-====================================================== */
-
-function predictNextRegime({
-  tenantId,
-  volatility
-}){
-
-  const state = getState(tenantId);
-
-  const arr = state.volatilityMemory;
-
-  if(arr.length < 10)
-    return "unknown";
-
-  const avg =
-    arr.reduce((a,b)=>a+b,0)/arr.length;
-
-  const recent =
-    arr[arr.length-1];
-
-  /* compression likely breakout */
-
-  if(recent < avg * 0.6)
-    return "compression_breakout";
-
-  /* rising volatility */
-
-  if(recent > avg * 1.3)
-    return "volatility_expansion";
-
-  return "range_continuation";
-
-}
-
 /* ======================================================
 RECORD TRADE RESULT
 ====================================================== */
@@ -191,6 +53,8 @@ function recordTrade({
 
   const state = getState(tenantId);
 
+  regime = canonical(regime) || UNKNOWN;
+
   if(!state.regimes[regime]){
 
     state.regimes[regime]={
@@ -225,7 +89,7 @@ function getRegimeBoost({
 
   const state = getState(tenantId);
 
-  const r = state.regimes[regime];
+  const r = state.regimes[canonical(regime) || UNKNOWN];
 
   if(!r)
     return 1;
@@ -258,7 +122,7 @@ function getRegimeConfidence({
 
   const state = getState(tenantId);
 
-  const r = state.regimes[regime];
+  const r = state.regimes[canonical(regime) || UNKNOWN];
 
   if(!r)
     return 0.5;
@@ -273,8 +137,6 @@ function getRegimeConfidence({
 }
 
 module.exports={
-  detectRegime,
-  predictNextRegime,
   recordTrade,
   getRegimeBoost,
   getRegimeConfidence
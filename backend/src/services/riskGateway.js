@@ -0,0 +1,336 @@
+// ==========================================================
+// 🛡️ PRE-TRADE RISK GATEWAY — v1.0 (ORDERED CHECK PIPELINE)
+// FILE: backend/src/services/riskGateway.js
+//
+// Every order path asks this gateway before an order exists:
+// paper ticks and paper order books, both execution engines,
+// exchange routing, smart parent orders and the Kraken executor.
+//
+// Stages run in order; each may pass, shrink the quantity or
+// reject, and the first rejection ends the pipeline:
+//
+//   order → killSwitch → liveGuard → riskManager
+//         → capitalAllocator → capitalProtection → portfolioManager
+//
+// Quantities only ever shrink. Reduce-only orders stop after
+// the order stage, so closing risk is never blocked by a halt
+// or an engaged kill switch.
+// Every rejection is written to the audit ledger.
+// ==========================================================
+
+const riskManager = require("./riskManager");
+const capitalAllocator = require("./capitalAllocator");
+const capitalProtection = require("./capitalProtection");
+const portfolioManager = require("./portfolioManager");
+const liveTradingGuard = require("./liveTradingGuard");
+const portfolioRiskEngine = require("./portfolioRiskEngine");
+const killSwitch = require("./killSwitch");
+const { writeAudit } = require("../lib/audit");
+
+/* ================= CONFIG ================= */
+
+const CONFIG = Object.freeze({
+  // Live callers rarely know account equity; adapters size riskPct
+  // against the same 10k base
+  liveEquityUsd: Number(process.env.RISK_GATEWAY_LIVE_EQUITY_USD || 10000),
+
+  audit: process.env.RISK_GATEWAY_AUDIT !== "false",
+});
+
+const STAGES = [
+  "order",
+  "killSwitch",
+  "liveGuard",
+  "riskManager",
+  "capitalAllocator",
+  "capitalProtection",
+  "portfolioManager",
+];
+
+const QTY_EPSILON = 1e-12;
+
+/* ================= STATE ================= */
+
+// capitalAllocator tracks its equity peak on the state it is given
+const ALLOCATOR_STATE = new Map();
+
+function allocatorState(tenantId) {
+  const key = tenantId || "__default__";
+  if (!ALLOCATOR_STATE.has(key)) ALLOCATOR_STATE.set(key, { equity: 0, equityPeak: 0 });
+  return ALLOCATOR_STATE.get(key);
+}
+
+/* ================= HELPERS ================= */
+
+function safeNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalize(input = {}) {
+  const mode = input.mode === "live" ? "live" : "paper";
+  const price = safeNum(input.price);
+  const equity = safeNum(input.equity, mode === "live" ? CONFIG.liveEquityUsd : 0);
+
+  let qty = safeNum(input.qty);
+  if (!(qty > 0) && safeNum(input.riskPct) > 0 && price > 0) {
+    qty = (equity * safeNum(input.riskPct)) / price;
+  }
+
+  return {
+    tenantId: input.tenantId || null,
+    mode,
+    source: input.source || "unknown",
+    exchange: input.exchange || null,
+    symbol: String(input.symbol || "").toUpperCase(),
+    side: String(input.side || "").toUpperCase(),
+    qty,
+    price,
+    stopLoss: input.stopLoss != null ? safeNum(input.stopLoss, null) : null,
+    reducing: Boolean(input.reducing),
+    equity,
+    trades: Array.isArray(input.trades) ? input.trades : [],
+    marginUsed: safeNum(input.marginUsed),
+    maintenanceRequired: safeNum(input.maintenanceRequired),
+    volatility: safeNum(input.volatility),
+    positions: input.positions || null,
+    lastPrices: input.lastPrices || {},
+    signal: input.signal || null,
+    plan: input.plan || null,
+    ts: safeNum(input.ts, Date.now()),
+  };
+}
+
+/* ================= STAGES ================= */
+
+// Each stage gets the order and the quantity so far and returns
+// { outcome: "pass" | "resize" | "reject" | "skip", qty?, code?, message?, detail? }
+
+const CHECKS = {
+  order(order, qty) {
+    if (!order.symbol) return reject("invalid_order", "symbol required");
+    if (order.side !== "BUY" && order.side !== "SELL") return reject("invalid_order", "side must be BUY or SELL");
+    if (!(order.price > 0)) return reject("invalid_order", "price required");
+    if (!(qty > 0)) return reject("invalid_order", "qty or riskPct required");
+    if (!(order.equity > 0)) return reject("invalid_equity", "No equity to trade against");
+    return { outcome: "pass" };
+  },
+
+  // Offline simulations (opts.killSwitch === false) are not trading
+  killSwitch(order, qty, opts) {
+    if (opts.killSwitch === false) return { outcome: "skip" };
+
+    const hit = killSwitch.check(order);
+    if (hit) return reject("kill_switch", `Kill switch engaged (${hit.scope}): ${hit.reason}`, { killSwitchId: hit.id });
+    return { outcome: "pass" };
+  },
+
+  liveGuard(order, qty, opts) {
+    if (order.mode !== "live") return { outcome: "skip" };
+    if (!opts.liveAllowed) return reject("live_disabled", "Live trading disabled or no live capital");
+    return { outcome: "pass" };
+  },
+
+  riskManager(order, qty) {
+    const r = riskManager.evaluate({
+      tenantId: order.tenantId,
+      equity: order.equity,
+      volatility: order.volatility,
+      trades: order.trades,
+      marginUsed: order.marginUsed,
+      maintenanceRequired: order.maintenanceRequired,
+      // the VaR limit only applies live; skip the report for paper
+      valueAtRisk: order.mode === "live" ? portfolioRiskEngine.currentVar(order.tenantId) : 0,
+      ts: order.ts,
+      mode: order.mode,
+    });
+
+    const detail = {
+      riskMultiplier: r.riskMultiplier,
+      drawdown: r.drawdown,
+      volatilityRegime: r.volatilityRegime || null,
+    };
+
+    if (r.halted) return reject(r.haltReason, `Risk halt: ${r.haltReason}`, detail);
+    if (r.cooling) return reject("cooldown", "Loss-cluster cooldown active", detail);
+
+    if (r.riskMultiplier < 1) {
+      return resize(qty * r.riskMultiplier, "risk_multiplier", `Risk multiplier ${r.riskMultiplier.toFixed(2)}`, detail);
+    }
+
+    return { outcome: "pass", detail };
+  },
+
+  // The allocator's budget is the loss taken at the stop
+  capitalAllocator(order, qty) {
+    const state = allocatorState(order.tenantId);
+    state.equity = order.equity;
+    state.marginUsed = order.marginUsed;
+    state.volatility = order.volatility;
+
+    const riskPct = capitalAllocator.allocate({ state, fusedSignal: order.signal, plan: order.plan });
+    const stopDistance = order.stopLoss > 0 ? Math.abs(order.price - order.stopLoss) : 0;
+    const detail = { riskPct };
+
+    if (!(stopDistance > 0)) return { outcome: "pass", detail: { ...detail, note: "no stop loss" } };
+
+    const budget = order.equity * riskPct;
+    if (qty * stopDistance <= budget) return { outcome: "pass", detail };
+
+    return resize(budget / stopDistance, "risk_budget", `Loss at stop exceeds ${(riskPct * 100).toFixed(2)}% risk budget`, detail);
+  },
+
+  capitalProtection(order, qty) {
+    const v = capitalProtection.validateOrder({
+      balanceUsd: order.equity,
+      price: order.price,
+      riskPct: (qty * order.price) / order.equity,
+    });
+
+    if (!v.allow) return reject("min_size", v.reason);
+
+    // validateOrder also lifts small orders to the minimum; only its cap applies here
+    if (v.qty < qty) return resize(v.qty, "max_trade_size", `Capped at ${v.usd.toFixed(2)} USD per trade`);
+
+    return { outcome: "pass" };
+  },
+
+  portfolioManager(order, qty) {
+    const g = portfolioManager.evaluate({
+      tenantId: order.tenantId,
+      symbol: order.symbol,
+      equity: order.equity,
+      proposedRiskPct: (qty * order.price) / order.equity,
+      paperState: order.positions ? { positions: order.positions, lastPrices: order.lastPrices } : null,
+      ts: order.ts,
+    });
+
+    if (!g.allow) return reject("portfolio_limit", g.reason);
+    return { outcome: "pass" };
+  },
+};
+
+function reject(code, message, detail) {
+  return { outcome: "reject", code, message, detail };
+}
+
+function resize(qty, code, message, detail) {
+  return { outcome: "resize", qty, code, message, detail };
+}
+
+/* ================= AUDIT ================= */
+
+function auditRejection(order, decision) {
+  const [first] = decision.reasons.filter((r) => r.outcome === "reject");
+
+  writeAudit({
+    actor: order.source,
+    role: "system",
+    action: "RISK_GATEWAY_REJECTED",
+    target: order.symbol || null,
+    companyId: order.tenantId,
+    detail: {
+      mode: order.mode,
+      exchange: order.exchange,
+      side: order.side,
+      qty: decision.requestedQty,
+      price: order.price,
+      stage: first?.stage || null,
+      code: first?.code || null,
+      reason: decision.reason,
+    },
+  });
+}
+
+/* ================= PIPELINE ================= */
+
+/**
+ * Runs the pipeline synchronously. Live orders must carry the live
+ * guard's answer in `opts.liveAllowed`; use authorize() to fetch it.
+ *
+ * Returns { decision: "APPROVE" | "RESIZE" | "REJECT", approved, qty,
+ * requestedQty, reason, reasons: [{ stage, outcome, code, message }], checks }.
+ */
+function review(input = {}, opts = {}) {
+  const order = normalize(input);
+  const checks = [];
+  const reasons = [];
+  let qty = order.qty;
+  let rejected = false;
+
+  for (const stage of STAGES) {
+    if (order.reducing && stage !== "order") {
+      checks.push({ stage, outcome: "skip" });
+      continue;
+    }
+
+    const out = CHECKS[stage](order, qty, opts);
+    checks.push({ stage, outcome: out.outcome, ...(out.detail || {}) });
+
+    if (out.outcome === "reject") {
+      reasons.push({ stage, outcome: "reject", code: out.code, message: out.message });
+      rejected = true;
+      break;
+    }
+
+    if (out.outcome === "resize" && out.qty < qty - QTY_EPSILON) {
+      reasons.push({ stage, outcome: "resize", code: out.code, message: out.message });
+      qty = Math.max(0, out.qty);
+    }
+  }
+
+  if (!rejected && !(qty > QTY_EPSILON)) {
+    reasons.push({ stage: "gateway", outcome: "reject", code: "zero_qty", message: "Resized to zero" });
+    rejected = true;
+  }
+
+  const resized = !rejected && qty < order.qty - QTY_EPSILON;
+
+  const decision = {
+    decision: rejected ? "REJECT" : resized ? "RESIZE" : "APPROVE",
+    approved: !rejected,
+    tenantId: order.tenantId,
+    mode: order.mode,
+    source: order.source,
+    symbol: order.symbol,
+    side: order.side,
+    price: order.price,
+    requestedQty: order.qty,
+    qty: rejected ? 0 : qty,
+    reason: rejected ? reasons[reasons.length - 1].message : null,
+    reasons,
+    checks,
+    ts: order.ts,
+  };
+
+  if (rejected && CONFIG.audit && opts.audit !== false) {
+    auditRejection(order, decision);
+  }
+
+  return decision;
+}
+
+/**
+ * review() for any mode; live orders consult liveTradingGuard first.
+ * `exchange` scopes the guard's balance probe to that venue.
+ */
+async function authorize(input = {}, opts = {}) {
+  if (input.mode !== "live") return review(input, opts);
+
+  const liveAllowed = await liveTradingGuard.canTradeLive({ exchange: input.exchange || null });
+  return review(input, { ...opts, liveAllowed });
+}
+
+function resetTenant(tenantId) {
+  riskManager.resetTenant(tenantId);
+  portfolioManager.resetTenant(tenantId);
+  portfolioRiskEngine.resetTenant(tenantId);
+  ALLOCATOR_STATE.delete(tenantId);
+}
+
+module.exports = {
+  STAGES,
+  review,
+  authorize,
+  resetTenant,
+};
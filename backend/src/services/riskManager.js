@@ -25,6 +25,7 @@ const CONFIG = Object.freeze({
   lowVolatilityCutoff: Number(process.env.RISK_VOL_LOW || 0.002),
 
   maxMarginUtilization: Number(process.env.RISK_MAX_MARGIN_UTIL || 0.65),
+  maxVarPct: Number(process.env.RISK_MAX_VAR_PCT || 0.1),
   liquidationBufferPct: Number(process.env.RISK_LIQ_BUFFER || 0.15),
 
   /* NEW AI ADAPTIVE SETTINGS */
@@ -93,6 +94,7 @@ function evaluate({
   trades=[],
   marginUsed=0,
   maintenanceRequired=0,
+  valueAtRisk=0,
   ts=Date.now(),
   mode="live"
 }){
@@ -324,9 +326,23 @@ function evaluate({
 
   }
 
+  /* =====================================================
+  VALUE-AT-RISK LIMIT (LIVE ONLY)
+  Not latched: clears once VaR is back under the limit
+  ===================================================== */
+
+  const varPct =
+    valueAtRisk > 0 ? valueAtRisk / equity : 0;
+
+  const varBreach =
+    !isPaper &&
+    !state.halted &&
+    CONFIG.maxVarPct > 0 &&
+    varPct >= CONFIG.maxVarPct;
+
   return{
-    halted:isPaper ? false : state.halted,
-    haltReason:isPaper ? null : state.haltReason,
+    halted:isPaper ? false : state.halted || varBreach,
+    haltReason:isPaper ? null : varBreach ? "var_limit" : state.haltReason,
     cooling,
     riskMultiplier:clamp(riskMultiplier,0.25,1.6),
     drawdown,
@@ -334,6 +350,7 @@ function evaluate({
     volatilityRegime:state.volatilityRegime,
     cooldownLevel:state.cooldownLevel,
     marginPressure:state.lastMarginPressure,
+    varPct,
     winStreak:state.winStreak,
     lossStreak:state.lossStreak,
     mode:isPaper ? "paper-learning" : "live-capital"
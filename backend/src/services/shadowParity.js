@@ -0,0 +1,445 @@
+// ==========================================================
+// 🪞 SHADOW PARITY — v1.0 (LIVE ↔ PAPER IMPLEMENTATION SHORTFALL)
+// FILE: backend/src/services/shadowParity.js
+//
+// Every order a live executor sends (liveTrader through the
+// exchange router, krakenLiveTrader direct) is mirrored into a
+// paper account — "shadow:<tenantId>" — at the decision's price
+// and timestamp. The paper fill is the signal with modelled costs
+// only; the live fill is the signal plus real execution. The gap
+// between them is execution, not signal.
+//
+// Each pair is kept in db.shadowTrades. The parity report reads
+// live fills back from the order journal (reconcile keeps them
+// current) and breaks the shortfall down per venue:
+//
+//   execution    (live avg − paper avg) × live qty, signed by side
+//   fees         live fees − paper fees on the same quantity
+//                (only where the venue reports its fee)
+//   opportunity  unfilled qty × paper's move to the next decision
+//
+// Positive numbers are costs: live did worse than its shadow.
+// ==========================================================
+
+const crypto = require("crypto");
+const { readDb, updateDb } = require("../lib/db");
+
+/* ================= CONFIG ================= */
+
+const CONFIG = Object.freeze({
+  enabled: process.env.SHADOW_PARITY_ENABLED !== "false",
+  maxPerTenant: Number(process.env.SHADOW_PARITY_MAX || 5000),
+});
+
+const QTY_EPSILON = 1e-12;
+const MAX_TRADES = 500;
+
+/* ================= HELPERS ================= */
+
+function makeId() {
+  return `sp_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function safeNum(v, fallback = null) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function round(v, dp = 6) {
+  return Number.isFinite(v) ? Number(v.toFixed(dp)) : null;
+}
+
+function toMs(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function accountId(tenantId) {
+  return `shadow:${tenantId || "system"}`;
+}
+
+function persist(mutator) {
+  updateDb((db) => {
+    if (!Array.isArray(db.shadowTrades)) db.shadowTrades = [];
+    mutator(db.shadowTrades);
+    return db;
+  });
+}
+
+function pruneTenant(rows, tenantId) {
+  const mine = rows.filter((r) => r.tenantId === tenantId);
+  const excess = mine.length - CONFIG.maxPerTenant;
+  if (excess <= 0) return;
+
+  const drop = new Set(mine.slice(0, excess).map((r) => r.id));
+  for (let i = rows.length - 1; i >= 0; i--) if (drop.has(rows[i].id)) rows.splice(i, 1);
+}
+
+/**
+ * The fill inside an exchangeRouter.routeLiveOrder() response:
+ * { ok, exchange, journalId, latencyMs, result: adapterResponse, risk }.
+ */
+function routedFill(res = {}) {
+  const fill = res.result?.result || {};
+
+  return {
+    ok: Boolean(res.ok),
+    venue: res.exchange || null,
+    journalId: res.journalId || null,
+    requestedQty: safeNum(res.risk?.qty, safeNum(fill.requestedQty)),
+    filledQty: safeNum(fill.filledQty),
+    avgPrice: safeNum(fill.avgPrice),
+    feesUsd: safeNum(fill.fee),
+    latencyMs: safeNum(res.latencyMs),
+    error: res.ok ? null : res.error || null,
+  };
+}
+
+/* ================= MIRROR ================= */
+
+/**
+ * Mirrors one live decision into the tenant's shadow paper account
+ * and stores the pair. `live` is { ok, venue, journalId, requestedQty,
+ * filledQty?, avgPrice?, feesUsd?, latencyMs?, error? }; fills the
+ * venue has not reported yet are read from the journal later.
+ */
+function mirror({ tenantId = null, source = "live", symbol, side, price, ts = Date.now(), live = {} }) {
+  if (!CONFIG.enabled) return null;
+
+  const sym = String(symbol || "").toUpperCase();
+  const dir = String(side || "").toUpperCase();
+  const px = safeNum(price);
+  const qty = safeNum(live.requestedQty);
+
+  if (!sym || (dir !== "BUY" && dir !== "SELL") || !(px > 0) || !(qty > 0)) return null;
+
+  const tenant = String(tenantId || "system");
+  const paper = shadowFill(tenant, { symbol: sym, side: dir, qty, price: px, source });
+
+  const row = {
+    id: makeId(),
+    tenantId: tenant,
+    source,
+    venue: live.venue || "unrouted",
+    symbol: sym,
+    side: dir,
+    decisionPrice: px,
+    decisionTs: ts,
+    live: {
+      ok: Boolean(live.ok),
+      journalId: live.journalId || null,
+      requestedQty: qty,
+      filledQty: safeNum(live.filledQty),
+      avgPrice: safeNum(live.avgPrice),
+      feesUsd: safeNum(live.feesUsd),
+      latencyMs: safeNum(live.latencyMs),
+      error: live.error || null,
+    },
+    paper,
+    createdAt: Date.now(),
+  };
+
+  persist((rows) => {
+    rows.push(row);
+    pruneTenant(rows, tenant);
+  });
+
+  return row;
+}
+
+// Same order, same price, no latency: the paper book's market fill
+function shadowFill(tenantId, { symbol, side, qty, price, source }) {
+  const paperTrader = require("./paperTrader");
+  const id = accountId(tenantId);
+
+  try {
+    const feesBefore = paperTrader.snapshot(id).costs.fees;
+    const res = paperTrader.placeOrder(
+      id,
+      { symbol, side, type: "MARKET", qty, strategy: `shadow:${source}` },
+      price,
+      { presized: true }
+    );
+
+    if (!res.ok) return { ok: false, account: id, qty: 0, avgPrice: null, feesUsd: 0, error: res.error };
+
+    return {
+      ok: true,
+      account: id,
+      qty: res.order.filledQty,
+      avgPrice: res.order.avgFillPrice || null,
+      feesUsd: paperTrader.snapshot(id).costs.fees - feesBefore,
+      error: null,
+    };
+  } catch (err) {
+    return { ok: false, account: id, qty: 0, avgPrice: null, feesUsd: 0, error: err.message };
+  }
+}
+
+/* ================= REPORT ================= */
+
+// The journal has the venue's latest word on the fill
+function resolveLive(row, journal) {
+  const entry = row.live.journalId ? journal.get(row.live.journalId) : null;
+  if (!entry) return row.live;
+
+  return {
+    ...row.live,
+    status: entry.status,
+    filledQty: entry.filledQty > 0 ? entry.filledQty : row.live.filledQty || 0,
+    avgPrice: safeNum(entry.avgPrice) || row.live.avgPrice,
+  };
+}
+
+/**
+ * Applies a fill to a running position; returns P&L realised by the
+ * part that reduced it (net of entry and exit fees), or null.
+ */
+function applyToBook(book, dir, qty, price, fees) {
+  if (!(qty > QTY_EPSILON) || !(price > 0)) return null;
+
+  const feePerUnit = (fees || 0) / qty;
+  let remaining = qty;
+  let realized = null;
+
+  if (book.qty * dir < 0) {
+    const close = Math.min(Math.abs(book.qty), remaining);
+    const openFees = book.fees * (close / Math.abs(book.qty));
+
+    realized = (price - book.avg) * close * Math.sign(book.qty) - openFees - feePerUnit * close;
+
+    book.fees -= openFees;
+    book.qty += dir * close;
+    remaining -= close;
+
+    if (Math.abs(book.qty) <= QTY_EPSILON) Object.assign(book, { qty: 0, avg: 0, fees: 0 });
+  }
+
+  if (remaining > QTY_EPSILON) {
+    const next = book.qty + dir * remaining;
+    book.avg = (book.avg * Math.abs(book.qty) + price * remaining) / Math.abs(next);
+    book.qty = next;
+    book.fees += feePerUnit * remaining;
+  }
+
+  return realized;
+}
+
+function emptyVenue(venue) {
+  return {
+    venue,
+    decisions: 0,
+    filled: 0,
+    pending: 0,
+    requestedQty: 0,
+    liveQty: 0,
+    paperQty: 0,
+    latency: [],
+    liveSlipBps: [],
+    paperSlipBps: [],
+    notional: 0,
+    executionUsd: 0,
+    feesUsd: 0,
+    opportunityUsd: 0,
+    livePnl: 0,
+    paperPnl: 0,
+    trades: 0,
+  };
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+function percentile(xs, p) {
+  if (!xs.length) return null;
+  const sorted = xs.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function summarize(v) {
+  const total = v.executionUsd + v.feesUsd + v.opportunityUsd;
+
+  return {
+    venue: v.venue,
+    decisions: v.decisions,
+    filled: v.filled,
+    pending: v.pending,
+    fillRate: v.paperQty > 0 ? round(v.liveQty / v.paperQty, 4) : null,
+    latencyMs: { avg: round(mean(v.latency), 1), p95: percentile(v.latency, 0.95) },
+    slippageBps: { live: round(mean(v.liveSlipBps), 2), paper: round(mean(v.paperSlipBps), 2) },
+    shortfall: {
+      executionUsd: round(v.executionUsd, 4),
+      feesUsd: round(v.feesUsd, 4),
+      opportunityUsd: round(v.opportunityUsd, 4),
+      totalUsd: round(total, 4),
+      bps: v.notional > 0 ? round((total / v.notional) * 10000, 2) : null,
+    },
+    pnl: {
+      trades: v.trades,
+      live: round(v.livePnl, 4),
+      paper: round(v.paperPnl, 4),
+      gap: round(v.livePnl - v.paperPnl, 4),
+    },
+  };
+}
+
+/**
+ * Live vs shadow parity for a tenant: per-decision fills, per-trade
+ * P&L on both books, and the implementation shortfall per venue.
+ * Filters: venue, symbol, source, from, to (seconds, ms or ISO).
+ */
+function report({ tenantId = null, venue = null, symbol = null, source = null, from = null, to = null, limit = 200 } = {}) {
+  const tenant = String(tenantId || "system");
+  const fromMs = toMs(from);
+  const toMsBound = toMs(to);
+  const sym = symbol ? String(symbol).toUpperCase() : null;
+
+  const db = readDb();
+  const journal = new Map((db.orderJournal || []).map((e) => [e.id, e]));
+
+  const rows = (db.shadowTrades || [])
+    .filter((r) => r.tenantId === tenant)
+    .filter((r) => !venue || r.venue === String(venue).toLowerCase())
+    .filter((r) => !sym || r.symbol === sym)
+    .filter((r) => !source || r.source === source)
+    .filter((r) => fromMs === null || r.decisionTs >= fromMs)
+    .filter((r) => toMsBound === null || r.decisionTs <= toMsBound)
+    .sort((a, b) => a.decisionTs - b.decisionTs);
+
+  const venues = new Map();
+  const books = new Map(); // "venue|symbol" → { live, paper }
+  const decisions = [];
+  const trades = [];
+
+  // Next decision on the same venue and symbol marks the missed quantity
+  const nextPrice = new Array(rows.length).fill(null);
+  const seen = new Map();
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const key = `${rows[i].venue}|${rows[i].symbol}`;
+    nextPrice[i] = seen.has(key) ? seen.get(key) : null;
+    seen.set(key, rows[i].decisionPrice);
+  }
+
+  rows.forEach((row, i) => {
+    const live = resolveLive(row, journal);
+    const paper = row.paper || { qty: 0 };
+    const dir = row.side === "BUY" ? 1 : -1;
+    const key = `${row.venue}|${row.symbol}`;
+
+    if (!venues.has(row.venue)) venues.set(row.venue, emptyVenue(row.venue));
+    if (!books.has(key)) books.set(key, { live: { qty: 0, avg: 0, fees: 0 }, paper: { qty: 0, avg: 0, fees: 0 } });
+
+    const v = venues.get(row.venue);
+    const liveQty = live.avgPrice > 0 ? live.filledQty || 0 : 0;
+    const paperQty = paper.avgPrice > 0 ? paper.qty || 0 : 0;
+    // Accepted by the venue but no fill price yet: wait for reconcile
+    const pending = live.ok && !(live.avgPrice > 0);
+
+    // Priced against the shadow; without one, against the decision
+    const benchmark = paperQty > 0 ? paper.avgPrice : row.decisionPrice;
+    const paperFeesScaled = paperQty > 0 ? (paper.feesUsd || 0) * (liveQty / paperQty) : 0;
+
+    const executionUsd = liveQty > 0 ? dir * (live.avgPrice - benchmark) * liveQty : 0;
+    // Venues that do not report fees (Kraken market orders) add none
+    const feesUsd = liveQty > 0 && live.feesUsd != null ? live.feesUsd - paperFeesScaled : 0;
+    const missed = pending ? 0 : Math.max(0, paperQty - liveQty);
+    const opportunityUsd = nextPrice[i] !== null && missed > 0 ? dir * (nextPrice[i] - benchmark) * missed : 0;
+
+    v.decisions += 1;
+    if (liveQty > 0) v.filled += 1;
+    if (pending) v.pending += 1;
+    v.requestedQty += live.requestedQty || 0;
+    v.liveQty += liveQty;
+    v.paperQty += paperQty;
+    v.notional += benchmark * Math.max(liveQty, paperQty);
+    v.executionUsd += executionUsd;
+    v.feesUsd += feesUsd;
+    v.opportunityUsd += opportunityUsd;
+    if (live.latencyMs != null) v.latency.push(live.latencyMs);
+    if (liveQty > 0) v.liveSlipBps.push((dir * (live.avgPrice - row.decisionPrice) / row.decisionPrice) * 10000);
+    if (paperQty > 0) v.paperSlipBps.push((dir * (paper.avgPrice - row.decisionPrice) / row.decisionPrice) * 10000);
+
+    const book = books.get(key);
+    const livePnl = applyToBook(book.live, dir, liveQty, live.avgPrice, live.feesUsd || 0);
+    const paperPnl = applyToBook(book.paper, dir, paperQty, paper.avgPrice, paper.feesUsd || 0);
+
+    if (livePnl !== null || paperPnl !== null) {
+      v.trades += 1;
+      v.livePnl += livePnl || 0;
+      v.paperPnl += paperPnl || 0;
+      trades.push({
+        decisionId: row.id,
+        closedAt: row.decisionTs,
+        venue: row.venue,
+        symbol: row.symbol,
+        side: row.side,
+        livePnl: round(livePnl || 0, 4),
+        paperPnl: round(paperPnl || 0, 4),
+        gap: round((livePnl || 0) - (paperPnl || 0), 4),
+      });
+    }
+
+    decisions.push({
+      id: row.id,
+      ts: row.decisionTs,
+      source: row.source,
+      venue: row.venue,
+      symbol: row.symbol,
+      side: row.side,
+      decisionPrice: row.decisionPrice,
+      live: {
+        ok: live.ok,
+        status: live.status || (pending ? "PENDING" : null),
+        qty: liveQty,
+        avgPrice: live.avgPrice || null,
+        latencyMs: live.latencyMs,
+        slippageBps: liveQty > 0 ? round((dir * (live.avgPrice - row.decisionPrice) / row.decisionPrice) * 10000, 2) : null,
+        error: live.error,
+      },
+      paper: {
+        ok: paper.ok,
+        qty: paperQty,
+        avgPrice: paper.avgPrice || null,
+        slippageBps: paperQty > 0 ? round((dir * (paper.avgPrice - row.decisionPrice) / row.decisionPrice) * 10000, 2) : null,
+        error: paper.error || null,
+      },
+      shortfallUsd: round(executionUsd + feesUsd + opportunityUsd, 4),
+    });
+  });
+
+  const size = Math.min(Math.max(1, Number(limit) || 200), MAX_TRADES);
+  const summaries = [...venues.values()].map(summarize);
+
+  return {
+    ok: true,
+    tenantId: tenant,
+    account: accountId(tenant),
+    from: fromMs,
+    to: toMsBound,
+    decisions: rows.length,
+    venues: summaries,
+    total: summarize(
+      [...venues.values()].reduce((acc, v) => {
+        for (const k of Object.keys(acc)) {
+          if (Array.isArray(acc[k])) acc[k].push(...v[k]);
+          else if (typeof acc[k] === "number") acc[k] += v[k];
+        }
+        return acc;
+      }, emptyVenue("all"))
+    ),
+    trades: trades.slice(-size).reverse(),
+    recent: decisions.slice(-size).reverse(),
+  };
+}
+
+module.exports = {
+  CONFIG,
+  accountId,
+  routedFill,
+  mirror,
+  report,
+};
@@ -0,0 +1,656 @@
+// ==========================================================
+// 🧭 SMART ORDER ROUTER — v1.0 (MULTI-VENUE SPLIT + TWAP/VWAP)
+// FILE: backend/src/services/smartOrderRouter.js
+//
+// Splits a parent order into child orders across venues.
+// Each venue is priced as
+//
+//   marginal cost (bps) = fee + half spread + latency penalty
+//                         + unfilled penalty + notional / depth
+//
+// and notional is water-filled until marginal costs are equal,
+// so deep cheap venues take most of the flow without draining
+// their book. Large parents are first sliced in time (TWAP or
+// VWAP); whatever a slice leaves unfilled rolls into the next.
+//
+// Children go through exchangeRouter.executeOnVenue, so each
+// one is journaled with its parentId. Parent fills are always
+// re-read from the journal, so later venue updates still reach
+// the parent. Parent records themselves live in memory.
+//
+// Only children a venue refused are re-split. One whose state is
+// unknown (timeout, 5xx, lost after placement) is reconciled first;
+// if it may have executed, the parent stops as HALTED.
+// ==========================================================
+
+const crypto = require("crypto");
+
+const exchangeRouter = require("./exchangeRouter");
+const executionMetrics = require("./executionMetrics");
+const orderJournal = require("./orderJournal");
+const riskGateway = require("./riskGateway");
+
+/* ================= CONFIG ================= */
+
+const CONFIG = Object.freeze({
+  venues: String(process.env.SOR_VENUES || "kraken,binance,coinbase,cryptoCom")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean),
+
+  // Parents above this notional are sliced in time
+  sliceNotionalUsd: Number(process.env.SOR_SLICE_NOTIONAL_USD || 50000),
+  maxSlices: Number(process.env.SOR_MAX_SLICES || 12),
+  sliceIntervalMs: Number(process.env.SOR_SLICE_INTERVAL_MS || 30000),
+
+  minChildNotionalUsd: Number(process.env.SOR_MIN_CHILD_NOTIONAL_USD || 10),
+
+  // 100ms of round trip ≈ 1bp of adverse drift
+  latencyBpsPerMs: Number(process.env.SOR_LATENCY_BPS_PER_MS || 0.01),
+  // Cost of re-routing what a venue fails to fill
+  unfilledPenaltyBps: Number(process.env.SOR_UNFILLED_PENALTY_BPS || 15),
+
+  maxParents: 200,
+});
+
+const ALGOS = ["TWAP", "VWAP"];
+
+// Taker fees and simulated top-of-book per venue. depthUsdPerBp is
+// the notional the book absorbs per basis point of price impact.
+const VENUE_PROFILES = {
+  kraken: { feeBps: 26, halfSpreadBps: 0.5, depthUsdPerBp: 40000, latencyMs: 120 },
+  binance: { feeBps: 10, halfSpreadBps: 0.3, depthUsdPerBp: 120000, latencyMs: 60 },
+  coinbase: { feeBps: 60, halfSpreadBps: 0.8, depthUsdPerBp: 60000, latencyMs: 90 },
+  cryptoCom: { feeBps: 7.5, halfSpreadBps: 0.8, depthUsdPerBp: 25000, latencyMs: 150 },
+};
+
+// Depth relative to BTC by base asset
+const DEPTH_SCALE = { BTC: 1, ETH: 0.6 };
+const DEFAULT_DEPTH_SCALE = 0.15;
+
+// Share of daily crypto volume by UTC hour (EU/US overlap peak)
+const HOURLY_VOLUME = [
+  3.4, 3.1, 2.9, 2.8, 2.9, 3.2, 3.6, 4.0, 4.3, 4.4, 4.5, 4.6,
+  4.9, 5.6, 6.0, 5.9, 5.4, 4.9, 4.4, 4.0, 3.8, 3.6, 3.5, 3.4,
+];
+
+/* ================= STATE ================= */
+
+const PARENTS = new Map();
+
+/* ================= HELPERS ================= */
+
+function safeNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function baseAsset(symbol) {
+  const s = String(symbol || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return Object.keys(DEPTH_SCALE).find((b) => s.startsWith(b) || (b === "BTC" && s.startsWith("XBT"))) || null;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/* ================= VENUE MODEL ================= */
+
+/**
+ * Simulated book for one venue/symbol. With an rng the depth and
+ * spread wobble ±20% so repeated plans see a moving book.
+ */
+function simulateDepth(venue, symbol, { rng } = {}) {
+  const profile = VENUE_PROFILES[venue];
+  if (!profile) return null;
+
+  const random = rng ? rng.next : null;
+  const jitter = () => (random ? 0.8 + random() * 0.4 : 1);
+
+  const scale = DEPTH_SCALE[baseAsset(symbol)] ?? DEFAULT_DEPTH_SCALE;
+
+  return {
+    halfSpreadBps: profile.halfSpreadBps * jitter(),
+    depthUsdPerBp: profile.depthUsdPerBp * scale * jitter(),
+  };
+}
+
+/**
+ * Cost inputs for one venue: static fees, the simulated book,
+ * recent router latency samples and the observed fill ratio.
+ */
+function venueCost(venue, symbol, opts = {}) {
+  const profile = VENUE_PROFILES[venue];
+  const book = simulateDepth(venue, symbol, opts);
+  if (!profile || !book) return null;
+
+  const stats = exchangeRouter.getVenueStats(venue);
+  const metrics = executionMetrics.getMetrics(venue);
+
+  const latencyMs =
+    mean(stats.latencySamples) ??
+    (metrics.executions > 0 ? metrics.avgLatency : profile.latencyMs);
+
+  const fillRatio = clamp(safeNum(metrics.fillRatio, 1), 0.05, 1);
+
+  const latencyBps = latencyMs * CONFIG.latencyBpsPerMs;
+  const unfilledBps = (1 - fillRatio) * CONFIG.unfilledPenaltyBps;
+
+  return {
+    exchange: venue,
+    available: stats.available,
+    feeBps: profile.feeBps,
+    halfSpreadBps: book.halfSpreadBps,
+    latencyMs,
+    latencyBps,
+    fillRatio,
+    unfilledBps,
+    baseCostBps: profile.feeBps + book.halfSpreadBps + latencyBps + unfilledBps,
+    // Expected fills shrink the depth we can lean on
+    depthUsdPerBp: book.depthUsdPerBp * fillRatio,
+  };
+}
+
+/* ================= ALLOCATION ================= */
+
+/**
+ * Water-fills `notional` across venues so every venue used ends at
+ * the same marginal cost λ: notional_i = (λ − base_i) · depth_i.
+ */
+function waterFill(venues, notional) {
+  const sorted = [...venues].sort((a, b) => a.baseCostBps - b.baseCostBps);
+
+  let active = [];
+  let lambda = 0;
+
+  for (let k = 1; k <= sorted.length; k++) {
+    const set = sorted.slice(0, k);
+    const depth = set.reduce((s, v) => s + v.depthUsdPerBp, 0);
+    const weighted = set.reduce((s, v) => s + v.baseCostBps * v.depthUsdPerBp, 0);
+    const l = (notional + weighted) / depth;
+
+    active = set;
+    lambda = l;
+
+    // Stop once the next venue's base cost is above the water line
+    if (k === sorted.length || l <= sorted[k].baseCostBps) break;
+  }
+
+  return active.map((v) => ({ venue: v, notional: Math.max(0, (lambda - v.baseCostBps) * v.depthUsdPerBp) }));
+}
+
+/**
+ * Splits `qty` at `price` across the cheapest mix of venues.
+ * Children under the minimum notional are dropped and the rest
+ * re-solved, so tiny orders end up on a single venue.
+ */
+function allocate({ symbol, qty, price, venues = CONFIG.venues, exclude = [], rng } = {}) {
+  const notional = qty * price;
+
+  let candidates = venues
+    .filter((v) => !exclude.includes(v))
+    .map((v) => venueCost(v, symbol, { rng }))
+    .filter((v) => v && v.available && v.depthUsdPerBp > 0);
+
+  if (!candidates.length || !(notional > 0)) return [];
+
+  let fills = waterFill(candidates, notional);
+
+  while (fills.length > 1) {
+    const small = fills.filter((f) => f.notional < CONFIG.minChildNotionalUsd);
+    if (!small.length) break;
+
+    const drop = small.sort((a, b) => b.venue.baseCostBps - a.venue.baseCostBps)[0].venue.exchange;
+    candidates = candidates.filter((v) => v.exchange !== drop);
+    fills = waterFill(candidates, notional);
+  }
+
+  return fills
+    .filter((f) => f.notional > 0)
+    .map(({ venue, notional: n }) => {
+      const impactBps = n / venue.depthUsdPerBp / 2;
+
+      return {
+        exchange: venue.exchange,
+        qty: n / price,
+        notional: n,
+        share: n / notional,
+        expectedCostBps: venue.baseCostBps + impactBps,
+        components: {
+          feeBps: venue.feeBps,
+          halfSpreadBps: venue.halfSpreadBps,
+          latencyBps: venue.latencyBps,
+          unfilledBps: venue.unfilledBps,
+          impactBps,
+          latencyMs: venue.latencyMs,
+          fillRatio: venue.fillRatio,
+        },
+      };
+    });
+}
+
+/* ================= SLICING ================= */
+
+function sliceWeights(algo, count, startAt, intervalMs, profile) {
+  if (algo === "VWAP") {
+    const weights = Array.isArray(profile) && profile.length === count
+      ? profile.map((w) => Math.max(0, safeNum(w)))
+      : Array.from({ length: count }, (_, i) => HOURLY_VOLUME[new Date(startAt + i * intervalMs).getUTCHours()]);
+
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total > 0) return weights.map((w) => w / total);
+  }
+
+  return Array.from({ length: count }, () => 1 / count);
+}
+
+function normalizeParent(params = {}) {
+  const price = safeNum(params.price);
+
+  // Same risk-based sizing as the adapters
+  let qty = safeNum(params.qty);
+  if (!(qty > 0) && safeNum(params.riskPct) > 0 && price > 0) {
+    qty = (10_000 * safeNum(params.riskPct)) / price;
+  }
+
+  const algo = String(params.algo || "TWAP").toUpperCase();
+  const notional = qty * price;
+
+  const sliced = params.slices != null || notional >= CONFIG.sliceNotionalUsd;
+  const slices = sliced
+    ? clamp(Math.round(safeNum(params.slices, Math.ceil(notional / CONFIG.sliceNotionalUsd))), 1, CONFIG.maxSlices)
+    : 1;
+
+  return {
+    tenantId: params.tenantId || null,
+    symbol: String(params.symbol || "").toUpperCase(),
+    side: String(params.side || "").toUpperCase(),
+    qty,
+    price,
+    notional,
+    algo,
+    slices,
+    intervalMs: Math.max(0, safeNum(params.intervalMs, CONFIG.sliceIntervalMs)),
+    volumeProfile: params.volumeProfile || null,
+    venues: Array.isArray(params.venues) && params.venues.length ? params.venues : CONFIG.venues,
+  };
+}
+
+function validate(order) {
+  if (!order.symbol) return "symbol required";
+  if (order.side !== "BUY" && order.side !== "SELL") return "side must be BUY or SELL";
+  if (!(order.price > 0)) return "price required";
+  if (!(order.qty > 0)) return "qty or riskPct required";
+  if (!ALGOS.includes(order.algo)) return `algo must be one of ${ALGOS.join(", ")}`;
+
+  const unknown = order.venues.filter((v) => !VENUE_PROFILES[v]);
+  if (unknown.length) return `Unknown venues: ${unknown.join(", ")}`;
+  return null;
+}
+
+/**
+ * Dry run: the slice schedule and the venue split of the first
+ * slice at current venue conditions. Nothing is sent.
+ */
+function planParentOrder(params = {}, { rng, now = Date.now() } = {}) {
+  const order = normalizeParent(params);
+  const error = validate(order);
+  if (error) return { ok: false, error };
+
+  const weights = sliceWeights(order.algo, order.slices, now, order.intervalMs, order.volumeProfile);
+
+  const schedule = weights.map((w, index) => ({
+    index,
+    weight: w,
+    qty: order.qty * w,
+    scheduledAt: now + index * order.intervalMs,
+  }));
+
+  const allocation = allocate({
+    symbol: order.symbol,
+    qty: schedule[0].qty,
+    price: order.price,
+    venues: order.venues,
+    rng,
+  });
+
+  if (!allocation.length) return { ok: false, error: "No venue available" };
+
+  return { ok: true, order, schedule, allocation };
+}
+
+/* ================= ATTRIBUTION ================= */
+
+// Child fills come from the journal so late venue updates
+// (reconcile, status polls) flow back into the parent.
+function attribute(parent) {
+  const entries = orderJournal.list(parent.tenantId, { parentId: parent.id, limit: 500 }).orders;
+  const byId = new Map(entries.map((e) => [e.id, e]));
+
+  const byVenue = {};
+  let filledQty = 0;
+  let filledNotional = 0;
+  let feesUsd = 0;
+
+  for (const slice of parent.slices) {
+    slice.filledQty = 0;
+
+    for (const child of slice.children) {
+      const entry = child.journalId ? byId.get(child.journalId) : null;
+
+      if (entry) {
+        child.status = entry.status;
+        child.filledQty = entry.filledQty;
+        child.avgPrice = entry.avgPrice;
+      }
+
+      const qty = safeNum(child.filledQty);
+      if (!(qty > 0)) continue;
+
+      const px = safeNum(child.avgPrice, parent.price) || parent.price;
+      const notional = qty * px;
+      const fee = (notional * safeNum(VENUE_PROFILES[child.exchange]?.feeBps)) / 10000;
+
+      slice.filledQty += qty;
+      filledQty += qty;
+      filledNotional += notional;
+      feesUsd += fee;
+
+      const v = (byVenue[child.exchange] ||= { filledQty: 0, notional: 0, feesUsd: 0, children: 0 });
+      v.filledQty += qty;
+      v.notional += notional;
+      v.feesUsd += fee;
+      v.children += 1;
+    }
+  }
+
+  for (const v of Object.values(byVenue)) {
+    v.share = filledQty > 0 ? v.filledQty / filledQty : 0;
+    v.avgPrice = v.filledQty > 0 ? v.notional / v.filledQty : null;
+  }
+
+  const avgPrice = filledQty > 0 ? filledNotional / filledQty : null;
+  const sign = parent.side === "BUY" ? 1 : -1;
+
+  parent.filledQty = filledQty;
+  parent.avgPrice = avgPrice;
+  parent.feesUsd = feesUsd;
+  parent.byVenue = byVenue;
+
+  // Arrival-price shortfall including fees, positive = cost
+  parent.shortfallBps =
+    avgPrice != null
+      ? sign * ((avgPrice - parent.price) / parent.price) * 10000 + (feesUsd / filledNotional) * 10000
+      : null;
+
+  return parent;
+}
+
+/* ================= EXECUTION ================= */
+
+function remember(parent) {
+  PARENTS.set(parent.id, parent);
+
+  if (PARENTS.size > CONFIG.maxParents) {
+    const done = [...PARENTS.values()].find((p) => p.status !== "WORKING");
+    PARENTS.delete(done ? done.id : PARENTS.keys().next().value);
+  }
+}
+
+async function runChild(parent, slice, exchange, qty) {
+  const child = {
+    exchange,
+    requestedQty: qty,
+    journalId: null,
+    status: "NEW",
+    filledQty: 0,
+    avgPrice: null,
+    error: null,
+  };
+  slice.children.push(child);
+
+  try {
+    const out = await exchangeRouter.executeOnVenue(exchange, {
+      tenantId: parent.tenantId,
+      symbol: parent.symbol,
+      side: parent.side,
+      type: "MARKET",
+      qty,
+      price: parent.price,
+      source: "sor",
+      parentId: parent.id,
+    });
+
+    child.journalId = out.journalId;
+  } catch (err) {
+    child.journalId = err.journalId || null;
+    child.error = err.message;
+
+    // Possibly filled at the venue: only re-split once reconcile
+    // shows it executed nothing
+    if (err.executionUnknown) {
+      const { clear } = await exchangeRouter.settleUnknown(exchange, err, parent.tenantId);
+      child.executionUnknown = !clear;
+    }
+  }
+
+  return child;
+}
+
+// Sends one slice; venues that refuse get their share re-split
+// across the rest once. A child in an unknown state halts the parent.
+async function runSlice(parent, slice, target) {
+  const failed = [];
+  let remaining = target;
+
+  for (let round = 0; round < 2 && remaining > 0; round++) {
+    const allocation = allocate({
+      symbol: parent.symbol,
+      qty: remaining,
+      price: parent.price,
+      venues: parent.venues,
+      exclude: failed,
+    });
+
+    if (!allocation.length) break;
+    slice.allocation = slice.allocation || allocation;
+
+    const children = await Promise.all(
+      allocation.map((a) => runChild(parent, slice, a.exchange, a.qty))
+    );
+
+    remaining = 0;
+    for (const c of children) {
+      if (c.executionUnknown) {
+        parent.halted = `Execution state unknown on ${c.exchange} (${c.journalId}); reconcile before re-routing`;
+        failed.push(c.exchange);
+      } else if (c.error) {
+        failed.push(c.exchange);
+        remaining += c.requestedQty;
+      }
+    }
+    if (parent.halted) break;
+  }
+}
+
+async function runParent(parent) {
+  let carry = 0;
+
+  for (const slice of parent.slices) {
+    if (parent.canceled || parent.halted) {
+      slice.status = parent.canceled ? "CANCELED" : "HALTED";
+      continue;
+    }
+
+    const wait = slice.scheduledAt - Date.now();
+    if (wait > 0) await sleep(wait);
+    if (parent.canceled) {
+      slice.status = "CANCELED";
+      continue;
+    }
+
+    slice.status = "WORKING";
+    await runSlice(parent, slice, slice.qty + carry);
+    attribute(parent);
+
+    carry = Math.max(0, slice.qty + carry - slice.filledQty);
+    slice.status = "DONE";
+  }
+
+  attribute(parent);
+  parent.unfilledQty = Math.max(0, parent.qty - parent.filledQty);
+
+  if (parent.canceled) parent.status = "CANCELED";
+  else if (parent.halted) parent.status = "HALTED";
+  else if (parent.filledQty <= 0) parent.status = "FAILED";
+  else if (parent.unfilledQty > parent.qty * 1e-9) parent.status = "PARTIALLY_FILLED";
+  else parent.status = "FILLED";
+
+  parent.completedAt = Date.now();
+  return parent;
+}
+
+function createParent(plan, now) {
+  return {
+    id: `po_${crypto.randomBytes(8).toString("hex")}`,
+    ...plan.order,
+    status: "WORKING",
+    canceled: false,
+    halted: null,
+    slices: plan.schedule.map((s) => ({
+      ...s,
+      status: "PENDING",
+      allocation: null,
+      children: [],
+      filledQty: 0,
+    })),
+    filledQty: 0,
+    avgPrice: null,
+    feesUsd: 0,
+    byVenue: {},
+    shortfallBps: null,
+    unfilledQty: plan.order.qty,
+    createdAt: now,
+    completedAt: null,
+  };
+}
+
+/**
+ * Starts a parent order in the background once the risk gateway
+ * approves the whole parent (children are not re-checked). Resolves
+ * with the working parent; poll getParentOrder for progress.
+ */
+async function startParentOrder(params = {}) {
+  const blocked = exchangeRouter.preflight();
+  if (blocked) return { ok: false, error: blocked };
+
+  const now = Date.now();
+  let plan = planParentOrder(params, { now });
+  if (!plan.ok) return plan;
+
+  const risk = await riskGateway.authorize({
+    ...plan.order,
+    mode: "live",
+    source: "smartOrderRouter",
+    exchange: null,
+    equity: params.equity,
+    trades: params.trades,
+    marginUsed: params.marginUsed,
+    volatility: params.volatility,
+    ts: now,
+  });
+  if (!risk.approved) return { ok: false, error: risk.reason, risk };
+
+  if (risk.decision === "RESIZE") {
+    plan = planParentOrder({ ...params, qty: risk.qty }, { now });
+    if (!plan.ok) return plan;
+  }
+
+  const parent = createParent(plan, now);
+  parent.risk = { decision: risk.decision, requestedQty: risk.requestedQty, reasons: risk.reasons };
+  remember(parent);
+
+  parent.done = runParent(parent).catch((err) => {
+    parent.status = "FAILED";
+    parent.error = err.message;
+    return parent;
+  });
+
+  return { ok: true, parent: view(parent) };
+}
+
+/**
+ * Runs a parent order to completion. Result mirrors
+ * routeLiveOrder so callers can switch routing modes.
+ */
+async function executeParentOrder(params = {}) {
+  const started = await startParentOrder(params);
+  if (!started.ok) return started;
+
+  const parent = await PARENTS.get(started.parent.id).done;
+
+  return {
+    ok: parent.filledQty > 0,
+    exchange: "smart",
+    parentId: parent.id,
+    error: parent.filledQty > 0 ? undefined : "No child order filled",
+    result: {
+      ok: parent.filledQty > 0,
+      result: {
+        symbol: parent.symbol,
+        side: parent.side,
+        requestedQty: parent.qty,
+        filledQty: parent.filledQty,
+        avgPrice: parent.avgPrice,
+        status: parent.status,
+      },
+    },
+    parent: view(parent),
+  };
+}
+
+function view(parent) {
+  const { done, canceled, ...rest } = parent;
+  return rest;
+}
+
+function getParentOrder(tenantId, id) {
+  const parent = PARENTS.get(id);
+  if (!parent || String(parent.tenantId) !== String(tenantId)) return null;
+  return view(attribute(parent));
+}
+
+function cancelParentOrder(tenantId, id) {
+  const parent = PARENTS.get(id);
+  if (!parent || String(parent.tenantId) !== String(tenantId)) {
+    return { ok: false, error: "Parent order not found" };
+  }
+  if (parent.status !== "WORKING") {
+    return { ok: false, error: `Parent order is ${parent.status}` };
+  }
+
+  // Slices already sent stay sent; the remaining ones are skipped
+  parent.canceled = true;
+  return { ok: true, parent: view(parent) };
+}
+
+module.exports = {
+  ALGOS,
+  VENUE_PROFILES,
+  simulateDepth,
+  venueCost,
+  allocate,
+  planParentOrder,
+  startParentOrder,
+  executeParentOrder,
+  getParentOrder,
+  cancelParentOrder,
+};
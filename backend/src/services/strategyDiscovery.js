@@ -12,6 +12,7 @@
 // - Hardened weak-top / weak-bottom signal checks
 // - Normalized training response shape
 // - Maintenance-friendly exports and helper flow
+// - Optional seeded rng (lib/prng) for reproducible profiles
 // ==========================================================
 
 const trainingEngine = require("./trainingEngine");
@@ -72,19 +73,21 @@ function asArray(v) {
   return Array.isArray(v) ? v : [];
 }
 
-function randomBetween(min, max) {
+function randomBetween(min, max, rng = null) {
   const a = safeNum(min, 0);
   const b = safeNum(max, a);
 
   if (b <= a) return a;
 
-  return Math.random() * (b - a) + a;
+  const random = rng ? rng.next : Math.random;
+  return random() * (b - a) + a;
 }
 
-function pickOne(list, fallback = null) {
+function pickOne(list, fallback = null, rng = null) {
   const arr = asArray(list);
   if (!arr.length) return fallback;
-  return arr[Math.floor(Math.random() * arr.length)];
+  const random = rng ? rng.next : Math.random;
+  return arr[Math.floor(random() * arr.length)];
 }
 
 function round(v, digits = 6) {
@@ -290,10 +293,11 @@ function detectDiscoverySignal(candles, lookback = DEFAULT_LOOKBACK) {
 STRATEGY PROFILE GENERATION
 ========================================================= */
 
-function generateStrategyProfile(seed = {}) {
+function generateStrategyProfile(seed = {}, rng = null) {
   let style = pickOne(
     ["reversal_precision", "reversal_confirmed", "reversal_aggressive"],
-    "reversal_confirmed"
+    "reversal_confirmed",
+    rng
   );
 
   if (seed && typeof seed === "object" && seed.style) {
@@ -302,30 +306,35 @@ function generateStrategyProfile(seed = {}) {
 
   let confidenceThreshold = randomBetween(
     DEFAULT_MIN_CONFIDENCE,
-    DEFAULT_MAX_CONFIDENCE
+    DEFAULT_MAX_CONFIDENCE,
+    rng
   );
 
   let edgeThreshold = randomBetween(
     DEFAULT_MIN_EDGE,
-    DEFAULT_MAX_EDGE
+    DEFAULT_MAX_EDGE,
+    rng
   );
 
   let riskMultiplier = randomBetween(
     DEFAULT_MIN_RISK_MULTIPLIER,
-    DEFAULT_MAX_RISK_MULTIPLIER
+    DEFAULT_MAX_RISK_MULTIPLIER,
+    rng
   );
 
-  let confirmBars = pickOne([1, 2, 2, 3], 2);
-  let stopBufferPct = pickOne([0.0015, 0.002, 0.0025, 0.003], 0.002);
+  let confirmBars = pickOne([1, 2, 2, 3], 2, rng);
+  let stopBufferPct = pickOne([0.0015, 0.002, 0.0025, 0.003], 0.002, rng);
   let trailingMode = pickOne(
     ["NONE", "BREAK_EVEN", "TRAIL_RETRACE"],
-    "TRAIL_RETRACE"
+    "TRAIL_RETRACE",
+    rng
   );
-  let trailingRetracePct = pickOne([0.18, 0.22, 0.25, 0.3], 0.22);
-  let maxHoldBars = pickOne([4, 6, 8, 10], 6);
+  let trailingRetracePct = pickOne([0.18, 0.22, 0.25, 0.3], 0.22, rng);
+  let maxHoldBars = pickOne([4, 6, 8, 10], 6, rng);
   let entryMode = pickOne(
     ["WEAKNESS_EDGE", "CONFIRM_AFTER_STALL"],
-    "WEAKNESS_EDGE"
+    "WEAKNESS_EDGE",
+    rng
   );
 
   if (style === "reversal_precision") {
@@ -466,6 +475,7 @@ async function runTrainingSafe({
   symbol,
   candles,
   strategy,
+  rng,
 }) {
   try {
     if (typeof trainingEngine?.runTrainingSession !== "function") {
@@ -482,6 +492,7 @@ async function runTrainingSafe({
       symbol,
       candles,
       strategy,
+      rng,
     });
 
     return {
@@ -509,6 +520,7 @@ async function discoverStrategy({
   tenantId,
   symbol = DEFAULT_SYMBOL,
   variants = DEFAULT_DISCOVERY_VARIANTS,
+  rng = null,
 } = {}) {
   const normalizedSymbol = normalizeSymbol(symbol);
   const candles = getCandlesSafe(normalizedSymbol);
@@ -522,7 +534,7 @@ async function discoverStrategy({
   const candidates = [];
 
   for (let i = 0; i < candidateCount; i += 1) {
-    const strategy = generateStrategyProfile();
+    const strategy = generateStrategyProfile({}, rng);
     const scoring = scoreStrategyProfile(strategy, candles);
 
     candidates.push({
@@ -537,7 +549,7 @@ async function discoverStrategy({
 
   const best =
     candidates[0] || {
-      strategy: generateStrategyProfile(),
+      strategy: generateStrategyProfile({}, rng),
       scoring: {
         score: 0,
         signals: 0,
@@ -551,6 +563,7 @@ async function discoverStrategy({
     symbol: normalizedSymbol,
     candles,
     strategy: best.strategy,
+    rng,
   });
 
   return {
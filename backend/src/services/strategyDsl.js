@@ -0,0 +1,501 @@
+// ==========================================================
+// 📐 STRATEGY DSL — v1.0 (JSON RULES • SANDBOXED EVALUATOR)
+// FILE: backend/src/services/strategyDsl.js
+//
+// User-authored strategies as plain JSON. A definition is data
+// only: validate() checks it against a closed grammar and
+// compile() turns it into decide(bars). Nothing in a definition
+// is run as code, and node count, nesting, periods and lookback
+// are all bounded.
+//
+//   {
+//     name, description?,
+//     lookback?:   200                   bars kept for evaluation
+//     regimes?:    ["trend_up", "range"] entries only in these
+//     entry:       { long?: <cond>, short?: <cond> }
+//     exit?:       { long?: <cond>, short?: <cond> }
+//     confidence?: 0.6 | <expr>          0..1
+//     edge?:       <expr>                default |10-bar return|
+//     params?:     { confidenceThreshold, edgeThreshold,
+//                    riskMultiplier, maxHoldBars, riskPct,
+//                    stopLossPct, takeProfitPct }
+//   }
+//
+//   <cond>  { all: [<cond>] } | { any: [<cond>] } | { not: <cond> }
+//         | { op, left: <expr>, right: <expr> }
+//         | { signal: <name> }                  truthy signal
+//   <expr>  number | string
+//         | { indicator, ...params, source?, field?, offset? }
+//         | { price: "open"|"high"|"low"|"close"|"volume", offset? }
+//         | { signal: <name>, offset? }
+//
+// Indicators are the shared streaming library (indicators.js);
+// object-valued ones (macd, bollinger...) need a `field`. Signals
+// come from patternEngine, liquidityEngine, marketRegime and
+// strategyDiscovery, run over the same bars. Regime names are the
+// canonical marketRegime labels; old bull/bear/sideways names in
+// stored definitions are mapped on compile.
+// ==========================================================
+
+const patternEngine = require("./patternEngine");
+const liquidityEngine = require("./liquidityEngine");
+const marketRegime = require("./marketRegime");
+const strategyDiscovery = require("./strategyDiscovery");
+const indicators = require("./indicators");
+
+/* ================= CONFIG ================= */
+
+const LIMITS = Object.freeze({
+  maxNodes: 200,
+  maxDepth: 10,
+  maxOffset: 100,
+  maxLookback: 1000,
+  maxText: 500,
+});
+
+const DEFAULT_LOOKBACK = 200;
+const DEFAULT_CONFIDENCE = 0.6;
+const EDGE_BARS = 10;
+
+const PRICE_FIELDS = ["open", "high", "low", "close", "volume"];
+const COMPARATORS = [">", ">=", "<", "<=", "==", "!=", "crossesAbove", "crossesBelow"];
+const REGIMES = marketRegime.LABELS;
+
+// Detector windows match each engine's own price memory
+const PATTERN_WINDOW = 120;
+const LIQUIDITY_WINDOW = 150;
+const REGIME_WINDOW = 200;
+
+const PARAM_RANGES = {
+  confidenceThreshold: [0, 1],
+  edgeThreshold: [0, 1],
+  riskMultiplier: [0.1, 5],
+  maxHoldBars: [1, 10000],
+  riskPct: [0.001, 0.05],
+  stopLossPct: [0.0001, 0.5],
+  takeProfitPct: [0.0001, 5],
+};
+
+/* ================= HELPERS ================= */
+
+function safeNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function column(bars, end, source) {
+  const out = [];
+  for (let i = 0; i < end; i += 1) out.push(bars[i][source]);
+  return out;
+}
+
+function points(bars, end, size) {
+  const out = [];
+  for (let i = Math.max(0, end - size); i < end; i += 1) out.push({ price: bars[i].close });
+  return out;
+}
+
+/* ================= INDICATORS ================= */
+
+// Value of the indicator after bars[0, end); null until warmed up
+function indicatorAt(node, bars, end) {
+  const { offset, field, indicator, ...params } = node;
+  const ind = indicators.createIndicator({ name: indicator, ...params });
+
+  let value = null;
+  for (let i = 0; i < end; i += 1) value = ind.update(bars[i]);
+
+  if (value !== null && typeof value === "object") return value[field] ?? null;
+  return value;
+}
+
+/* ================= SIGNALS ================= */
+
+function regimeAt(bars, end) {
+  const prices = column(bars, end, "close").slice(-REGIME_WINDOW);
+  const { regime, volatility, trend } = marketRegime.classify(prices);
+  return { regime, volatility, trend };
+}
+
+const SIGNALS = {
+  "pattern.equalHighs": (bars, end) => patternEngine.detectEqualHighs(points(bars, end, PATTERN_WINDOW)),
+  "pattern.equalLows": (bars, end) => patternEngine.detectEqualLows(points(bars, end, PATTERN_WINDOW)),
+  "pattern.sweep": (bars, end) => patternEngine.detectLiquiditySweep(points(bars, end, PATTERN_WINDOW)),
+  "pattern.magnet": (bars, end) => patternEngine.detectLiquidityMagnet(points(bars, end, PATTERN_WINDOW)),
+  "pattern.vacuum": (bars, end) => patternEngine.detectLiquidityVacuum(points(bars, end, PATTERN_WINDOW)),
+  "pattern.momentum": (bars, end) => patternEngine.analyzeMomentum(points(bars, end, PATTERN_WINDOW)).type,
+  "pattern.momentumStrength": (bars, end) => patternEngine.analyzeMomentum(points(bars, end, PATTERN_WINDOW)).strength,
+  "pattern.exhaustion": (bars, end) => patternEngine.detectMomentumExhaustion(points(bars, end, PATTERN_WINDOW)),
+
+  "liquidity.sweep": (bars, end) => liquidityEngine.detectLiquiditySweep(points(bars, end, LIQUIDITY_WINDOW)),
+  "liquidity.absorption": (bars, end) => liquidityEngine.detectAbsorption(points(bars, end, LIQUIDITY_WINDOW)),
+  "liquidity.trap": (bars, end) => liquidityEngine.detectTrap(points(bars, end, LIQUIDITY_WINDOW)),
+  "liquidity.vacuum": (bars, end) => liquidityEngine.detectVacuum(points(bars, end, LIQUIDITY_WINDOW)),
+  "liquidity.pressure": (bars, end) => liquidityEngine.detectPressure(points(bars, end, LIQUIDITY_WINDOW)),
+
+  "discovery.signal": (bars, end) => strategyDiscovery.detectDiscoverySignal(bars.slice(0, end))?.direction || null,
+
+  regime: (bars, end) => regimeAt(bars, end).regime,
+  "regime.volatility": (bars, end) => regimeAt(bars, end).volatility,
+  "regime.trend": (bars, end) => regimeAt(bars, end).trend,
+};
+
+/* ================= VALIDATION ================= */
+
+function checkKeys(node, allowed, path, errors) {
+  for (const key of Object.keys(node)) {
+    if (!allowed.includes(key)) errors.push(`${path}.${key}: unknown key`);
+  }
+}
+
+function checkInt(v, min, max, path, errors) {
+  if (!Number.isInteger(v) || v < min || v > max) {
+    errors.push(`${path}: must be an integer between ${min} and ${max}`);
+  }
+}
+
+function validateExpr(node, path, ctx, depth) {
+  ctx.nodes += 1;
+  if (depth > LIMITS.maxDepth) return ctx.errors.push(`${path}: nested too deep`);
+
+  if (typeof node === "number") {
+    if (!Number.isFinite(node)) ctx.errors.push(`${path}: number must be finite`);
+    return;
+  }
+  if (typeof node === "string") {
+    if (node.length > LIMITS.maxText) ctx.errors.push(`${path}: string too long`);
+    return;
+  }
+  if (!isPlainObject(node)) return ctx.errors.push(`${path}: expected number, string or expression object`);
+
+  if (node.offset !== undefined) checkInt(node.offset, 0, LIMITS.maxOffset, `${path}.offset`, ctx.errors);
+
+  if (node.indicator !== undefined) {
+    const { offset, field, ...spec } = node;
+    const params = indicators.PARAMS[node.indicator];
+    if (!params) return ctx.errors.push(`${path}.indicator: unknown indicator "${node.indicator}"`);
+
+    const sourced = indicators.SOURCED.includes(node.indicator) ? ["source"] : [];
+    checkKeys(node, ["indicator", "field", "offset", ...sourced, ...Object.keys(params)], path, ctx.errors);
+
+    const r = indicators.normalizeSpec({ ...spec, name: node.indicator });
+    if (!r.ok) ctx.errors.push(`${path}: ${r.error}`);
+
+    const fields = indicators.FIELDS[node.indicator];
+    if (fields && !fields.includes(field)) ctx.errors.push(`${path}.field: must be one of ${fields.join(", ")}`);
+    if (!fields && field !== undefined) ctx.errors.push(`${path}.field: ${node.indicator} has a single value`);
+    return;
+  }
+
+  if (node.price !== undefined) {
+    checkKeys(node, ["price", "offset"], path, ctx.errors);
+    if (!PRICE_FIELDS.includes(node.price)) ctx.errors.push(`${path}.price: must be one of ${PRICE_FIELDS.join(", ")}`);
+    return;
+  }
+
+  if (node.signal !== undefined) {
+    checkKeys(node, ["signal", "offset"], path, ctx.errors);
+    if (!SIGNALS[node.signal]) ctx.errors.push(`${path}.signal: unknown signal "${node.signal}"`);
+    return;
+  }
+
+  ctx.errors.push(`${path}: expected indicator, price or signal`);
+}
+
+function validateCond(node, path, ctx, depth) {
+  ctx.nodes += 1;
+  if (depth > LIMITS.maxDepth) return ctx.errors.push(`${path}: nested too deep`);
+  if (!isPlainObject(node)) return ctx.errors.push(`${path}: expected condition object`);
+
+  for (const group of ["all", "any"]) {
+    if (node[group] === undefined) continue;
+    checkKeys(node, [group], path, ctx.errors);
+    if (!Array.isArray(node[group]) || !node[group].length) {
+      return ctx.errors.push(`${path}.${group}: must be a non-empty array`);
+    }
+    node[group].forEach((c, i) => validateCond(c, `${path}.${group}[${i}]`, ctx, depth + 1));
+    return;
+  }
+
+  if (node.not !== undefined) {
+    checkKeys(node, ["not"], path, ctx.errors);
+    return validateCond(node.not, `${path}.not`, ctx, depth + 1);
+  }
+
+  if (node.op !== undefined) {
+    checkKeys(node, ["op", "left", "right"], path, ctx.errors);
+    if (!COMPARATORS.includes(node.op)) ctx.errors.push(`${path}.op: must be one of ${COMPARATORS.join(", ")}`);
+    if (node.left === undefined || node.right === undefined) return ctx.errors.push(`${path}: op needs left and right`);
+    validateExpr(node.left, `${path}.left`, ctx, depth + 1);
+    validateExpr(node.right, `${path}.right`, ctx, depth + 1);
+    return;
+  }
+
+  if (node.signal !== undefined) {
+    ctx.nodes -= 1;
+    return validateExpr(node, path, ctx, depth);
+  }
+
+  ctx.errors.push(`${path}: expected all, any, not, op or signal`);
+}
+
+/**
+ * Checks a definition against the grammar.
+ * → { ok, errors: ["path: message"] }
+ */
+function validate(definition) {
+  const ctx = { errors: [], nodes: 0 };
+  const def = definition;
+
+  if (!isPlainObject(def)) return { ok: false, errors: ["definition: must be an object"] };
+
+  checkKeys(def, ["name", "description", "lookback", "regimes", "entry", "exit", "confidence", "edge", "params"], "definition", ctx.errors);
+
+  if (typeof def.name !== "string" || !def.name.trim() || def.name.length > 80) {
+    ctx.errors.push("definition.name: required, at most 80 characters");
+  }
+  if (def.description !== undefined && (typeof def.description !== "string" || def.description.length > LIMITS.maxText)) {
+    ctx.errors.push(`definition.description: string of at most ${LIMITS.maxText} characters`);
+  }
+  if (def.lookback !== undefined) checkInt(def.lookback, 10, LIMITS.maxLookback, "definition.lookback", ctx.errors);
+
+  if (def.regimes !== undefined) {
+    if (!Array.isArray(def.regimes) || !def.regimes.length || def.regimes.some((r) => !REGIMES.includes(marketRegime.canonical(r)))) {
+      ctx.errors.push(`definition.regimes: non-empty array of ${REGIMES.join(", ")}`);
+    }
+  }
+
+  for (const block of ["entry", "exit"]) {
+    const rules = def[block];
+    if (rules === undefined && block === "exit") continue;
+    if (!isPlainObject(rules)) {
+      ctx.errors.push(`definition.${block}: must be an object with long and/or short`);
+      continue;
+    }
+    checkKeys(rules, ["long", "short"], `definition.${block}`, ctx.errors);
+    if (block === "entry" && rules.long === undefined && rules.short === undefined) {
+      ctx.errors.push("definition.entry: needs a long or short condition");
+    }
+    for (const side of ["long", "short"]) {
+      if (rules[side] !== undefined) validateCond(rules[side], `definition.${block}.${side}`, ctx, 1);
+    }
+  }
+
+  if (def.confidence !== undefined) {
+    if (typeof def.confidence === "number") {
+      if (!(def.confidence >= 0 && def.confidence <= 1)) ctx.errors.push("definition.confidence: must be between 0 and 1");
+    } else {
+      validateExpr(def.confidence, "definition.confidence", ctx, 1);
+    }
+  }
+  if (def.edge !== undefined) validateExpr(def.edge, "definition.edge", ctx, 1);
+
+  if (def.params !== undefined) {
+    if (!isPlainObject(def.params)) {
+      ctx.errors.push("definition.params: must be an object");
+    } else {
+      for (const [key, value] of Object.entries(def.params)) {
+        const range = PARAM_RANGES[key];
+        if (!range) ctx.errors.push(`definition.params.${key}: unknown parameter`);
+        else if (!(typeof value === "number" && value >= range[0] && value <= range[1])) {
+          ctx.errors.push(`definition.params.${key}: must be a number between ${range[0]} and ${range[1]}`);
+        }
+      }
+    }
+  }
+
+  if (ctx.nodes > LIMITS.maxNodes) ctx.errors.push(`definition: ${ctx.nodes} nodes exceeds the limit of ${LIMITS.maxNodes}`);
+
+  return { ok: ctx.errors.length === 0, errors: ctx.errors };
+}
+
+/* ================= EVALUATION ================= */
+
+// `shift` moves the whole expression back in time (used by crosses)
+function evalExpr(node, bars, shift, memo) {
+  if (typeof node === "number" || typeof node === "string") return node;
+
+  const end = bars.length - shift - safeNum(node.offset, 0);
+  if (end <= 0) return null;
+
+  const key = `${JSON.stringify(node)}@${end}`;
+  if (memo.has(key)) return memo.get(key);
+
+  let value = null;
+  if (node.indicator !== undefined) {
+    value = indicatorAt(node, bars, end);
+  } else if (node.price !== undefined) {
+    value = bars[end - 1][node.price];
+  } else if (node.signal !== undefined) {
+    value = SIGNALS[node.signal](bars, end);
+  }
+
+  if (typeof value === "number" && !Number.isFinite(value)) value = null;
+  memo.set(key, value);
+  return value;
+}
+
+function compare(op, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (op === "==") return a === b;
+  if (op === "!=") return a !== b;
+  if (typeof a !== "number" || typeof b !== "number") return false;
+  if (op === ">") return a > b;
+  if (op === ">=") return a >= b;
+  if (op === "<") return a < b;
+  return a <= b;
+}
+
+function evalCond(node, bars, memo) {
+  if (node.all) return node.all.every((c) => evalCond(c, bars, memo));
+  if (node.any) return node.any.some((c) => evalCond(c, bars, memo));
+  if (node.not) return !evalCond(node.not, bars, memo);
+
+  if (node.op === "crossesAbove" || node.op === "crossesBelow") {
+    const above = node.op === "crossesAbove";
+    const now = compare(above ? ">" : "<", evalExpr(node.left, bars, 0, memo), evalExpr(node.right, bars, 0, memo));
+    const before = compare(above ? "<=" : ">=", evalExpr(node.left, bars, 1, memo), evalExpr(node.right, bars, 1, memo));
+    return now && before;
+  }
+
+  if (node.op) return compare(node.op, evalExpr(node.left, bars, 0, memo), evalExpr(node.right, bars, 0, memo));
+
+  const v = evalExpr(node, bars, 0, memo);
+  return Boolean(v) && v !== "neutral";
+}
+
+/* ================= COMPILE ================= */
+
+// Legacy regime names → canonical, in the filter and in string
+// literals compared against the regime signal
+function canonicalRegimes(def) {
+  if (def.regimes) def.regimes = [...new Set(def.regimes.map(marketRegime.canonical))];
+
+  const visit = (node) => {
+    if (!isPlainObject(node)) return;
+    if (node.op && (node.left?.signal === "regime" || node.right?.signal === "regime")) {
+      for (const side of ["left", "right"]) {
+        if (typeof node[side] === "string") node[side] = marketRegime.canonical(node[side]) || node[side];
+      }
+    }
+    for (const child of [...(node.all || []), ...(node.any || []), node.not]) visit(child);
+  };
+  for (const block of ["entry", "exit"]) {
+    for (const side of ["long", "short"]) visit(def[block]?.[side]);
+  }
+  return def;
+}
+
+/**
+ * Validates and compiles a definition.
+ * → { ok: false, errors } | { ok: true, strategy }
+ *
+ * strategy.decide(bars, { position: "LONG" | "SHORT" | null })
+ * → { action: "BUY" | "SELL" | "CLOSE" | "WAIT", confidence, edge,
+ *     riskPct?, stopLoss?, takeProfit?, reason, regime }
+ */
+function compile(definition) {
+  const check = validate(definition);
+  if (!check.ok) return { ok: false, errors: check.errors };
+
+  const def = canonicalRegimes(JSON.parse(JSON.stringify(definition)));
+  const lookback = def.lookback || DEFAULT_LOOKBACK;
+  const baseConfidence = typeof def.confidence === "number" ? def.confidence : DEFAULT_CONFIDENCE;
+
+  const params = {
+    confidenceThreshold: Math.min(0.5, baseConfidence),
+    edgeThreshold: 0,
+    ...(def.params || {}),
+  };
+
+  function decide(rawBars = [], { position = null } = {}) {
+    const bars = rawBars.slice(-lookback).map(indicators.normalizeBar).filter((b) => b.close > 0);
+    if (!bars.length) return { action: "WAIT", confidence: 0, edge: 0, reason: "NO_DATA", regime: null };
+
+    const memo = new Map();
+    const regime = def.regimes ? evalExpr({ signal: "regime" }, bars, 0, memo) : null;
+    const close = bars[bars.length - 1].close;
+
+    const outcome = (action, reason) => {
+      const confidence = typeof def.confidence === "object"
+        ? Math.max(0, Math.min(1, safeNum(evalExpr(def.confidence, bars, 0, memo), 0)))
+        : baseConfidence;
+
+      const edge = def.edge !== undefined
+        ? Math.abs(safeNum(evalExpr(def.edge, bars, 0, memo), 0))
+        : Math.abs(safeNum(indicatorAt({ indicator: "roc", period: Math.max(1, Math.min(EDGE_BARS, bars.length - 1)) }, bars, bars.length), 0));
+
+      const out = { action, confidence, edge, reason, regime };
+      if (action === "BUY" || action === "SELL") {
+        const dir = action === "BUY" ? 1 : -1;
+        if (params.riskPct) out.riskPct = params.riskPct;
+        if (params.stopLossPct) out.stopLoss = close * (1 - dir * params.stopLossPct);
+        if (params.takeProfitPct) out.takeProfit = close * (1 + dir * params.takeProfitPct);
+      }
+      return out;
+    };
+
+    if (position) {
+      const rule = def.exit?.[position === "LONG" ? "long" : "short"];
+      if (rule && evalCond(rule, bars, memo)) return outcome("CLOSE", "EXIT_RULE");
+      return { action: "WAIT", confidence: 0, edge: 0, reason: "HOLD", regime };
+    }
+
+    if (def.regimes && !def.regimes.includes(regime)) {
+      return { action: "WAIT", confidence: 0, edge: 0, reason: "REGIME_FILTER", regime };
+    }
+
+    if (def.entry.long && evalCond(def.entry.long, bars, memo)) return outcome("BUY", "ENTRY_LONG");
+    if (def.entry.short && evalCond(def.entry.short, bars, memo)) return outcome("SELL", "ENTRY_SHORT");
+
+    return { action: "WAIT", confidence: 0, edge: 0, reason: "NO_SIGNAL", regime };
+  }
+
+  return {
+    ok: true,
+    strategy: { name: def.name, lookback, params, definition: def, decide },
+  };
+}
+
+/**
+ * trainingEngine decision builder. Bars accumulate from each call's
+ * candle and reset when a new window starts at index 0.
+ */
+function decisionBuilder(strategy) {
+  let bars = [];
+
+  return ({ candle, index, paper }) => {
+    if (index === 0) bars = [];
+    bars.push(candle);
+    if (bars.length > strategy.lookback) bars.shift();
+
+    return strategy.decide(bars, { position: paper?.position?.side || null });
+  };
+}
+
+/**
+ * The grammar as data, for editors and the validate endpoint.
+ */
+function describe() {
+  return {
+    limits: LIMITS,
+    indicators: indicators.describe(),
+    priceFields: PRICE_FIELDS,
+    signals: Object.keys(SIGNALS),
+    comparators: COMPARATORS,
+    regimes: REGIMES,
+    params: PARAM_RANGES,
+  };
+}
+
+module.exports = {
+  LIMITS,
+  validate,
+  compile,
+  decisionBuilder,
+  describe,
+};
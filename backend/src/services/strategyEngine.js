@@ -3,6 +3,8 @@
 // Replacement for: backend/src/services/strategyEngine.js
 // ==========================================================
 
+const marketRegime = require("./marketRegime");
+
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 const safe = (v, f = 0) => (Number.isFinite(Number(v)) ? Number(v) : f);
 
@@ -42,17 +44,21 @@ function analyzeMarket(prices) {
 
 /* ================= ALIGNMENT (THE "EYES") ================= */
 
-function getAlignmentScore({ trend, momentum }) {
-  let score = 0.15; // Baseline "Market Awareness"
+// Score plus the parts it was built from, for the decision log
+function getAlignment({ trend, momentum }) {
+  const parts = [{ name: "baseline", confidence: 0.15 }]; // Baseline "Market Awareness"
+
+  if ((trend === "BULLISH" && momentum > 0) || (trend === "BEARISH" && momentum < 0)) {
+    parts.push({ name: "trend_momentum", confidence: 0.45 });
+  }
 
-  if (trend === "BULLISH" && momentum > 0) score += 0.45;
-  if (trend === "BEARISH" && momentum < 0) score += 0.45;
-  
   // Reversal detection (Counter-trend momentum)
-  if (trend === "BULLISH" && momentum < -0.0002) score += 0.2; 
-  if (trend === "BEARISH" && momentum > 0.0002) score += 0.2;
+  if ((trend === "BULLISH" && momentum < -0.0002) || (trend === "BEARISH" && momentum > 0.0002)) {
+    parts.push({ name: "reversal", confidence: 0.2 });
+  }
 
-  return clamp(score, 0, 1);
+  const score = parts.reduce((sum, p) => sum + p.confidence, 0);
+  return { score: clamp(score, 0, 1), parts };
 }
 
 /* ================= DECISION ================= */
@@ -64,8 +70,8 @@ function buildDecision(ctx = {}) {
   if (!Number.isFinite(px)) return { action: "WAIT", confidence: 0 };
 
   const prices = updateMemory(tenantId, px);
-  const { trend, momentum } = analyzeMarket(prices);
-  const alignment = getAlignmentScore({ trend, momentum });
+  const { trend, momentum, move } = analyzeMarket(prices);
+  const { score: alignment, parts } = getAlignment({ trend, momentum });
 
   let action = "WAIT";
   
@@ -88,8 +94,13 @@ function buildDecision(ctx = {}) {
     riskPct: BASE_RISK * alignment,
     stopLoss,
     takeProfit,
-    regime: trend,
+    regime: marketRegime.classify(prices).regime,
     reason: action === "WAIT" ? "WAITING_FOR_ALIGNMENT" : "STEALTH_CONFIRMED",
+    attribution: {
+      features: { trend, momentum, move: move ?? null, ticks: prices.length },
+      components: [...parts, { name: "momentum", edge: momentum }],
+      thresholds: [{ name: "alignment", value: STEALTH_THRESHOLD, actual: alignment, passed: alignment >= STEALTH_THRESHOLD }],
+    },
     ts: Date.now(),
   };
 }
@@ -14,6 +14,7 @@
 // - Active strategy list always deduplicated and repaired
 // - Parent mutation input normalized
 // - Ranking and maintenance helpers made more defensive
+// - Optional seeded rng (lib/prng) for reproducible seeding/mutation
 // ==========================================================
 
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
@@ -85,10 +86,16 @@ function safeTenantKey(tenantId) {
   return String(tenantId || "__default__");
 }
 
-function randomBetween(min, max) {
+function randomBetween(min, max, rng = null) {
   const a = safeNum(min, 0);
   const b = safeNum(max, a);
-  return Math.random() * (b - a) + a;
+  const random = rng ? rng.next : Math.random;
+  return random() * (b - a) + a;
+}
+
+function randomTag(length, rng = null) {
+  const random = rng ? rng.next : Math.random;
+  return random().toString(16).slice(2, 2 + length);
 }
 
 function uniq(list) {
@@ -130,12 +137,12 @@ function createEmptyState() {
   };
 }
 
-function getState(tenantId) {
+function getState(tenantId, rng = null) {
   const key = safeTenantKey(tenantId);
 
   if (!LAB.has(key)) {
     LAB.set(key, createEmptyState());
-    seedStrategies(key);
+    seedStrategies(key, rng);
   }
 
   repairState(key);
@@ -146,11 +153,11 @@ function getState(tenantId) {
 STRATEGY CREATION
 ========================================================= */
 
-function createStrategy(overrides = {}) {
+function createStrategy(overrides = {}, rng = null) {
   const edgeThreshold = clamp(
     safeNum(
       overrides.edgeThreshold,
-      randomBetween(0.0005, 0.0025)
+      randomBetween(0.0005, 0.0025, rng)
     ),
     Math.min(MIN_EDGE_THRESHOLD, MAX_EDGE_THRESHOLD),
     Math.max(MIN_EDGE_THRESHOLD, MAX_EDGE_THRESHOLD)
@@ -159,7 +166,7 @@ function createStrategy(overrides = {}) {
   const confidenceThreshold = clamp(
     safeNum(
       overrides.confidenceThreshold,
-      randomBetween(0.55, 0.75)
+      randomBetween(0.55, 0.75, rng)
     ),
     Math.min(MIN_CONFIDENCE_THRESHOLD, MAX_CONFIDENCE_THRESHOLD),
     Math.max(MIN_CONFIDENCE_THRESHOLD, MAX_CONFIDENCE_THRESHOLD)
@@ -168,7 +175,7 @@ function createStrategy(overrides = {}) {
   const riskMultiplier = clamp(
     safeNum(
       overrides.riskMultiplier,
-      randomBetween(0.7, 1.8)
+      randomBetween(0.7, 1.8, rng)
     ),
     Math.min(MIN_RISK_MULTIPLIER, MAX_RISK_MULTIPLIER),
     Math.max(MIN_RISK_MULTIPLIER, MAX_RISK_MULTIPLIER)
@@ -177,7 +184,7 @@ function createStrategy(overrides = {}) {
   return {
     id:
       overrides.id ||
-      `S_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`,
+      `S_${Date.now()}_${randomTag(6, rng)}`,
 
     label: overrides.label || "evolved-strategy",
 
@@ -191,13 +198,19 @@ function createStrategy(overrides = {}) {
     breakeven: Math.max(0, safeNum(overrides.breakeven, 0)),
     pnl: safeNum(overrides.pnl, 0),
 
+    // { strategyId, version } when the rules come from strategyRegistry
+    dsl: overrides.dsl || null,
+
+    // Share of riskMultiplier a promotion stage allows (1 = full)
+    allocation: clamp(safeNum(overrides.allocation, 1), 0, 1),
+
     createdAt: overrides.createdAt || nowIso(),
     updatedAt: overrides.updatedAt || nowIso(),
     lastTradeAt: overrides.lastTradeAt || null,
   };
 }
 
-function seedStrategies(tenantId) {
+function seedStrategies(tenantId, rng = null) {
   const key = safeTenantKey(tenantId);
   const state = LAB.get(key);
 
@@ -207,9 +220,9 @@ function seedStrategies(tenantId) {
 
   for (let i = 0; i < seedCount; i += 1) {
     const strategy = createStrategy({
-      id: `S${i}_${Date.now()}_${Math.random().toString(16).slice(2, 6)}`,
+      id: `S${i}_${Date.now()}_${randomTag(4, rng)}`,
       label: `seed-${i + 1}`,
-    });
+    }, rng);
 
     state.strategies[strategy.id] = strategy;
   }
@@ -261,6 +274,7 @@ function getScore(strategy) {
 function enrichStrategy(strategy) {
   return {
     ...strategy,
+    effectiveRiskMultiplier: strategy.riskMultiplier * safeNum(strategy.allocation, 1),
     winRate: getWinRate(strategy),
     avgPnl: getAvgPnl(strategy),
     score: getScore(strategy),
@@ -359,7 +373,7 @@ function getSnapshot(tenantId) {
 SELECTION
 ========================================================= */
 
-function selectStrategy(tenantId) {
+function selectStrategy(tenantId, rng = null) {
   const active = getActiveStrategies(tenantId);
 
   if (!active.length) return null;
@@ -371,8 +385,10 @@ function selectStrategy(tenantId) {
   const pool = qualified.length ? qualified : active;
   const topHalf = pool.slice(0, Math.max(1, Math.ceil(pool.length / 2)));
 
+  const random = rng ? rng.next : Math.random;
+
   const picked =
-    topHalf[Math.floor(Math.random() * topHalf.length)] ||
+    topHalf[Math.floor(random() * topHalf.length)] ||
     pool[0] ||
     null;
 
@@ -464,7 +480,7 @@ function evaluateStrategies(tenantId) {
 MUTATION
 ========================================================= */
 
-function mutateStrategy(tenantId, parent) {
+function mutateStrategy(tenantId, parent, rng = null) {
   const state = getState(tenantId);
   const normalizedParent =
     parent && typeof parent === "object"
@@ -489,23 +505,23 @@ function mutateStrategy(tenantId, parent) {
     label: `mutant-from-${normalizedParent.id || "unknown"}`,
     edgeThreshold: clamp(
       safeNum(normalizedParent.edgeThreshold, 0.001) *
-        randomBetween(0.9, 1.1),
+        randomBetween(0.9, 1.1, rng),
       Math.min(MIN_EDGE_THRESHOLD, MAX_EDGE_THRESHOLD),
       Math.max(MIN_EDGE_THRESHOLD, MAX_EDGE_THRESHOLD)
     ),
     confidenceThreshold: clamp(
       safeNum(normalizedParent.confidenceThreshold, 0.6) *
-        randomBetween(0.9, 1.1),
+        randomBetween(0.9, 1.1, rng),
       Math.min(MIN_CONFIDENCE_THRESHOLD, MAX_CONFIDENCE_THRESHOLD),
       Math.max(MIN_CONFIDENCE_THRESHOLD, MAX_CONFIDENCE_THRESHOLD)
     ),
     riskMultiplier: clamp(
       safeNum(normalizedParent.riskMultiplier, 1) *
-        randomBetween(0.9, 1.1),
+        randomBetween(0.9, 1.1, rng),
       Math.min(MIN_RISK_MULTIPLIER, MAX_RISK_MULTIPLIER),
       Math.max(MIN_RISK_MULTIPLIER, MAX_RISK_MULTIPLIER)
     ),
-  });
+  }, rng);
 
   state.strategies[child.id] = child;
   state.activeStrategies = uniq([...state.activeStrategies, child.id]).slice(
@@ -529,12 +545,12 @@ function mutateStrategy(tenantId, parent) {
 MAINTENANCE
 ========================================================= */
 
-function resetTenant(tenantId) {
+function resetTenant(tenantId, { rng = null } = {}) {
   const key = safeTenantKey(tenantId);
 
   LAB.delete(key);
   LAB.set(key, createEmptyState());
-  seedStrategies(key);
+  seedStrategies(key, rng);
   repairState(key);
 
   return {
@@ -543,6 +559,51 @@ function resetTenant(tenantId) {
   };
 }
 
+/**
+ * Adds an externally defined strategy (e.g. a promoted DSL version)
+ * at the front of the active set. A strategy bound to the same DSL
+ * id is replaced rather than kept alongside.
+ */
+function addStrategy(tenantId, overrides = {}) {
+  const state = getState(tenantId);
+  const strategy = createStrategy(overrides);
+
+  const replaced = overrides.dsl
+    ? Object.values(state.strategies)
+        .filter((s) => s.dsl && s.dsl.strategyId === overrides.dsl.strategyId)
+        .map((s) => s.id)
+    : [];
+
+  if (
+    !replaced.length &&
+    !state.strategies[strategy.id] &&
+    Object.keys(state.strategies).length >= getStrategyCountLimit()
+  ) {
+    return {
+      ok: false,
+      error: "Max strategies reached",
+    };
+  }
+
+  for (const id of replaced) delete state.strategies[id];
+
+  state.strategies[strategy.id] = strategy;
+  state.activeStrategies = uniq([
+    strategy.id,
+    ...state.activeStrategies.filter((id) => !replaced.includes(id)),
+  ]).slice(0, getActiveCountLimit());
+
+  state.updatedAt = nowIso();
+
+  repairState(tenantId);
+
+  return {
+    ok: true,
+    strategy: enrichStrategy(strategy),
+    replaced,
+  };
+}
+
 function removeStrategy(tenantId, strategyId) {
   const state = getState(tenantId);
   const id = String(strategyId);
@@ -582,6 +643,7 @@ EXPORTS
 ========================================================= */
 
 module.exports = {
+  createStrategy,
   getState,
   getSnapshot,
   getStrategy,
@@ -591,6 +653,7 @@ module.exports = {
   recordTrade,
   evaluateStrategies,
   mutateStrategy,
+  addStrategy,
   removeStrategy,
   resetTenant,
 };
@@ -0,0 +1,684 @@
+// ==========================================================
+// 🚦 STRATEGY PROMOTION — v1.0 (STAGED PATH TO LIVE CAPITAL)
+// FILE: backend/src/services/strategyPromotion.js
+//
+// Governs how a strategyRegistry version reaches real capital.
+// Profiles from strategyLab, strategyAgent or evolutionEngine enter
+// by being saved as a DSL strategy and nominated here.
+//
+// Stages, in order:
+//   backtest        walk-forward, in-sample metrics
+//   out_of_sample   walk-forward, out-of-sample metrics; never overfit
+//   paper           the tenant's paper account trades the version
+//   live_pilot      in strategyLab at PROMOTION_PILOT_ALLOCATION of
+//                   its riskMultiplier
+//   live_full       in strategyLab at full allocation
+//
+// A candidate moves up one stage at a time. `evaluate` measures the
+// current stage against its gates (min Sharpe, max drawdown, min
+// trades); `approve` by a manager or admin moves it on once the
+// stage passes. Approval re-measures paper and live stages and only
+// accepts a backtest evaluation younger than PROMOTION_EVAL_MAX_AGE_MS.
+//
+// Every stage's Sharpe is annualized so one gate scale applies
+// throughout: backtest folds scale their per-trade Sharpe by
+// sqrt(trades per year) over the fold's candle span; paper and live
+// tearsheets annualize per PROMOTION_INTERVAL and only count trades
+// closed since the stage began.
+//
+// Live candidates trade through liveTrader: liveDecision() runs the
+// version's rules, tags each order with its labId (which the live
+// tearsheet filters on) and scales riskPct by the lab's
+// effectiveRiskMultiplier. krakenLiveTrader gates and sizes orders
+// that name a labId through liveAllocation().
+//
+// The monitor re-evaluates live candidates every
+// PROMOTION_MONITOR_MS against the demotion gates: live_full drops
+// to live_pilot, live_pilot is demoted out of the lab.
+//
+// Approvals, demotions and withdrawals go to the audit chain.
+// Candidates are kept in db.strategyPromotions.
+// ==========================================================
+
+const crypto = require("crypto");
+const { readDb, updateDb } = require("../lib/db");
+const { writeAudit } = require("../lib/audit");
+const strategyRegistry = require("./strategyRegistry");
+const strategyLab = require("./strategyLab");
+const tearsheetEngine = require("./tearsheetEngine");
+
+/* ================= CONFIG ================= */
+
+const STAGES = ["backtest", "out_of_sample", "paper", "live_pilot", "live_full"];
+const LIVE_STAGES = ["live_pilot", "live_full"];
+const STATUSES = ["active", "demoted", "withdrawn", "superseded"];
+
+const GATE_KEYS = ["minSharpe", "maxDrawdown", "minTrades"];
+
+// Gates to leave each stage; live_full is the last stage. minSharpe
+// is annualized; in-sample gets the highest bar as it is the most
+// flattering fit.
+const DEFAULT_GATES = {
+  backtest: { minSharpe: 1.5, maxDrawdown: 0.2, minTrades: 30 },
+  out_of_sample: { minSharpe: 1, maxDrawdown: 0.2, minTrades: 15 },
+  paper: { minSharpe: 1, maxDrawdown: 0.15, minTrades: 30 },
+  live_pilot: { minSharpe: 1, maxDrawdown: 0.1, minTrades: 30 },
+};
+
+// Live metrics below these (once minTrades have closed) demote
+const DEFAULT_DEMOTION = { minSharpe: 0, maxDrawdown: 0.15, minTrades: 10 };
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+function parseJson(raw, name) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.error(`[PROMOTION] ignoring invalid ${name}`);
+    return {};
+  }
+}
+
+// Only known gate keys with finite values survive
+function cleanGate(gate) {
+  const out = {};
+  for (const key of GATE_KEYS) {
+    const n = Number(gate?.[key]);
+    if (gate?.[key] !== undefined && gate?.[key] !== null && Number.isFinite(n)) out[key] = n;
+  }
+  return out;
+}
+
+function mergeGates(base, overrides = {}) {
+  const out = {};
+  for (const stage of Object.keys(base)) out[stage] = { ...base[stage], ...cleanGate(overrides?.[stage]) };
+  return out;
+}
+
+const CONFIG = Object.freeze({
+  enabled: process.env.PROMOTION_MONITOR_ENABLED !== "false",
+  monitorMs: Number(process.env.PROMOTION_MONITOR_MS || 900000),
+  pilotAllocation: Math.min(1, Math.max(0, Number(process.env.PROMOTION_PILOT_ALLOCATION || 0.25))),
+  interval: process.env.PROMOTION_INTERVAL === "day" ? "day" : "hour",
+  // Backtest evaluations older than this must be re-run before approval
+  evalMaxAgeMs: Number(process.env.PROMOTION_EVAL_MAX_AGE_MS || 86400000),
+  // riskPct for live entries of versions that set none
+  liveRiskPct: Number(process.env.PROMOTION_LIVE_RISK_PCT || 0.02),
+  // e.g. '{"paper":{"minTrades":50}}'
+  gates: mergeGates(DEFAULT_GATES, parseJson(process.env.PROMOTION_GATES, "PROMOTION_GATES")),
+  demotion: { ...DEFAULT_DEMOTION, ...cleanGate(parseJson(process.env.PROMOTION_DEMOTION, "PROMOTION_DEMOTION")) },
+});
+
+let timer = null;
+
+const LIVE_BARS = new Map();     // "tenant|labId|symbol" → recent ticks
+const LIVE_COMPILED = new Map(); // "tenant|labId" → compiled strategy
+
+/* ================= HELPERS ================= */
+
+function makeId() {
+  return `prm_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function tenantKey(tenantId) {
+  return String(tenantId || "default_user");
+}
+
+function persist(mutator) {
+  let out;
+  updateDb((db) => {
+    if (!Array.isArray(db.strategyPromotions)) db.strategyPromotions = [];
+    out = mutator(db);
+    return db;
+  });
+  return out;
+}
+
+function nextStage(stage) {
+  const i = STAGES.indexOf(stage);
+  return i >= 0 && i < STAGES.length - 1 ? STAGES[i + 1] : null;
+}
+
+function currentStage(row) {
+  return row.stages[row.stages.length - 1];
+}
+
+function audit(action, row, { actor, role, ...detail } = {}) {
+  writeAudit({
+    actor: actor || "system",
+    role: role || "system",
+    action,
+    target: row.labId,
+    companyId: row.tenantId,
+    detail: {
+      id: row.id,
+      strategyId: row.strategyId,
+      version: row.version,
+      stage: row.stage,
+      status: row.status,
+      ...detail,
+    },
+  });
+}
+
+/**
+ * One check per gate: { gate, limit, actual, passed }.
+ */
+function checkGates(metrics, gate) {
+  const checks = [];
+  if (gate.minTrades != null) {
+    checks.push({ gate: "minTrades", limit: gate.minTrades, actual: metrics.totalTrades, passed: metrics.totalTrades >= gate.minTrades });
+  }
+  if (gate.minSharpe != null) {
+    checks.push({ gate: "minSharpe", limit: gate.minSharpe, actual: metrics.sharpe, passed: metrics.sharpe >= gate.minSharpe });
+  }
+  if (gate.maxDrawdown != null) {
+    checks.push({ gate: "maxDrawdown", limit: gate.maxDrawdown, actual: metrics.maxDrawdown, passed: metrics.maxDrawdown <= gate.maxDrawdown });
+  }
+  return checks;
+}
+
+function pickMetrics(m = {}) {
+  return {
+    sharpe: Number(m.sharpe) || 0,
+    maxDrawdown: Number(m.maxDrawdown) || 0,
+    totalTrades: Number(m.totalTrades) || 0,
+    winRate: m.winRate ?? null,
+    pnl: m.pnl ?? m.netPnL ?? null,
+  };
+}
+
+/* ================= METRICS ================= */
+
+/**
+ * Mean annualized Sharpe of one side of the walk-forward folds, or
+ * null when a fold that traded has no usable candle timestamps.
+ */
+function annualizedSharpe(folds, side) {
+  if (!Array.isArray(folds) || !folds.length) return null;
+
+  let sum = 0;
+  for (const fold of folds) {
+    const window = fold[side] || {};
+    const trades = Number(window.metrics?.totalTrades) || 0;
+    if (!trades) continue;
+
+    // Index-numbered candles parse as milliseconds; insist on at least a second per bar
+    const span = Number(window.toTime) - Number(window.fromTime);
+    if (!(span > 0) || span < (Number(window.bars) - 1) * 1000) return null;
+
+    sum += (Number(window.metrics.sharpe) || 0) * Math.sqrt(trades / (span / YEAR_MS));
+  }
+
+  return sum / folds.length;
+}
+
+/**
+ * The metrics the candidate's current stage is judged on.
+ */
+async function measure(row, options = {}) {
+  const { stage, enteredAt } = currentStage(row);
+
+  if (stage === "backtest" || stage === "out_of_sample") {
+    const report = await strategyRegistry.backtest(row.tenantId, row.strategyId, {
+      ...options,
+      version: row.version,
+    });
+    if (!report.ok) return report;
+
+    const summary = report.summary || {};
+    const key = stage === "backtest" ? "inSample" : "outOfSample";
+    const metrics = pickMetrics(summary[key]);
+    const checks = [];
+
+    const sharpe = annualizedSharpe(report.folds, key);
+    if (sharpe === null) return { ok: false, error: "Backtest candles carry no timestamps; Sharpe cannot be annualized" };
+    metrics.sharpePerTrade = metrics.sharpe;
+    metrics.sharpe = Number(sharpe.toFixed(6));
+
+    if (stage === "out_of_sample") {
+      metrics.efficiency = summary.efficiency ?? null;
+      checks.push({ gate: "notOverfit", limit: false, actual: Boolean(summary.overfit), passed: !summary.overfit });
+    }
+
+    return { ok: true, source: "backtest", metrics, checks };
+  }
+
+  const mode = LIVE_STAGES.includes(stage) ? "live" : "paper";
+  const sheet = tearsheetEngine.buildTearsheet({
+    tenantId: row.tenantId,
+    mode,
+    strategy: row.labId,
+    from: enteredAt,
+    interval: CONFIG.interval,
+  });
+  if (!sheet.ok) return sheet;
+
+  return { ok: true, source: `${mode}_tearsheet`, metrics: pickMetrics(sheet.summary), checks: [] };
+}
+
+/* ================= STAGE EFFECTS ================= */
+
+// What entering `stage` does to the paper account and strategyLab
+function enterStage(row, stage, actor) {
+  if (stage === "paper") {
+    return strategyRegistry.paperTrade(row.tenantId, row.strategyId, { version: row.version, symbols: row.symbols });
+  }
+
+  if (stage === "live_pilot" || stage === "live_full") {
+    if (row.stage === "paper") strategyRegistry.stopPaperTrading(row.tenantId);
+    const allocation = stage === "live_full" ? 1 : CONFIG.pilotAllocation;
+    return strategyRegistry.promote(row.tenantId, row.strategyId, { version: row.version, actor, allocation });
+  }
+
+  return { ok: true };
+}
+
+// Undoes whatever the candidate's current stage holds
+function leaveStage(row) {
+  if (row.stage === "paper") strategyRegistry.stopPaperTrading(row.tenantId);
+  if (LIVE_STAGES.includes(row.stage)) strategyRegistry.retire(row.tenantId, row.strategyId, { version: row.version });
+}
+
+function moveTo(row, stage, { actor = "system", role = "system", reason = null, now = Date.now() } = {}) {
+  row.history.push({ from: row.stage, to: stage, actor, role, reason, at: now });
+  row.stages.push({ stage, enteredAt: now, evaluation: null, approval: null });
+  row.stage = stage;
+  row.allocation = stage === "live_full" ? 1 : stage === "live_pilot" ? CONFIG.pilotAllocation : 0;
+  row.updatedAt = now;
+}
+
+function save(row) {
+  return persist((db) => {
+    const i = db.strategyPromotions.findIndex((r) => r.id === row.id);
+    if (i >= 0) db.strategyPromotions[i] = row;
+    else db.strategyPromotions.push(row);
+    return row;
+  });
+}
+
+/* ================= PIPELINE ================= */
+
+/**
+ * Enters a stored version at the backtest stage. `gates` overrides
+ * the configured gates per stage for this candidate only.
+ */
+function nominate(tenantId, strategyId, { version, gates = null, symbols = null, actor = null, role = null } = {}) {
+  const id = tenantKey(tenantId);
+  const loaded = strategyRegistry.load(id, strategyId, version);
+  if (!loaded.ok) return loaded;
+
+  const open = (readDb().strategyPromotions || []).find(
+    (r) => r.tenantId === id && r.strategyId === strategyId && r.version === loaded.row.version && r.status === "active"
+  );
+  if (open) return { ok: false, error: `Version already in the pipeline (${open.id}, ${open.stage})`, promotion: open };
+
+  const now = Date.now();
+  const row = {
+    id: makeId(),
+    tenantId: id,
+    strategyId,
+    version: loaded.row.version,
+    labId: strategyRegistry.labId(strategyId, loaded.row.version),
+    name: loaded.row.name,
+    stage: "backtest",
+    status: "active",
+    allocation: 0,
+    gates: mergeGates(CONFIG.gates, gates || {}),
+    symbols: Array.isArray(symbols) && symbols.length ? symbols.map((s) => String(s).toUpperCase()) : null,
+    stages: [{ stage: "backtest", enteredAt: now, evaluation: null, approval: null }],
+    history: [{ from: null, to: "backtest", actor: actor || "system", role: role || "system", reason: "nominated", at: now }],
+    nominatedBy: actor,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  save(row);
+  audit("STRATEGY_NOMINATED", row, { actor, role, gates: row.gates });
+  return { ok: true, promotion: row };
+}
+
+/**
+ * Measures the current stage against its gates and stores the
+ * result on the stage. Backtest stages take backtestRunner options.
+ * Live stages are also checked against the demotion gates.
+ */
+async function evaluate(tenantId, promotionId, options = {}) {
+  const row = get(tenantId, promotionId);
+  if (!row) return { ok: false, error: "Promotion not found" };
+  if (row.status !== "active") return { ok: false, error: `Promotion is ${row.status}` };
+
+  const measured = await measure(row, options);
+  if (!measured.ok) return measured;
+
+  const gate = row.gates[row.stage] || null;
+  const checks = [...measured.checks, ...(gate ? checkGates(measured.metrics, gate) : [])];
+
+  const evaluation = {
+    stage: row.stage,
+    source: measured.source,
+    metrics: measured.metrics,
+    checks,
+    // live_full has nowhere to go
+    passed: Boolean(gate) && checks.every((c) => c.passed),
+    degraded: LIVE_STAGES.includes(row.stage) ? isDegraded(measured.metrics) : false,
+    evaluatedAt: Date.now(),
+  };
+
+  currentStage(row).evaluation = evaluation;
+  row.updatedAt = evaluation.evaluatedAt;
+  save(row);
+
+  return { ok: true, promotion: row, evaluation };
+}
+
+function isDegraded(metrics, gate = CONFIG.demotion) {
+  if (metrics.totalTrades < (gate.minTrades || 0)) return false;
+  return checkGates(metrics, { ...gate, minTrades: null }).some((c) => !c.passed);
+}
+
+/**
+ * Moves a candidate to its next stage. Paper and live stages are
+ * re-evaluated here; backtest stages need a passing evaluation no
+ * older than PROMOTION_EVAL_MAX_AGE_MS. The approver is recorded on
+ * the stage and in the audit chain.
+ */
+async function approve(tenantId, promotionId, { actor, role, note = null } = {}) {
+  let row = get(tenantId, promotionId);
+  if (!row) return { ok: false, error: "Promotion not found" };
+  if (row.status !== "active") return { ok: false, error: `Promotion is ${row.status}` };
+
+  const to = nextStage(row.stage);
+  if (!to) return { ok: false, error: "Already at full allocation" };
+
+  if (row.stage === "backtest" || row.stage === "out_of_sample") {
+    const evaluation = currentStage(row).evaluation;
+    if (evaluation && Date.now() - evaluation.evaluatedAt > CONFIG.evalMaxAgeMs) {
+      return { ok: false, error: `The ${row.stage} evaluation is stale; evaluate again`, evaluation };
+    }
+  } else {
+    const fresh = await evaluate(tenantId, promotionId);
+    if (!fresh.ok) return fresh;
+    row = fresh.promotion;
+  }
+
+  const stage = currentStage(row);
+  if (!stage.evaluation) return { ok: false, error: `Evaluate the ${row.stage} stage first` };
+  if (!stage.evaluation.passed) {
+    return { ok: false, error: `The ${row.stage} stage has not passed its gates`, evaluation: stage.evaluation };
+  }
+
+  if (to === "paper") {
+    const busy = (readDb().strategyPromotions || []).find(
+      (r) => r.tenantId === row.tenantId && r.status === "active" && r.stage === "paper" && r.id !== row.id
+    );
+    if (busy) return { ok: false, error: `Paper account is trading ${busy.labId} (${busy.id})` };
+  }
+
+  const effect = enterStage(row, to, actor);
+  if (!effect.ok) return effect;
+
+  const now = Date.now();
+  stage.approval = { actor, role, note, at: now };
+  moveTo(row, to, { actor, role, reason: note || "approved", now });
+
+  // The lab holds one version per strategy; older live candidates give way
+  if (LIVE_STAGES.includes(to)) supersede(row, { actor, role });
+
+  save(row);
+  audit("STRATEGY_STAGE_APPROVED", row, {
+    actor,
+    role,
+    from: stage.stage,
+    to,
+    allocation: row.allocation,
+    metrics: stage.evaluation.metrics,
+    note,
+  });
+
+  return { ok: true, promotion: row };
+}
+
+function supersede(row, { actor, role }) {
+  const others = (readDb().strategyPromotions || []).filter(
+    (r) => r.tenantId === row.tenantId && r.strategyId === row.strategyId && r.id !== row.id && r.status === "active" && LIVE_STAGES.includes(r.stage)
+  );
+
+  for (const other of others) {
+    other.status = "superseded";
+    other.history.push({ from: other.stage, to: other.stage, actor, role, reason: `superseded by v${row.version}`, at: Date.now() });
+    other.updatedAt = Date.now();
+    save(other);
+    audit("STRATEGY_SUPERSEDED", other, { actor, role, by: row.id });
+  }
+}
+
+/**
+ * Steps a candidate down: live_full → live_pilot, anything else
+ * out of the pipeline (status demoted).
+ */
+function demote(tenantId, promotionId, { actor = "system", role = "system", reason = "manual", evaluation = null } = {}) {
+  const row = get(tenantId, promotionId);
+  if (!row) return { ok: false, error: "Promotion not found" };
+  if (row.status !== "active") return { ok: false, error: `Promotion is ${row.status}` };
+
+  const from = row.stage;
+
+  if (from === "live_full") {
+    const effect = enterStage(row, "live_pilot", actor);
+    if (!effect.ok) return effect;
+    moveTo(row, "live_pilot", { actor, role, reason });
+  } else {
+    leaveStage(row);
+    row.status = "demoted";
+    row.allocation = 0;
+    row.history.push({ from, to: null, actor, role, reason, at: Date.now() });
+    row.updatedAt = Date.now();
+  }
+
+  save(row);
+  audit("STRATEGY_DEMOTED", row, { actor, role, from, reason, metrics: evaluation?.metrics || null });
+
+  return { ok: true, promotion: row };
+}
+
+/**
+ * Takes a candidate out of the pipeline and off paper or the lab.
+ */
+function withdraw(tenantId, promotionId, { actor, role, reason = null } = {}) {
+  const row = get(tenantId, promotionId);
+  if (!row) return { ok: false, error: "Promotion not found" };
+  if (row.status !== "active") return { ok: false, error: `Promotion is ${row.status}` };
+
+  leaveStage(row);
+  row.status = "withdrawn";
+  row.allocation = 0;
+  row.history.push({ from: row.stage, to: null, actor, role, reason: reason || "withdrawn", at: Date.now() });
+  row.updatedAt = Date.now();
+
+  save(row);
+  audit("STRATEGY_WITHDRAWN", row, { actor, role, reason });
+
+  return { ok: true, promotion: row };
+}
+
+/* ================= QUERY ================= */
+
+function get(tenantId, promotionId) {
+  const id = tenantKey(tenantId);
+  return (readDb().strategyPromotions || []).find((r) => r.id === promotionId && r.tenantId === id) || null;
+}
+
+/**
+ * Newest first: { total, promotions }.
+ */
+function list(tenantId, { strategyId = null, stage = null, status = null, limit = 50, offset = 0 } = {}) {
+  const id = tenantKey(tenantId);
+  let rows = (readDb().strategyPromotions || []).filter((r) => r.tenantId === id);
+
+  if (strategyId) rows = rows.filter((r) => r.strategyId === strategyId);
+  if (stage) rows = rows.filter((r) => r.stage === stage);
+  if (status) rows = rows.filter((r) => r.status === status);
+
+  rows.sort((a, b) => b.updatedAt - a.updatedAt);
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 50), 500);
+
+  return { total: rows.length, promotions: rows.slice(start, start + size) };
+}
+
+/**
+ * The active candidate for a strategy, optionally a given version.
+ */
+function activeFor(tenantId, strategyId, version = null) {
+  const rows = list(tenantId, { strategyId, status: "active", limit: 500 }).promotions;
+  return rows.find((r) => version == null || version === "" || r.version === Number(version)) || null;
+}
+
+/* ================= LIVE EXECUTION ================= */
+
+function liveCandidates(tenantId) {
+  const id = tenantKey(tenantId);
+  return (readDb().strategyPromotions || [])
+    .filter((r) => r.tenantId === id && r.status === "active" && LIVE_STAGES.includes(r.stage))
+    .sort((a, b) => b.allocation - a.allocation);
+}
+
+/**
+ * The share of its riskMultiplier a lab strategy may trade live:
+ * its effectiveRiskMultiplier while a live candidate holds it in the
+ * lab, otherwise 0.
+ */
+function liveAllocation(tenantId, labId) {
+  if (!liveCandidates(tenantId).some((r) => r.labId === labId)) return 0;
+  const lab = strategyLab.getActiveStrategies(tenantKey(tenantId)).find((s) => s.id === labId);
+  return lab ? Math.max(0, lab.effectiveRiskMultiplier) : 0;
+}
+
+function compiledLive(row) {
+  const key = `${row.tenantId}|${row.labId}`;
+  if (!LIVE_COMPILED.has(key)) {
+    const loaded = strategyRegistry.load(row.tenantId, row.strategyId, row.version);
+    LIVE_COMPILED.set(key, loaded.ok ? loaded.strategy : null);
+  }
+  return LIVE_COMPILED.get(key);
+}
+
+/**
+ * The live decision for `symbol` from the tenant's live candidate
+ * covering it, or null when there is none. `position` is the open
+ * side ("LONG" | "SHORT" | null). A candidate the lab no longer
+ * holds, or holds at no allocation, only waits.
+ */
+function liveDecision(tenantId, symbol, price, { position = null, now = Date.now() } = {}) {
+  const sym = String(symbol || "").toUpperCase();
+  const row = liveCandidates(tenantId).find((r) => !r.symbols || r.symbols.includes(sym));
+  if (!row) return null;
+
+  const base = { symbol: sym, action: "WAIT", confidence: 0, edge: 0, strategy: row.labId, promotionId: row.id, ts: now };
+
+  const strategy = compiledLive(row);
+  if (!strategy) return { ...base, reason: "INVALID_STRATEGY" };
+
+  const barsKey = `${row.tenantId}|${row.labId}|${sym}`;
+  if (!LIVE_BARS.has(barsKey)) LIVE_BARS.set(barsKey, []);
+  const bars = LIVE_BARS.get(barsKey);
+  bars.push({ close: price, time: now });
+  if (bars.length > strategy.lookback) bars.shift();
+
+  const allocation = liveAllocation(row.tenantId, row.labId);
+  if (!(allocation > 0)) return { ...base, reason: "NOT_ALLOCATED" };
+
+  const d = strategy.decide(bars, { position });
+  if (d.action === "BUY" || d.action === "SELL") {
+    if (d.confidence < strategy.params.confidenceThreshold || d.edge < strategy.params.edgeThreshold) {
+      return { ...base, reason: "BELOW_THRESHOLD" };
+    }
+    return { ...base, ...d, strategy: row.labId, riskPct: (d.riskPct || CONFIG.liveRiskPct) * allocation, allocation };
+  }
+
+  return { ...base, ...d, strategy: row.labId };
+}
+
+/* ================= MONITOR ================= */
+
+/**
+ * Re-evaluates every live candidate and demotes the degraded ones.
+ */
+async function monitor() {
+  const live = (readDb().strategyPromotions || []).filter((r) => r.status === "active" && LIVE_STAGES.includes(r.stage));
+  const demoted = [];
+
+  for (const row of live) {
+    try {
+      const result = await evaluate(row.tenantId, row.id);
+      if (!result.ok || !result.evaluation.degraded) continue;
+
+      const out = demote(row.tenantId, row.id, {
+        reason: "live metrics degraded",
+        evaluation: result.evaluation,
+      });
+      if (out.ok) demoted.push({ id: row.id, from: row.stage, to: out.promotion.status === "active" ? out.promotion.stage : null });
+    } catch (err) {
+      console.error("[PROMOTION_MONITOR_ERR]:", row.id, err.message);
+    }
+  }
+
+  return { checked: live.length, demoted };
+}
+
+// strategyLab lives in memory; put live candidates back after a restart
+function restore() {
+  let restored = 0;
+  for (const row of readDb().strategyPromotions || []) {
+    if (row.status !== "active" || !LIVE_STAGES.includes(row.stage)) continue;
+    const loaded = strategyRegistry.load(row.tenantId, row.strategyId, row.version);
+    if (!loaded.ok) continue;
+
+    const out = strategyLab.addStrategy(row.tenantId, {
+      id: row.labId,
+      label: loaded.row.name,
+      ...loaded.strategy.params,
+      dsl: { strategyId: row.strategyId, version: row.version },
+      allocation: row.allocation,
+    });
+    if (out.ok) restored++;
+  }
+  return restored;
+}
+
+function start() {
+  if (timer || !CONFIG.enabled) return false;
+  restore();
+  timer = setInterval(() => {
+    monitor().catch((err) => console.error("[PROMOTION_MONITOR_ERR]:", err.message));
+  }, CONFIG.monitorMs);
+  timer.unref();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  CONFIG,
+  STAGES,
+  STATUSES,
+  nominate,
+  evaluate,
+  approve,
+  demote,
+  withdraw,
+  get,
+  list,
+  activeFor,
+  liveAllocation,
+  liveDecision,
+  monitor,
+  start,
+  stop,
+};
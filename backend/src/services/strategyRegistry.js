@@ -0,0 +1,314 @@
+// ==========================================================
+// 📚 STRATEGY REGISTRY — v1.0 (VERSIONED DSL DEFINITIONS)
+// FILE: backend/src/services/strategyRegistry.js
+//
+// Stores user-authored strategyDsl definitions per tenant in
+// db.strategyDefinitions. Every save is a new immutable version;
+// saving an unchanged definition returns the latest version.
+//
+// A stored version can be:
+//   backtested    walk-forward through backtestRunner
+//   paper-traded  bound to the tenant's paper account
+//   promoted      added to strategyLab's active set, at a share
+//                 of its riskMultiplier while on a live pilot
+//
+// strategyPromotion decides when a version is paper-traded or
+// promoted; the calls here only carry it out.
+// ==========================================================
+
+const crypto = require("crypto");
+const { readDb, updateDb } = require("../lib/db");
+const strategyDsl = require("./strategyDsl");
+const strategyLab = require("./strategyLab");
+const backtestRunner = require("./backtestRunner");
+const paperTrader = require("./paperTrader");
+
+/* ================= CONFIG ================= */
+
+const STATUSES = ["draft", "promoted", "retired"];
+
+/* ================= HELPERS ================= */
+
+function tenantKey(tenantId) {
+  return String(tenantId || "default_user");
+}
+
+function newStrategyId() {
+  return `strat_${Date.now().toString(36)}${crypto.randomBytes(4).toString("hex")}`;
+}
+
+// Key order must not change the hash
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((out, k) => ({ ...out, [k]: canonical(value[k]) }), {});
+  }
+  return value;
+}
+
+function hashOf(definition) {
+  return crypto.createHash("sha256").update(JSON.stringify(canonical(definition))).digest("hex");
+}
+
+function rowsFor(db, tenantId, strategyId) {
+  return (db.strategyDefinitions || [])
+    .filter((r) => r.tenantId === tenantId && (!strategyId || r.strategyId === strategyId))
+    .sort((a, b) => a.version - b.version);
+}
+
+function persist(mutator) {
+  let out;
+  updateDb((db) => {
+    if (!Array.isArray(db.strategyDefinitions)) db.strategyDefinitions = [];
+    out = mutator(db);
+    return db;
+  });
+  return out;
+}
+
+function labId(strategyId, version) {
+  return `${strategyId}@v${version}`;
+}
+
+function summarize(versions) {
+  const latest = versions[versions.length - 1];
+  const promoted = versions.find((v) => v.status === "promoted");
+
+  return {
+    strategyId: latest.strategyId,
+    name: latest.name,
+    description: latest.description,
+    latestVersion: latest.version,
+    versions: versions.length,
+    promotedVersion: promoted ? promoted.version : null,
+    createdAt: versions[0].createdAt,
+    updatedAt: latest.createdAt,
+  };
+}
+
+/* ================= DEFINITIONS ================= */
+
+function insertVersion(db, tenantId, strategyId, version, definition, { actor = null, note = null } = {}) {
+  const row = {
+    id: `${tenantId}:${strategyId}:${version}`,
+    tenantId,
+    strategyId,
+    version,
+    name: definition.name,
+    description: definition.description || null,
+    definition,
+    hash: hashOf(definition),
+    status: "draft",
+    note,
+    createdBy: actor,
+    createdAt: Date.now(),
+    promotedAt: null,
+    promotedBy: null,
+  };
+
+  db.strategyDefinitions.push(row);
+  return row;
+}
+
+/**
+ * New strategy at version 1.
+ */
+function create(tenantId, definition, opts = {}) {
+  const check = strategyDsl.validate(definition);
+  if (!check.ok) return { ok: false, error: "Invalid strategy definition", errors: check.errors };
+
+  const id = tenantKey(tenantId);
+  const strategyId = newStrategyId();
+  const row = persist((db) => insertVersion(db, id, strategyId, 1, definition, opts));
+
+  return { ok: true, created: true, strategy: row };
+}
+
+/**
+ * Saves `definition` as the next version of `strategyId`.
+ */
+function addVersion(tenantId, strategyId, definition, opts = {}) {
+  const check = strategyDsl.validate(definition);
+  if (!check.ok) return { ok: false, error: "Invalid strategy definition", errors: check.errors };
+
+  const id = tenantKey(tenantId);
+
+  return persist((db) => {
+    const versions = rowsFor(db, id, strategyId);
+    if (!versions.length) return { ok: false, error: "Strategy not found" };
+
+    const latest = versions[versions.length - 1];
+    if (latest.hash === hashOf(definition)) return { ok: true, created: false, strategy: latest };
+
+    return { ok: true, created: true, strategy: insertVersion(db, id, strategyId, latest.version + 1, definition, opts) };
+  });
+}
+
+function list(tenantId) {
+  const id = tenantKey(tenantId);
+  const byStrategy = new Map();
+
+  for (const row of rowsFor(readDb(), id)) {
+    if (!byStrategy.has(row.strategyId)) byStrategy.set(row.strategyId, []);
+    byStrategy.get(row.strategyId).push(row);
+  }
+
+  return [...byStrategy.values()].map(summarize).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function get(tenantId, strategyId) {
+  const versions = rowsFor(readDb(), tenantKey(tenantId), strategyId);
+  if (!versions.length) return null;
+
+  return { ...summarize(versions), history: versions.map(({ definition, ...meta }) => meta) };
+}
+
+/**
+ * One stored version; latest when `version` is omitted.
+ */
+function getVersion(tenantId, strategyId, version) {
+  const versions = rowsFor(readDb(), tenantKey(tenantId), strategyId);
+  if (!versions.length) return null;
+  if (version === undefined || version === null || version === "") return versions[versions.length - 1];
+
+  return versions.find((v) => v.version === Number(version)) || null;
+}
+
+function load(tenantId, strategyId, version) {
+  const row = getVersion(tenantId, strategyId, version);
+  if (!row) return { ok: false, error: "Strategy version not found" };
+
+  const compiled = strategyDsl.compile(row.definition);
+  if (!compiled.ok) return { ok: false, error: "Stored definition no longer validates", errors: compiled.errors };
+
+  return { ok: true, row, strategy: compiled.strategy };
+}
+
+/* ================= USE ================= */
+
+/**
+ * trainingEngine decision builder for a stored version, or null.
+ */
+function decisionBuilderFor(tenantId, { strategyId, version } = {}) {
+  const loaded = load(tenantId, strategyId, version);
+  return loaded.ok ? strategyDsl.decisionBuilder(loaded.strategy) : null;
+}
+
+/**
+ * Walk-forward backtest of a stored version; `options` go to
+ * backtestRunner.runBacktest (symbol, candles, seed, folds, costs...).
+ */
+async function backtest(tenantId, strategyId, { version, ...options } = {}) {
+  const loaded = load(tenantId, strategyId, version);
+  if (!loaded.ok) return loaded;
+
+  const report = await backtestRunner.runBacktest({
+    ...options,
+    strategy: { id: labId(strategyId, loaded.row.version), ...loaded.strategy.params },
+    decisionBuilder: strategyDsl.decisionBuilder(loaded.strategy),
+  });
+
+  return report.ok ? { ...report, strategyId, version: loaded.row.version } : report;
+}
+
+/**
+ * Trades the tenant's paper account with a stored version instead
+ * of tradeBrain, optionally only on `symbols`.
+ */
+function paperTrade(tenantId, strategyId, { version, symbols = null } = {}) {
+  const loaded = load(tenantId, strategyId, version);
+  if (!loaded.ok) return loaded;
+
+  const binding = {
+    strategyId,
+    version: loaded.row.version,
+    name: loaded.row.name,
+    symbols: Array.isArray(symbols) && symbols.length ? symbols.map((s) => String(s).toUpperCase()) : null,
+    definition: loaded.row.definition,
+  };
+
+  paperTrader.setStrategy(tenantKey(tenantId), binding);
+
+  return { ok: true, paper: { ...binding, definition: undefined } };
+}
+
+function stopPaperTrading(tenantId) {
+  paperTrader.setStrategy(tenantKey(tenantId), null);
+  return { ok: true };
+}
+
+/**
+ * Adds a stored version to strategyLab's active set and marks it
+ * promoted; an earlier promoted version is retired. `allocation`
+ * (0–1) scales its riskMultiplier.
+ */
+function promote(tenantId, strategyId, { version, actor = null, allocation = 1 } = {}) {
+  const id = tenantKey(tenantId);
+  const loaded = load(id, strategyId, version);
+  if (!loaded.ok) return loaded;
+
+  const { row, strategy } = loaded;
+
+  const lab = strategyLab.addStrategy(id, {
+    id: labId(strategyId, row.version),
+    label: row.name,
+    ...strategy.params,
+    dsl: { strategyId, version: row.version },
+    allocation,
+  });
+  if (!lab.ok) return lab;
+
+  const now = Date.now();
+  const promoted = persist((db) => {
+    let out = null;
+    for (const r of rowsFor(db, id, strategyId)) {
+      if (r.version === row.version) {
+        Object.assign(r, { status: "promoted", promotedAt: now, promotedBy: actor });
+        out = r;
+      } else if (r.status === "promoted") {
+        r.status = "retired";
+      }
+    }
+    return out;
+  });
+
+  return { ok: true, strategy: promoted, lab: lab.strategy };
+}
+
+/**
+ * Takes a promoted version out of strategyLab and marks it retired.
+ */
+function retire(tenantId, strategyId, { version } = {}) {
+  const id = tenantKey(tenantId);
+  const row = getVersion(id, strategyId, version);
+  if (!row) return { ok: false, error: "Strategy version not found" };
+
+  const lab = strategyLab.removeStrategy(id, labId(strategyId, row.version));
+
+  const retired = persist((db) => {
+    const r = rowsFor(db, id, strategyId).find((v) => v.version === row.version);
+    if (r && r.status === "promoted") r.status = "retired";
+    return r;
+  });
+
+  return { ok: true, strategy: retired, removedFromLab: lab.ok };
+}
+
+module.exports = {
+  STATUSES,
+  create,
+  addVersion,
+  list,
+  get,
+  getVersion,
+  load,
+  decisionBuilderFor,
+  backtest,
+  paperTrade,
+  stopPaperTrading,
+  promote,
+  retire,
+  labId,
+};
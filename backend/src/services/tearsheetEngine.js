@@ -0,0 +1,565 @@
+// backend/src/services/tearsheetEngine.js
+// AutoShield Tech — Performance tearsheet
+// Builds a full tearsheet on top of metricsEngine for paper or live
+// trading: risk-adjusted ratios, rolling and monthly returns, drawdown
+// periods, trade durations, MAE/MFE and exposure over time.
+//
+// Paper trades come from the paper trader's exit log. Live round trips
+// are rebuilt FIFO from filled order-journal entries per symbol, with
+// MAE/MFE taken from replay candles when they cover the holding period.
+// Paper P&L is net of costs; the summary breaks the costs out.
+
+const metricsEngine = require("./metricsEngine");
+const orderJournal = require("./orderJournal");
+const marketReplayEngine = require("./marketReplayEngine");
+const costModel = require("./costModel");
+
+/* =========================================================
+   CONFIG
+========================================================= */
+
+const CONFIG = Object.freeze({
+  startingCapital: Number(process.env.STARTING_CAPITAL || 100000),
+  rollingWindows: [7, 30],
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const INTERVALS = {
+  day: { ms: DAY_MS, periodsPerYear: 365 },
+  hour: { ms: HOUR_MS, periodsPerYear: 365 * 24 },
+};
+
+const DURATION_BUCKETS = [
+  { label: "<1m", maxMs: 60 * 1000 },
+  { label: "1-5m", maxMs: 5 * 60 * 1000 },
+  { label: "5-15m", maxMs: 15 * 60 * 1000 },
+  { label: "15-60m", maxMs: HOUR_MS },
+  { label: "1-4h", maxMs: 4 * HOUR_MS },
+  { label: "4-24h", maxMs: DAY_MS },
+  { label: "1-7d", maxMs: 7 * DAY_MS },
+  { label: ">7d", maxMs: Infinity },
+];
+
+const QTY_EPSILON = 1e-12;
+
+// ~5 years of days or ~2 years of hours
+const MAX_POINTS = 20000;
+
+/* =========================================================
+   HELPERS
+========================================================= */
+
+function safeNum(x, fallback = 0) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function mean(arr) {
+  if (!arr.length) return 0;
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+function round(n, dp = 6) {
+  if (!Number.isFinite(n)) return n;
+  const f = Math.pow(10, dp);
+  return Math.round(n * f) / f;
+}
+
+function parseTime(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function floorTo(ts, ms) {
+  return Math.floor(ts / ms) * ms;
+}
+
+function isoDay(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/* =========================================================
+   TRADE SOURCES
+========================================================= */
+
+function normalizeTrade(t) {
+  const qty = safeNum(t.qty);
+  const entry = safeNum(t.entry);
+  const openedAt = safeNum(t.openedAt, null);
+  const closedAt = safeNum(t.closedAt, null);
+  const notional = entry * qty;
+
+  const mae = t.mae == null ? null : safeNum(t.mae);
+  const mfe = t.mfe == null ? null : safeNum(t.mfe);
+
+  return {
+    symbol: t.symbol,
+    side: t.side,
+    strategy: t.strategy || "unknown",
+    entry,
+    exit: safeNum(t.exit),
+    qty,
+    pnl: safeNum(t.pnl),
+    grossPnl: safeNum(t.grossPnl, safeNum(t.pnl)),
+    fees: safeNum(t.fees),
+    spread: safeNum(t.spread),
+    slippage: safeNum(t.slippage),
+    funding: safeNum(t.funding),
+    borrow: safeNum(t.borrow),
+    openedAt,
+    closedAt,
+    durationMs: openedAt != null && closedAt != null ? Math.max(0, closedAt - openedAt) : null,
+    mae,
+    mfe,
+    maeUsd: mae == null ? null : mae * notional,
+    mfeUsd: mfe == null ? null : mfe * notional,
+  };
+}
+
+function paperTrades(tenantId) {
+  // paperTrader reaches riskGateway → portfolioRiskEngine, which loads this lazily too
+  const paperTrader = require("./paperTrader");
+
+  return paperTrader.tradeLog(tenantId).map((h) =>
+    normalizeTrade({
+      symbol: h.symbol,
+      side: h.side,
+      strategy: h.strategy,
+      entry: h.entry,
+      exit: h.exit,
+      qty: h.qty,
+      pnl: h.pnl,
+      openedAt: h.openedAt,
+      closedAt: h.timestamp,
+      mae: h.mae,
+      mfe: h.mfe,
+    })
+  );
+}
+
+// Signed worst/best move against entry from replay candles, or null
+function candleExcursions(symbol, side, entry, openedAt, closedAt) {
+  const candles = marketReplayEngine.replayCandles({
+    symbol,
+    fromTime: openedAt,
+    toTime: closedAt,
+    limit: Number.MAX_SAFE_INTEGER,
+  });
+  if (!candles.length || !(entry > 0)) return { mae: null, mfe: null };
+
+  const high = Math.max(entry, ...candles.map((c) => safeNum(c.high, entry)));
+  const low = Math.min(entry, ...candles.map((c) => safeNum(c.low, entry)));
+
+  return side === "LONG"
+    ? { mae: (low - entry) / entry, mfe: (high - entry) / entry }
+    : { mae: (entry - high) / entry, mfe: (entry - low) / entry };
+}
+
+/**
+ * FIFO round trips from journal fills. A fill opposite to the open
+ * lots closes them oldest first; any remainder opens a new lot.
+ */
+function liveRoundTrips(tenantId, { symbol } = {}) {
+  const lotsBySymbol = {};
+  const trades = [];
+
+  for (const f of orderJournal.fills(tenantId, { symbol })) {
+    const lots = (lotsBySymbol[f.symbol] = lotsBySymbol[f.symbol] || []);
+    const side = f.side === "BUY" ? "LONG" : "SHORT";
+    let remaining = f.filledQty;
+
+    while (remaining > QTY_EPSILON && lots.length && lots[0].side !== side) {
+      const lot = lots[0];
+      const qty = Math.min(lot.qty, remaining);
+      const dir = lot.side === "LONG" ? 1 : -1;
+
+      trades.push({
+        symbol: f.symbol,
+        side: lot.side,
+        strategy: lot.strategy,
+        entry: lot.price,
+        exit: f.avgPrice,
+        qty,
+        pnl: (f.avgPrice - lot.price) * qty * dir,
+        openedAt: lot.openedAt,
+        closedAt: f.filledAt,
+      });
+
+      lot.qty -= qty;
+      remaining -= qty;
+      if (lot.qty <= QTY_EPSILON) lots.shift();
+    }
+
+    if (remaining > QTY_EPSILON) {
+      lots.push({
+        side,
+        qty: remaining,
+        price: f.avgPrice,
+        strategy: f.strategy || f.source || "unknown",
+        openedAt: f.filledAt,
+      });
+    }
+  }
+
+  return trades;
+}
+
+function liveTrades(tenantId, { symbol } = {}) {
+  return liveRoundTrips(tenantId, { symbol }).map((t) =>
+    normalizeTrade({ ...t, ...candleExcursions(t.symbol, t.side, t.entry, t.openedAt, t.closedAt) })
+  );
+}
+
+/* =========================================================
+   EQUITY
+========================================================= */
+
+/**
+ * Realised equity per bucket from `from` to `to`; empty buckets carry
+ * the previous value.
+ */
+function equitySeries(trades, { startingCapital, intervalMs, from, to }) {
+  const start = floorTo(from, intervalMs);
+  const end = floorTo(to, intervalMs);
+  const pnlByBucket = new Map();
+
+  for (const t of trades) {
+    const b = floorTo(t.closedAt, intervalMs);
+    pnlByBucket.set(b, (pnlByBucket.get(b) || 0) + t.pnl);
+  }
+
+  const series = [];
+  let equity = startingCapital;
+  for (let ts = start; ts <= end; ts += intervalMs) {
+    equity += pnlByBucket.get(ts) || 0;
+    series.push({ ts, equity });
+  }
+
+  return series;
+}
+
+function periodReturns(series) {
+  return series.slice(1).map((p, i) => (series[i].equity > 0 ? p.equity / series[i].equity - 1 : 0));
+}
+
+function ratios(series, base, periodsPerYear, startingCapital) {
+  const returns = periodReturns(series);
+  const first = startingCapital;
+  const last = series[series.length - 1]?.equity || 0;
+  const totalReturn = first > 0 ? last / first - 1 : 0;
+
+  const years = series.length / periodsPerYear;
+  const cagr = years > 0 && first > 0 && last > 0 ? Math.pow(last / first, 1 / years) - 1 : 0;
+  const annualize = Math.sqrt(periodsPerYear);
+
+  return {
+    totalReturn,
+    cagr,
+    volatility: stdDevOf(returns) * annualize,
+    sharpe: base.sharpe * annualize,
+    sortino: base.sortino * annualize,
+    calmar: base.maxDrawdown > 0 ? cagr / base.maxDrawdown : 0,
+    meanPeriodReturn: mean(returns),
+  };
+}
+
+function stdDevOf(arr) {
+  if (arr.length < 2) return 0;
+  const avg = mean(arr);
+  return Math.sqrt(arr.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / (arr.length - 1));
+}
+
+/* =========================================================
+   TABLES
+========================================================= */
+
+// Trailing return over each window (in buckets), one point per bucket
+function rollingReturns(series, windows) {
+  const out = {};
+
+  for (const w of windows) {
+    out[w] = series.slice(w).map((p, i) => ({
+      ts: p.ts,
+      return: series[i].equity > 0 ? p.equity / series[i].equity - 1 : 0,
+    }));
+  }
+
+  return out;
+}
+
+/**
+ * { year, months: { "01": r, ... }, total } per year, compounding
+ * from month-end equity.
+ */
+function monthlyTable(series, startingCapital) {
+  const monthEnd = new Map();
+  let prev = startingCapital;
+
+  for (const p of series) {
+    monthEnd.set(new Date(p.ts).toISOString().slice(0, 7), p.equity);
+  }
+
+  const years = {};
+  for (const [key, equity] of monthEnd) {
+    const [year, month] = key.split("-");
+    const row = (years[year] = years[year] || { year: Number(year), months: {}, total: 1 });
+    const r = prev > 0 ? equity / prev - 1 : 0;
+    row.months[month] = r;
+    row.total *= 1 + r;
+    prev = equity;
+  }
+
+  return Object.values(years).map((row) => ({ ...row, total: row.total - 1 }));
+}
+
+/**
+ * Peak-to-recovery episodes, deepest first. Unrecovered drawdowns
+ * have end/recoveryDays null.
+ */
+function drawdownPeriods(series, startingCapital) {
+  const periods = [];
+  let peak = { ts: series[0]?.ts, equity: startingCapital };
+  let open = null;
+
+  for (const p of series) {
+    if (p.equity >= peak.equity) {
+      if (open) {
+        open.end = p.ts;
+        open.recoveryDays = (p.ts - open.trough) / DAY_MS;
+        open.durationDays = (p.ts - open.start) / DAY_MS;
+        periods.push(open);
+        open = null;
+      }
+      peak = p;
+      continue;
+    }
+
+    const depth = (peak.equity - p.equity) / peak.equity;
+    if (!open) open = { start: peak.ts, trough: p.ts, end: null, depth, durationDays: null, recoveryDays: null };
+    if (depth > open.depth) {
+      open.depth = depth;
+      open.trough = p.ts;
+    }
+  }
+
+  if (open) {
+    open.durationDays = (series[series.length - 1].ts - open.start) / DAY_MS;
+    periods.push(open);
+  }
+
+  return periods.sort((a, b) => b.depth - a.depth);
+}
+
+function durationHistogram(trades) {
+  const buckets = DURATION_BUCKETS.map((b) => ({ label: b.label, count: 0, wins: 0, pnl: 0 }));
+
+  for (const t of trades) {
+    if (t.durationMs == null) continue;
+    const i = DURATION_BUCKETS.findIndex((b) => t.durationMs < b.maxMs);
+    buckets[i].count++;
+    if (t.pnl > 0) buckets[i].wins++;
+    buckets[i].pnl += t.pnl;
+  }
+
+  return buckets;
+}
+
+/**
+ * Open entry notional per bucket: a trade counts in every bucket its
+ * holding period overlaps.
+ */
+function exposureTimeline(trades, series, intervalMs) {
+  const points = series.map((p) => ({ ts: p.ts, notional: 0, positions: 0, pctOfEquity: 0 }));
+  if (!points.length) return { timeline: points, timeInMarketPct: 0 };
+
+  const start = points[0].ts;
+
+  for (const t of trades) {
+    if (t.openedAt == null || t.closedAt == null) continue;
+    const first = Math.max(0, Math.floor((t.openedAt - start) / intervalMs));
+    const last = Math.min(points.length - 1, Math.floor((t.closedAt - start) / intervalMs));
+
+    for (let i = first; i <= last; i++) {
+      points[i].notional += t.entry * t.qty;
+      points[i].positions++;
+    }
+  }
+
+  points.forEach((p, i) => {
+    p.pctOfEquity = series[i].equity > 0 ? p.notional / series[i].equity : 0;
+  });
+
+  return {
+    timeline: points,
+    timeInMarketPct: points.filter((p) => p.positions > 0).length / points.length,
+  };
+}
+
+/* =========================================================
+   PUBLIC API
+========================================================= */
+
+/**
+ * buildTearsheet({ tenantId, mode, from?, to?, symbol?, strategy?,
+ * interval?: "day" | "hour", startingCapital? })
+ *
+ * Filters apply to trades before any statistic is computed, so the
+ * equity curve is that of the filtered slice.
+ */
+function buildTearsheet({
+  tenantId,
+  mode = "paper",
+  from = null,
+  to = null,
+  symbol = null,
+  strategy = null,
+  interval = "day",
+  startingCapital = CONFIG.startingCapital,
+  rollingWindows = CONFIG.rollingWindows,
+} = {}) {
+  if (mode !== "paper" && mode !== "live") return { ok: false, error: "mode must be paper or live" };
+  if (!INTERVALS[interval]) return { ok: false, error: "interval must be day or hour" };
+
+  const fromTs = parseTime(from);
+  const toTs = parseTime(to);
+  if (from && fromTs == null) return { ok: false, error: "Invalid from date" };
+  if (to && toTs == null) return { ok: false, error: "Invalid to date" };
+
+  const sym = symbol ? String(symbol).toUpperCase() : null;
+  const capital = safeNum(startingCapital, CONFIG.startingCapital);
+  const { ms: intervalMs, periodsPerYear } = INTERVALS[interval];
+
+  const all = mode === "live" ? liveTrades(tenantId, { symbol: sym }) : paperTrades(tenantId);
+
+  const trades = all
+    .filter((t) => t.closedAt != null)
+    .filter((t) => !sym || t.symbol === sym)
+    .filter((t) => !strategy || t.strategy === strategy)
+    .filter((t) => fromTs == null || t.closedAt >= fromTs)
+    .filter((t) => toTs == null || t.closedAt <= toTs)
+    .sort((a, b) => a.closedAt - b.closedAt);
+
+  const rangeFrom = fromTs ?? (trades[0] ? Math.min(trades[0].openedAt ?? trades[0].closedAt, trades[0].closedAt) : Date.now());
+  const rangeTo = toTs ?? Date.now();
+
+  if ((rangeTo - rangeFrom) / intervalMs > MAX_POINTS) {
+    return { ok: false, error: `Range too long for ${interval} interval (max ${MAX_POINTS} points)` };
+  }
+
+  const series = equitySeries(trades, { startingCapital: capital, intervalMs, from: rangeFrom, to: Math.max(rangeFrom, rangeTo) });
+
+  const base = metricsEngine.computeMetrics({
+    trades: trades.map((t) => ({ profit: t.pnl })),
+    equityCurve: series.map((p) => p.equity),
+  });
+
+  const exposure = exposureTimeline(trades, series, intervalMs);
+  const withExcursions = trades.filter((t) => t.mae != null);
+  const costs = trades.reduce((acc, t) => costModel.addCosts(acc, t), costModel.emptyCosts());
+
+  return {
+    ok: true,
+    tenantId,
+    mode,
+    filters: { from: fromTs, to: toTs, symbol: sym, strategy: strategy || null, interval },
+    generatedAt: Date.now(),
+    summary: {
+      ...base,
+      ...ratios(series, base, periodsPerYear, capital),
+      startingCapital: capital,
+      endingEquity: series[series.length - 1]?.equity ?? capital,
+      netPnL: trades.reduce((a, t) => a + t.pnl, 0),
+      grossPnL: trades.reduce((a, t) => a + t.grossPnl, 0),
+      costFees: costs.fees,
+      costSpread: costs.spread,
+      costSlippage: costs.slippage,
+      costFunding: costs.funding,
+      costBorrow: costs.borrow,
+      totalCosts: costModel.totalCosts(costs),
+      avgDurationMs: mean(trades.filter((t) => t.durationMs != null).map((t) => t.durationMs)),
+      avgMae: mean(withExcursions.map((t) => t.mae)),
+      avgMfe: mean(withExcursions.map((t) => t.mfe)),
+      // overrides metricsEngine's trades-per-point approximation
+      exposurePct: exposure.timeInMarketPct,
+    },
+    equity: series,
+    rollingReturns: rollingReturns(series, rollingWindows),
+    monthly: monthlyTable(series, capital),
+    drawdowns: drawdownPeriods(series, capital),
+    durationHistogram: durationHistogram(trades),
+    exposure: exposure.timeline,
+    trades,
+  };
+}
+
+/* =========================================================
+   CSV EXPORT
+========================================================= */
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "number" ? String(round(v)) : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsvRows(header, rows) {
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+const CSV_TABLES = {
+  trades: (sheet) =>
+    toCsvRows(
+      ["symbol", "side", "strategy", "entry", "exit", "qty", "pnl", "grossPnl", "fees", "spread", "slippage", "funding", "borrow", "openedAt", "closedAt", "durationMs", "mae", "mfe", "maeUsd", "mfeUsd"],
+      sheet.trades.map((t) => [
+        t.symbol, t.side, t.strategy, t.entry, t.exit, t.qty, t.pnl,
+        t.grossPnl, t.fees, t.spread, t.slippage, t.funding, t.borrow,
+        t.openedAt != null ? new Date(t.openedAt).toISOString() : null,
+        new Date(t.closedAt).toISOString(),
+        t.durationMs, t.mae, t.mfe, t.maeUsd, t.mfeUsd,
+      ])
+    ),
+
+  equity: (sheet) =>
+    toCsvRows(
+      ["ts", "equity", "exposureNotional", "exposurePct"],
+      sheet.equity.map((p, i) => [new Date(p.ts).toISOString(), p.equity, sheet.exposure[i].notional, sheet.exposure[i].pctOfEquity])
+    ),
+
+  monthly: (sheet) => {
+    const months = ["01", "02", "03", "04", "05", "06", "07", "08", "09", "10", "11", "12"];
+    return toCsvRows(
+      ["year", ...months, "total"],
+      sheet.monthly.map((row) => [row.year, ...months.map((m) => row.months[m] ?? null), row.total])
+    );
+  },
+
+  drawdowns: (sheet) =>
+    toCsvRows(
+      ["start", "trough", "end", "depth", "durationDays", "recoveryDays"],
+      sheet.drawdowns.map((d) => [isoDay(d.start), isoDay(d.trough), d.end != null ? isoDay(d.end) : null, d.depth, d.durationDays, d.recoveryDays])
+    ),
+
+  summary: (sheet) => toCsvRows(["metric", "value"], Object.entries(sheet.summary)),
+};
+
+/**
+ * One tearsheet table as CSV: trades | equity | monthly | drawdowns | summary.
+ */
+function toCsv(sheet, table = "trades") {
+  const render = CSV_TABLES[table];
+  if (!render) return { ok: false, error: `table must be one of ${Object.keys(CSV_TABLES).join(", ")}` };
+  return { ok: true, csv: render(sheet) };
+}
+
+module.exports = {
+  CSV_TABLES: Object.keys(CSV_TABLES),
+  DURATION_BUCKETS,
+  buildTearsheet,
+  liveRoundTrips,
+  toCsv,
+};
@@ -16,48 +16,49 @@ try {
   strategyEngine.buildDecision = buildDecision;
 } catch (e) { console.warn("[BRAIN]: Strategy Engine offline, using neutral fallback."); }
 
+const indicators = require("./indicators");
+const marketRegime = require("./marketRegime");
+
 /* ================= CONFIG ================= */
 const MIN_CONF_INT = 15; 
 const TRADE_COOLDOWN_MS = 5000; 
 const EXPLORATION_RATE = 0.08;  
+// Tick-level readings reported with every decision
+const BRAIN_INDICATORS = ["rsi:14", "ema:9", "ema:21", "atr:14", "bollinger:20:2"];
 
 const BRAIN_STATE = new Map();
 
-function getBrainState(id) {
-  const key = String(id || "default");
+// One brain per tenant + symbol so concurrent symbols don't share price memory
+function getBrainState(id, symbol = "BTCUSDT") {
+  const key = `${String(id || "default")}:${symbol}`;
   if (!BRAIN_STATE.has(key)) {
     BRAIN_STATE.set(key, {
       smoothedConfidence: 0.2,
       edgeMomentum: 0,
       lastTradeTime: 0,
       priceMemory: [],
+      indicators: indicators.createIndicatorSet(BRAIN_INDICATORS),
       regime: "INITIALIZING"
     });
   }
   return BRAIN_STATE.get(key);
 }
 
-function detectMarketRegime(prices) {
-  if (prices.length < 10) return "LEARNING";
-  const start = prices[0];
-  const end = prices[prices.length - 1];
-  const move = (end - start) / start;
-  // Threshold for "Stable" vs "Trending"
-  if (Math.abs(move) < 0.0005) return "STABLE"; 
-  return move > 0 ? "BULL_RUN" : "BEAR_PRESSURE";
-}
-
 function makeDecision(context = {}) {
-  const { tenantId, symbol = "BTCUSDT", last, core = {} } = context;
-  const brain = getBrainState(tenantId);
+  const { tenantId, symbol = "BTCUSDT", last, core = {}, rng = null } = context;
+  const brain = getBrainState(tenantId, symbol);
   const price = Number(last);
-  const now = Date.now();
+  // Simulations pass their own clock + seeded rng so runs replay exactly
+  const now = Number.isFinite(context.now) ? context.now : Date.now();
+  const random = rng ? rng.next : Math.random;
 
   if (!price || price <= 0) return { action: "WAIT", confidence: 0 };
 
   brain.priceMemory.push(price);
   if (brain.priceMemory.length > 50) brain.priceMemory.shift();
-  brain.regime = detectMarketRegime(brain.priceMemory);
+  // Own price memory, not the candle store: simulations replay exactly
+  brain.regime = marketRegime.classify(brain.priceMemory).regime;
+  const readings = brain.indicators.update(price);
 
   // 🏛️ Strategy & AI Fusion (50/50 weighted split)
   let strategy = strategyEngine.buildDecision({ tenantId, symbol, price, coreState: core });
@@ -70,31 +71,56 @@ function makeDecision(context = {}) {
   brain.smoothedConfidence = (brain.smoothedConfidence * 0.3) + (rawConf * 0.7);
   const finalConfidence = Math.min(Math.round(brain.smoothedConfidence * 100), 100);
 
-  let action = strategy.action || "WAIT";
+  const proposed = strategy.action || "WAIT";
+  let action = proposed;
 
   // 🧪 EXPLORATION OVERRIDE
-  if (action === "WAIT" && Math.random() < EXPLORATION_RATE && finalConfidence > 10) {
+  const explored = action === "WAIT" && random() < EXPLORATION_RATE && finalConfidence > 10;
+  if (explored) {
     action = rawEdge > 0 ? "BUY" : "SELL";
   }
 
   // 🛡️ COOLDOWN & THRESHOLD GUARDS
-  if (now - brain.lastTradeTime < TRADE_COOLDOWN_MS) {
+  const sinceLastTrade = now - brain.lastTradeTime;
+  const entering = action === "BUY" || action === "SELL";
+  const cooling = sinceLastTrade < TRADE_COOLDOWN_MS;
+  if (cooling) {
     if (action === "BUY" || action === "SELL") action = "WAIT";
   }
 
-  if ((action === "BUY" || action === "SELL") && finalConfidence < MIN_CONF_INT) {
+  const belowMin = (action === "BUY" || action === "SELL") && finalConfidence < MIN_CONF_INT;
+  if (belowMin) {
     action = "WAIT";
   }
 
   if (action === "BUY" || action === "SELL") brain.lastTradeTime = now;
 
+  // Contributions are on the 0–1 scale; the decision's confidence is
+  // the smoothed total in percent
+  const attribution = {
+    features: { price, regime: brain.regime, indicators: readings, memory: brain.priceMemory.length },
+    components: [
+      { name: "strategy", weight: 0.5, confidence: (strategy.confidence || 0) * 0.5, edge: (strategy.edge || 0) * 0.5, action: proposed, detail: strategy.attribution || null },
+      { name: "ai", weight: 0.5, confidence: (ai.confidence || 0) * 0.5, edge: (ai.edge || 0) * 0.5, detail: ai.attribution || null },
+      { name: "smoothing", confidence: brain.smoothedConfidence - rawConf, edge: 0 },
+    ],
+    thresholds: [
+      { name: "exploration", value: EXPLORATION_RATE, applied: explored },
+      { name: "cooldownMs", value: TRADE_COOLDOWN_MS, actual: sinceLastTrade, passed: !cooling, applied: entering && cooling },
+      { name: "minConfidence", value: MIN_CONF_INT, actual: finalConfidence, passed: finalConfidence >= MIN_CONF_INT, applied: belowMin },
+    ],
+    proposed,
+  };
+
   return {
     symbol,
     action,
     confidence: finalConfidence, 
     edge: rawEdge,
     regime: brain.regime,
+    indicators: readings,
     reason: action === "WAIT" ? "MARKET_SCAN" : "ALGO_CONFIRMED",
+    attribution,
     ts: now
   };
 }
@@ -14,9 +14,12 @@
 // - Added per-trade max hold override support
 // - Added cleaner replay compatibility
 // - Kept response shape stable for maintenance/frontend use
+// - Optional seeded rng (lib/prng) forwarded to decision builders
+// - Fees, spread, slippage, funding and borrow via costModel
 // ==========================================================
 
 const replayEngine = require("./marketReplayEngine");
+const costModel = require("./costModel");
 const aiBrain = require("../../brain/aiBrain");
 
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
@@ -53,6 +56,11 @@ const DEFAULT_EDGE_THRESHOLD = Number(
   process.env.TRAINING_DEFAULT_EDGE_THRESHOLD || 0.0001
 );
 
+// Impact on top of the spread, as in paperTrader
+const DEFAULT_SLIPPAGE_BPS = Number(
+  process.env.TRAINING_DEFAULT_SLIPPAGE_BPS || 2
+);
+
 /* =========================================================
 UTIL
 ========================================================= */
@@ -241,6 +249,8 @@ function emptyStats() {
     losses: 0,
     breakeven: 0,
     grossPnl: 0,
+    netPnl: 0,
+    costs: costModel.emptyCosts(),
     avgPnl: 0,
     winRate: 0,
     endingCapital: 0,
@@ -284,9 +294,14 @@ function buildPaperState({
 }
 
 function finalizeStats(stats, endingCapital) {
+  const costs = {};
+  for (const [k, v] of Object.entries(stats.costs)) costs[k] = round(v, 8);
+
   const next = {
     ...stats,
     grossPnl: round(stats.grossPnl, 8),
+    netPnl: round(stats.netPnl, 8),
+    costs,
     endingCapital: round(endingCapital, 8),
     startingCapital: round(stats.startingCapital, 8),
     maxDrawdown: round(stats.maxDrawdown, 8),
@@ -295,7 +310,7 @@ function finalizeStats(stats, endingCapital) {
   };
 
   next.avgPnl =
-    next.tradesClosed > 0 ? round(next.grossPnl / next.tradesClosed, 8) : 0;
+    next.tradesClosed > 0 ? round(next.netPnl / next.tradesClosed, 8) : 0;
 
   next.winRate =
     next.tradesClosed > 0 ? round((next.wins / next.tradesClosed) * 100, 4) : 0;
@@ -303,6 +318,64 @@ function finalizeStats(stats, endingCapital) {
   return next;
 }
 
+// Candle times are epoch ms when present; index-based feeds are not
+function clockTime(time) {
+  const t = safeNum(time, NaN);
+  return t > 1e11 ? t : null;
+}
+
+/**
+ * Per-session fill pricing and cost accounting. `costs: false` turns
+ * every cost off (frictionless fills at the decision price).
+ */
+function createCostBook(symbol, costs = {}) {
+  const enabled = costs !== false;
+  const venue = costs?.venue || costModel.CONFIG.simVenue;
+  const slippageBps = safeNum(costs?.slippageBps, DEFAULT_SLIPPAGE_BPS);
+  const volume = {};
+
+  function fill(side, price, qty, time) {
+    if (!enabled) {
+      return { price, costs: costModel.emptyCosts() };
+    }
+
+    const crossed = costModel.crossSpread({ venue, symbol, side, price, qty, slippageBps });
+    const ts = clockTime(time) || Date.now();
+    const { feeUsd } = costModel.fee({
+      venue,
+      notional: crossed.price * qty,
+      volume30dUsd: costModel.volume30d(volume, ts),
+    });
+    costModel.addVolume(volume, crossed.price * qty, ts);
+
+    return {
+      price: crossed.price,
+      costs: {
+        ...costModel.emptyCosts(),
+        fees: feeUsd,
+        spread: crossed.spreadUsd,
+        slippage: crossed.slippageUsd,
+      },
+    };
+  }
+
+  function carry(position, closedAt) {
+    if (!enabled) return costModel.emptyCosts();
+
+    const c = costModel.carry({
+      symbol,
+      side: position.side,
+      notional: position.entry * position.qty,
+      fromTs: clockTime(position.openTime),
+      toTs: clockTime(closedAt),
+    });
+
+    return { ...costModel.emptyCosts(), funding: c.fundingUsd, borrow: c.borrowUsd };
+  }
+
+  return { fill, carry };
+}
+
 /* =========================================================
 CORE TRAINING SESSION
 ========================================================= */
@@ -314,6 +387,8 @@ async function runTrainingSession({
   strategy = null,
   decisionBuilder = null,
   startingCapital = DEFAULT_STARTING_CAPITAL,
+  rng = null,
+  costs = {},
 }) {
   const feed = asArray(candles);
 
@@ -336,6 +411,44 @@ async function runTrainingSession({
   const stats = emptyStats();
   stats.startingCapital = capital;
 
+  const costBook = createCostBook(symbol, costs);
+
+  // Exits cross the spread too; entry fees left capital at the open
+  function settle(position, exitPrice, closedAt) {
+    const exitFill = costBook.fill(
+      position.side === "LONG" ? "SELL" : "BUY",
+      exitPrice,
+      position.qty,
+      closedAt
+    );
+
+    const tradeCosts = costModel.addCosts(
+      costModel.addCosts({ ...position.costs }, exitFill.costs),
+      costBook.carry(position, closedAt)
+    );
+
+    const grossPnl = calcPnl(position.side, position.entry, exitFill.price, position.qty);
+    const pnl = grossPnl - tradeCosts.fees - tradeCosts.funding - tradeCosts.borrow;
+
+    costModel.addCosts(stats.costs, tradeCosts);
+    stats.grossPnl += grossPnl;
+    stats.netPnl += pnl;
+
+    return {
+      exit: exitFill.price,
+      grossPnl,
+      pnl,
+      costs: tradeCosts,
+      capitalDelta: pnl + position.costs.fees,
+    };
+  }
+
+  function costFields(settled) {
+    const out = { grossPnl: round(settled.grossPnl, 8) };
+    for (const [k, v] of Object.entries(settled.costs)) out[k] = round(v, 8);
+    return out;
+  }
+
   for (let i = 0; i < feed.length; i += 1) {
     const candle = feed[i];
 
@@ -366,6 +479,7 @@ async function runTrainingSession({
           index: i,
           paper: paperState,
           strategy,
+          rng,
         });
       } else if (typeof aiBrain.decide === "function") {
         decision = await aiBrain.decide({
@@ -443,23 +557,20 @@ async function runTrainingSession({
       }
 
       if (exitReason) {
-        const pnl = calcPnl(
-          openPosition.side,
-          openPosition.entry,
-          exitPrice,
-          openPosition.qty
-        );
-
-        capital += pnl;
+        const settled = settle(openPosition, exitPrice, normalizedCandle.time);
+        const pnl = settled.pnl;
+
+        capital += settled.capitalDelta;
         peakCapital = Math.max(peakCapital, capital);
 
         const trade = {
           symbol,
           side: openPosition.side,
           entry: round(openPosition.entry, 8),
-          exit: round(exitPrice, 8),
+          exit: round(settled.exit, 8),
           qty: round(openPosition.qty, 8),
           pnl: round(pnl, 8),
+          ...costFields(settled),
           reason: exitReason,
           openIndex: openPosition.openIndex,
           closeIndex: i,
@@ -473,7 +584,6 @@ async function runTrainingSession({
 
         closedTrades.push(trade);
         stats.tradesClosed += 1;
-        stats.grossPnl += pnl;
         stats.bestTrade =
           stats.tradesClosed === 1
             ? pnl
@@ -518,18 +628,28 @@ async function runTrainingSession({
         });
 
         if (qty > 0) {
+          const entryFill = costBook.fill(
+            side === "LONG" ? "BUY" : "SELL",
+            close,
+            qty,
+            normalizedCandle.time
+          );
+
           const stops = buildStops(
             side,
-            close,
+            entryFill.price,
             normalizedDecision.stopLoss,
             normalizedDecision.takeProfit
           );
 
+          capital -= entryFill.costs.fees;
+
           openPosition = {
             symbol,
             side,
-            entry: close,
+            entry: entryFill.price,
             qty,
+            costs: entryFill.costs,
             stopLoss: stops.stopLoss,
             takeProfit: stops.takeProfit,
             openIndex: i,
@@ -562,22 +682,19 @@ async function runTrainingSession({
     const lastCandle = normalizeCandle(feed[lastIndex] || {}, lastIndex);
     const lastClose = safeNum(lastCandle.close, openPosition.entry);
 
-    const pnl = calcPnl(
-      openPosition.side,
-      openPosition.entry,
-      lastClose,
-      openPosition.qty
-    );
+    const settled = settle(openPosition, lastClose, lastCandle.time);
+    const pnl = settled.pnl;
 
-    capital += pnl;
+    capital += settled.capitalDelta;
 
     const trade = {
       symbol,
       side: openPosition.side,
       entry: round(openPosition.entry, 8),
-      exit: round(lastClose, 8),
+      exit: round(settled.exit, 8),
       qty: round(openPosition.qty, 8),
       pnl: round(pnl, 8),
+      ...costFields(settled),
       reason: "END_OF_REPLAY",
       openIndex: openPosition.openIndex,
       closeIndex: lastIndex,
@@ -591,7 +708,6 @@ async function runTrainingSession({
 
     closedTrades.push(trade);
     stats.tradesClosed += 1;
-    stats.grossPnl += pnl;
     stats.bestTrade =
       stats.tradesClosed === 1 ? pnl : Math.max(stats.bestTrade, pnl);
     stats.worstTrade =
@@ -622,6 +738,7 @@ async function runReplayTraining({
   symbol = "BTCUSDT",
   strategy = null,
   decisionBuilder = null,
+  rng = null,
 }) {
   const candles = await replayEngine.replayCandles({ symbol });
 
@@ -631,6 +748,7 @@ async function runReplayTraining({
     candles,
     strategy,
     decisionBuilder,
+    rng,
   });
 }
 
@@ -14,7 +14,7 @@
 // ==========================================================
 
 const paperTrader = require("./paperTrader");
-const aiBrain = require("./aiBrain");
+const { createRng } = require("../lib/prng");
 
 /* ======================================================
 CONFIGURATION
@@ -28,6 +28,8 @@ const SIMULATION_ROUNDS =
 
 const PRICE_START = 65000;
 
+const SIM_TICK_MS = 1000; // simulated clock step (matches marketEngine)
+
 /* ======================================================
 SAFETY CHECK
 ====================================================== */
@@ -48,9 +50,11 @@ function ensureTrainingAllowed(){
 PRICE MOVEMENT SIMULATION
 ====================================================== */
 
-function randomMove(price){
+function randomMove(price, rng){
+
+  const random = rng ? rng.next : Math.random;
 
-  const drift = (Math.random() - 0.5) * 0.002;
+  const drift = (random() - 0.5) * 0.002;
 
   const next = price * (1 + drift);
 
@@ -69,7 +73,8 @@ SINGLE SIMULATION
 async function runSimulation({
 
   tenantId = "lab",
-  symbol = "BTCUSDT"
+  symbol = "BTCUSDT",
+  rng = null
 
 } = {}){
 
@@ -77,6 +82,9 @@ async function runSimulation({
 
   let price = PRICE_START;
 
+  // seeded runs use a simulated clock so brain cooldowns replay exactly
+  const clockStart = rng ? 0 : Date.now();
+
   // isolate tenant to prevent touching real trader
   const simulationTenant = `training_${tenantId}_${Date.now()}`;
 
@@ -86,13 +94,17 @@ async function runSimulation({
 
     for(let i=0;i<SIMULATION_ROUNDS;i++){
 
-      price = randomMove(price);
+      price = randomMove(price, rng);
 
       paperTrader.tick(
         simulationTenant,
         symbol,
         price,
-        Date.now()
+        {
+          now: rng ? clockStart + i * SIM_TICK_MS : Date.now(),
+          rng,
+          audit: false
+        }
       );
 
     }
@@ -134,12 +146,18 @@ async function trainAI({
 
   runs = 10,
   tenantId = "lab",
-  symbol = "BTCUSDT"
+  symbol = "BTCUSDT",
+  seed = null,
+  rng = null
 
 } = {}){
 
   ensureTrainingAllowed();
 
+  // one stream for the whole batch: same seed → same set of runs
+  const stream =
+    rng || (seed !== null && seed !== undefined ? createRng(seed) : null);
+
   const safeRuns =
     Math.min(runs, 20); // prevent runaway CPU
 
@@ -152,7 +170,8 @@ async function trainAI({
       const res =
         await runSimulation({
           tenantId: `${tenantId}_${i}`,
-          symbol
+          symbol,
+          rng: stream
         });
 
       results.push(res);
@@ -0,0 +1,101 @@
+// backend/test/costModel.test.js
+// Fee tiers, spread crossing and carry in the shared cost model.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const costModel = require("../src/services/costModel");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// 2026-01-01T00:00:00Z, on a funding boundary
+const T0 = Date.UTC(2026, 0, 1);
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≉ ${b}`);
+
+test("fees follow the venue's 30-day volume tier", () => {
+  assert.deepEqual(costModel.fee({ venue: "kraken", notional: 10000 }), { feeUsd: 26, bps: 26, liquidity: "taker", tier: 0 });
+  assert.equal(costModel.fee({ venue: "kraken", notional: 10000, liquidity: "maker" }).bps, 16);
+
+  const tier = costModel.fee({ venue: "kraken", notional: -10000, volume30dUsd: 1000000 });
+  assert.equal(tier.bps, 16);
+  assert.equal(tier.tier, 1000000);
+  close(tier.feeUsd, 16);
+
+  // Unknown venues are charged at the simulated venue's schedule
+  assert.deepEqual(costModel.feeTier("nowhere"), costModel.feeTier(costModel.CONFIG.simVenue));
+});
+
+test("the volume window drops days older than 30", () => {
+  const window = {};
+  costModel.addVolume(window, 1000, T0);
+  costModel.addVolume(window, -500, T0 + DAY_MS);
+  assert.equal(costModel.volume30d(window, T0 + DAY_MS), 1500);
+
+  costModel.addVolume(window, 200, T0 + 40 * DAY_MS);
+  assert.deepEqual(Object.values(window), [200]);
+  assert.equal(costModel.volume30d(window, T0 + 40 * DAY_MS), 200);
+});
+
+test("crossing the spread pays half of it plus slippage, by side", () => {
+  const book = { spreadBps: 10 };
+
+  const buy = costModel.crossSpread({ symbol: "BTCUSD", side: "BUY", price: 100, qty: 10, slippageBps: 2, book });
+  assert.equal(buy.source, "book");
+  close(buy.price, 100 * (1 + 7 / 10000));
+  close(buy.spreadUsd, 1000 * 5 / 10000);
+  close(buy.slippageUsd, 1000 * 2 / 10000);
+
+  const sell = costModel.crossSpread({ symbol: "BTCUSD", side: "SELL", price: 100, qty: 10, slippageBps: 2, book });
+  close(sell.price, 100 * (1 - 7 / 10000));
+
+  // Without a book: the venue model, wider for smaller assets
+  const btc = costModel.halfSpread({ venue: "kraken", symbol: "XBTUSD" });
+  const alt = costModel.halfSpread({ venue: "kraken", symbol: "DOGEUSD" });
+  assert.equal(btc.source, "model");
+  assert.ok(alt.halfSpreadBps > btc.halfSpreadBps);
+});
+
+test("perpetual funding is charged per 8h boundary crossed, longs pay shorts", () => {
+  const long = costModel.carry({ symbol: "BTCPERP", side: "LONG", notional: 10000, fromTs: T0 + HOUR_MS, toTs: T0 + 17 * HOUR_MS, fundingRate8h: 0.0001 });
+  close(long.fundingUsd, 2 * 10000 * 0.0001);
+  assert.equal(long.borrowUsd, 0);
+
+  const short = costModel.carry({ symbol: "BTCPERP", side: "SHORT", notional: 10000, fromTs: T0 + HOUR_MS, toTs: T0 + 17 * HOUR_MS, fundingRate8h: 0.0001 });
+  close(short.fundingUsd, -2);
+
+  // Inside one funding window nothing is due
+  assert.equal(costModel.carry({ symbol: "BTCPERP", side: "LONG", notional: 10000, fromTs: T0 + HOUR_MS, toTs: T0 + 2 * HOUR_MS }).fundingUsd, 0);
+});
+
+test("spot shorts pay borrow; longs and index-based times carry nothing", () => {
+  const short = costModel.carry({ symbol: "BTCUSD", side: "SHORT", notional: 10000, fromTs: T0, toTs: T0 + 365 * DAY_MS });
+  close(short.borrowUsd, 10000 * 0.05);
+
+  assert.deepEqual(costModel.carry({ symbol: "BTCUSD", side: "LONG", notional: 10000, fromTs: T0, toTs: T0 + DAY_MS }), { fundingUsd: 0, borrowUsd: 0 });
+  assert.deepEqual(costModel.carry({ symbol: "BTCUSD", side: "SHORT", notional: 10000, fromTs: 10, toTs: 500 }), { fundingUsd: 0, borrowUsd: 0 });
+});
+
+test("cost reports add up by component", () => {
+  const costs = costModel.addCosts(costModel.emptyCosts(), { fees: 1, spread: 0.5, funding: -0.25, bogus: 100 });
+  costModel.addCosts(costs, { borrow: 2 });
+  assert.deepEqual(costs, { fees: 1, spread: 0.5, slippage: 0, funding: -0.25, borrow: 2 });
+  close(costModel.totalCosts(costs), 3.25);
+});
+
+test("sandbox taker fills cross the spread, pay the tier fee and book the volume", () => {
+  const args = { venue: "binance", symbol: "BTCUSDT", side: "BUY", price: 50000, qty: 2, slippageBps: 5 };
+  const spread = costModel.crossSpread(args);
+  const before = costModel.volume30d(costModel.venueVolume("fill_tenant", "binance"));
+
+  const fill = costModel.takerFill({ ...args, tenantId: "fill_tenant" });
+  const charged = costModel.fee({ venue: "binance", notional: spread.price * 2, volume30dUsd: before });
+
+  close(fill.avgPrice, spread.price);
+  close(fill.fee, charged.feeUsd);
+  assert.equal(fill.liquidity, "taker");
+  assert.deepEqual(fill.costs, { fees: charged.feeUsd, spread: spread.spreadUsd, slippage: spread.slippageUsd });
+  close(costModel.volume30d(costModel.venueVolume("fill_tenant", "binance")), before + spread.price * 2);
+});
@@ -0,0 +1,56 @@
+// backend/test/dbJson.test.js
+// The JSON driver's recovery paths: a corrupt db.json at boot is
+// restored from db.json.bak without rotating the corrupt file over it,
+// and lookups read through the same normalized, recovering path.
+
+const { dir } = require("./helpers/env");
+
+const path = require("path");
+const fs = require("fs");
+
+process.env.DB_DRIVER = "json";
+process.env.DB_JSON_PATH = path.join(dir, "db.json");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const FILE = process.env.DB_JSON_PATH;
+const BAK = FILE + ".bak";
+
+function seed() {
+  const { createJsonAdapter } = require("../src/lib/storage/jsonAdapter");
+  const store = createJsonAdapter({ file: FILE });
+  const doc = { schemaVersion: 14, users: [], companies: [{ id: "c_good", name: "Good" }] };
+  store.save(doc);
+  store.save(doc); // second save rotates the good copy into .bak
+}
+
+test("a corrupt db.json at boot is restored from the backup, which survives", () => {
+  seed();
+  const good = fs.readFileSync(BAK, "utf-8");
+  fs.writeFileSync(FILE, "{corrupt");
+
+  const db = require("../src/lib/db");
+  assert.equal(db.getAdapter().driver, "json");
+
+  const company = db.findById("companies", "c_good");
+  assert.equal(company.name, "Good");
+  // normalize() ran on the restored rows
+  assert.deepEqual(company.riskHistory, []);
+
+  assert.equal(JSON.parse(fs.readFileSync(BAK, "utf-8")).companies[0].id, "c_good");
+  assert.doesNotMatch(fs.readFileSync(BAK, "utf-8"), /corrupt/);
+  assert.ok(good.length > 0);
+});
+
+test("lookups fall back to the backup when db.json breaks at runtime", () => {
+  const db = require("../src/lib/db");
+  db.updateDb((doc) => {
+    doc.companies.push({ id: "c_later", name: "Later" });
+  });
+  db.updateDb((doc) => doc);
+
+  fs.writeFileSync(FILE, "{corrupt");
+  assert.equal(db.findById("companies", "c_later").name, "Later");
+  assert.equal(db.findWhere("companies", "id", "c_good").length, 1);
+});
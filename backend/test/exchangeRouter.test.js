@@ -0,0 +1,152 @@
+// backend/test/exchangeRouter.test.js
+// Venue failover in exchangeRouter.routeLiveOrder: refusals fail over,
+// attempts whose outcome is unknown are reconciled before anything
+// is routed elsewhere.
+
+require("./helpers/env");
+
+process.env.KRAKEN_API_KEY = "test";
+process.env.EXECUTION_PRIMARY = "kraken";
+process.env.EXECUTION_SECONDARY = "binance";
+process.env.EXECUTION_TERTIARY = "coinbase";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const riskGateway = require("../src/services/riskGateway");
+const exchangeRouter = require("../src/services/exchangeRouter");
+const orderJournal = require("../src/services/orderJournal");
+const kraken = require("../src/services/adapters/krakenAdapter");
+const binance = require("../src/services/adapters/binanceAdapter");
+const coinbase = require("../src/services/adapters/coinbaseAdapter");
+const killSwitch = require("../src/services/killSwitch");
+
+const ORIGINAL = new Map(
+  [kraken, binance, coinbase].map((a) => [a, { ...a }])
+);
+
+riskGateway.authorize = async (order) => ({ approved: true, decision: "APPROVE", qty: order.qty });
+
+function filled(exchange) {
+  return async (params) => ({
+    ok: true,
+    exchange,
+    result: { status: "FILLED", filledQty: params.qty, avgPrice: 100, clientOrderId: params.clientOrderId },
+  });
+}
+
+function setup({ primary, status = async () => ({ ok: false, error: "Order not found" }) }) {
+  for (const [adapter, original] of ORIGINAL) Object.assign(adapter, original);
+  exchangeRouter.reset();
+
+  const calls = { binance: 0 };
+  kraken.executeLiveOrder = primary;
+  kraken.getOpenOrders = async () => ({ ok: true, orders: [] });
+  kraken.getOrderStatus = status;
+  binance.executeLiveOrder = async (params) => {
+    calls.binance += 1;
+    return filled("binance")(params);
+  };
+  return calls;
+}
+
+let n = 0;
+function order() {
+  n += 1;
+  return { tenantId: `t_route_${n}`, symbol: "BTCUSD", side: "BUY", type: "MARKET", qty: 0.5, price: 100 };
+}
+
+test("a venue refusal fails over to the next venue", async () => {
+  const calls = setup({ primary: async () => ({ ok: false, exchange: "kraken", error: "EOrder:Insufficient funds" }) });
+
+  const out = await exchangeRouter.routeLiveOrder(order());
+  assert.equal(out.ok, true);
+  assert.equal(out.exchange, "binance");
+  assert.equal(calls.binance, 1);
+});
+
+test("refusals are not adapter failures and never trip the breaker", async () => {
+  setup({ primary: async () => ({ ok: false, exchange: "kraken", error: "EOrder:Insufficient funds" }) });
+
+  const runs = killSwitch.CONFIG.adapterFailures + 1;
+  for (let i = 0; i < runs; i += 1) assert.equal((await exchangeRouter.routeLiveOrder(order())).ok, true);
+
+  const health = exchangeRouter.getHealth().adapters.kraken;
+  assert.equal(health.failures, 0);
+  assert.equal(health.cooling, false);
+  assert.equal(health.rejected, runs);
+  assert.match(health.lastRejection, /Insufficient funds/);
+  assert.equal(killSwitch.check({ mode: "live", symbol: "BTCUSD" }), null);
+
+  // Transport errors still count
+  setup({
+    primary: async () => {
+      throw new Error("ETIMEDOUT");
+    },
+  });
+  await exchangeRouter.routeLiveOrder(order());
+  assert.equal(exchangeRouter.getHealth().adapters.kraken.failures, 1);
+});
+
+test("an unknown outcome is not re-routed and stays open in the journal", async () => {
+  const calls = setup({ primary: async () => ({ ok: false, exchange: "kraken", error: "Binance error -1007: Timeout", executionUnknown: true }) });
+  const input = order();
+
+  const out = await exchangeRouter.routeLiveOrder(input);
+  assert.equal(out.ok, false);
+  assert.equal(out.executionUnknown, true);
+  assert.equal(out.exchange, "kraken");
+  assert.equal(calls.binance, 0);
+
+  const entry = orderJournal.get(input.tenantId, out.journalId);
+  assert.equal(entry.status, "NEW");
+});
+
+test("a thrown adapter error counts as unknown", async () => {
+  const calls = setup({
+    primary: async () => {
+      throw new Error("socket hang up");
+    },
+  });
+
+  const out = await exchangeRouter.routeLiveOrder(order());
+  assert.equal(out.executionUnknown, true);
+  assert.equal(calls.binance, 0);
+});
+
+test("an unknown outcome reconciled as rejected fails over", async () => {
+  const calls = setup({
+    primary: async () => ({ ok: false, exchange: "kraken", error: "HTTP 502", executionUnknown: true }),
+    status: async (ref) => ({ ok: true, order: { clientOrderId: ref.clientOrderId, status: "REJECTED", filledQty: 0 } }),
+  });
+
+  const out = await exchangeRouter.routeLiveOrder(order());
+  assert.equal(out.ok, true);
+  assert.equal(out.exchange, "binance");
+  assert.equal(calls.binance, 1);
+});
+
+test("an unknown outcome reconciled as filled is reported, not repeated", async () => {
+  const calls = setup({
+    primary: async () => ({ ok: false, exchange: "kraken", error: "HTTP 504", executionUnknown: true }),
+    status: async (ref) => ({
+      ok: true,
+      order: { orderId: "OK-1", clientOrderId: ref.clientOrderId, status: "CLOSED", filledQty: 0.5, avgPrice: 101 },
+    }),
+  });
+
+  const out = await exchangeRouter.routeLiveOrder(order());
+  assert.equal(out.ok, true);
+  assert.equal(out.reconciled, true);
+  assert.equal(out.exchange, "kraken");
+  assert.equal(out.result.filledQty, 0.5);
+  assert.equal(calls.binance, 0);
+});
+
+test("venue helpers only mark 4xx answers as refusals", () => {
+  const { venueError } = require("../src/services/binancePrivate");
+
+  assert.equal(venueError(400, { code: -2010, msg: "insufficient balance" }).rejected, true);
+  assert.equal(venueError(408, { code: -1007, msg: "Timeout" }).rejected, false);
+  assert.equal(venueError(503, { msg: "Service unavailable" }).rejected, false);
+});
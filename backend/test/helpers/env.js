@@ -0,0 +1,27 @@
+// backend/test/helpers/env.js
+// Points the process at a throwaway SQLite store before any service
+// is required. Require it first in every test file.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "autoshield-test-"));
+
+process.env.DB_DRIVER = "sqlite";
+process.env.DB_SQLITE_PATH = path.join(dir, "db.sqlite");
+process.env.DB_BACKUP_DIR = dir;
+process.env.PAPER_PERSIST = "false";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-abcdefghijklmnopqrstuvwxyz";
+
+// Keep engine chatter out of the test report
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+process.on("exit", () => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+module.exports = { dir };
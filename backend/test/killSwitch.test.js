@@ -0,0 +1,103 @@
+// backend/test/killSwitch.test.js
+// Kill switch scopes, flattening of paper books, clearing, and the
+// adapter-failure and stale-feed breakers.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const killSwitch = require("../src/services/killSwitch");
+const paperTrader = require("../src/services/paperTrader");
+
+const engage = (input) => killSwitch.engage({ reason: "test", flatten: false, actor: "test", role: "admin", ...input });
+
+test("engage validates the switch spec", async () => {
+  assert.match((await engage({ scope: "planet" })).error, /scope must be one of/);
+  assert.match((await engage({ scope: "global", mode: "sometimes" })).error, /mode must be one of/);
+  assert.match((await engage({ scope: "tenant" })).error, /tenantId required/);
+  assert.match((await engage({ scope: "symbol" })).error, /symbol required/);
+});
+
+test("switches cover only their tenant, symbol and mode", async () => {
+  const tenant = await engage({ scope: "tenant", tenantId: "t_ks_a", mode: "paper" });
+  const symbol = await engage({ scope: "symbol", symbol: "ethusd" });
+
+  assert.equal(killSwitch.check({ tenantId: "t_ks_a", symbol: "BTCUSD" }).id, tenant.switch.id);
+  assert.equal(killSwitch.check({ tenantId: "t_ks_a", symbol: "BTCUSD", mode: "live" }), null);
+  assert.equal(killSwitch.check({ tenantId: "t_ks_b", symbol: "BTCUSD" }), null);
+  assert.equal(killSwitch.check({ tenantId: "t_ks_b", symbol: "ETHUSD", mode: "live" }).id, symbol.switch.id);
+
+  // Engaging the same switch twice returns the first
+  const again = await engage({ scope: "tenant", tenantId: "t_ks_a", mode: "paper" });
+  assert.equal(again.already, true);
+  assert.equal(again.switch.id, tenant.switch.id);
+
+  assert.equal(killSwitch.clear(tenant.switch.id, { actor: "admin" }).switch.status, "cleared");
+  assert.equal(killSwitch.clear(tenant.switch.id).ok, false);
+  killSwitch.clear(symbol.switch.id);
+
+  assert.equal(killSwitch.check({ tenantId: "t_ks_a", symbol: "ETHUSD" }), null);
+  assert.ok(killSwitch.list({ status: "cleared" }).total >= 2);
+});
+
+test("a flattening switch cancels resting orders and closes paper positions", async () => {
+  const id = "t_ks_flatten";
+  assert.equal(paperTrader.placeOrder(id, { symbol: "BTCUSD", side: "BUY", type: "MARKET", qty: 0.01 }, 100).ok, true);
+  assert.equal(paperTrader.placeOrder(id, { symbol: "BTCUSD", side: "BUY", type: "LIMIT", qty: 0.01, limitPrice: 50 }, 100).ok, true);
+  paperTrader.tick(id, "BTCUSD", 100);
+
+  const out = await engage({ scope: "tenant", tenantId: id, mode: "paper", flatten: true });
+  assert.equal(out.switch.flattened.canceled, 1);
+  assert.equal(out.switch.flattened.closed, 1);
+
+  const snap = paperTrader.snapshot(id);
+  assert.equal(snap.positions.length, 0);
+  assert.equal(paperTrader.listOrders(id, { status: "open" }).length, 0);
+
+  killSwitch.clear(out.switch.id);
+});
+
+test("consecutive adapter failures block live trading until cleared", () => {
+  const venue = "sandboxvenue";
+  for (let i = 1; i < killSwitch.CONFIG.adapterFailures; i += 1) killSwitch.recordAdapterFailure(venue, new Error("503"));
+  assert.equal(killSwitch.check({ mode: "live" }), null);
+
+  // A success resets the streak
+  killSwitch.recordAdapterSuccess(venue);
+  killSwitch.recordAdapterFailure(venue, new Error("503"));
+  assert.equal(killSwitch.check({ mode: "live" }), null);
+
+  for (let i = 1; i < killSwitch.CONFIG.adapterFailures; i += 1) killSwitch.recordAdapterFailure(venue, new Error("503"));
+  const row = killSwitch.check({ mode: "live", symbol: "BTCUSD" });
+  assert.equal(row.breaker, "adapter_failures");
+  assert.equal(row.scope, "global");
+  assert.equal(killSwitch.check({ mode: "paper" }), null);
+
+  killSwitch.clear(row.id);
+  assert.equal(killSwitch.status().adapters[venue], undefined);
+});
+
+test("stale feeds trip a symbol switch, but a stalled loop only re-arms them", () => {
+  const stale = killSwitch.CONFIG.feedStaleMs;
+  const t0 = Date.now();
+
+  killSwitch.heartbeat({ feed: "sim", symbol: "solusd", ts: t0, tenantId: "t_ks_feed" });
+  killSwitch.runBreakers(t0 + 1000);
+
+  // Nothing ran for longer than the stale window: feeds are re-armed, not tripped
+  killSwitch.runBreakers(t0 + 1000 + stale + 1);
+  assert.equal(killSwitch.check({ tenantId: "t_ks_feed", symbol: "SOLUSD" }), null);
+
+  // Regular passes while the feed stays silent
+  killSwitch.runBreakers(t0 + 1000 + stale + 2);
+  killSwitch.runBreakers(t0 + 1000 + 1.5 * stale);
+  killSwitch.runBreakers(t0 + 1000 + 2 * stale + 3);
+  const row = killSwitch.check({ tenantId: "t_ks_feed", symbol: "SOLUSD" });
+  assert.equal(row.breaker, "feed_stale");
+  assert.equal(row.scope, "symbol");
+  assert.equal(killSwitch.check({ tenantId: "t_ks_other", symbol: "SOLUSD" }), null);
+
+  killSwitch.clear(row.id);
+  killSwitch.forgetFeed({ feed: "sim", symbol: "SOLUSD" });
+});
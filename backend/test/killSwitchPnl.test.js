@@ -0,0 +1,62 @@
+// backend/test/killSwitchPnl.test.js
+// The pnl_limit breaker: its day-start baseline survives a restart,
+// and live realized losses from the order journal trip live trading.
+
+require("./helpers/env");
+process.env.KILL_DAILY_LOSS_USD = "5";
+process.env.KILL_LIVE_DAILY_LOSS_USD = "20";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const paperTrader = require("../src/services/paperTrader");
+const orderJournal = require("../src/services/orderJournal");
+
+const KILL_SWITCH = require.resolve("../src/services/killSwitch");
+let killSwitch = require(KILL_SWITCH);
+
+// A fresh process: nothing in memory, everything from the store
+function restart() {
+  delete require.cache[KILL_SWITCH];
+  killSwitch = require(KILL_SWITCH);
+}
+
+function liveFill(tenantId, side, price) {
+  const entry = orderJournal.open({ tenantId, exchange: "binance", symbol: "ETHUSD", side, qty: 1, price });
+  orderJournal.recordResult(entry.id, { ok: true, result: { status: "FILLED", filledQty: 1, avgPrice: price } });
+}
+
+test("the paper day-start baseline survives a restart", () => {
+  const id = "t_pnl_restart";
+  assert.equal(paperTrader.placeOrder(id, { symbol: "BTCUSD", side: "BUY", type: "MARKET", qty: 20 }, 100).ok, true);
+
+  killSwitch.runBreakers(Date.now());
+  assert.equal(killSwitch.check({ tenantId: id }), null);
+
+  // The loss lands while the process is down
+  paperTrader.tick(id, "BTCUSD", 99.7);
+  restart();
+
+  killSwitch.runBreakers(Date.now());
+  const row = killSwitch.check({ tenantId: id, mode: "paper" });
+  assert.equal(row?.breaker, "pnl_limit");
+  assert.ok(row.detail.loss >= 5);
+  assert.equal(killSwitch.check({ tenantId: id, mode: "live" }), null);
+});
+
+test("live realized losses trip live trading, and clearing re-baselines", () => {
+  const id = "t_pnl_live";
+  liveFill(id, "BUY", 100);
+  liveFill(id, "SELL", 70);
+
+  killSwitch.runBreakers(Date.now());
+  const row = killSwitch.check({ tenantId: id, mode: "live" });
+  assert.equal(row?.breaker, "pnl_limit");
+  assert.equal(row.detail.loss, 30);
+  assert.equal(killSwitch.check({ tenantId: id, mode: "paper" }), null);
+
+  killSwitch.clear(row.id);
+  restart();
+  killSwitch.runBreakers(Date.now());
+  assert.equal(killSwitch.check({ tenantId: id, mode: "live" }), null);
+});
@@ -0,0 +1,93 @@
+// backend/test/migrate.test.js
+// Versioned migrations: up/down, per-version snapshots that survive
+// later writes, restore, and the hold after an explicit downgrade.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+
+const db = require("../src/lib/db");
+const migrator = require("../src/lib/migrator");
+
+const LATEST = db.SCHEMA_VERSION;
+const LOWER = LATEST - 3;
+
+test("a fresh store boots at the latest version", () => {
+  assert.equal(db.readDb().schemaVersion, LATEST);
+});
+
+test("downgrade snapshots the source version and holds the store there", () => {
+  const result = db.migrateDb({ to: LOWER });
+  assert.equal(result.from, LATEST);
+  assert.equal(result.to, LOWER);
+  assert.ok(result.steps.every((s) => s.direction === "down"));
+  assert.match(result.backup, new RegExp(`db\\.json\\.v${LATEST}\\.bak$`));
+
+  const doc = db.readDb();
+  assert.equal(doc.schemaVersion, LOWER);
+  assert.equal(doc.schemaPinned, LOWER);
+
+  // Boot-time auto-migration must not undo it
+  db.upgradeDb();
+  assert.equal(db.readDb().schemaVersion, LOWER);
+});
+
+test("snapshots survive later writes to the store", () => {
+  db.updateDb((doc) => {
+    doc.systemState.securityStatus = "ELEVATED";
+  });
+
+  const backups = db.listBackups();
+  assert.deepEqual(backups.map((b) => b.version), [LATEST]);
+  const saved = JSON.parse(fs.readFileSync(backups[0].file, "utf-8"));
+  assert.equal(saved.schemaVersion, LATEST);
+  assert.equal(saved.systemState.securityStatus, "NORMAL");
+});
+
+test("an explicit upgrade releases the hold", () => {
+  const result = db.migrateDb();
+  assert.equal(result.from, LOWER);
+  assert.equal(result.to, LATEST);
+  assert.ok(result.steps.every((s) => s.direction === "up"));
+
+  const doc = db.readDb();
+  assert.equal(doc.schemaVersion, LATEST);
+  assert.equal(doc.schemaPinned, undefined);
+  assert.deepEqual(db.listBackups().map((b) => b.version).sort(), [LATEST, LOWER].sort());
+});
+
+test("restore rolls back to a chosen snapshot and holds it", () => {
+  const restored = db.restoreBackup(LOWER);
+  assert.equal(restored.version, LOWER);
+
+  const doc = db.readDb();
+  assert.equal(doc.schemaVersion, LOWER);
+  assert.equal(doc.schemaPinned, LOWER);
+  assert.equal(doc.systemState.securityStatus, "ELEVATED");
+
+  assert.equal(db.restoreBackup(1), null);
+
+  // Newest snapshot by default
+  const latest = db.restoreBackup();
+  assert.equal(latest.version, LOWER);
+});
+
+test("v15 merges legacy entitlements into existing tool grants", () => {
+  const shared = { id: "grant_a", toolId: "t1", userId: "u1" };
+  const legacyOnly = { id: "grant_b", toolId: "t2", userId: "u2" };
+  const idless = { toolId: "t3", companyId: "c1" };
+
+  const { db: doc } = migrator.run(
+    { schemaVersion: 14, toolGrants: [shared], entitlements: [{ ...shared }, legacyOnly, idless, { ...idless }] },
+    { to: 15 }
+  );
+
+  assert.deepEqual(doc.toolGrants, [shared, legacyOnly, idless]);
+  assert.equal(doc.entitlements, undefined);
+
+  // Legacy only: carried over as-is
+  const { db: legacy } = migrator.run({ schemaVersion: 14, entitlements: [legacyOnly] }, { to: 15 });
+  assert.deepEqual(legacy.toolGrants, [legacyOnly]);
+});
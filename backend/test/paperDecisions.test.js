@@ -0,0 +1,54 @@
+// backend/test/paperDecisions.test.js
+// Protective exits (hard stop, stop-loss, take-profit) leave an
+// EXITED decision with the levels that closed the trade.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const paperTrader = require("../src/services/paperTrader");
+const decisionLog = require("../src/services/decisionLog");
+
+const SYMBOL = "ETHUSD";
+
+function open(id, extra = {}) {
+  const out = paperTrader.placeOrder(id, { symbol: SYMBOL, side: "BUY", type: "MARKET", qty: 1, ...extra }, 100);
+  assert.equal(out.ok, true, out.error);
+  return paperTrader.snapshot(id).positions.find((p) => p.symbol === SYMBOL);
+}
+
+test("a hard stop records the exit and the loss that tripped it", () => {
+  const id = "t_decision_hard_stop";
+  const pos = open(id);
+
+  paperTrader.tick(id, SYMBOL, 95);
+
+  assert.equal(paperTrader.snapshot(id).positions.length, 0);
+  const [row] = decisionLog.forTrade(id, pos.tradeId);
+  assert.equal(row.outcome, "EXITED");
+  assert.equal(row.outcomeReason, "HARD_STOP");
+  assert.equal(row.source, "protection");
+  assert.equal(row.action, "CLOSE");
+
+  const hard = row.thresholds.find((t) => t.name === "hardStopLoss");
+  assert.equal(hard.applied, true);
+  assert.equal(hard.passed, false);
+  assert.ok(hard.actual <= hard.value);
+});
+
+test("take-profit exits carry the target and the price that reached it", () => {
+  const id = "t_decision_take_profit";
+  const pos = open(id, { takeProfit: 101 });
+
+  paperTrader.tick(id, SYMBOL, 102);
+
+  const [row] = decisionLog.forTrade(id, pos.tradeId);
+  assert.equal(row.outcomeReason, "TAKE_PROFIT");
+  assert.deepEqual(
+    row.thresholds.map(({ name, applied }) => ({ name, applied })),
+    [{ name: "hardStopLoss", applied: false }, { name: "takeProfit", applied: true }]
+  );
+  assert.equal(row.thresholds[1].value, 101);
+  assert.equal(row.thresholds[1].actual, 102);
+});
@@ -0,0 +1,148 @@
+// backend/test/paperOrderBook.test.js
+// Order validation, triggers, time-in-force and per-tick liquidity in
+// the paper order book's matcher.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const orderBook = require("../src/services/paperOrderBook");
+
+const SYMBOL = "BTCUSD";
+// Default PAPER_TICK_LIQUIDITY_USD (250k) at a price of 100
+const TICK_QTY = 2500;
+
+let clock = 1;
+
+function order(input) {
+  const out = orderBook.createOrder({ symbol: SYMBOL, qty: 1, ...input }, clock++);
+  assert.equal(out.ok, true, out.error);
+  return out.order;
+}
+
+function tick(orders, price) {
+  return orderBook.matchTick(orders, SYMBOL, price, { now: clock++ });
+}
+
+test("createOrder rejects incomplete or unknown input", () => {
+  const bad = (input) => orderBook.createOrder({ symbol: SYMBOL, side: "BUY", qty: 1, ...input }).error;
+
+  assert.match(bad({ symbol: "" }), /Missing symbol/);
+  assert.match(bad({ side: "HOLD" }), /Side must be/);
+  assert.match(bad({ type: "ICEBERG" }), /Unsupported order type/);
+  assert.match(bad({ timeInForce: "DAY" }), /Unsupported timeInForce/);
+  assert.match(bad({ qty: 0 }), /Quantity must be positive/);
+  assert.match(bad({ type: "LIMIT" }), /limitPrice required/);
+  assert.match(bad({ type: "STOP_LIMIT", limitPrice: 1 }), /stopPrice required/);
+  assert.match(bad({ type: "TRAILING_STOP", trailPercent: 1, trailAmount: 1 }), /exactly one/);
+
+  const market = orderBook.createOrder({ symbol: "btcusd", side: "buy", qty: 1 }).order;
+  assert.equal(market.symbol, SYMBOL);
+  assert.equal(market.timeInForce, "IOC");
+});
+
+test("limits rest until marketable, then fill at the tick price as maker", () => {
+  const buy = order({ side: "BUY", type: "LIMIT", limitPrice: 99 });
+  const orders = [buy];
+
+  assert.deepEqual(tick(orders, 100), []);
+  assert.equal(buy.status, "NEW");
+
+  const [fill] = tick(orders, 98);
+  assert.equal(fill.price, 98);
+  assert.equal(fill.liquidity, "maker");
+  assert.equal(buy.status, "FILLED");
+});
+
+test("market orders cross the spread and pay slippage", () => {
+  const buy = order({ side: "BUY" });
+  const sell = order({ side: "SELL" });
+
+  const fills = tick([buy, sell], 100);
+  assert.equal(fills.length, 2);
+  assert.ok(fills[0].price > 100);
+  assert.ok(fills[1].price < 100);
+  assert.ok(fills.every((f) => f.liquidity === "taker" && f.spreadUsd > 0 && f.slippageUsd > 0));
+});
+
+test("stops trigger on the far side of their price", () => {
+  const stop = order({ side: "SELL", type: "STOP", stopPrice: 95 });
+
+  assert.deepEqual(tick([stop], 96), []);
+  assert.equal(stop.triggered, false);
+
+  assert.equal(tick([stop], 95).length, 1);
+  assert.equal(stop.status, "FILLED");
+});
+
+test("trailing stops follow the best price and never loosen", () => {
+  const trail = order({ side: "SELL", type: "TRAILING_STOP", trailPercent: 10 });
+
+  tick([trail], 100);
+  assert.equal(trail.stopPrice, 90);
+  tick([trail], 120);
+  assert.equal(trail.stopPrice, 108);
+  tick([trail], 110);
+  assert.equal(trail.stopPrice, 108);
+  assert.equal(trail.status, "NEW");
+
+  assert.equal(tick([trail], 107).length, 1);
+  assert.equal(trail.status, "FILLED");
+});
+
+test("tick liquidity is shared FIFO; GTC remainders rest, IOC remainders expire", () => {
+  const gtc = order({ side: "BUY", type: "LIMIT", limitPrice: 100, qty: TICK_QTY * 1.5 });
+  const ioc = order({ side: "BUY", type: "LIMIT", limitPrice: 100, qty: 10, timeInForce: "IOC" });
+  const orders = [ioc, gtc];
+
+  const fills = tick(orders, 100);
+  assert.equal(fills.length, 1);
+  assert.equal(fills[0].order, gtc);
+  assert.equal(gtc.status, "PARTIALLY_FILLED");
+  assert.equal(gtc.remainingQty, TICK_QTY * 0.5);
+
+  assert.equal(ioc.status, "EXPIRED");
+  assert.equal(ioc.reason, "IOC_REMAINDER");
+
+  tick(orders, 100);
+  assert.equal(gtc.status, "FILLED");
+  assert.equal(gtc.fills.length, 2);
+});
+
+test("FOK fills in full or not at all", () => {
+  const big = order({ side: "BUY", qty: TICK_QTY * 2, timeInForce: "FOK" });
+  assert.deepEqual(tick([big], 100), []);
+  assert.equal(big.status, "EXPIRED");
+  assert.equal(big.reason, "INSUFFICIENT_LIQUIDITY");
+
+  const small = order({ side: "BUY", qty: 1, timeInForce: "FOK" });
+  assert.equal(tick([small], 100).length, 1);
+  assert.equal(small.status, "FILLED");
+});
+
+test("a vetoed fill leaves GTC orders resting", () => {
+  const buy = order({ side: "BUY", type: "LIMIT", limitPrice: 100 });
+  const fills = orderBook.matchTick([buy], SYMBOL, 100, { now: clock++, canFill: () => false });
+
+  assert.deepEqual(fills, []);
+  assert.equal(buy.status, "NEW");
+});
+
+test("cancel and replace only act on open orders; replace carries the unfilled part", () => {
+  const buy = order({ side: "BUY", type: "LIMIT", limitPrice: 100, qty: TICK_QTY * 2 });
+  tick([buy], 100);
+
+  assert.match(orderBook.replaceOrder(buy, { qty: TICK_QTY }).error, /must exceed filled/);
+
+  const out = orderBook.replaceOrder(buy, { qty: TICK_QTY * 3, limitPrice: 99 });
+  assert.equal(out.ok, true);
+  assert.equal(buy.status, "REPLACED");
+  assert.equal(buy.replacedBy, out.order.id);
+  assert.equal(out.order.qty, TICK_QTY * 2);
+  assert.equal(out.order.limitPrice, 99);
+  assert.equal(out.order.replaces, buy.id);
+
+  assert.equal(orderBook.cancelOrder(buy).ok, false);
+  assert.equal(orderBook.cancelOrder(out.order).order.status, "CANCELED");
+});
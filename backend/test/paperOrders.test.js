@@ -0,0 +1,81 @@
+// backend/test/paperOrders.test.js
+// Order sizing against open positions in the paper trader: only the
+// part that closes the position may skip the full risk gateway.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const paperTrader = require("../src/services/paperTrader");
+const killSwitch = require("../src/services/killSwitch");
+
+const SYMBOL = "BTCUSD";
+
+function market(id, side, qty, price = 100) {
+  return paperTrader.placeOrder(id, { symbol: SYMBOL, side, type: "MARKET", qty }, price);
+}
+
+function positionOf(id) {
+  return paperTrader.snapshot(id).positions.find((p) => p.symbol === SYMBOL) || null;
+}
+
+test("an opposite order larger than the position is not treated as reducing", async () => {
+  const id = "t_flip_kill";
+  assert.equal(market(id, "BUY", 0.01).ok, true);
+
+  await killSwitch.engage({ scope: "tenant", tenantId: id, reason: "test", flatten: false, actor: "test", role: "admin" });
+
+  const flip = market(id, "SELL", 100);
+  assert.equal(flip.ok, false);
+  assert.match(flip.error, /Kill switch/);
+  assert.equal(positionOf(id).side, "LONG");
+
+  // Closing exactly the position still passes while the switch is on
+  const close = market(id, "SELL", 0.01);
+  assert.equal(close.ok, true);
+  assert.equal(positionOf(id), null);
+});
+
+test("the opening part of a flip must fit the account's equity", () => {
+  const id = "t_flip_equity";
+  assert.equal(market(id, "BUY", 0.01).ok, true);
+
+  const flip = market(id, "SELL", 5000);
+  assert.equal(flip.ok, false);
+  assert.equal(flip.error, "Insufficient equity");
+});
+
+test("other working orders use up the reducible quantity", async () => {
+  const id = "t_flip_working";
+  assert.equal(market(id, "BUY", 1).ok, true);
+
+  // Rests above the market and already claims the whole position
+  const resting = paperTrader.placeOrder(id, { symbol: SYMBOL, side: "SELL", type: "LIMIT", qty: 1, limitPrice: 150 }, 100);
+  assert.equal(resting.ok, true);
+  assert.equal(resting.order.status, "NEW");
+
+  await killSwitch.engage({ scope: "tenant", tenantId: id, reason: "test", flatten: false, actor: "test", role: "admin" });
+
+  const second = market(id, "SELL", 1);
+  assert.equal(second.ok, false);
+  assert.match(second.error, /Kill switch/);
+});
+
+test("raising a replace order past the position goes through the gateway", async () => {
+  const id = "t_flip_replace";
+  assert.equal(market(id, "BUY", 1).ok, true);
+
+  const resting = paperTrader.placeOrder(id, { symbol: SYMBOL, side: "SELL", type: "LIMIT", qty: 0.5, limitPrice: 150 }, 100);
+  assert.equal(resting.ok, true);
+
+  await killSwitch.engage({ scope: "tenant", tenantId: id, reason: "test", flatten: false, actor: "test", role: "admin" });
+
+  // Still inside the position: allowed
+  const inside = paperTrader.replaceOrder(id, resting.order.id, { qty: 1 }, 100);
+  assert.equal(inside.ok, true);
+
+  const beyond = paperTrader.replaceOrder(id, inside.order.id, { qty: 3 }, 100);
+  assert.equal(beyond.ok, false);
+  assert.match(beyond.error, /Kill switch/);
+});
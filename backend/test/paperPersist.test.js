@@ -0,0 +1,58 @@
+// backend/test/paperPersist.test.js
+// Mark-to-market snapshots are batched: ticks across tenants end up in
+// one store write per interval instead of one per tenant.
+
+require("./helpers/env");
+process.env.PAPER_PERSIST = "true";
+process.env.PAPER_SNAPSHOT_INTERVAL_MS = "60000";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const paperTrader = require("../src/services/paperTrader");
+const paperStore = require("../src/services/paperStore");
+
+const SYMBOL = "BTCUSD";
+
+test("ticks mark tenants dirty and one flush writes them all", () => {
+  const tenants = ["t_batch_a", "t_batch_b", "t_batch_c"];
+  // A binding filtered to another symbol keeps the brain from trading
+  for (const id of tenants) paperTrader.setStrategy(id, { strategyId: "idle", version: 1, symbols: ["ETHUSD"] });
+
+  const markOnly = [];
+  const batches = [];
+
+  const { save, saveMany } = paperStore;
+  paperStore.save = (id, account, records = []) => {
+    if (!records.length) markOnly.push(id);
+    return save(id, account, records);
+  };
+  paperStore.saveMany = (entries) => {
+    batches.push(entries.map((e) => e.tenantId));
+    return saveMany(entries);
+  };
+
+  try {
+    for (let i = 0; i < 3; i++) {
+      for (const id of tenants) paperTrader.tick(id, SYMBOL, 100 + i);
+    }
+
+    assert.deepEqual(markOnly, []);
+    assert.equal(batches.length, 0);
+
+    assert.equal(paperTrader.flushSnapshots(), tenants.length);
+    assert.equal(batches.length, 1);
+    assert.deepEqual([...batches[0]].sort(), tenants);
+
+    for (const id of tenants) {
+      assert.equal(paperStore.load(id).account.lastPrices[SYMBOL], 102);
+    }
+
+    // Nothing dirty, nothing written
+    assert.equal(paperTrader.flushSnapshots(), 0);
+    assert.equal(batches.length, 1);
+  } finally {
+    paperStore.save = save;
+    paperStore.saveMany = saveMany;
+  }
+});
@@ -0,0 +1,63 @@
+// backend/test/paperRoutes.test.js
+// Mutating paper routes need a signed-in user so orders land on a
+// real tenant rather than the shared fallback book.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+const paperRoutes = require("../src/routes/paper.routes");
+const paperTrader = require("../src/services/paperTrader");
+
+const FALLBACK_TENANT = "default_user";
+
+let server;
+let base;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/paper", paperRoutes);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}/api/paper`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+function call(method, path, body) {
+  return fetch(base + path, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+test("order routes reject anonymous callers", async () => {
+  const before = paperTrader.listOrders(FALLBACK_TENANT).length;
+
+  const place = await call("POST", "/orders", { symbol: "BTCUSD", side: "BUY", type: "LIMIT", qty: 1, limitPrice: 1 });
+  assert.equal(place.status, 401);
+
+  assert.equal((await call("PUT", "/orders/ord_x", { qty: 2 })).status, 401);
+  assert.equal((await call("DELETE", "/orders/ord_x")).status, 401);
+
+  assert.equal(paperTrader.listOrders(FALLBACK_TENANT).length, before);
+});
+
+test("position routes reject anonymous callers", async () => {
+  assert.equal((await call("POST", "/positions/BTCUSD/close")).status, 401);
+  assert.equal((await call("PUT", "/positions/BTCUSD/protection", { stopLoss: 1 })).status, 401);
+});
+
+test("account reset rejects anonymous callers", async () => {
+  const open = paperTrader.placeOrder(FALLBACK_TENANT, { symbol: "BTCUSD", side: "BUY", type: "MARKET", qty: 0.01 }, 100);
+  assert.equal(open.ok, true);
+
+  assert.equal((await call("POST", "/account/reset", { reason: "anon" })).status, 401);
+  assert.equal(paperTrader.snapshot(FALLBACK_TENANT).positions.length, 1);
+});
@@ -0,0 +1,150 @@
+// backend/test/riskGateway.test.js
+// The gateway's pipeline semantics: stage order, first rejection
+// wins, quantities only shrink, reduce-only bypass, live guard.
+// Downstream risk engines are stubbed to fixed answers.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const riskManager = require("../src/services/riskManager");
+const capitalAllocator = require("../src/services/capitalAllocator");
+const capitalProtection = require("../src/services/capitalProtection");
+const portfolioManager = require("../src/services/portfolioManager");
+const liveTradingGuard = require("../src/services/liveTradingGuard");
+const killSwitch = require("../src/services/killSwitch");
+const riskGateway = require("../src/services/riskGateway");
+
+const calls = [];
+
+function stubs({ multiplier = 1, riskPct = 1, maxQty = Infinity, portfolio = true } = {}) {
+  calls.length = 0;
+  riskManager.evaluate = () => {
+    calls.push("riskManager");
+    return { riskMultiplier: multiplier, drawdown: 0, halted: false, cooling: false };
+  };
+  capitalAllocator.allocate = () => {
+    calls.push("capitalAllocator");
+    return riskPct;
+  };
+  capitalProtection.validateOrder = ({ balanceUsd, riskPct: pct, price }) => {
+    calls.push("capitalProtection");
+    const qty = Math.min((balanceUsd * pct) / price, maxQty);
+    return { allow: true, qty, usd: qty * price };
+  };
+  portfolioManager.evaluate = () => {
+    calls.push("portfolioManager");
+    return portfolio ? { allow: true } : { allow: false, reason: "Symbol exposure limit" };
+  };
+}
+
+const ORDER = { tenantId: "t_gateway", symbol: "BTCUSD", side: "BUY", qty: 10, price: 100, equity: 100000 };
+const review = (input = {}, opts = {}) => riskGateway.review({ ...ORDER, ...input }, { audit: false, ...opts });
+
+test("a clean order passes every stage in order", () => {
+  stubs();
+  const out = review();
+
+  assert.equal(out.decision, "APPROVE");
+  assert.equal(out.qty, 10);
+  assert.deepEqual(out.checks.map((c) => c.stage), riskGateway.STAGES);
+  assert.deepEqual(calls, ["riskManager", "capitalAllocator", "capitalProtection", "portfolioManager"]);
+});
+
+test("malformed orders stop at the order stage", () => {
+  stubs();
+  for (const [input, pattern] of [
+    [{ symbol: "" }, /symbol required/],
+    [{ side: "HOLD" }, /side must be/],
+    [{ price: 0 }, /price required/],
+    [{ qty: 0 }, /qty or riskPct required/],
+    [{ equity: 0 }, /No equity/],
+  ]) {
+    const out = review(input);
+    assert.equal(out.decision, "REJECT");
+    assert.match(out.reason, pattern);
+  }
+  assert.deepEqual(calls, []);
+});
+
+test("riskPct sizes the order against equity when qty is absent", () => {
+  stubs();
+  const out = review({ qty: undefined, riskPct: 0.01 });
+  assert.equal(out.requestedQty, 10);
+});
+
+test("resizes compound and only ever shrink", () => {
+  stubs({ multiplier: 0.5, riskPct: 0.02, maxQty: 4 });
+  // Stop 1 away: a 2% budget on 100k allows 2000 units, so only the multiplier and cap bite
+  const out = review({ stopLoss: 99 });
+
+  assert.equal(out.decision, "RESIZE");
+  assert.equal(out.qty, 4);
+  assert.deepEqual(out.reasons.map((r) => r.code), ["risk_multiplier", "max_trade_size"]);
+
+  // The allocator's budget is the loss at the stop
+  stubs({ riskPct: 0.0001 });
+  const budget = review({ stopLoss: 90 });
+  assert.equal(budget.qty, (100000 * 0.0001) / 10);
+  assert.equal(budget.reasons[0].code, "risk_budget");
+});
+
+test("the first rejection ends the pipeline", () => {
+  stubs();
+  riskManager.evaluate = () => ({ riskMultiplier: 0, halted: true, haltReason: "max_drawdown" });
+  const out = review();
+
+  assert.equal(out.decision, "REJECT");
+  assert.equal(out.reasons[0].code, "max_drawdown");
+  assert.deepEqual(out.checks.map((c) => c.stage), ["order", "killSwitch", "liveGuard", "riskManager"]);
+  assert.deepEqual(calls, []);
+
+  stubs({ portfolio: false });
+  assert.equal(review().reasons[0].stage, "portfolioManager");
+});
+
+test("a resize to nothing is a rejection", () => {
+  stubs({ maxQty: 0 });
+  const out = review();
+  assert.equal(out.decision, "REJECT");
+  assert.equal(out.reasons.at(-1).code, "zero_qty");
+  assert.equal(out.qty, 0);
+});
+
+test("kill switches block new risk but not reduce-only orders", async () => {
+  stubs();
+  const on = await killSwitch.engage({ scope: "tenant", tenantId: ORDER.tenantId, reason: "test", flatten: false });
+
+  const blocked = review();
+  assert.equal(blocked.reasons[0].code, "kill_switch");
+
+  const reducing = review({ reducing: true });
+  assert.equal(reducing.decision, "APPROVE");
+  assert.ok(reducing.checks.slice(1).every((c) => c.outcome === "skip"));
+  assert.deepEqual(calls, []);
+
+  // Offline simulations opt out of the switch
+  assert.equal(review({}, { killSwitch: false }).decision, "APPROVE");
+
+  killSwitch.clear(on.switch.id);
+  assert.equal(review().decision, "APPROVE");
+});
+
+test("live orders need the live guard's approval", async () => {
+  stubs();
+  assert.equal(review({ mode: "live" }).reasons[0].code, "live_disabled");
+  assert.equal(review({ mode: "live" }, { liveAllowed: true }).decision, "APPROVE");
+
+  let asked = null;
+  liveTradingGuard.canTradeLive = async ({ exchange }) => {
+    asked = exchange;
+    return false;
+  };
+  const out = await riskGateway.authorize({ ...ORDER, mode: "live", exchange: "kraken" }, { audit: false });
+  assert.equal(asked, "kraken");
+  assert.equal(out.reasons[0].code, "live_disabled");
+
+  // Live orders without an equity figure size against the configured base
+  assert.equal(review({ mode: "live", equity: undefined, qty: undefined, riskPct: 0.01 }, { liveAllowed: true }).requestedQty, 1);
+});
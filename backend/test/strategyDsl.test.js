@@ -0,0 +1,137 @@
+// backend/test/strategyDsl.test.js
+// The strategy DSL grammar (validate) and its evaluator (compile →
+// decide) on hand-built bar series.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const strategyDsl = require("../src/services/strategyDsl");
+
+const bars = (closes) => closes.map((close, i) => ({ time: i * 60000, open: close, high: close, low: close, close, volume: 1 }));
+
+// Flat at 100, then a jump: the close crosses its 3-bar SMA on the last bar
+const CROSS_UP = bars([100, 100, 100, 100, 100, 110]);
+const FLAT = bars([100, 100, 100, 100, 100, 100]);
+
+const SMA_CROSS = {
+  name: "sma cross",
+  entry: {
+    long: { op: "crossesAbove", left: { price: "close" }, right: { indicator: "sma", period: 3 } },
+    short: { op: "crossesBelow", left: { price: "close" }, right: { indicator: "sma", period: 3 } },
+  },
+  exit: { long: { op: "<", left: { price: "close" }, right: { price: "close", offset: 1 } } },
+  params: { stopLossPct: 0.01, takeProfitPct: 0.02, riskPct: 0.01 },
+};
+
+function errorsOf(definition) {
+  const out = strategyDsl.validate(definition);
+  assert.equal(out.ok, false);
+  return out.errors.join("\n");
+}
+
+test("validate accepts a well-formed definition", () => {
+  assert.deepEqual(strategyDsl.validate(SMA_CROSS), { ok: true, errors: [] });
+});
+
+test("validate rejects anything outside the grammar, with paths", () => {
+  assert.match(errorsOf(null), /definition: must be an object/);
+  assert.match(errorsOf({ ...SMA_CROSS, name: "" }), /definition\.name/);
+  assert.match(errorsOf({ ...SMA_CROSS, run: "process.exit()" }), /definition\.run: unknown key/);
+  assert.match(
+    errorsOf({ ...SMA_CROSS, entry: { long: { op: "~", left: 1, right: 2 } } }),
+    /definition\.entry\.long\.op: must be one of/
+  );
+  assert.match(
+    errorsOf({ ...SMA_CROSS, entry: { long: { op: ">", left: { indicator: "eval" }, right: 1 } } }),
+    /unknown indicator "eval"/
+  );
+  assert.match(
+    errorsOf({ ...SMA_CROSS, entry: { long: { op: ">", left: { indicator: "macd" }, right: 0 } } }),
+    /\.field: must be one of macd, signal, histogram/
+  );
+  assert.match(errorsOf({ ...SMA_CROSS, entry: { long: { signal: "nope" } } }), /unknown signal "nope"/);
+  assert.match(errorsOf({ ...SMA_CROSS, params: { riskPct: 0.5 } }), /params\.riskPct: must be a number between/);
+  assert.match(
+    errorsOf({ ...SMA_CROSS, entry: { long: { op: ">", left: { price: "close", offset: 1e6 }, right: 0 } } }),
+    /offset: must be an integer/
+  );
+});
+
+test("validate bounds nesting depth and node count", () => {
+  let deep = { op: ">", left: 1, right: 0 };
+  for (let i = 0; i <= strategyDsl.LIMITS.maxDepth; i += 1) deep = { not: deep };
+  assert.match(errorsOf({ ...SMA_CROSS, entry: { long: deep } }), /nested too deep/);
+
+  const wide = { any: Array.from({ length: strategyDsl.LIMITS.maxNodes }, () => ({ op: ">", left: 1, right: 0 })) };
+  assert.match(errorsOf({ ...SMA_CROSS, entry: { long: wide } }), /exceeds the limit/);
+});
+
+test("compile refuses an invalid definition", () => {
+  const out = strategyDsl.compile({ name: "x" });
+  assert.equal(out.ok, false);
+  assert.ok(out.errors.length);
+});
+
+test("decide enters on the cross with the plan's stop and target", () => {
+  const { strategy } = strategyDsl.compile(SMA_CROSS);
+
+  const buy = strategy.decide(CROSS_UP);
+  assert.equal(buy.action, "BUY");
+  assert.equal(buy.reason, "ENTRY_LONG");
+  assert.equal(buy.riskPct, 0.01);
+  assert.ok(Math.abs(buy.stopLoss - 110 * 0.99) < 1e-9);
+  assert.ok(Math.abs(buy.takeProfit - 110 * 1.02) < 1e-9);
+
+  // No cross on a flat series
+  assert.equal(strategy.decide(FLAT).reason, "NO_SIGNAL");
+
+  // A cross needs the previous bar on the other side
+  assert.equal(strategy.decide(bars([90, 100, 105, 110, 115, 120])).action, "WAIT");
+
+  const sell = strategy.decide(bars([100, 100, 100, 100, 100, 90]));
+  assert.equal(sell.action, "SELL");
+  assert.ok(sell.stopLoss > 90);
+});
+
+test("decide only applies exit rules while a position is held", () => {
+  const { strategy } = strategyDsl.compile(SMA_CROSS);
+  const falling = bars([100, 100, 100, 100, 105, 104]);
+
+  assert.equal(strategy.decide(falling, { position: "LONG" }).action, "CLOSE");
+  assert.equal(strategy.decide(CROSS_UP, { position: "LONG" }).reason, "HOLD");
+  // No short exit rule: shorts are held
+  assert.equal(strategy.decide(falling, { position: "SHORT" }).reason, "HOLD");
+});
+
+test("boolean groups, literals and missing data evaluate conservatively", () => {
+  const compileEntry = (long) => strategyDsl.compile({ name: "t", entry: { long } }).strategy;
+
+  assert.equal(compileEntry({ all: [{ op: ">", left: 2, right: 1 }, { op: "<", left: 2, right: 1 }] }).decide(FLAT).action, "WAIT");
+  assert.equal(compileEntry({ any: [{ op: ">", left: 2, right: 1 }, { op: "<", left: 2, right: 1 }] }).decide(FLAT).action, "BUY");
+  assert.equal(compileEntry({ not: { op: "==", left: "a", right: "a" } }).decide(FLAT).action, "WAIT");
+
+  // An indicator that has not warmed up never compares true
+  const cold = compileEntry({ op: "<", left: { indicator: "sma", period: 50 }, right: 1e9 });
+  assert.equal(cold.decide(FLAT).action, "WAIT");
+
+  // Mixed types never compare numerically
+  assert.equal(compileEntry({ op: ">", left: "9", right: 1 }).decide(FLAT).action, "WAIT");
+
+  assert.equal(compileEntry({ op: ">", left: 2, right: 1 }).decide([]).reason, "NO_DATA");
+});
+
+test("decisionBuilder accumulates candles and resets per window", () => {
+  const { strategy } = strategyDsl.compile(SMA_CROSS);
+  const build = strategyDsl.decisionBuilder(strategy);
+
+  let last;
+  CROSS_UP.forEach((candle, index) => {
+    last = build({ candle, index, paper: {} });
+  });
+  assert.equal(last.action, "BUY");
+
+  // A new window starting at index 0 forgets the earlier bars
+  assert.equal(build({ candle: CROSS_UP[5], index: 0, paper: {} }).action, "WAIT");
+});
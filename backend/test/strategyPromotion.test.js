@@ -0,0 +1,138 @@
+// backend/test/strategyPromotion.test.js
+// Promotion gates on the annualized Sharpe scale, fresh evaluations
+// at approval, and demotion of degraded live candidates.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { updateDb } = require("../src/lib/db");
+const strategyRegistry = require("../src/services/strategyRegistry");
+const tearsheetEngine = require("../src/services/tearsheetEngine");
+const strategyPromotion = require("../src/services/strategyPromotion");
+
+const TENANT = "t_promotion";
+const MANAGER = { actor: "manager@test", role: "Manager" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stage effects touch the paper account and strategyLab; only the pipeline is under test
+strategyRegistry.paperTrade = () => ({ ok: true });
+strategyRegistry.stopPaperTrading = () => ({ ok: true });
+strategyRegistry.promote = () => ({ ok: true });
+strategyRegistry.retire = () => ({ ok: true });
+
+// Four 30-day hourly folds with 20 trades each at a per-trade Sharpe of `sharpe`
+function report(sharpe, { timestamps = true } = {}) {
+  const window = (fold) => ({
+    bars: 720,
+    fromTime: timestamps ? fold * 30 * DAY_MS : 0,
+    toTime: timestamps ? (fold + 1) * 30 * DAY_MS : 719,
+    metrics: { sharpe, totalTrades: 20 },
+  });
+  const side = { sharpe, maxDrawdown: 0.05, totalTrades: 80 };
+
+  return {
+    ok: true,
+    folds: [0, 1, 2, 3].map((fold) => ({ fold, inSample: window(fold), outOfSample: window(fold) })),
+    summary: { inSample: side, outOfSample: side, efficiency: 1, overfit: false },
+  };
+}
+
+function tearsheet(sharpe, maxDrawdown = 0.02, totalTrades = 40) {
+  return { ok: true, summary: { sharpe, maxDrawdown, totalTrades } };
+}
+
+function nominate() {
+  const created = strategyRegistry.create(TENANT, {
+    name: `promo ${Math.random()}`,
+    entry: { long: { op: ">", left: { price: "close" }, right: 0 } },
+  });
+  assert.equal(created.ok, true, JSON.stringify(created.errors));
+
+  const out = strategyPromotion.nominate(TENANT, created.strategy.strategyId, MANAGER);
+  assert.equal(out.ok, true);
+  return out.promotion;
+}
+
+test("backtest Sharpe is annualized before the gates apply", async () => {
+  const row = nominate();
+
+  // 0.05 per trade used to clear the old per-bar gate; ~0.78 annualized does not
+  strategyRegistry.backtest = async () => report(0.05);
+  const weak = await strategyPromotion.evaluate(TENANT, row.id);
+  assert.equal(weak.ok, true);
+  assert.equal(weak.evaluation.metrics.sharpePerTrade, 0.05);
+  assert.ok(Math.abs(weak.evaluation.metrics.sharpe - 0.05 * Math.sqrt(20 / (30 / 365))) < 1e-6);
+  assert.equal(weak.evaluation.passed, false);
+  assert.equal((await strategyPromotion.approve(TENANT, row.id, MANAGER)).ok, false);
+
+  strategyRegistry.backtest = async () => report(0.2);
+  const strong = await strategyPromotion.evaluate(TENANT, row.id);
+  assert.equal(strong.evaluation.passed, true);
+});
+
+test("backtests without candle timestamps cannot be scored", async () => {
+  const row = nominate();
+  strategyRegistry.backtest = async () => report(0.2, { timestamps: false });
+
+  const out = await strategyPromotion.evaluate(TENANT, row.id);
+  assert.equal(out.ok, false);
+  assert.match(out.error, /annualized/);
+});
+
+test("a stale backtest evaluation is not enough to approve", async () => {
+  const row = nominate();
+  strategyRegistry.backtest = async () => report(0.2);
+  assert.equal((await strategyPromotion.evaluate(TENANT, row.id)).evaluation.passed, true);
+
+  updateDb((db) => {
+    const stored = db.strategyPromotions.find((r) => r.id === row.id);
+    stored.stages[0].evaluation.evaluatedAt -= strategyPromotion.CONFIG.evalMaxAgeMs + 1;
+  });
+
+  const stale = await strategyPromotion.approve(TENANT, row.id, MANAGER);
+  assert.equal(stale.ok, false);
+  assert.match(stale.error, /stale/);
+
+  await strategyPromotion.evaluate(TENANT, row.id);
+  const fresh = await strategyPromotion.approve(TENANT, row.id, MANAGER);
+  assert.equal(fresh.ok, true);
+  assert.equal(fresh.promotion.stage, "out_of_sample");
+});
+
+test("paper and live approvals re-measure the stage; degraded live candidates are demoted", async () => {
+  const row = nominate();
+  strategyRegistry.backtest = async () => report(0.2);
+
+  for (const stage of ["backtest", "out_of_sample"]) {
+    await strategyPromotion.evaluate(TENANT, row.id);
+    const out = await strategyPromotion.approve(TENANT, row.id, MANAGER);
+    assert.equal(out.ok, true, `${stage}: ${out.error}`);
+  }
+  assert.equal(strategyPromotion.get(TENANT, row.id).stage, "paper");
+
+  // Passed earlier, degraded since: approval measures again
+  tearsheetEngine.buildTearsheet = () => tearsheet(2);
+  assert.equal((await strategyPromotion.evaluate(TENANT, row.id)).evaluation.passed, true);
+  tearsheetEngine.buildTearsheet = () => tearsheet(0.4);
+  const refused = await strategyPromotion.approve(TENANT, row.id, MANAGER);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.evaluation.metrics.sharpe, 0.4);
+
+  tearsheetEngine.buildTearsheet = () => tearsheet(2);
+  assert.equal((await strategyPromotion.approve(TENANT, row.id, MANAGER)).promotion.stage, "live_pilot");
+  assert.equal((await strategyPromotion.approve(TENANT, row.id, MANAGER)).promotion.stage, "live_full");
+
+  // Healthy live metrics stay put
+  assert.deepEqual((await strategyPromotion.monitor()).demoted, []);
+
+  tearsheetEngine.buildTearsheet = () => tearsheet(-0.5, 0.2);
+  const first = await strategyPromotion.monitor();
+  assert.deepEqual(first.demoted, [{ id: row.id, from: "live_full", to: "live_pilot" }]);
+  assert.equal(strategyPromotion.get(TENANT, row.id).allocation, strategyPromotion.CONFIG.pilotAllocation);
+
+  const second = await strategyPromotion.monitor();
+  assert.deepEqual(second.demoted, [{ id: row.id, from: "live_pilot", to: null }]);
+  assert.equal(strategyPromotion.get(TENANT, row.id).status, "demoted");
+});
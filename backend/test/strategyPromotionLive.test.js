@@ -0,0 +1,130 @@
+// backend/test/strategyPromotionLive.test.js
+// A live promotion candidate trades through liveTrader: its orders are
+// journaled under its labId, sized by its lab allocation, and the
+// monitor demotes it on the fills they leave.
+
+const { dir } = require("./helpers/env");
+
+const path = require("path");
+
+process.env.LIVE_TRADING_ENABLED = "true";
+process.env.LIVE_TRADING_EXECUTE = "true";
+process.env.LIVE_START_BALANCE = "10000";
+process.env.LIVE_TRADER_STATE_DIR = path.join(dir, "live");
+process.env.KRAKEN_API_KEY = "test";
+process.env.EXECUTION_PRIMARY = "kraken";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const riskGateway = require("../src/services/riskGateway");
+const kraken = require("../src/services/adapters/krakenAdapter");
+const orderJournal = require("../src/services/orderJournal");
+const strategyLab = require("../src/services/strategyLab");
+const strategyRegistry = require("../src/services/strategyRegistry");
+const tearsheetEngine = require("../src/services/tearsheetEngine");
+const strategyPromotion = require("../src/services/strategyPromotion");
+const liveTrader = require("../src/services/liveTrader");
+
+const TENANT = "t_promotion_live";
+const MANAGER = { actor: "manager@test", role: "Manager" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sizes from riskPct the way the gateway does, and remembers what it saw
+const authorized = [];
+riskGateway.authorize = async (order) => {
+  authorized.push(order);
+  return { approved: true, decision: "APPROVE", qty: order.qty || (order.equity * order.riskPct) / order.price };
+};
+
+kraken.executeLiveOrder = async (params) => ({
+  ok: true,
+  exchange: "kraken",
+  result: { status: "FILLED", filledQty: params.qty, avgPrice: params.price, clientOrderId: params.clientOrderId },
+});
+
+// Passing backtest and paper stages, so the candidate can reach live_pilot
+function passingReport() {
+  const window = (fold) => ({ bars: 720, fromTime: fold * 30 * DAY_MS, toTime: (fold + 1) * 30 * DAY_MS, metrics: { sharpe: 0.2, totalTrades: 20 } });
+  const side = { sharpe: 0.2, maxDrawdown: 0.05, totalTrades: 80 };
+  return {
+    ok: true,
+    folds: [0, 1, 2, 3].map((fold) => ({ fold, inSample: window(fold), outOfSample: window(fold) })),
+    summary: { inSample: side, outOfSample: side, efficiency: 1, overfit: false },
+  };
+}
+
+async function toLivePilot() {
+  // Buys whenever flat and sells on the next tick
+  const created = strategyRegistry.create(TENANT, {
+    name: "always in and out",
+    entry: { long: { op: ">", left: { price: "close" }, right: 0 } },
+    exit: { long: { op: ">", left: { price: "close" }, right: 0 } },
+    params: { riskPct: 0.01 },
+  });
+  assert.equal(created.ok, true, JSON.stringify(created.errors));
+
+  const row = strategyPromotion.nominate(TENANT, created.strategy.strategyId, MANAGER).promotion;
+
+  const { backtest } = strategyRegistry;
+  const { buildTearsheet } = tearsheetEngine;
+  strategyRegistry.backtest = async () => passingReport();
+  tearsheetEngine.buildTearsheet = () => ({ ok: true, summary: { sharpe: 2, maxDrawdown: 0.01, totalTrades: 40 } });
+  try {
+    for (let i = 0; i < 2; i++) await strategyPromotion.evaluate(TENANT, row.id);
+    for (const stage of ["out_of_sample", "paper", "live_pilot"]) {
+      if (stage === "paper") await strategyPromotion.evaluate(TENANT, row.id);
+      const out = await strategyPromotion.approve(TENANT, row.id, MANAGER);
+      assert.equal(out.ok, true, `${stage}: ${out.error}`);
+      assert.equal(out.promotion.stage, stage);
+    }
+  } finally {
+    strategyRegistry.backtest = backtest;
+    tearsheetEngine.buildTearsheet = buildTearsheet;
+  }
+
+  return strategyPromotion.get(TENANT, row.id);
+}
+
+test("a degraded live candidate is demoted from its journaled fills", async (t) => {
+  // Hourly ticks on a clock the tearsheet also reads
+  let clock = Date.now();
+  t.mock.method(Date, "now", () => clock);
+
+  const row = await toLivePilot();
+  const lab = strategyLab.getActiveStrategies(TENANT).find((s) => s.id === row.labId);
+  assert.equal(lab.allocation, strategyPromotion.CONFIG.pilotAllocation);
+
+  liveTrader.start(TENANT);
+
+  // Every round trip closes lower than it opened, by a varying amount
+  let price = 100;
+  for (let i = 0; i < 24; i++) {
+    clock += HOUR_MS;
+    await liveTrader.tick(TENANT, "BTCUSD", price, clock);
+    price -= 0.5 + (i % 3) * 0.5;
+  }
+
+  const fills = orderJournal.fills(TENANT);
+  assert.equal(fills.length, 24);
+  assert.ok(fills.every((f) => f.strategy === row.labId));
+
+  // Entries carry the version's riskPct scaled by the lab allocation
+  const entries = authorized.filter((o) => o.side === "BUY");
+  assert.equal(entries.length, 12);
+  assert.ok(entries.every((o) => Math.abs(o.riskPct - 0.01 * lab.effectiveRiskMultiplier) < 1e-12));
+
+  const { evaluation } = await strategyPromotion.evaluate(TENANT, row.id);
+  assert.equal(evaluation.metrics.totalTrades, 12);
+  assert.ok(evaluation.metrics.sharpe < 0);
+  assert.equal(evaluation.degraded, true);
+
+  const out = await strategyPromotion.monitor();
+  assert.deepEqual(out.demoted, [{ id: row.id, from: "live_pilot", to: null }]);
+  assert.equal(strategyPromotion.get(TENANT, row.id).status, "demoted");
+
+  // Out of the lab, nothing trades under its labId any more
+  assert.equal(strategyPromotion.liveAllocation(TENANT, row.labId), 0);
+  assert.equal(strategyPromotion.liveDecision(TENANT, "BTCUSD", price), null);
+});
@@ -0,0 +1,94 @@
+// backend/test/zip.test.js
+// The minimal zip reader: stored and deflate entries, and the
+// extraction limits that stop decompression bombs.
+
+require("./helpers/env");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const zip = require("../src/lib/zip");
+
+// Builds an archive; `declared` overrides the uncompressed size in the directory
+function archive(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data, method = 8, declared } of files) {
+    const body = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBuf = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(0x02014b50, 0);
+    dir.writeUInt16LE(method, 10);
+    dir.writeUInt32LE(body.length, 20);
+    dir.writeUInt32LE(declared ?? data.length, 24);
+    dir.writeUInt16LE(nameBuf.length, 28);
+    dir.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, body);
+    central.push(dir, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  }
+
+  const dirBuf = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(dirBuf.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, dirBuf, eocd]);
+}
+
+const csv = (rows) => Buffer.from("time,open,high,low,close\n" + "1,1,1,1,1\n".repeat(rows));
+
+test("reads stored and deflated entries, skipping directories", () => {
+  const buf = archive([
+    { name: "data/", data: Buffer.alloc(0), method: 0 },
+    { name: "a.csv", data: csv(3), method: 0 },
+    { name: "b.csv", data: csv(5) },
+  ]);
+
+  assert.equal(zip.isZip(buf), true);
+  const entries = zip.readEntries(buf);
+  assert.deepEqual(entries.map((e) => e.name), ["a.csv", "b.csv"]);
+  assert.deepEqual(entries[1].data, csv(5));
+});
+
+test("rejects an entry that inflates past the per-entry limit", () => {
+  const bomb = archive([{ name: "bomb.csv", data: Buffer.alloc(1024 * 1024), declared: 10 }]);
+  assert.throws(() => zip.readEntries(bomb, { maxEntryBytes: 64 * 1024 }), /bomb\.csv expands past the 65536-byte limit/);
+
+  // An honest size header fails before inflating
+  const honest = archive([{ name: "big.csv", data: Buffer.alloc(128 * 1024) }]);
+  assert.throws(() => zip.readEntries(honest, { maxEntryBytes: 64 * 1024 }), /big\.csv expands past/);
+
+  const stored = archive([{ name: "raw.csv", data: Buffer.alloc(128 * 1024), method: 0, declared: 1 }]);
+  assert.throws(() => zip.readEntries(stored, { maxEntryBytes: 64 * 1024 }), /raw\.csv expands past/);
+});
+
+test("caps the total extracted across entries", () => {
+  const buf = archive([
+    { name: "1.csv", data: Buffer.alloc(40 * 1024) },
+    { name: "2.csv", data: Buffer.alloc(40 * 1024), declared: 1 },
+  ]);
+
+  assert.equal(zip.readEntries(buf, { maxTotalBytes: 80 * 1024 }).length, 2);
+  assert.throws(() => zip.readEntries(buf, { maxTotalBytes: 64 * 1024 }), /2\.csv expands past the 24576-byte limit/);
+});
+
+test("the configured limits apply by default", () => {
+  assert.ok(zip.MAX_ENTRY_BYTES > 0 && zip.MAX_TOTAL_BYTES >= zip.MAX_ENTRY_BYTES);
+  assert.throws(() => zip.readEntries(archive([{ name: "x.csv", data: csv(1), declared: zip.MAX_ENTRY_BYTES + 1 }])), /expands past/);
+});